@@ -0,0 +1,866 @@
+-- ============================================================
+-- Migration V13: Recurring events and event series
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. event_series table + series link on events
+-- ============================================================
+
+-- A series holds the recurrence rule. Every occurrence is a normal
+-- row in events, so RSVPs, waitlists and check-ins stay per occurrence.
+CREATE TABLE IF NOT EXISTS event_series (
+    id              SERIAL PRIMARY KEY,
+    creator_id      UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    frequency       TEXT NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    start_date      DATE NOT NULL,
+    until_date      DATE,
+    weekday         INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),       -- EXTRACT(DOW): 0 = Sunday
+    week_of_month   INTEGER CHECK (week_of_month IN (1, 2, 3, 4, -1)),      -- monthly only, -1 = last
+    exception_dates DATE[] NOT NULL DEFAULT '{}',
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_series_creator ON event_series(creator_id);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES event_series(id) ON DELETE SET NULL;
+
+-- One occurrence per series per date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_series_date ON events(series_id, date) WHERE series_id IS NOT NULL;
+
+ALTER TABLE event_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Event series are publicly readable"
+    ON event_series FOR SELECT USING (true);
+
+-- Writes go through the SECURITY DEFINER RPCs below.
+
+-- ============================================================
+-- 1B. series_occurrence_dates — expand a rule into dates
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION series_occurrence_dates(p_series_id INTEGER, p_from DATE, p_to DATE)
+RETURNS SETOF DATE
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+    s event_series%ROWTYPE;
+    d DATE;
+    month_start DATE;
+    month_end DATE;
+BEGIN
+    SELECT * INTO s FROM event_series WHERE id = p_series_id;
+    IF NOT FOUND THEN RETURN; END IF;
+
+    p_from := GREATEST(p_from, s.start_date);
+    IF s.until_date IS NOT NULL THEN
+        p_to := LEAST(p_to, s.until_date);
+    END IF;
+
+    IF s.frequency IN ('weekly', 'biweekly') THEN
+        d := s.start_date;
+        WHILE d <= p_to LOOP
+            IF d >= p_from AND NOT d = ANY(s.exception_dates) THEN
+                RETURN NEXT d;
+            END IF;
+            d := d + CASE WHEN s.frequency = 'weekly' THEN 7 ELSE 14 END;
+        END LOOP;
+    ELSE
+        -- Monthly on the Nth (or last) weekday
+        month_start := date_trunc('month', s.start_date)::DATE;
+        WHILE month_start <= p_to LOOP
+            IF s.week_of_month = -1 THEN
+                month_end := (month_start + INTERVAL '1 month' - INTERVAL '1 day')::DATE;
+                d := month_end - ((EXTRACT(DOW FROM month_end)::INT - s.weekday + 7) % 7);
+            ELSE
+                d := month_start + ((s.weekday - EXTRACT(DOW FROM month_start)::INT + 7) % 7)
+                     + (s.week_of_month - 1) * 7;
+            END IF;
+
+            IF d >= p_from AND d <= p_to AND NOT d = ANY(s.exception_dates) THEN
+                RETURN NEXT d;
+            END IF;
+            month_start := (month_start + INTERVAL '1 month')::DATE;
+        END LOOP;
+    END IF;
+END;
+$$;
+
+-- ============================================================
+-- 1C. materialize_event_series — create missing occurrences
+--     Occurrences are generated 12 weeks ahead; the latest
+--     occurrence is used as the template.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION materialize_event_series(p_series_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl events%ROWTYPE;
+    occ_date DATE;
+    new_event_id INTEGER;
+    created_count INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM events
+    WHERE series_id = p_series_id
+    ORDER BY date DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN RETURN 0; END IF;
+
+    FOR occ_date IN
+        SELECT * FROM series_occurrence_dates(p_series_id, CURRENT_DATE, CURRENT_DATE + 84)
+    LOOP
+        IF EXISTS (SELECT 1 FROM events WHERE series_id = p_series_id AND date = occ_date) THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO events (
+            title, description, date, end_date, time, end_time, location, image_url,
+            category, visibility, join_mode, max_attendees, qr_enabled, latitude, longitude,
+            venue_id, creator_id, event_mode, online_url, min_age, series_id
+        ) VALUES (
+            tpl.title, tpl.description, occ_date,
+            CASE WHEN tpl.end_date IS NOT NULL THEN occ_date + (tpl.end_date - tpl.date) ELSE NULL END,
+            tpl.time, tpl.end_time, tpl.location, tpl.image_url,
+            tpl.category, tpl.visibility, tpl.join_mode, tpl.max_attendees, tpl.qr_enabled,
+            tpl.latitude, tpl.longitude, tpl.venue_id, tpl.creator_id, tpl.event_mode,
+            tpl.online_url, tpl.min_age, p_series_id
+        )
+        RETURNING id INTO new_event_id;
+
+        INSERT INTO event_images (event_id, image_url, position)
+        SELECT new_event_id, image_url, position FROM event_images WHERE event_id = tpl.id;
+
+        INSERT INTO event_admins (event_id, user_id)
+        SELECT new_event_id, user_id FROM event_admins WHERE event_id = tpl.id;
+
+        created_count := created_count + 1;
+    END LOOP;
+
+    RETURN created_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION materialize_event_series(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Roll every open series forward (run via pg_cron or manually)
+-- SELECT cron.schedule('extend-event-series', '0 3 * * *', 'SELECT extend_event_series()');
+CREATE OR REPLACE FUNCTION extend_event_series()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    s RECORD;
+    total INTEGER := 0;
+BEGIN
+    FOR s IN
+        SELECT id FROM event_series
+        WHERE until_date IS NULL OR until_date >= CURRENT_DATE
+    LOOP
+        total := total + materialize_event_series(s.id);
+    END LOOP;
+
+    RETURN total;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION extend_event_series() FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1D. Keep exceptions in sync when a single occurrence is
+--     moved or deleted, so it is not generated again
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION track_series_exceptions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.series_id IS NULL THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    IF (TG_OP = 'DELETE' OR NEW.date IS DISTINCT FROM OLD.date OR NEW.series_id IS DISTINCT FROM OLD.series_id)
+       AND OLD.date IN (SELECT * FROM series_occurrence_dates(OLD.series_id, OLD.date, OLD.date)) THEN
+        UPDATE event_series
+        SET exception_dates = array_append(exception_dates, OLD.date)
+        WHERE id = OLD.series_id AND NOT OLD.date = ANY(exception_dates);
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+CREATE TRIGGER trg_track_series_exceptions
+    AFTER UPDATE OF date, series_id OR DELETE ON events
+    FOR EACH ROW
+    EXECUTE FUNCTION track_series_exceptions();
+
+-- ============================================================
+-- 1E. RPC: create_event_series — turn an event into the first
+--     occurrence of a series
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION create_event_series(
+    p_event_id INTEGER,
+    p_frequency TEXT,
+    p_until_date DATE DEFAULT NULL,
+    p_exception_dates DATE[] DEFAULT '{}',
+    p_week_of_month INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev events%ROWTYPE;
+    new_series_id INTEGER;
+    created_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF ev.creator_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF ev.series_id IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_in_series');
+    END IF;
+
+    IF p_frequency NOT IN ('weekly', 'biweekly', 'monthly') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_frequency');
+    END IF;
+
+    IF p_until_date IS NOT NULL AND p_until_date < ev.date THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_until_date');
+    END IF;
+
+    INSERT INTO event_series (creator_id, frequency, start_date, until_date, weekday, week_of_month, exception_dates)
+    VALUES (
+        current_uid, p_frequency, ev.date, p_until_date,
+        EXTRACT(DOW FROM ev.date)::INT,
+        CASE WHEN p_frequency = 'monthly' THEN
+            COALESCE(p_week_of_month, LEAST((EXTRACT(DAY FROM ev.date)::INT + 6) / 7, 4))
+        ELSE NULL END,
+        COALESCE(p_exception_dates, '{}')
+    )
+    RETURNING id INTO new_series_id;
+
+    UPDATE events SET series_id = new_series_id WHERE id = p_event_id;
+
+    created_count := materialize_event_series(new_series_id);
+
+    RETURN jsonb_build_object('status', 'success', 'series_id', new_series_id, 'created', created_count);
+END;
+$$;
+
+-- ============================================================
+-- 1F. RPC: update_event_series — change the rule and/or push
+--     the edited occurrence's details to future occurrences
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION update_event_series(
+    p_event_id INTEGER,
+    p_propagate BOOLEAN DEFAULT TRUE,
+    p_frequency TEXT DEFAULT NULL,
+    p_until_date DATE DEFAULT NULL,
+    p_exception_dates DATE[] DEFAULT NULL,
+    p_week_of_month INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev events%ROWTYPE;
+    s event_series%ROWTYPE;
+    updated_count INTEGER := 0;
+    removed_count INTEGER := 0;
+    detached_count INTEGER := 0;
+    created_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND OR ev.series_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_in_series');
+    END IF;
+
+    SELECT * INTO s FROM event_series WHERE id = ev.series_id;
+    IF s.creator_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF p_frequency IS NOT NULL AND p_frequency NOT IN ('weekly', 'biweekly', 'monthly') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_frequency');
+    END IF;
+
+    -- Rule change: occurrences after this one that no longer match are
+    -- removed, unless someone has already signed up (those are detached
+    -- from the series so the organizer can handle them individually).
+    -- A whole rule (p_frequency given) replaces the end date, so a NULL
+    -- p_until_date then clears it.
+    IF p_frequency IS NOT NULL OR p_until_date IS NOT NULL OR p_exception_dates IS NOT NULL THEN
+        UPDATE event_series SET
+            frequency = COALESCE(p_frequency, frequency),
+            until_date = CASE WHEN p_frequency IS NOT NULL THEN p_until_date ELSE COALESCE(p_until_date, until_date) END,
+            exception_dates = COALESCE(p_exception_dates, exception_dates),
+            week_of_month = CASE
+                WHEN COALESCE(p_frequency, frequency) = 'monthly' THEN
+                    COALESCE(p_week_of_month, week_of_month, LEAST((EXTRACT(DAY FROM start_date)::INT + 6) / 7, 4))
+                ELSE NULL
+            END
+        WHERE id = s.id;
+
+        WITH stale AS (
+            SELECT e.id,
+                EXISTS (SELECT 1 FROM rsvps r WHERE r.event_id = e.id AND r.kicked_at IS NULL) AS has_rsvps
+            FROM events e
+            WHERE e.series_id = s.id AND e.date > ev.date
+              AND e.date NOT IN (SELECT * FROM series_occurrence_dates(s.id, ev.date + 1, e.date))
+        ),
+        detached AS (
+            UPDATE events SET series_id = NULL
+            WHERE id IN (SELECT id FROM stale WHERE has_rsvps)
+            RETURNING id
+        ),
+        removed AS (
+            DELETE FROM events
+            WHERE id IN (SELECT id FROM stale WHERE NOT has_rsvps)
+            RETURNING id
+        )
+        SELECT (SELECT COUNT(*) FROM detached), (SELECT COUNT(*) FROM removed)
+        INTO detached_count, removed_count;
+    END IF;
+
+    IF p_propagate THEN
+        UPDATE events SET
+            title = ev.title,
+            description = ev.description,
+            time = ev.time,
+            end_time = ev.end_time,
+            end_date = CASE WHEN ev.end_date IS NOT NULL THEN events.date + (ev.end_date - ev.date) ELSE NULL END,
+            location = ev.location,
+            latitude = ev.latitude,
+            longitude = ev.longitude,
+            image_url = ev.image_url,
+            category = ev.category,
+            visibility = ev.visibility,
+            join_mode = ev.join_mode,
+            max_attendees = ev.max_attendees,
+            venue_id = ev.venue_id,
+            event_mode = ev.event_mode,
+            online_url = ev.online_url,
+            min_age = ev.min_age,
+            updated_at = NOW()
+        WHERE series_id = ev.series_id AND date > ev.date;
+
+        GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+        DELETE FROM event_images
+        WHERE event_id IN (SELECT id FROM events WHERE series_id = ev.series_id AND date > ev.date);
+
+        INSERT INTO event_images (event_id, image_url, position)
+        SELECT e.id, ei.image_url, ei.position
+        FROM events e CROSS JOIN event_images ei
+        WHERE e.series_id = ev.series_id AND e.date > ev.date AND ei.event_id = ev.id;
+    END IF;
+
+    created_count := materialize_event_series(ev.series_id);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'updated', updated_count,
+        'created', created_count,
+        'removed', removed_count,
+        'detached', detached_count
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. RPC: end_event_series — cancel this and all later
+--     occurrences (occurrences before it are kept). Those
+--     someone has signed up for are detached, not deleted,
+--     as in update_event_series.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION end_event_series(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev events%ROWTYPE;
+    removed_count INTEGER;
+    detached_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND OR ev.series_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_in_series');
+    END IF;
+
+    IF ev.creator_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    UPDATE event_series SET until_date = ev.date - 1 WHERE id = ev.series_id;
+
+    WITH ended AS (
+        SELECT e.id,
+            EXISTS (SELECT 1 FROM rsvps r WHERE r.event_id = e.id AND r.kicked_at IS NULL) AS has_rsvps
+        FROM events e
+        WHERE e.series_id = ev.series_id AND e.date >= ev.date
+    ),
+    detached AS (
+        UPDATE events SET series_id = NULL
+        WHERE id IN (SELECT id FROM ended WHERE has_rsvps)
+        RETURNING id
+    ),
+    removed AS (
+        DELETE FROM events
+        WHERE id IN (SELECT id FROM ended WHERE NOT has_rsvps)
+        RETURNING id
+    )
+    SELECT (SELECT COUNT(*) FROM detached), (SELECT COUNT(*) FROM removed)
+    INTO detached_count, removed_count;
+
+    RETURN jsonb_build_object('status', 'success', 'removed', removed_count, 'detached', detached_count);
+END;
+$$;
+
+-- ============================================================
+-- 1H. Helper: series_summary — rule + upcoming occurrences
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION series_summary(p_series_id INTEGER)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'id', s.id,
+        'frequency', s.frequency,
+        'weekday', s.weekday,
+        'week_of_month', s.week_of_month,
+        'until_date', s.until_date,
+        'exception_dates', to_jsonb(s.exception_dates),
+        'occurrences', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', e.id, 'date', e.date) ORDER BY e.date)
+            FROM events e
+            WHERE e.series_id = s.id AND e.effective_end_date >= CURRENT_DATE
+        ), '[]'::jsonb)
+    )
+    FROM event_series s
+    WHERE s.id = p_series_id;
+$$;
+
+-- ============================================================
+-- 1I. Update get_discover_events — show only the next
+--     occurrence of each series, return series_id
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_discover_events(
+    p_lat DOUBLE PRECISION,
+    p_lng DOUBLE PRECISION,
+    p_radius_km INTEGER DEFAULT 25,
+    p_date_from DATE DEFAULT CURRENT_DATE,
+    p_date_to DATE DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        WITH candidate_events AS (
+            SELECT e.*,
+                CASE WHEN e.latitude IS NOT NULL AND e.longitude IS NOT NULL THEN
+                    ROUND((
+                        6371 * ACOS(
+                            LEAST(1.0, GREATEST(-1.0,
+                                COS(RADIANS(p_lat)) * COS(RADIANS(e.latitude)) *
+                                COS(RADIANS(e.longitude) - RADIANS(p_lng)) +
+                                SIN(RADIANS(p_lat)) * SIN(RADIANS(e.latitude))
+                            ))
+                        )
+                    )::numeric, 1)
+                ELSE NULL END AS dist_km
+            FROM events e
+            WHERE e.visibility = 'public'
+              AND e.effective_end_date >= p_date_from
+              AND (p_date_to IS NULL OR e.date <= p_date_to)
+              AND (p_category IS NULL OR e.category = p_category)
+              AND (current_uid IS NULL OR e.creator_id != current_uid)
+              -- A swipe on one occurrence counts for the whole series
+              AND (current_uid IS NULL OR NOT EXISTS (
+                  SELECT 1 FROM event_swipes es
+                  JOIN events sw ON sw.id = es.event_id
+                  WHERE es.user_id = current_uid
+                    AND (sw.id = e.id OR sw.series_id = e.series_id)
+              ))
+              -- Series: only the next occurrence in the window
+              AND (e.series_id IS NULL OR e.id = (
+                  SELECT e2.id FROM events e2
+                  WHERE e2.series_id = e.series_id
+                    AND e2.effective_end_date >= p_date_from
+                    AND (p_date_to IS NULL OR e2.date <= p_date_to)
+                  ORDER BY e2.date
+                  LIMIT 1
+              ))
+        )
+        SELECT jsonb_build_object(
+            'id', ce.id,
+            'title', ce.title,
+            'date', ce.date,
+            'end_date', ce.end_date,
+            'time', ce.time,
+            'end_time', ce.end_time,
+            'category', ce.category,
+            'image_url', ce.image_url,
+            'join_mode', ce.join_mode,
+            'event_mode', ce.event_mode,
+            'online_url', ce.online_url,
+            'series_id', ce.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = ce.series_id),
+            'area_name', CASE
+                WHEN ce.event_mode = 'online' THEN NULL
+                WHEN ce.join_mode = 'approval_required' THEN
+                    CASE
+                        WHEN POSITION(',' IN ce.location) > 0 THEN
+                            TRIM(SUBSTRING(ce.location FROM POSITION(',' IN ce.location) + 1))
+                        ELSE ce.location
+                    END
+                ELSE ce.location
+            END,
+            'distance_km', ce.dist_km,
+            'going_count', (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = ce.id AND r.status = 'going' AND r.kicked_at IS NULL
+            ),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = ce.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END,
+            'attendee_preview', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url,
+                        CASE WHEN current_uid IS NOT NULL AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                            THEN 0 ELSE 1 END AS sort_order
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                    ORDER BY sort_order, r2.created_at
+                    LIMIT 5
+                ) p
+            ), '[]'::jsonb)
+        ) AS row_data
+        FROM candidate_events ce
+        WHERE (ce.dist_km IS NOT NULL AND ce.dist_km <= p_radius_km)
+           OR ce.event_mode = 'online'
+        ORDER BY ce.date ASC
+        LIMIT p_limit
+    ) sub;
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update search_events — collapse series, return series_id
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION search_events(
+    p_search TEXT DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 30,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        SELECT jsonb_build_object(
+            'id', e.id,
+            'title', e.title,
+            'date', e.date,
+            'end_date', e.end_date,
+            'time', e.time,
+            'end_time', e.end_time,
+            'location', e.location,
+            'category', e.category,
+            'image_url', e.image_url,
+            'event_mode', e.event_mode,
+            'online_url', e.online_url,
+            'series_id', e.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = e.series_id),
+            'latitude', e.latitude,
+            'longitude', e.longitude,
+            'going_count', (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status = 'going' AND r.kicked_at IS NULL
+            ),
+            'interested_count', (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status = 'interested' AND r.kicked_at IS NULL
+            ),
+            'creator_name', (SELECT name FROM profiles WHERE id = e.creator_id),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = e.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END
+        ) AS row_data
+        FROM events e
+        WHERE e.visibility = 'public'
+          AND e.effective_end_date >= CURRENT_DATE
+          AND (p_search IS NULL OR (
+              e.title ILIKE '%' || p_search || '%'
+              OR e.description ILIKE '%' || p_search || '%'
+              OR e.location ILIKE '%' || p_search || '%'
+          ))
+          AND (p_category IS NULL OR e.category = p_category)
+          -- Series: only the next upcoming occurrence
+          AND (e.series_id IS NULL OR e.id = (
+              SELECT e2.id FROM events e2
+              WHERE e2.series_id = e.series_id AND e2.effective_end_date >= CURRENT_DATE
+              ORDER BY e2.date
+              LIMIT 1
+          ))
+        ORDER BY e.date ASC
+        LIMIT p_limit
+        OFFSET p_offset
+    ) sub;
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update get_event_detail — include series info
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_detail(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev events%ROWTYPE;
+    current_uid UUID;
+    has_access BOOLEAN;
+    ar_status TEXT;
+    show_location BOOLEAN;
+BEGIN
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN RETURN NULL; END IF;
+
+    current_uid := auth.uid();
+    has_access := check_event_access(p_event_id, current_uid);
+
+    IF NOT has_access THEN
+        SELECT ar.status INTO ar_status
+        FROM access_requests ar
+        WHERE ar.event_id = p_event_id AND ar.user_id = current_uid;
+
+        RETURN jsonb_build_object(
+            'id', ev.id,
+            'title', ev.title,
+            'category', ev.category,
+            'visibility', ev.visibility,
+            'join_mode', ev.join_mode,
+            'event_mode', ev.event_mode,
+            'min_age', ev.min_age,
+            'has_access', false,
+            'access_request_status', ar_status
+        );
+    END IF;
+
+    show_location := TRUE;
+    IF ev.join_mode = 'approval_required' THEN
+        IF is_event_admin(p_event_id, current_uid) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM access_requests
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'approved'
+        ) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM rsvps
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'going'
+        ) THEN
+            show_location := TRUE;
+        ELSE
+            show_location := FALSE;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', ev.id,
+        'title', ev.title,
+        'description', ev.description,
+        'date', ev.date,
+        'end_date', ev.end_date,
+        'time', ev.time,
+        'end_time', ev.end_time,
+        'event_mode', ev.event_mode,
+        'online_url', ev.online_url,
+        'location', CASE WHEN show_location THEN ev.location ELSE NULL END,
+        'location_hidden', NOT show_location,
+        'area_name', CASE
+            WHEN NOT show_location THEN
+                CASE
+                    WHEN POSITION(',' IN ev.location) > 0 THEN
+                        TRIM(SUBSTRING(ev.location FROM POSITION(',' IN ev.location) + 1))
+                    ELSE ev.location
+                END
+            ELSE NULL
+        END,
+        'image_url', ev.image_url,
+        'category', ev.category,
+        'visibility', ev.visibility,
+        'join_mode', ev.join_mode,
+        'min_age', ev.min_age,
+        'latitude', CASE WHEN show_location THEN ev.latitude ELSE NULL END,
+        'longitude', CASE WHEN show_location THEN ev.longitude ELSE NULL END,
+        'creator_id', ev.creator_id,
+        'created_at', ev.created_at,
+        'max_attendees', ev.max_attendees,
+        'venue_id', ev.venue_id,
+        'series_id', ev.series_id,
+        'series', CASE WHEN ev.series_id IS NOT NULL THEN series_summary(ev.series_id) ELSE NULL END,
+        'has_access', true,
+        'qr_enabled', ev.qr_enabled,
+        'is_admin', is_event_admin(p_event_id, current_uid),
+        'creator_name', (SELECT name FROM profiles WHERE id = ev.creator_id),
+        'going_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL),
+        'interested_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'interested' AND kicked_at IS NULL),
+        'waitlisted_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL),
+        'checked_in_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL),
+        'going_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url, 'checked_in_at', r.checked_in_at))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'interested_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'interested' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'waitlisted_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url) ORDER BY r.created_at ASC)
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'my_rsvp', (SELECT r.status FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid),
+        'my_qr_token', (SELECT r.qr_token FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_checked_in_at', (SELECT r.checked_in_at FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_kicked', COALESCE((SELECT r.kicked_at IS NOT NULL FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid), false),
+        'images', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', ei.id,
+                    'image_url', ei.image_url,
+                    'position', ei.position
+                ) ORDER BY ei.position
+            )
+            FROM event_images ei
+            WHERE ei.event_id = p_event_id
+        ), '[]'::jsonb),
+        'comments', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', c.id,
+                    'text', c.text,
+                    'image_url', c.image_url,
+                    'user_id', c.user_id,
+                    'user_name', p.name,
+                    'user_avatar_url', p.avatar_url,
+                    'created_at', c.created_at
+                ) ORDER BY c.created_at
+            )
+            FROM comments c JOIN profiles p ON p.id = c.user_id
+            WHERE c.event_id = p_event_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
@@ -0,0 +1,145 @@
+-- ============================================================
+-- Migration V14: Scheduled event and booking reminders
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Reminder offsets (how long before start to remind)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS reminder_offsets (
+    minutes_before  INTEGER PRIMARY KEY CHECK (minutes_before > 0),
+    active          BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO reminder_offsets (minutes_before) VALUES (1440), (120)
+ON CONFLICT (minutes_before) DO NOTHING;
+
+ALTER TABLE reminder_offsets ENABLE ROW LEVEL SECURITY;
+
+-- Reminder notifications carry the offset so the app and the email
+-- template can say "tomorrow" or "in 2 hours"
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS reminder_minutes INTEGER;
+
+-- ============================================================
+-- 1B. sent_reminders — one row per user, target and offset
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS sent_reminders (
+    id              SERIAL PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    event_id        INTEGER REFERENCES events(id) ON DELETE CASCADE,
+    booking_id      INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    minutes_before  INTEGER NOT NULL,
+    sent_at         TIMESTAMPTZ DEFAULT NOW(),
+    CHECK ((event_id IS NULL) <> (booking_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sent_reminders_event
+    ON sent_reminders(user_id, event_id, minutes_before) WHERE event_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sent_reminders_booking
+    ON sent_reminders(booking_id, minutes_before) WHERE booking_id IS NOT NULL;
+
+ALTER TABLE sent_reminders ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================
+-- 1C. generate_reminders — create due reminder notifications
+-- ============================================================
+
+-- Start times are stored as local DATE + TIME, so they are read as
+-- Europe/Oslo. For each attendee only the smallest offset that has
+-- already passed is considered, so a late RSVP does not get the 24h and
+-- 2h reminders at the same time. An offset whose time had already
+-- passed when the attendee signed up is only logged, not sent, while a
+-- tighter one is still to come: someone signing up 5 hours before gets
+-- the 2h reminder, not "tomorrow" and then "in 2 hours". Users with
+-- email_reminder turned off get no reminders. Pass p_now to test
+-- against a fixed time; only the cron job can call this.
+-- Run via pg_cron or manually:
+-- SELECT cron.schedule('generate-reminders', '*/10 * * * *', 'SELECT generate_reminders()');
+CREATE OR REPLACE FUNCTION generate_reminders(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    event_count INTEGER;
+    booking_count INTEGER;
+BEGIN
+    -- Event attendees
+    WITH due AS (
+        SELECT DISTINCT ON (r.user_id, e.id)
+            r.user_id, e.id AS event_id, e.title, o.minutes_before,
+            -- Joined after this offset's time, with a tighter reminder still to come
+            r.created_at > (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM rsvps r
+        JOIN events e ON e.id = r.event_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = r.user_id
+        WHERE o.active
+          AND r.status = 'going'
+          AND r.kicked_at IS NULL
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY r.user_id, e.id, o.minutes_before
+    ),
+    logged AS (
+        INSERT INTO sent_reminders (user_id, event_id, minutes_before)
+        SELECT user_id, event_id, minutes_before FROM due
+        ON CONFLICT DO NOTHING
+        RETURNING user_id, event_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, message, reminder_minutes)
+        SELECT l.user_id, 'reminder', l.event_id, d.title, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.user_id = l.user_id AND d.event_id = l.event_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO event_count FROM inserted;
+
+    -- Venue bookings
+    WITH due AS (
+        SELECT DISTINCT ON (b.id)
+            b.id AS booking_id, b.user_id, ts.venue_id, ts.event_id, v.name, o.minutes_before,
+            b.created_at > (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM bookings b
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        JOIN venues v ON v.id = ts.venue_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = b.user_id
+        WHERE o.active
+          AND b.status = 'confirmed'
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY b.id, o.minutes_before
+    ),
+    logged AS (
+        INSERT INTO sent_reminders (user_id, booking_id, minutes_before)
+        SELECT user_id, booking_id, minutes_before FROM due
+        ON CONFLICT DO NOTHING
+        RETURNING booking_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, venue_id, message, reminder_minutes)
+        SELECT d.user_id, 'reminder', d.event_id, d.venue_id, d.name, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.booking_id = l.booking_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO booking_count FROM inserted;
+
+    RETURN event_count + booking_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION generate_reminders(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
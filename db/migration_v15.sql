@@ -0,0 +1,526 @@
+-- ============================================================
+-- Migration V15: Vipps payment lifecycle (authorize → capture → refund/cancel)
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Capture timing per venue
+-- ============================================================
+
+-- 'purchase': capture as soon as the payment is authorized
+-- 'checkin':  capture when staff check the ticket in
+ALTER TABLE venues ADD COLUMN IF NOT EXISTS capture_mode TEXT NOT NULL DEFAULT 'purchase'
+    CHECK (capture_mode IN ('purchase', 'checkin'));
+
+-- ============================================================
+-- 1B. Payment state and amounts on transactions
+-- ============================================================
+
+-- status stays the coarse value the app already reads
+-- (pending / completed / refunded / cancelled). payment_state follows
+-- the Vipps ePayment lifecycle. Amounts are in øre.
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS payment_state TEXT NOT NULL DEFAULT 'created'
+        CHECK (payment_state IN ('created', 'authorized', 'captured', 'partially_refunded',
+                                 'refunded', 'cancelled', 'expired', 'failed')),
+    ADD COLUMN IF NOT EXISTS authorized_amount INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS captured_amount INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS refunded_amount INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill. Vipps payments before this migration were authorized but
+-- never captured.
+UPDATE transactions SET
+    payment_state = CASE
+        WHEN payment_method = 'free' THEN 'captured'
+        WHEN status = 'pending' THEN 'created'
+        WHEN status = 'completed' THEN 'authorized'
+        ELSE 'cancelled'
+    END,
+    authorized_amount = CASE WHEN status = 'completed' THEN amount ELSE 0 END
+WHERE payment_state = 'created' AND authorized_amount = 0;
+
+-- ============================================================
+-- 1C. transaction_events — history of Vipps lifecycle events
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS transaction_events (
+    id              SERIAL PRIMARY KEY,
+    transaction_id  INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    event           TEXT NOT NULL,      -- AUTHORIZED, CAPTURED, REFUNDED, CANCELLED, EXPIRED, FAILED, ...
+    amount          INTEGER,
+    psp_reference   TEXT,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_events_tx ON transaction_events(transaction_id, created_at);
+
+ALTER TABLE transaction_events ENABLE ROW LEVEL SECURITY;
+
+-- Only written and read by SECURITY DEFINER functions and the service role.
+
+-- ============================================================
+-- 1D. payment_state_for — derive state from amounts
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION payment_state_for(p_authorized INT, p_captured INT, p_refunded INT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_refunded > 0 AND p_refunded >= p_captured THEN 'refunded'
+        WHEN p_refunded > 0 THEN 'partially_refunded'
+        WHEN p_captured > 0 THEN 'captured'
+        WHEN p_authorized > 0 THEN 'authorized'
+        ELSE 'created'
+    END;
+$$;
+
+-- ============================================================
+-- 1E. Update confirm_vipps_payment — record authorization and
+--     tell the webhook whether to capture right away
+-- ============================================================
+
+-- Replaces the two-argument version from V12; with both in place a
+-- two-argument call would be ambiguous
+DROP FUNCTION IF EXISTS confirm_vipps_payment(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION confirm_vipps_payment(p_vipps_reference TEXT, p_psp_reference TEXT DEFAULT NULL, p_amount INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    bk RECORD;
+    v_capture_mode TEXT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    SELECT v.capture_mode INTO v_capture_mode
+    FROM bookings b
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b.id = tx.booking_id;
+
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'already_confirmed', 'booking_id', tx.booking_id,
+            'capture_now', tx.payment_state = 'authorized' AND v_capture_mode = 'purchase',
+            'amount', tx.authorized_amount - tx.captured_amount);
+    END IF;
+
+    UPDATE transactions
+    SET status = 'completed',
+        payment_state = 'authorized',
+        authorized_amount = COALESCE(p_amount, tx.amount),
+        vipps_psp_reference = p_psp_reference
+    WHERE id = tx.id;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, 'AUTHORIZED', COALESCE(p_amount, tx.amount), p_psp_reference);
+
+    UPDATE bookings SET status = 'confirmed' WHERE id = tx.booking_id
+    RETURNING * INTO bk;
+
+    -- Send notification
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    SELECT bk.user_id, 'booking_confirmed', ts.venue_id, bk.user_id
+    FROM timeslots ts WHERE ts.id = bk.timeslot_id;
+
+    RETURN jsonb_build_object('status', 'success', 'booking_id', tx.booking_id,
+        'capture_now', v_capture_mode = 'purchase',
+        'amount', COALESCE(p_amount, tx.amount));
+END;
+$$;
+
+-- ============================================================
+-- 1F. record_vipps_adjustment — store the result of a capture,
+--     refund or cancel call. p_aggregate is the "aggregate" object
+--     from the Vipps response, so repeated calls are idempotent.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION record_vipps_adjustment(
+    p_vipps_reference TEXT,
+    p_event TEXT,
+    p_amount INT,
+    p_aggregate JSONB,
+    p_psp_reference TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_authorized INT;
+    v_captured INT;
+    v_refunded INT;
+    v_state TEXT;
+BEGIN
+    IF p_event NOT IN ('CAPTURED', 'REFUNDED', 'CANCELLED') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_event');
+    END IF;
+
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    v_authorized := COALESCE((p_aggregate->'authorizedAmount'->>'value')::INT, tx.authorized_amount);
+    v_captured := COALESCE((p_aggregate->'capturedAmount'->>'value')::INT, tx.captured_amount);
+    v_refunded := COALESCE((p_aggregate->'refundedAmount'->>'value')::INT, tx.refunded_amount);
+
+    IF p_event = 'CANCELLED' AND v_captured = 0 THEN
+        v_state := 'cancelled';
+    ELSE
+        v_state := payment_state_for(v_authorized, v_captured, v_refunded);
+    END IF;
+
+    UPDATE transactions
+    SET authorized_amount = v_authorized,
+        captured_amount = v_captured,
+        refunded_amount = v_refunded,
+        payment_state = v_state,
+        status = CASE v_state
+            WHEN 'refunded' THEN 'refunded'
+            WHEN 'cancelled' THEN 'cancelled'
+            ELSE 'completed'
+        END
+    WHERE id = tx.id;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, p_event, p_amount, p_psp_reference);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state,
+        'captured_amount', v_captured, 'refunded_amount', v_refunded);
+END;
+$$;
+
+-- ============================================================
+-- 1G. fail_vipps_payment — payment never got authorized
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION fail_vipps_payment(p_vipps_reference TEXT, p_event TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_state TEXT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    -- Once authorized, cancellations are recorded by record_vipps_adjustment
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'ignored', 'payment_state', tx.payment_state);
+    END IF;
+
+    v_state := CASE p_event
+        WHEN 'CANCELLED' THEN 'cancelled'
+        WHEN 'EXPIRED' THEN 'expired'
+        ELSE 'failed'
+    END;
+
+    UPDATE transactions SET status = 'cancelled', payment_state = v_state WHERE id = tx.id;
+
+    UPDATE bookings SET status = 'cancelled'
+    WHERE id = tx.booking_id AND status = 'pending_payment';
+
+    INSERT INTO transaction_events (transaction_id, event)
+    VALUES (tx.id, p_event);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state);
+END;
+$$;
+
+-- ============================================================
+-- 1H. get_booking_payment — payment info for the ticket holder
+--     or venue staff (used by vipps-payment capture/refund)
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_booking_payment(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    tx RECORD;
+    v_is_staff BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id, v.capture_mode INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    v_is_staff := is_venue_staff(b.venue_id, current_uid);
+    IF b.user_id != current_uid AND NOT v_is_staff THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    SELECT * INTO tx FROM transactions
+    WHERE booking_id = p_booking_id AND payment_method = 'vipps'
+    ORDER BY id DESC LIMIT 1;
+
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_payment');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.id,
+        'booking_status', b.status,
+        'is_staff', v_is_staff,
+        'capture_mode', b.capture_mode,
+        'vipps_reference', tx.vipps_reference,
+        'payment_state', tx.payment_state,
+        'amount', tx.amount,
+        'authorized_amount', tx.authorized_amount,
+        'captured_amount', tx.captured_amount,
+        'refunded_amount', tx.refunded_amount
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update checkin_queue_ticket — flag capture at check-in
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION checkin_queue_ticket(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_capture_required BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT b2.*, ts.venue_id, v.capture_mode INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF b.status = 'checked_in' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_checked_in');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'booking_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'payment_pending');
+    END IF;
+
+    UPDATE bookings SET status = 'checked_in', checked_in_at = NOW() WHERE id = p_booking_id;
+
+    v_capture_required := b.capture_mode = 'checkin' AND EXISTS (
+        SELECT 1 FROM transactions
+        WHERE booking_id = p_booking_id AND payment_method = 'vipps' AND payment_state = 'authorized'
+    );
+
+    RETURN jsonb_build_object('status', 'success', 'capture_required', v_capture_required);
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update cancel_booking — say which Vipps call is needed
+-- ============================================================
+
+-- payment_action is 'cancel' for a payment that is not captured yet
+-- and 'refund' (of amount) once money has been captured. The
+-- transaction itself is updated by record_vipps_adjustment after the
+-- Vipps call succeeds.
+CREATE OR REPLACE FUNCTION cancel_booking(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    tx RECORD;
+    v_action TEXT;
+    v_amount INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF b.user_id != current_uid AND NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_cancelled');
+    END IF;
+
+    UPDATE bookings SET status = 'cancelled' WHERE id = p_booking_id;
+
+    SELECT * INTO tx FROM transactions
+    WHERE booking_id = p_booking_id AND payment_method = 'vipps'
+      AND payment_state IN ('created', 'authorized', 'captured', 'partially_refunded');
+
+    IF tx.id IS NOT NULL THEN
+        IF tx.captured_amount > tx.refunded_amount THEN
+            v_action := 'refund';
+            v_amount := tx.captured_amount - tx.refunded_amount;
+        ELSE
+            v_action := 'cancel';
+            v_amount := tx.authorized_amount - tx.captured_amount;
+        END IF;
+    ELSE
+        UPDATE transactions SET status = 'refunded'
+        WHERE booking_id = p_booking_id AND payment_method != 'vipps' AND status != 'refunded';
+    END IF;
+
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (b.user_id, 'booking_cancelled', b.venue_id, current_uid);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'needs_refund', v_action IS NOT NULL,
+        'payment_action', v_action,
+        'amount', v_amount,
+        'vipps_reference', tx.vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update get_venue_dashboard — capture mode, min_age,
+--     captured revenue and per-booking payment state
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_dashboard(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    all_timeslots JSONB;
+    staff_list JSONB;
+    total_revenue INT;
+    pending_capture INT;
+    bookings_today INT;
+    sold_out_count INT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    -- Revenue is money actually captured, minus refunds
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0),
+           COALESCE(SUM(t.authorized_amount - t.captured_amount) FILTER (WHERE t.payment_state = 'authorized'), 0)
+    INTO total_revenue, pending_capture
+    FROM transactions t JOIN bookings b ON b.id = t.booking_id JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id;
+
+    SELECT COUNT(*) INTO bookings_today
+    FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date = CURRENT_DATE AND b.status IN ('confirmed', 'checked_in');
+
+    SELECT COUNT(*) INTO sold_out_count
+    FROM timeslots ts WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE
+      AND (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in')) >= ts.capacity;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', ts.price, 'capacity', ts.capacity, 'description', ts.description,
+            'active', ts.active, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'bookings', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id, 'user_id', b.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+                    'status', b.status, 'checked_in_at', b.checked_in_at, 'created_at', b.created_at,
+                    'payment_state', t.payment_state,
+                    'captured_amount', t.captured_amount,
+                    'refunded_amount', t.refunded_amount
+                ))
+                FROM bookings b
+                JOIN profiles p ON p.id = b.user_id
+                LEFT JOIN transactions t ON t.booking_id = b.id AND t.payment_method = 'vipps'
+                WHERE b.timeslot_id = ts.id AND b.status != 'cancelled'
+            ), '[]'::jsonb)
+        ) ORDER BY ts.date DESC, ts.start_time DESC
+    ), '[]'::jsonb) INTO all_timeslots FROM timeslots ts WHERE ts.venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vs.id, 'user_id', vs.user_id, 'role', vs.role,
+        'name', p.name, 'email', p.email, 'avatar_url', p.avatar_url
+    )), '[]'::jsonb) INTO staff_list
+    FROM venue_staff vs JOIN profiles p ON p.id = vs.user_id WHERE vs.venue_id = p_venue_id;
+
+    RETURN jsonb_build_object(
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'description', v.description,
+            'address', v.address, 'image_url', v.image_url, 'opening_hours', v.opening_hours, 'verified', v.verified,
+            'min_age', v.min_age, 'capture_mode', v.capture_mode),
+        'timeslots', all_timeslots, 'staff', staff_list,
+        'stats', jsonb_build_object('total_revenue', total_revenue, 'pending_capture', pending_capture,
+            'bookings_today', bookings_today, 'sold_out_count', sold_out_count)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1L. Payment state RPCs are for the edge functions only
+-- ============================================================
+
+REVOKE EXECUTE ON FUNCTION confirm_vipps_payment(TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_vipps_adjustment(TEXT, TEXT, INT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION fail_vipps_payment(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,179 @@
+-- ============================================================
+-- Migration V16: Vipps webhook event log and payment state transitions
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. payment_events — every verified webhook delivery, once
+-- ============================================================
+
+-- delivery_id is the SHA-256 of the signed body, so a redelivery of
+-- the same webhook is stored (and acted on) only once.
+CREATE TABLE IF NOT EXISTS payment_events (
+    id              SERIAL PRIMARY KEY,
+    delivery_id     TEXT NOT NULL UNIQUE,
+    reference       TEXT NOT NULL,
+    event_name      TEXT NOT NULL,
+    psp_reference   TEXT,
+    amount          INTEGER,
+    payload         JSONB NOT NULL,
+    received_at     TIMESTAMPTZ DEFAULT NOW(),
+    processed_at    TIMESTAMPTZ,
+    outcome         TEXT CHECK (outcome IN ('applied', 'ignored', 'rejected', 'error')),
+    detail          TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_reference ON payment_events(reference, received_at);
+
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (vipps-webhook) reads and writes this table.
+
+-- ============================================================
+-- 1B. process_payment_event — apply one stored event to its
+--     transaction, rejecting moves the lifecycle does not allow
+-- ============================================================
+
+-- Allowed moves:
+--   created    → AUTHORIZED                        → authorized
+--   created    → CANCELLED/EXPIRED/FAILED/ABORTED/
+--                REJECTED/TERMINATED               → cancelled/expired/failed
+-- A repeat of a move already made is ignored. Anything else is rejected,
+-- e.g. EXPIRED after the booking is confirmed. An AUTHORIZED that arrives
+-- after the booking was given up is rejected with release = true so the
+-- webhook cancels the authorization instead of holding the customer's money.
+-- CAPTURED/REFUNDED are recorded when we make those calls, so they are
+-- ignored here. Safe to run again on the same event (replay).
+CREATE OR REPLACE FUNCTION process_payment_event(p_event_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev RECORD;
+    tx RECORD;
+    v_result JSONB;
+    v_outcome TEXT;
+    v_detail TEXT;
+    v_capture_now BOOLEAN := false;
+    v_release BOOLEAN := false;
+    v_amount INT;
+BEGIN
+    SELECT * INTO ev FROM payment_events WHERE id = p_event_id FOR UPDATE;
+    IF ev.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_not_found');
+    END IF;
+
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = ev.reference FOR UPDATE;
+
+    IF tx.id IS NULL THEN
+        v_outcome := 'error';
+        v_detail := 'reference_not_found';
+
+    ELSIF ev.event_name = 'AUTHORIZED' THEN
+        IF tx.payment_state IN ('cancelled', 'expired', 'failed') THEN
+            v_outcome := 'rejected';
+            v_detail := 'authorized_after_' || tx.payment_state;
+            v_release := true;
+            v_amount := COALESCE(ev.amount, tx.amount);
+        ELSE
+            -- confirm_vipps_payment is itself idempotent and reports
+            -- whether a capture is still owed (useful on replay)
+            v_result := confirm_vipps_payment(ev.reference, ev.psp_reference, ev.amount);
+            v_outcome := CASE WHEN v_result->>'status' = 'success' THEN 'applied' ELSE 'ignored' END;
+            v_detail := v_result->>'status';
+            v_capture_now := COALESCE((v_result->>'capture_now')::BOOLEAN, false);
+            v_amount := (v_result->>'amount')::INT;
+        END IF;
+
+    ELSIF ev.event_name IN ('CANCELLED', 'EXPIRED', 'FAILED', 'ABORTED', 'REJECTED', 'TERMINATED') THEN
+        IF tx.payment_state = 'created' THEN
+            v_result := fail_vipps_payment(ev.reference, ev.event_name);
+            v_outcome := 'applied';
+            v_detail := v_result->>'payment_state';
+        ELSIF tx.payment_state IN ('cancelled', 'expired', 'failed') THEN
+            v_outcome := 'ignored';
+            v_detail := 'already_' || tx.payment_state;
+        ELSE
+            v_outcome := 'rejected';
+            v_detail := 'illegal_transition_from_' || tx.payment_state;
+        END IF;
+
+    ELSIF ev.event_name IN ('CAPTURED', 'REFUNDED') THEN
+        v_outcome := 'ignored';
+        v_detail := 'recorded_by_adjustment';
+
+    ELSE
+        v_outcome := 'ignored';
+        v_detail := 'unknown_event';
+    END IF;
+
+    UPDATE payment_events
+    SET processed_at = NOW(), outcome = v_outcome, detail = v_detail
+    WHERE id = ev.id;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'event_id', ev.id,
+        'event_name', ev.event_name,
+        'reference', ev.reference,
+        'outcome', v_outcome,
+        'detail', v_detail,
+        'capture_now', v_capture_now,
+        'release', v_release,
+        'amount', v_amount
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1C. Update expire_pending_bookings — mark the payment expired
+--     too, so a late AUTHORIZED is released instead of applied
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION expire_pending_bookings()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    WITH expired AS (
+        UPDATE bookings SET status = 'expired'
+        WHERE status = 'pending_payment' AND created_at < NOW() - INTERVAL '15 minutes'
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO expired_count FROM expired;
+
+    -- Also cancel associated pending transactions
+    WITH cancelled AS (
+        UPDATE transactions SET status = 'cancelled', payment_state = 'expired'
+        WHERE booking_id IN (
+            SELECT id FROM bookings WHERE status = 'expired'
+        ) AND status = 'pending'
+        RETURNING id
+    )
+    INSERT INTO transaction_events (transaction_id, event)
+    SELECT id, 'EXPIRED' FROM cancelled;
+
+    RETURN expired_count;
+END;
+$$;
+
+-- ============================================================
+-- 1D. Payment RPCs are for the edge functions only
+-- ============================================================
+
+-- A database that ran V15 before it dropped V12's two-argument
+-- confirm_vipps_payment still has both, and two-argument calls are
+-- ambiguous there
+DROP FUNCTION IF EXISTS confirm_vipps_payment(TEXT, TEXT);
+
+REVOKE EXECUTE ON FUNCTION confirm_vipps_payment(TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_vipps_adjustment(TEXT, TEXT, INT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION fail_vipps_payment(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION process_payment_event(INT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_pending_bookings() FROM PUBLIC, anon, authenticated;
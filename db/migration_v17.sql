@@ -0,0 +1,909 @@
+-- ============================================================
+-- Migration V17: Multi-ticket orders and group bookings
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. booking_orders — one purchase of one or more tickets
+-- ============================================================
+
+-- Each ticket is still a bookings row with its own qr_token. The order
+-- ties them to one transaction (one Vipps payment). unit_price is what
+-- each ticket cost, used to refund or leave out a single ticket.
+CREATE TABLE IF NOT EXISTS booking_orders (
+    id              SERIAL PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    timeslot_id     INTEGER NOT NULL REFERENCES timeslots(id) ON DELETE CASCADE,
+    quantity        INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    unit_price      INTEGER NOT NULL DEFAULT 0,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_orders_user ON booking_orders(user_id);
+
+ALTER TABLE booking_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own orders" ON booking_orders;
+CREATE POLICY "Users can view own orders" ON booking_orders
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================================
+-- 1B. Tickets belong to an order and can be assigned to a friend
+-- ============================================================
+
+-- bookings.user_id stays the buyer. assigned_to is the friend who
+-- will use the ticket (NULL = the buyer).
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES booking_orders(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES booking_orders(id) ON DELETE CASCADE;
+
+-- One person can now hold several tickets for the same timeslot
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_timeslot_id_user_id_key;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_order ON bookings(order_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_assigned_to ON bookings(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_transactions_order ON transactions(order_id);
+
+-- Backfill: every existing booking becomes a one-ticket order with the
+-- same id, so transactions can point at it directly.
+INSERT INTO booking_orders (id, user_id, timeslot_id, quantity, unit_price, created_at)
+SELECT b.id, b.user_id, b.timeslot_id, 1,
+       COALESCE((SELECT t.amount FROM transactions t WHERE t.booking_id = b.id ORDER BY t.id DESC LIMIT 1), 0),
+       b.created_at
+FROM bookings b
+WHERE b.order_id IS NULL
+ON CONFLICT (id) DO NOTHING;
+
+UPDATE bookings SET order_id = id WHERE order_id IS NULL;
+UPDATE transactions SET order_id = booking_id WHERE order_id IS NULL;
+
+SELECT setval(pg_get_serial_sequence('booking_orders', 'id'),
+              (SELECT COALESCE(MAX(id), 0) + 1 FROM booking_orders), false);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('rsvp','comment','access_request','invitation','reminder',
+                    'waitlist_promoted','kicked','follow_request','follow_accepted',
+                    'booking_confirmed','booking_cancelled','venue_new_timeslot',
+                    'ticket_assigned'));
+
+-- ============================================================
+-- 1C. order_capturable_amount — what may still be captured for
+--     an order, leaving out tickets cancelled before capture
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION order_capturable_amount(p_transaction_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT GREATEST(0, LEAST(
+        t.authorized_amount,
+        COALESCE(o.unit_price * (
+            SELECT COUNT(*) FROM bookings b
+            WHERE b.order_id = o.id AND b.status NOT IN ('cancelled', 'expired')
+        ), t.authorized_amount)
+    ) - t.captured_amount)::INTEGER
+    FROM transactions t
+    LEFT JOIN booking_orders o ON o.id = t.order_id
+    WHERE t.id = p_transaction_id;
+$$;
+
+-- ============================================================
+-- 1D. Update reserve_timeslot — p_quantity tickets in one order
+-- ============================================================
+
+-- Replaces the two-argument version from V12
+DROP FUNCTION IF EXISTS reserve_timeslot(INT, TEXT);
+
+CREATE OR REPLACE FUNCTION reserve_timeslot(p_timeslot_id INT, p_vipps_reference TEXT DEFAULT NULL, p_quantity INT DEFAULT 1)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ts RECORD;
+    current_bookings INT;
+    new_order_id INT;
+    new_booking_ids INT[];
+    new_qr_tokens UUID[];
+    is_free BOOLEAN;
+    venue_min_age INTEGER;
+    v_status TEXT;
+    v_amount INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > 10 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_quantity', 'max_quantity', 10);
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_timeslot_id);
+
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    IF NOT ts.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_inactive');
+    END IF;
+
+    IF ts.date < CURRENT_DATE THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_past');
+    END IF;
+
+    -- Age check (venue-level)
+    SELECT min_age INTO venue_min_age FROM venues WHERE id = ts.venue_id;
+    IF venue_min_age IS NOT NULL AND NOT check_user_age(current_uid, venue_min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', venue_min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE timeslot_id = p_timeslot_id AND user_id = current_uid AND status NOT IN ('cancelled', 'expired')) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_booked');
+    END IF;
+
+    SELECT COUNT(*) INTO current_bookings
+    FROM bookings WHERE timeslot_id = p_timeslot_id AND status IN ('confirmed', 'checked_in', 'pending_payment');
+
+    IF current_bookings + p_quantity > ts.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out',
+            'spots_left', GREATEST(ts.capacity - current_bookings, 0));
+    END IF;
+
+    is_free := (ts.price = 0);
+    v_status := CASE WHEN is_free THEN 'confirmed' ELSE 'pending_payment' END;
+    v_amount := ts.price * p_quantity;
+
+    INSERT INTO booking_orders (user_id, timeslot_id, quantity, unit_price)
+    VALUES (current_uid, p_timeslot_id, p_quantity, ts.price)
+    RETURNING id INTO new_order_id;
+
+    WITH inserted AS (
+        INSERT INTO bookings (timeslot_id, user_id, qr_token, status, order_id)
+        SELECT p_timeslot_id, current_uid, gen_random_uuid(), v_status, new_order_id
+        FROM generate_series(1, p_quantity)
+        RETURNING id, qr_token
+    )
+    SELECT array_agg(id ORDER BY id), array_agg(qr_token ORDER BY id)
+    INTO new_booking_ids, new_qr_tokens
+    FROM inserted;
+
+    IF is_free THEN
+        -- Free: confirm immediately
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, 0, 'NOK', 'completed', 'free');
+
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (current_uid, 'booking_confirmed', ts.venue_id, current_uid);
+    ELSE
+        -- Paid: one pending transaction for the whole order
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, v_amount, 'NOK', 'pending', 'vipps', p_vipps_reference);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'order_id', new_order_id,
+        'quantity', p_quantity,
+        'booking_id', new_booking_ids[1],
+        'qr_token', new_qr_tokens[1],
+        'booking_ids', to_jsonb(new_booking_ids),
+        'qr_tokens', to_jsonb(new_qr_tokens),
+        'payment_required', NOT is_free,
+        'amount', v_amount,
+        'vipps_reference', CASE WHEN is_free THEN NULL ELSE p_vipps_reference END
+    );
+END;
+$$;
+
+-- purchase_timeslot (free tickets only) keeps calling reserve_timeslot
+CREATE OR REPLACE FUNCTION purchase_timeslot(p_timeslot_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN reserve_timeslot(p_timeslot_id, NULL, 1);
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update confirm_vipps_payment / fail_vipps_payment —
+--     act on every ticket in the order
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION confirm_vipps_payment(p_vipps_reference TEXT, p_psp_reference TEXT DEFAULT NULL, p_amount INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_venue_id INT;
+    v_capture_mode TEXT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    SELECT ts.venue_id, v.capture_mode INTO v_venue_id, v_capture_mode
+    FROM bookings b
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b.id = tx.booking_id;
+
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'already_confirmed', 'booking_id', tx.booking_id,
+            'order_id', tx.order_id,
+            'capture_now', tx.payment_state = 'authorized' AND v_capture_mode = 'purchase',
+            'amount', order_capturable_amount(tx.id));
+    END IF;
+
+    UPDATE transactions
+    SET status = 'completed',
+        payment_state = 'authorized',
+        authorized_amount = COALESCE(p_amount, tx.amount),
+        vipps_psp_reference = p_psp_reference
+    WHERE id = tx.id;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, 'AUTHORIZED', COALESCE(p_amount, tx.amount), p_psp_reference);
+
+    UPDATE bookings SET status = 'confirmed'
+    WHERE (id = tx.booking_id OR order_id = tx.order_id) AND status = 'pending_payment';
+
+    -- Send notification
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (tx.user_id, 'booking_confirmed', v_venue_id, tx.user_id);
+
+    RETURN jsonb_build_object('status', 'success', 'booking_id', tx.booking_id,
+        'order_id', tx.order_id,
+        'capture_now', v_capture_mode = 'purchase',
+        'amount', order_capturable_amount(tx.id));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION fail_vipps_payment(p_vipps_reference TEXT, p_event TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_state TEXT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    -- Once authorized, cancellations are recorded by record_vipps_adjustment
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'ignored', 'payment_state', tx.payment_state);
+    END IF;
+
+    v_state := CASE p_event
+        WHEN 'CANCELLED' THEN 'cancelled'
+        WHEN 'EXPIRED' THEN 'expired'
+        ELSE 'failed'
+    END;
+
+    UPDATE transactions SET status = 'cancelled', payment_state = v_state WHERE id = tx.id;
+
+    UPDATE bookings SET status = 'cancelled'
+    WHERE (id = tx.booking_id OR order_id = tx.order_id) AND status = 'pending_payment';
+
+    INSERT INTO transaction_events (transaction_id, event)
+    VALUES (tx.id, p_event);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION confirm_vipps_payment(TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION fail_vipps_payment(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1F. Update get_booking_payment — the order's transaction, and
+--     how much of it can still be captured
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_booking_payment(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    tx RECORD;
+    v_is_staff BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id, v.capture_mode INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    v_is_staff := is_venue_staff(b.venue_id, current_uid);
+    IF b.user_id != current_uid AND NOT v_is_staff THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    SELECT * INTO tx FROM transactions
+    WHERE (booking_id = p_booking_id OR order_id = b.order_id) AND payment_method = 'vipps'
+    ORDER BY id DESC LIMIT 1;
+
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_payment');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.id,
+        'order_id', b.order_id,
+        'booking_status', b.status,
+        'is_staff', v_is_staff,
+        'capture_mode', b.capture_mode,
+        'vipps_reference', tx.vipps_reference,
+        'payment_state', tx.payment_state,
+        'amount', tx.amount,
+        'authorized_amount', tx.authorized_amount,
+        'captured_amount', tx.captured_amount,
+        'refunded_amount', tx.refunded_amount,
+        'capturable_amount', order_capturable_amount(tx.id)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update checkin_queue_ticket — the first ticket checked in
+--     captures the whole order
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION checkin_queue_ticket(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_capture_required BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT b2.*, ts.venue_id, v.capture_mode INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF b.status = 'checked_in' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_checked_in');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'booking_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'payment_pending');
+    END IF;
+
+    UPDATE bookings SET status = 'checked_in', checked_in_at = NOW() WHERE id = p_booking_id;
+
+    v_capture_required := b.capture_mode = 'checkin' AND EXISTS (
+        SELECT 1 FROM transactions
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method = 'vipps' AND payment_state = 'authorized'
+    );
+
+    RETURN jsonb_build_object('status', 'success', 'capture_required', v_capture_required);
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update cancel_booking — cancel one ticket of an order
+-- ============================================================
+
+-- A captured ticket is refunded its unit_price. An authorized order
+-- keeps its authorization while other tickets are still valid; the
+-- cancelled ticket is simply left out of the capture, and the last
+-- ticket cancelled releases what is left. A ticket still awaiting
+-- payment cancels the whole order, since it is one Vipps payment.
+CREATE OR REPLACE FUNCTION cancel_booking(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    tx RECORD;
+    v_unit_price INT;
+    v_remaining INT;
+    v_action TEXT;
+    v_amount INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF b.user_id != current_uid AND NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        UPDATE bookings SET status = 'cancelled'
+        WHERE order_id = b.order_id AND status = 'pending_payment';
+    ELSE
+        UPDATE bookings SET status = 'cancelled' WHERE id = p_booking_id;
+    END IF;
+
+    SELECT unit_price INTO v_unit_price FROM booking_orders WHERE id = b.order_id;
+
+    SELECT COUNT(*) INTO v_remaining FROM bookings
+    WHERE order_id = b.order_id AND status NOT IN ('cancelled', 'expired');
+
+    SELECT * INTO tx FROM transactions
+    WHERE (booking_id = p_booking_id OR order_id = b.order_id) AND payment_method = 'vipps'
+      AND payment_state IN ('created', 'authorized', 'captured', 'partially_refunded');
+
+    IF tx.id IS NOT NULL THEN
+        IF tx.captured_amount > tx.refunded_amount THEN
+            v_action := 'refund';
+            v_amount := LEAST(COALESCE(v_unit_price, tx.amount), tx.captured_amount - tx.refunded_amount);
+            -- Refund the rest once no valid tickets are left
+            IF v_remaining = 0 THEN
+                v_amount := tx.captured_amount - tx.refunded_amount;
+            END IF;
+        ELSIF v_remaining = 0 THEN
+            v_action := 'cancel';
+            v_amount := tx.authorized_amount - tx.captured_amount;
+        END IF;
+    ELSIF v_remaining = 0 THEN
+        UPDATE transactions SET status = 'refunded'
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method != 'vipps' AND status != 'refunded';
+    END IF;
+
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (b.user_id, 'booking_cancelled', b.venue_id, current_uid);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'needs_refund', v_action IS NOT NULL,
+        'payment_action', v_action,
+        'amount', v_amount,
+        'vipps_reference', tx.vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. assign_ticket — give one ticket of your order to a friend
+-- ============================================================
+
+-- The friend must be someone the buyer follows. Pass NULL to take the
+-- ticket back.
+CREATE OR REPLACE FUNCTION assign_ticket(p_booking_id INT, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id, v.min_age INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF b.user_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF b.status NOT IN ('confirmed', 'pending_payment') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_assignable');
+    END IF;
+
+    IF p_user_id IS NOT NULL AND p_user_id != current_uid THEN
+        IF NOT EXISTS (
+            SELECT 1 FROM follows
+            WHERE follower_id = current_uid AND following_id = p_user_id AND status = 'active'
+        ) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_following');
+        END IF;
+
+        IF b.min_age IS NOT NULL AND NOT check_user_age(p_user_id, b.min_age) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', b.min_age);
+        END IF;
+
+        -- A friend gets at most one ticket per timeslot
+        IF EXISTS (
+            SELECT 1 FROM bookings
+            WHERE timeslot_id = b.timeslot_id AND id != b.id AND assigned_to = p_user_id
+              AND status NOT IN ('cancelled', 'expired')
+        ) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'already_assigned');
+        END IF;
+    END IF;
+
+    UPDATE bookings
+    SET assigned_to = CASE WHEN p_user_id = current_uid THEN NULL ELSE p_user_id END
+    WHERE id = p_booking_id;
+
+    IF p_user_id IS NOT NULL AND p_user_id != current_uid THEN
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (p_user_id, 'ticket_assigned', b.venue_id, current_uid);
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update get_my_bookings — one entry per order, with its
+--     tickets. Tickets assigned to you show up as their own entry.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_my_bookings()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN RETURN '[]'::jsonb; END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'order_id', o.id, 'quantity', o.quantity, 'unit_price', o.unit_price,
+            'created_at', o.created_at,
+            'is_buyer', o.user_id = current_uid,
+            'buyer_name', bp.name,
+            'timeslot', jsonb_build_object('id', ts.id, 'date', ts.date, 'start_time', ts.start_time,
+                'end_time', ts.end_time, 'price', ts.price, 'description', ts.description,
+                'type', ts.type, 'label', ts.label),
+            'venue', jsonb_build_object('id', v.id, 'name', v.name, 'address', v.address, 'image_url', v.image_url),
+            'vipps_reference', CASE WHEN o.user_id = current_uid
+                THEN (SELECT t.vipps_reference FROM transactions t WHERE t.order_id = o.id LIMIT 1) END,
+            'tickets', (
+                SELECT jsonb_agg(jsonb_build_object(
+                    'booking_id', b.id, 'status', b.status, 'qr_token', b.qr_token,
+                    'checked_in_at', b.checked_in_at,
+                    'assigned_to', CASE WHEN ap.id IS NOT NULL
+                        THEN jsonb_build_object('id', ap.id, 'name', ap.name, 'avatar_url', ap.avatar_url) END
+                ) ORDER BY b.id)
+                FROM bookings b
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                WHERE b.order_id = o.id AND b.status != 'expired'
+                  AND (o.user_id = current_uid OR b.assigned_to = current_uid)
+            )
+        ) ORDER BY ts.date DESC, ts.start_time DESC, o.id DESC
+    ), '[]'::jsonb) INTO result
+    FROM booking_orders o
+    JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = o.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.order_id = o.id AND b.status != 'expired'
+          AND (o.user_id = current_uid OR b.assigned_to = current_uid)
+    );
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update verify_queue_ticket — show who the ticket is for
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION verify_queue_ticket(p_venue_id INT, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT b2.id AS booking_id, b2.status AS booking_status, b2.checked_in_at,
+           b2.user_id, COALESCE(ap.name, p.name) AS user_name,
+           COALESCE(ap.avatar_url, p.avatar_url) AS user_avatar_url,
+           CASE WHEN ap.id IS NOT NULL THEN p.name END AS bought_by,
+           (SELECT COUNT(*) FROM bookings o WHERE o.order_id = b2.order_id) AS order_quantity,
+           ts.date, ts.start_time, ts.end_time, ts.description AS ts_description,
+           ts.venue_id, ts.type AS ts_type, ts.label AS ts_label
+    INTO b
+    FROM bookings b2
+    JOIN profiles p ON p.id = b2.user_id
+    LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.qr_token = p_qr_token AND ts.venue_id = p_venue_id;
+
+    IF b.booking_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_ticket');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.booking_id,
+        'booking_status', b.booking_status,
+        'checked_in_at', b.checked_in_at,
+        'user_name', b.user_name,
+        'user_avatar_url', b.user_avatar_url,
+        'bought_by', b.bought_by,
+        'order_quantity', b.order_quantity,
+        'date', b.date,
+        'start_time', b.start_time,
+        'end_time', b.end_time,
+        'timeslot_description', b.ts_description,
+        'type', b.ts_type,
+        'label', b.ts_label
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1L. Update get_venue_dashboard — payment per order, and the
+--     order / assigned guest on each ticket
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_dashboard(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    all_timeslots JSONB;
+    staff_list JSONB;
+    total_revenue INT;
+    pending_capture INT;
+    bookings_today INT;
+    sold_out_count INT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    -- Revenue is money actually captured, minus refunds
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0),
+           COALESCE(SUM(t.authorized_amount - t.captured_amount) FILTER (WHERE t.payment_state = 'authorized'), 0)
+    INTO total_revenue, pending_capture
+    FROM transactions t JOIN bookings b ON b.id = t.booking_id JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id;
+
+    SELECT COUNT(*) INTO bookings_today
+    FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date = CURRENT_DATE AND b.status IN ('confirmed', 'checked_in');
+
+    SELECT COUNT(*) INTO sold_out_count
+    FROM timeslots ts WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE
+      AND (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in')) >= ts.capacity;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', ts.price, 'capacity', ts.capacity, 'description', ts.description,
+            'active', ts.active, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'bookings', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id, 'user_id', b.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+                    'order_id', b.order_id, 'assigned_to_name', ap.name,
+                    'status', b.status, 'checked_in_at', b.checked_in_at, 'created_at', b.created_at,
+                    'payment_state', t.payment_state,
+                    'captured_amount', t.captured_amount,
+                    'refunded_amount', t.refunded_amount
+                ) ORDER BY b.order_id, b.id)
+                FROM bookings b
+                JOIN profiles p ON p.id = b.user_id
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                LEFT JOIN transactions t ON t.order_id = b.order_id AND t.payment_method = 'vipps'
+                WHERE b.timeslot_id = ts.id AND b.status != 'cancelled'
+            ), '[]'::jsonb)
+        ) ORDER BY ts.date DESC, ts.start_time DESC
+    ), '[]'::jsonb) INTO all_timeslots FROM timeslots ts WHERE ts.venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vs.id, 'user_id', vs.user_id, 'role', vs.role,
+        'name', p.name, 'email', p.email, 'avatar_url', p.avatar_url
+    )), '[]'::jsonb) INTO staff_list
+    FROM venue_staff vs JOIN profiles p ON p.id = vs.user_id WHERE vs.venue_id = p_venue_id;
+
+    RETURN jsonb_build_object(
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'description', v.description,
+            'address', v.address, 'image_url', v.image_url, 'opening_hours', v.opening_hours, 'verified', v.verified,
+            'min_age', v.min_age, 'capture_mode', v.capture_mode),
+        'timeslots', all_timeslots, 'staff', staff_list,
+        'stats', jsonb_build_object('total_revenue', total_revenue, 'pending_capture', pending_capture,
+            'bookings_today', bookings_today, 'sold_out_count', sold_out_count)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1M. Update generate_reminders — remind ticket holders once
+--     per timeslot, not once per ticket
+-- ============================================================
+
+-- A ticket assigned or transferred after its reminder went out still
+-- reminds its new holder
+DROP INDEX IF EXISTS idx_sent_reminders_booking;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sent_reminders_booking_holder
+    ON sent_reminders(booking_id, user_id, minutes_before) WHERE booking_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION generate_reminders(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    event_count INTEGER;
+    booking_count INTEGER;
+BEGIN
+    -- Event attendees
+    WITH due AS (
+        SELECT DISTINCT ON (r.user_id, e.id)
+            r.user_id, e.id AS event_id, e.title, o.minutes_before,
+            -- Joined after this offset's time, with a tighter reminder still to come
+            r.created_at > (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM rsvps r
+        JOIN events e ON e.id = r.event_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = r.user_id
+        WHERE o.active
+          AND r.status = 'going'
+          AND r.kicked_at IS NULL
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY r.user_id, e.id, o.minutes_before
+    ),
+    logged AS (
+        INSERT INTO sent_reminders (user_id, event_id, minutes_before)
+        SELECT user_id, event_id, minutes_before FROM due
+        ON CONFLICT DO NOTHING
+        RETURNING user_id, event_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, message, reminder_minutes)
+        SELECT l.user_id, 'reminder', l.event_id, d.title, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.user_id = l.user_id AND d.event_id = l.event_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO event_count FROM inserted;
+
+    -- Venue bookings. Each ticket goes to whoever holds it, and someone
+    -- holding several tickets for a timeslot is reminded once (through
+    -- their lowest booking id, so later runs pick the same row).
+    WITH due AS (
+        SELECT DISTINCT ON (COALESCE(b.assigned_to, b.user_id), ts.id)
+            b.id AS booking_id, COALESCE(b.assigned_to, b.user_id) AS user_id,
+            ts.venue_id, ts.event_id, v.name, o.minutes_before, ts.id AS timeslot_id,
+            b.created_at > (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM bookings b
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        JOIN venues v ON v.id = ts.venue_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = COALESCE(b.assigned_to, b.user_id)
+        WHERE o.active
+          AND b.status = 'confirmed'
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY COALESCE(b.assigned_to, b.user_id), ts.id, o.minutes_before, b.id
+    ),
+    logged AS (
+        -- Not again through another of their tickets for the timeslot
+        INSERT INTO sent_reminders (user_id, booking_id, minutes_before)
+        SELECT d.user_id, d.booking_id, d.minutes_before FROM due d
+        WHERE NOT EXISTS (
+            SELECT 1 FROM sent_reminders sr
+            JOIN bookings b2 ON b2.id = sr.booking_id
+            WHERE sr.user_id = d.user_id AND b2.timeslot_id = d.timeslot_id
+              AND sr.minutes_before = d.minutes_before
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING booking_id, user_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, venue_id, message, reminder_minutes)
+        SELECT d.user_id, 'reminder', d.event_id, d.venue_id, d.name, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.booking_id = l.booking_id AND d.user_id = l.user_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO booking_count FROM inserted;
+
+    RETURN event_count + booking_count;
+END;
+$$;
@@ -0,0 +1,587 @@
+-- ============================================================
+-- Migration V18: Ticket transfers between users
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Venue transfer rules
+-- ============================================================
+
+-- Transfers close transfer_cutoff_minutes before the timeslot starts
+ALTER TABLE venues
+    ADD COLUMN IF NOT EXISTS allow_transfers BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS transfer_cutoff_minutes INTEGER NOT NULL DEFAULT 60
+        CHECK (transfer_cutoff_minutes >= 0);
+
+-- ============================================================
+-- 1B. ticket_transfers — offers and the transfer history
+-- ============================================================
+
+-- old_qr_token is the token the ticket had before an accepted
+-- transfer, so the scanner can tell a stale screenshot from a fake.
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+    id              SERIAL PRIMARY KEY,
+    booking_id      INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    from_user_id    UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    to_user_id      UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status          TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    old_qr_token    UUID,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    responded_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_booking ON ticket_transfers(booking_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_to_user ON ticket_transfers(to_user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_old_token ON ticket_transfers(old_qr_token) WHERE old_qr_token IS NOT NULL;
+
+-- Only one open offer per ticket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_transfers_pending
+    ON ticket_transfers(booking_id) WHERE status = 'pending';
+
+ALTER TABLE ticket_transfers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own transfers" ON ticket_transfers;
+CREATE POLICY "Users can view own transfers" ON ticket_transfers
+    FOR SELECT USING (auth.uid() = from_user_id OR auth.uid() = to_user_id);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('rsvp','comment','access_request','invitation','reminder',
+                    'waitlist_promoted','kicked','follow_request','follow_accepted',
+                    'booking_confirmed','booking_cancelled','venue_new_timeslot',
+                    'ticket_assigned','ticket_transfer','ticket_transfer_accepted'));
+
+-- ============================================================
+-- 1C. transfer_block_reason — NULL if the ticket may change hands
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION transfer_block_reason(p_booking_id INT)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    b RECORD;
+BEGIN
+    SELECT b2.status, ts.date, ts.start_time, v.allow_transfers, v.transfer_cutoff_minutes INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.status IS NULL THEN RETURN 'not_found'; END IF;
+    IF b.status != 'confirmed' THEN RETURN 'not_transferable'; END IF;
+    IF NOT b.allow_transfers THEN RETURN 'transfers_disabled'; END IF;
+    IF (b.date + b.start_time) AT TIME ZONE 'Europe/Oslo'
+         - make_interval(mins => b.transfer_cutoff_minutes) <= NOW() THEN
+        RETURN 'transfer_closed';
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+-- ============================================================
+-- 1D. create_ticket_transfer — offer a ticket to another user,
+--     by profile id or by the email on their profile
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION create_ticket_transfer(
+    p_booking_id INT,
+    p_recipient_id UUID DEFAULT NULL,
+    p_recipient_email TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_recipient UUID;
+    v_reason TEXT;
+    new_transfer_id INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id, v.min_age INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF b.user_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    v_reason := transfer_block_reason(p_booking_id);
+    IF v_reason IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', v_reason);
+    END IF;
+
+    IF p_recipient_id IS NOT NULL THEN
+        SELECT id INTO v_recipient FROM profiles WHERE id = p_recipient_id;
+    ELSIF p_recipient_email IS NOT NULL THEN
+        SELECT id INTO v_recipient FROM profiles WHERE lower(email) = lower(trim(p_recipient_email)) LIMIT 1;
+    END IF;
+
+    IF v_recipient IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'recipient_not_found');
+    END IF;
+
+    IF v_recipient = current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'cannot_transfer_to_self');
+    END IF;
+
+    IF b.min_age IS NOT NULL AND NOT check_user_age(v_recipient, b.min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', b.min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM ticket_transfers WHERE booking_id = p_booking_id AND status = 'pending') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'transfer_pending');
+    END IF;
+
+    INSERT INTO ticket_transfers (booking_id, from_user_id, to_user_id)
+    VALUES (p_booking_id, current_uid, v_recipient)
+    RETURNING id INTO new_transfer_id;
+
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (v_recipient, 'ticket_transfer', b.venue_id, current_uid);
+
+    RETURN jsonb_build_object('status', 'success', 'transfer_id', new_transfer_id);
+END;
+$$;
+
+-- ============================================================
+-- 1E. respond_ticket_transfer — recipient accepts or declines
+-- ============================================================
+
+-- On accept the recipient becomes bookings.user_id, any friend
+-- assignment is cleared and the QR token is rotated.
+CREATE OR REPLACE FUNCTION respond_ticket_transfer(p_transfer_id INT, p_accept BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    tr RECORD;
+    b RECORD;
+    v_reason TEXT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO tr FROM ticket_transfers WHERE id = p_transfer_id FOR UPDATE;
+    IF tr.id IS NULL OR tr.to_user_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF tr.status != 'pending' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'transfer_not_pending');
+    END IF;
+
+    IF NOT p_accept THEN
+        UPDATE ticket_transfers SET status = 'declined', responded_at = NOW() WHERE id = tr.id;
+        RETURN jsonb_build_object('status', 'success', 'transfer_status', 'declined');
+    END IF;
+
+    SELECT b2.*, ts.venue_id INTO b
+    FROM bookings b2 JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.id = tr.booking_id FOR UPDATE OF b2;
+
+    -- The sender may have lost the ticket since the offer was made
+    IF b.user_id != tr.from_user_id THEN
+        UPDATE ticket_transfers SET status = 'cancelled', responded_at = NOW() WHERE id = tr.id;
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_transferable');
+    END IF;
+
+    v_reason := transfer_block_reason(tr.booking_id);
+    IF v_reason IS NOT NULL THEN
+        UPDATE ticket_transfers SET status = 'cancelled', responded_at = NOW() WHERE id = tr.id;
+        RETURN jsonb_build_object('status', 'error', 'code', v_reason);
+    END IF;
+
+    UPDATE bookings
+    SET user_id = current_uid, assigned_to = NULL, qr_token = gen_random_uuid()
+    WHERE id = b.id;
+
+    UPDATE ticket_transfers
+    SET status = 'accepted', responded_at = NOW(), old_qr_token = b.qr_token
+    WHERE id = tr.id;
+
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (tr.from_user_id, 'ticket_transfer_accepted', b.venue_id, current_uid);
+
+    RETURN jsonb_build_object('status', 'success', 'transfer_status', 'accepted', 'booking_id', b.id);
+END;
+$$;
+
+-- ============================================================
+-- 1F. cancel_ticket_transfer — sender withdraws an open offer
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION cancel_ticket_transfer(p_transfer_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+BEGIN
+    current_uid := auth.uid();
+
+    UPDATE ticket_transfers SET status = 'cancelled', responded_at = NOW()
+    WHERE id = p_transfer_id AND from_user_id = current_uid AND status = 'pending';
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- ============================================================
+-- 1G. get_my_ticket_transfers — open offers to and from me
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_my_ticket_transfers()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN RETURN '[]'::jsonb; END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', tr.id, 'booking_id', tr.booking_id, 'created_at', tr.created_at,
+            'incoming', tr.to_user_id = current_uid,
+            'from_user', jsonb_build_object('id', fp.id, 'name', fp.name, 'avatar_url', fp.avatar_url),
+            'to_user', jsonb_build_object('id', tp.id, 'name', tp.name, 'avatar_url', tp.avatar_url),
+            'timeslot', jsonb_build_object('id', ts.id, 'date', ts.date, 'start_time', ts.start_time,
+                'end_time', ts.end_time, 'type', ts.type, 'label', ts.label),
+            'venue', jsonb_build_object('id', v.id, 'name', v.name)
+        ) ORDER BY tr.created_at DESC
+    ), '[]'::jsonb) INTO result
+    FROM ticket_transfers tr
+    JOIN profiles fp ON fp.id = tr.from_user_id
+    JOIN profiles tp ON tp.id = tr.to_user_id
+    JOIN bookings b ON b.id = tr.booking_id
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE tr.status = 'pending' AND (tr.from_user_id = current_uid OR tr.to_user_id = current_uid);
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1H. get_venue_transfers — transfer rules and history for staff
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_transfers(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    transfer_list JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(t ORDER BY (t->>'created_at') DESC), '[]'::jsonb) INTO transfer_list
+    FROM (
+        SELECT jsonb_build_object(
+            'id', tr.id, 'booking_id', tr.booking_id, 'status', tr.status,
+            'created_at', tr.created_at, 'responded_at', tr.responded_at,
+            'from_name', fp.name, 'to_name', tp.name,
+            'date', ts.date, 'start_time', ts.start_time
+        ) AS t
+        FROM ticket_transfers tr
+        JOIN profiles fp ON fp.id = tr.from_user_id
+        JOIN profiles tp ON tp.id = tr.to_user_id
+        JOIN bookings b ON b.id = tr.booking_id
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        WHERE ts.venue_id = p_venue_id AND tr.status IN ('pending', 'accepted')
+        ORDER BY tr.created_at DESC
+        LIMIT 100
+    ) recent;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'allow_transfers', v.allow_transfers,
+        'transfer_cutoff_minutes', v.transfer_cutoff_minutes,
+        'transfers', transfer_list
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update cancel_booking — a transferred ticket can only be
+--     cancelled by staff, since the refund goes to the buyer
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION cancel_booking(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    tx RECORD;
+    v_unit_price INT;
+    v_buyer UUID;
+    v_remaining INT;
+    v_action TEXT;
+    v_amount INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT b2.*, ts.venue_id INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    SELECT unit_price, user_id INTO v_unit_price, v_buyer FROM booking_orders WHERE id = b.order_id;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        IF b.user_id != current_uid THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+        END IF;
+        IF v_buyer IS NOT NULL AND v_buyer != current_uid THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'transferred_ticket');
+        END IF;
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        UPDATE bookings SET status = 'cancelled'
+        WHERE order_id = b.order_id AND status = 'pending_payment';
+    ELSE
+        UPDATE bookings SET status = 'cancelled' WHERE id = p_booking_id;
+    END IF;
+
+    -- An open transfer offer dies with the ticket
+    UPDATE ticket_transfers SET status = 'cancelled', responded_at = NOW()
+    WHERE booking_id = p_booking_id AND status = 'pending';
+
+    SELECT COUNT(*) INTO v_remaining FROM bookings
+    WHERE order_id = b.order_id AND status NOT IN ('cancelled', 'expired');
+
+    SELECT * INTO tx FROM transactions
+    WHERE (booking_id = p_booking_id OR order_id = b.order_id) AND payment_method = 'vipps'
+      AND payment_state IN ('created', 'authorized', 'captured', 'partially_refunded');
+
+    IF tx.id IS NOT NULL THEN
+        IF tx.captured_amount > tx.refunded_amount THEN
+            v_action := 'refund';
+            v_amount := LEAST(COALESCE(v_unit_price, tx.amount), tx.captured_amount - tx.refunded_amount);
+            -- Refund the rest once no valid tickets are left
+            IF v_remaining = 0 THEN
+                v_amount := tx.captured_amount - tx.refunded_amount;
+            END IF;
+        ELSIF v_remaining = 0 THEN
+            v_action := 'cancel';
+            v_amount := tx.authorized_amount - tx.captured_amount;
+        END IF;
+    ELSIF v_remaining = 0 THEN
+        UPDATE transactions SET status = 'refunded'
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method != 'vipps' AND status != 'refunded';
+    END IF;
+
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (b.user_id, 'booking_cancelled', b.venue_id, current_uid);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'needs_refund', v_action IS NOT NULL,
+        'payment_action', v_action,
+        'amount', v_amount,
+        'vipps_reference', tx.vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update get_my_bookings — list the tickets you hold, not the
+--     ones you bought and gave away
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_my_bookings()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN RETURN '[]'::jsonb; END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'order_id', o.id, 'quantity', o.quantity, 'unit_price', o.unit_price,
+            'created_at', o.created_at,
+            'is_buyer', o.user_id = current_uid,
+            'buyer_name', bp.name,
+            'timeslot', jsonb_build_object('id', ts.id, 'date', ts.date, 'start_time', ts.start_time,
+                'end_time', ts.end_time, 'price', ts.price, 'description', ts.description,
+                'type', ts.type, 'label', ts.label),
+            'venue', jsonb_build_object('id', v.id, 'name', v.name, 'address', v.address, 'image_url', v.image_url,
+                'allow_transfers', v.allow_transfers),
+            'vipps_reference', CASE WHEN o.user_id = current_uid
+                THEN (SELECT t.vipps_reference FROM transactions t WHERE t.order_id = o.id LIMIT 1) END,
+            'tickets', (
+                SELECT jsonb_agg(jsonb_build_object(
+                    'booking_id', b.id, 'status', b.status, 'qr_token', b.qr_token,
+                    'checked_in_at', b.checked_in_at,
+                    'is_holder', b.user_id = current_uid,
+                    'assigned_to', CASE WHEN ap.id IS NOT NULL
+                        THEN jsonb_build_object('id', ap.id, 'name', ap.name, 'avatar_url', ap.avatar_url) END,
+                    'transfer_block_reason', CASE WHEN b.user_id = current_uid THEN transfer_block_reason(b.id) END,
+                    'pending_transfer', (
+                        SELECT jsonb_build_object('id', tr.id, 'to_name', tp.name)
+                        FROM ticket_transfers tr JOIN profiles tp ON tp.id = tr.to_user_id
+                        WHERE tr.booking_id = b.id AND tr.status = 'pending'
+                    )
+                ) ORDER BY b.id)
+                FROM bookings b
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                WHERE b.order_id = o.id AND b.status != 'expired'
+                  AND (b.user_id = current_uid OR b.assigned_to = current_uid)
+            )
+        ) ORDER BY ts.date DESC, ts.start_time DESC, o.id DESC
+    ), '[]'::jsonb) INTO result
+    FROM booking_orders o
+    JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = o.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.order_id = o.id AND b.status != 'expired'
+          AND (b.user_id = current_uid OR b.assigned_to = current_uid)
+    );
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update verify_queue_ticket — current holder, transfer
+--     history, and a clear answer for a superseded QR code
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION verify_queue_ticket(p_venue_id INT, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_transferred_to TEXT;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT b2.id AS booking_id, b2.status AS booking_status, b2.checked_in_at,
+           b2.user_id, COALESCE(ap.name, p.name) AS user_name,
+           COALESCE(ap.avatar_url, p.avatar_url) AS user_avatar_url,
+           CASE WHEN ap.id IS NOT NULL OR b2.user_id != o.user_id THEN bp.name END AS bought_by,
+           (SELECT COUNT(*) FROM bookings ob WHERE ob.order_id = b2.order_id) AS order_quantity,
+           (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b2.id AND tr.status = 'accepted') AS transfer_count,
+           ts.date, ts.start_time, ts.end_time, ts.description AS ts_description,
+           ts.venue_id, ts.type AS ts_type, ts.label AS ts_label
+    INTO b
+    FROM bookings b2
+    JOIN profiles p ON p.id = b2.user_id
+    LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+    LEFT JOIN booking_orders o ON o.id = b2.order_id
+    LEFT JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.qr_token = p_qr_token AND ts.venue_id = p_venue_id;
+
+    IF b.booking_id IS NULL THEN
+        -- A token replaced by a transfer: the ticket now belongs to someone else
+        SELECT tp.name INTO v_transferred_to
+        FROM ticket_transfers tr
+        JOIN profiles tp ON tp.id = tr.to_user_id
+        JOIN bookings b3 ON b3.id = tr.booking_id
+        JOIN timeslots ts ON ts.id = b3.timeslot_id
+        WHERE tr.old_qr_token = p_qr_token AND ts.venue_id = p_venue_id
+        ORDER BY tr.responded_at DESC LIMIT 1;
+
+        IF v_transferred_to IS NOT NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'ticket_transferred', 'transferred_to', v_transferred_to);
+        END IF;
+
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_ticket');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.booking_id,
+        'booking_status', b.booking_status,
+        'checked_in_at', b.checked_in_at,
+        'user_name', b.user_name,
+        'user_avatar_url', b.user_avatar_url,
+        'bought_by', b.bought_by,
+        'order_quantity', b.order_quantity,
+        'transfer_count', b.transfer_count,
+        'date', b.date,
+        'start_time', b.start_time,
+        'end_time', b.end_time,
+        'timeslot_description', b.ts_description,
+        'type', b.ts_type,
+        'label', b.ts_label
+    );
+END;
+$$;
@@ -0,0 +1,443 @@
+-- ============================================================
+-- Migration V19: Promo codes for timeslot purchases
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. promo_codes — venue-managed discount codes
+-- ============================================================
+
+-- discount_value is a percentage (1–100) for 'percent' codes and an
+-- amount in øre for 'fixed' codes. Both are taken off each ticket, so
+-- booking_orders.unit_price stays what one ticket cost and refunds
+-- per ticket keep working. NULL limits mean unlimited.
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id                  SERIAL PRIMARY KEY,
+    venue_id            INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    code                TEXT NOT NULL CHECK (code ~ '^[A-Z0-9_-]{3,32}$'),
+    discount_type       TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value      INTEGER NOT NULL CHECK (discount_value > 0),
+    timeslot_type       TEXT CHECK (timeslot_type IN ('queue', 'ticket', 'table')),
+    max_uses            INTEGER CHECK (max_uses > 0),
+    max_uses_per_user   INTEGER DEFAULT 1 CHECK (max_uses_per_user > 0),
+    valid_from          TIMESTAMPTZ,
+    valid_until         TIMESTAMPTZ,
+    active              BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (discount_type != 'percent' OR discount_value <= 100),
+    CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_venue_code ON promo_codes(venue_id, code);
+
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+
+-- Codes are secret: guests only reach them through the RPCs below
+DROP POLICY IF EXISTS "Staff can read promo codes" ON promo_codes;
+CREATE POLICY "Staff can read promo codes"
+    ON promo_codes FOR SELECT USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Staff can create promo codes" ON promo_codes;
+CREATE POLICY "Staff can create promo codes"
+    ON promo_codes FOR INSERT WITH CHECK (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Staff can update promo codes" ON promo_codes;
+CREATE POLICY "Staff can update promo codes"
+    ON promo_codes FOR UPDATE USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+-- ============================================================
+-- 1B. promo_redemptions — one row per order that used a code
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id              SERIAL PRIMARY KEY,
+    promo_code_id   INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    order_id        INTEGER NOT NULL UNIQUE REFERENCES booking_orders(id) ON DELETE CASCADE,
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    list_price      INTEGER NOT NULL,
+    discount_amount INTEGER NOT NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions(promo_code_id);
+
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own redemptions" ON promo_redemptions;
+CREATE POLICY "Users can view own redemptions" ON promo_redemptions
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- A redemption uses up the code until every ticket in its order has
+-- been cancelled or expired, so abandoned checkouts give it back.
+CREATE OR REPLACE FUNCTION promo_redemption_count(p_promo_code_id INT, p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM promo_redemptions r
+    WHERE r.promo_code_id = p_promo_code_id
+      AND (p_user_id IS NULL OR r.user_id = p_user_id)
+      AND EXISTS (
+          SELECT 1 FROM bookings b
+          WHERE b.order_id = r.order_id AND b.status NOT IN ('cancelled', 'expired')
+      );
+$$;
+
+-- ============================================================
+-- 1C. check_promo_code — look up a code for a timeslot and return
+--     the discount on one ticket, or why it can't be used
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION check_promo_code(p_timeslot_id INT, p_code TEXT, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ts RECORD;
+    pc RECORD;
+    v_discount INT;
+BEGIN
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    SELECT * INTO pc FROM promo_codes
+    WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_code));
+
+    IF pc.id IS NULL OR NOT pc.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_found');
+    END IF;
+
+    IF pc.valid_from IS NOT NULL AND NOW() < pc.valid_from THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_started', 'valid_from', pc.valid_from);
+    END IF;
+
+    IF pc.valid_until IS NOT NULL AND NOW() >= pc.valid_until THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_expired');
+    END IF;
+
+    IF pc.timeslot_type IS NOT NULL AND pc.timeslot_type != ts.type THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_wrong_type', 'timeslot_type', pc.timeslot_type);
+    END IF;
+
+    IF ts.price = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_applicable');
+    END IF;
+
+    IF pc.max_uses IS NOT NULL AND promo_redemption_count(pc.id) >= pc.max_uses THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_used_up');
+    END IF;
+
+    IF pc.max_uses_per_user IS NOT NULL AND promo_redemption_count(pc.id, p_user_id) >= pc.max_uses_per_user THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_user_limit');
+    END IF;
+
+    v_discount := CASE pc.discount_type
+        WHEN 'percent' THEN ROUND(ts.price * pc.discount_value / 100.0)::INT
+        ELSE LEAST(pc.discount_value, ts.price)
+    END;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'promo_code_id', pc.id,
+        'code', pc.code,
+        'discount_type', pc.discount_type,
+        'discount_value', pc.discount_value,
+        'list_price', ts.price,
+        'unit_discount', v_discount,
+        'unit_price', ts.price - v_discount
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_promo_code(INT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Preview for the purchase dialog. reserve_timeslot checks the code
+-- again, so this only tells the user what they are about to pay.
+CREATE OR REPLACE FUNCTION validate_promo_code(p_timeslot_id INT, p_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    RETURN check_promo_code(p_timeslot_id, p_code, auth.uid());
+END;
+$$;
+
+-- ============================================================
+-- 1D. Update reserve_timeslot — apply a promo code before the
+--     amount for Vipps is computed
+-- ============================================================
+
+-- Replaces the three-argument version from V17
+DROP FUNCTION IF EXISTS reserve_timeslot(INT, TEXT, INT);
+
+CREATE OR REPLACE FUNCTION reserve_timeslot(
+    p_timeslot_id INT,
+    p_vipps_reference TEXT DEFAULT NULL,
+    p_quantity INT DEFAULT 1,
+    p_promo_code TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ts RECORD;
+    current_bookings INT;
+    new_order_id INT;
+    new_booking_ids INT[];
+    new_qr_tokens UUID[];
+    is_free BOOLEAN;
+    venue_min_age INTEGER;
+    v_status TEXT;
+    v_unit_price INT;
+    v_amount INT;
+    v_promo JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > 10 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_quantity', 'max_quantity', 10);
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_timeslot_id);
+
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    IF NOT ts.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_inactive');
+    END IF;
+
+    IF ts.date < CURRENT_DATE THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_past');
+    END IF;
+
+    -- Age check (venue-level)
+    SELECT min_age INTO venue_min_age FROM venues WHERE id = ts.venue_id;
+    IF venue_min_age IS NOT NULL AND NOT check_user_age(current_uid, venue_min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', venue_min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE timeslot_id = p_timeslot_id AND user_id = current_uid AND status NOT IN ('cancelled', 'expired')) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_booked');
+    END IF;
+
+    SELECT COUNT(*) INTO current_bookings
+    FROM bookings WHERE timeslot_id = p_timeslot_id AND status IN ('confirmed', 'checked_in', 'pending_payment');
+
+    IF current_bookings + p_quantity > ts.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out',
+            'spots_left', GREATEST(ts.capacity - current_bookings, 0));
+    END IF;
+
+    v_unit_price := ts.price;
+
+    IF NULLIF(TRIM(p_promo_code), '') IS NOT NULL THEN
+        -- Serialize redemptions of the same code so usage caps hold
+        PERFORM 1 FROM promo_codes
+        WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_promo_code))
+        FOR UPDATE;
+
+        v_promo := check_promo_code(p_timeslot_id, p_promo_code, current_uid);
+        IF v_promo->>'status' = 'error' THEN
+            RETURN v_promo;
+        END IF;
+        v_unit_price := (v_promo->>'unit_price')::INT;
+    END IF;
+
+    is_free := (v_unit_price = 0);
+    v_status := CASE WHEN is_free THEN 'confirmed' ELSE 'pending_payment' END;
+    v_amount := v_unit_price * p_quantity;
+
+    INSERT INTO booking_orders (user_id, timeslot_id, quantity, unit_price)
+    VALUES (current_uid, p_timeslot_id, p_quantity, v_unit_price)
+    RETURNING id INTO new_order_id;
+
+    IF v_promo IS NOT NULL THEN
+        INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, list_price, discount_amount)
+        VALUES ((v_promo->>'promo_code_id')::INT, new_order_id, current_uid,
+                ts.price * p_quantity, (v_promo->>'unit_discount')::INT * p_quantity);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO bookings (timeslot_id, user_id, qr_token, status, order_id)
+        SELECT p_timeslot_id, current_uid, gen_random_uuid(), v_status, new_order_id
+        FROM generate_series(1, p_quantity)
+        RETURNING id, qr_token
+    )
+    SELECT array_agg(id ORDER BY id), array_agg(qr_token ORDER BY id)
+    INTO new_booking_ids, new_qr_tokens
+    FROM inserted;
+
+    IF is_free THEN
+        -- Free (or fully discounted): confirm immediately
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, 0, 'NOK', 'completed', 'free');
+
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (current_uid, 'booking_confirmed', ts.venue_id, current_uid);
+    ELSE
+        -- Paid: one pending transaction for the whole order
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, v_amount, 'NOK', 'pending', 'vipps', p_vipps_reference);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'order_id', new_order_id,
+        'quantity', p_quantity,
+        'booking_id', new_booking_ids[1],
+        'qr_token', new_qr_tokens[1],
+        'booking_ids', to_jsonb(new_booking_ids),
+        'qr_tokens', to_jsonb(new_qr_tokens),
+        'payment_required', NOT is_free,
+        'unit_price', v_unit_price,
+        'amount', v_amount,
+        'discount', (ts.price - v_unit_price) * p_quantity,
+        'promo_code', v_promo->>'code',
+        'vipps_reference', CASE WHEN is_free THEN NULL ELSE p_vipps_reference END
+    );
+END;
+$$;
+
+-- purchase_timeslot (free tickets only) keeps calling reserve_timeslot
+CREATE OR REPLACE FUNCTION purchase_timeslot(p_timeslot_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN reserve_timeslot(p_timeslot_id, NULL, 1, NULL);
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update get_venue_dashboard — promo codes with their
+--     redemptions, and the code used on each ticket
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_dashboard(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    all_timeslots JSONB;
+    staff_list JSONB;
+    promo_list JSONB;
+    total_revenue INT;
+    pending_capture INT;
+    bookings_today INT;
+    sold_out_count INT;
+    total_discount INT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    -- Revenue is money actually captured, minus refunds
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0),
+           COALESCE(SUM(t.authorized_amount - t.captured_amount) FILTER (WHERE t.payment_state = 'authorized'), 0)
+    INTO total_revenue, pending_capture
+    FROM transactions t JOIN bookings b ON b.id = t.booking_id JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id;
+
+    SELECT COUNT(*) INTO bookings_today
+    FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date = CURRENT_DATE AND b.status IN ('confirmed', 'checked_in');
+
+    SELECT COUNT(*) INTO sold_out_count
+    FROM timeslots ts WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE
+      AND (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in')) >= ts.capacity;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', ts.price, 'capacity', ts.capacity, 'description', ts.description,
+            'active', ts.active, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'bookings', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id, 'user_id', b.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+                    'order_id', b.order_id, 'assigned_to_name', ap.name,
+                    'promo_code', pc.code,
+                    'status', b.status, 'checked_in_at', b.checked_in_at, 'created_at', b.created_at,
+                    'payment_state', t.payment_state,
+                    'captured_amount', t.captured_amount,
+                    'refunded_amount', t.refunded_amount
+                ) ORDER BY b.order_id, b.id)
+                FROM bookings b
+                JOIN profiles p ON p.id = b.user_id
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                LEFT JOIN transactions t ON t.order_id = b.order_id AND t.payment_method = 'vipps'
+                LEFT JOIN promo_redemptions pr ON pr.order_id = b.order_id
+                LEFT JOIN promo_codes pc ON pc.id = pr.promo_code_id
+                WHERE b.timeslot_id = ts.id AND b.status != 'cancelled'
+            ), '[]'::jsonb)
+        ) ORDER BY ts.date DESC, ts.start_time DESC
+    ), '[]'::jsonb) INTO all_timeslots FROM timeslots ts WHERE ts.venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vs.id, 'user_id', vs.user_id, 'role', vs.role,
+        'name', p.name, 'email', p.email, 'avatar_url', p.avatar_url
+    )), '[]'::jsonb) INTO staff_list
+    FROM venue_staff vs JOIN profiles p ON p.id = vs.user_id WHERE vs.venue_id = p_venue_id;
+
+    -- Redemptions count while the order still has valid tickets
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', pc.id, 'code', pc.code, 'discount_type', pc.discount_type,
+        'discount_value', pc.discount_value, 'timeslot_type', pc.timeslot_type,
+        'max_uses', pc.max_uses, 'max_uses_per_user', pc.max_uses_per_user,
+        'valid_from', pc.valid_from, 'valid_until', pc.valid_until, 'active', pc.active,
+        'redemptions', promo_redemption_count(pc.id),
+        'total_discount', COALESCE((
+            SELECT SUM(r.discount_amount) FROM promo_redemptions r
+            WHERE r.promo_code_id = pc.id
+              AND EXISTS (SELECT 1 FROM bookings b WHERE b.order_id = r.order_id AND b.status NOT IN ('cancelled', 'expired'))
+        ), 0)
+    ) ORDER BY pc.created_at DESC), '[]'::jsonb) INTO promo_list
+    FROM promo_codes pc WHERE pc.venue_id = p_venue_id;
+
+    SELECT COALESCE(SUM((p->>'total_discount')::INT), 0) INTO total_discount
+    FROM jsonb_array_elements(promo_list) p;
+
+    RETURN jsonb_build_object(
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'description', v.description,
+            'address', v.address, 'image_url', v.image_url, 'opening_hours', v.opening_hours, 'verified', v.verified,
+            'min_age', v.min_age, 'capture_mode', v.capture_mode),
+        'timeslots', all_timeslots, 'staff', staff_list, 'promo_codes', promo_list,
+        'stats', jsonb_build_object('total_revenue', total_revenue, 'pending_capture', pending_capture,
+            'bookings_today', bookings_today, 'sold_out_count', sold_out_count,
+            'total_discount', total_discount)
+    );
+END;
+$$;
@@ -0,0 +1,614 @@
+-- ============================================================
+-- Migration V20: Price tiers and early-bird phases for timeslots
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. timeslot_price_tiers — prices sold one after another
+-- ============================================================
+
+-- Tiers are sold in sort_order. A tier is on sale while its window is
+-- open and it has tickets left; after that sales move on to the next
+-- one. Unsold tickets of a closed tier are not carried over. A
+-- timeslot without tiers keeps selling at timeslots.price.
+CREATE TABLE IF NOT EXISTS timeslot_price_tiers (
+    id              SERIAL PRIMARY KEY,
+    timeslot_id     INTEGER NOT NULL REFERENCES timeslots(id) ON DELETE CASCADE,
+    name            TEXT NOT NULL,
+    price           INTEGER NOT NULL DEFAULT 0 CHECK (price >= 0),
+    capacity        INTEGER NOT NULL CHECK (capacity > 0),
+    sort_order      INTEGER NOT NULL DEFAULT 0,
+    sale_starts_at  TIMESTAMPTZ,
+    sale_ends_at    TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (sale_ends_at IS NULL OR sale_starts_at IS NULL OR sale_ends_at > sale_starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_tiers_timeslot ON timeslot_price_tiers(timeslot_id, sort_order);
+
+ALTER TABLE timeslot_price_tiers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Price tiers are publicly readable" ON timeslot_price_tiers;
+CREATE POLICY "Price tiers are publicly readable"
+    ON timeslot_price_tiers FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Staff can create price tiers" ON timeslot_price_tiers;
+CREATE POLICY "Staff can create price tiers"
+    ON timeslot_price_tiers FOR INSERT WITH CHECK (
+        EXISTS (SELECT 1 FROM timeslots ts WHERE ts.id = timeslot_id
+                AND is_venue_staff(ts.venue_id, auth.uid(), ARRAY['owner','manager']))
+    );
+
+DROP POLICY IF EXISTS "Staff can update price tiers" ON timeslot_price_tiers;
+CREATE POLICY "Staff can update price tiers"
+    ON timeslot_price_tiers FOR UPDATE USING (
+        EXISTS (SELECT 1 FROM timeslots ts WHERE ts.id = timeslot_id
+                AND is_venue_staff(ts.venue_id, auth.uid(), ARRAY['owner','manager']))
+    );
+
+DROP POLICY IF EXISTS "Staff can delete price tiers" ON timeslot_price_tiers;
+CREATE POLICY "Staff can delete price tiers"
+    ON timeslot_price_tiers FOR DELETE USING (
+        EXISTS (SELECT 1 FROM timeslots ts WHERE ts.id = timeslot_id
+                AND is_venue_staff(ts.venue_id, auth.uid(), ARRAY['owner','manager']))
+    );
+
+-- The tier an order was sold at
+ALTER TABLE booking_orders ADD COLUMN IF NOT EXISTS tier_id INTEGER REFERENCES timeslot_price_tiers(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- 1B. Tier helpers
+-- ============================================================
+
+-- Tickets sold in a tier, counting unpaid reservations like
+-- reserve_timeslot does for the timeslot capacity
+CREATE OR REPLACE FUNCTION tier_sold_count(p_tier_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM bookings b
+    JOIN booking_orders o ON o.id = b.order_id
+    WHERE o.tier_id = p_tier_id AND b.status IN ('confirmed', 'checked_in', 'pending_payment');
+$$;
+
+-- The tier on sale right now, or no row if the timeslot has no tiers
+-- or none is on sale
+CREATE OR REPLACE FUNCTION timeslot_active_tier(p_timeslot_id INT)
+RETURNS SETOF timeslot_price_tiers
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT *
+    FROM timeslot_price_tiers pt
+    WHERE pt.timeslot_id = p_timeslot_id
+      AND (pt.sale_starts_at IS NULL OR pt.sale_starts_at <= NOW())
+      AND (pt.sale_ends_at IS NULL OR pt.sale_ends_at > NOW())
+      AND tier_sold_count(pt.id) < pt.capacity
+    ORDER BY pt.sort_order, pt.id
+    LIMIT 1;
+$$;
+
+-- Every tier with its sale state, for the venue page and dashboard.
+-- state is 'sold_out', 'ended', 'upcoming', 'active' or 'queued'
+-- (open, but waiting for an earlier tier to sell out).
+CREATE OR REPLACE FUNCTION timeslot_tiers_json(p_timeslot_id INT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', pt.id, 'name', pt.name, 'price', pt.price, 'capacity', pt.capacity,
+        'sold', sold, 'sale_starts_at', pt.sale_starts_at, 'sale_ends_at', pt.sale_ends_at,
+        'state', CASE
+            WHEN sold >= pt.capacity THEN 'sold_out'
+            WHEN pt.sale_ends_at IS NOT NULL AND pt.sale_ends_at <= NOW() THEN 'ended'
+            WHEN pt.sale_starts_at IS NOT NULL AND pt.sale_starts_at > NOW() THEN 'upcoming'
+            WHEN pt.id = (SELECT a.id FROM timeslot_active_tier(p_timeslot_id) a) THEN 'active'
+            ELSE 'queued'
+        END
+    ) ORDER BY pt.sort_order, pt.id), '[]'::jsonb)
+    FROM timeslot_price_tiers pt
+    CROSS JOIN LATERAL (SELECT tier_sold_count(pt.id) AS sold) s
+    WHERE pt.timeslot_id = p_timeslot_id;
+$$;
+
+-- Tickets still for sale: the timeslot capacity, capped by what is
+-- left in tiers that are open or still to come
+CREATE OR REPLACE FUNCTION timeslot_spots_left(p_timeslot_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT GREATEST(0, LEAST(
+        ts.capacity - (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id
+                       AND b.status IN ('confirmed', 'checked_in', 'pending_payment')),
+        CASE WHEN EXISTS (SELECT 1 FROM timeslot_price_tiers pt WHERE pt.timeslot_id = ts.id) THEN (
+            SELECT COALESCE(SUM(GREATEST(pt.capacity - tier_sold_count(pt.id), 0)), 0)
+            FROM timeslot_price_tiers pt
+            WHERE pt.timeslot_id = ts.id
+              AND (pt.sale_ends_at IS NULL OR pt.sale_ends_at > NOW())
+        ) ELSE ts.capacity END
+    ))::INTEGER
+    FROM timeslots ts WHERE ts.id = p_timeslot_id;
+$$;
+
+-- ============================================================
+-- 1C. Update check_promo_code — discount the active tier's price
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION check_promo_code(p_timeslot_id INT, p_code TEXT, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ts RECORD;
+    pc RECORD;
+    v_list_price INT;
+    v_discount INT;
+BEGIN
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    -- Discounts come off the price of the tier on sale
+    SELECT COALESCE((SELECT price FROM timeslot_active_tier(ts.id)), ts.price) INTO v_list_price;
+
+    SELECT * INTO pc FROM promo_codes
+    WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_code));
+
+    IF pc.id IS NULL OR NOT pc.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_found');
+    END IF;
+
+    IF pc.valid_from IS NOT NULL AND NOW() < pc.valid_from THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_started', 'valid_from', pc.valid_from);
+    END IF;
+
+    IF pc.valid_until IS NOT NULL AND NOW() >= pc.valid_until THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_expired');
+    END IF;
+
+    IF pc.timeslot_type IS NOT NULL AND pc.timeslot_type != ts.type THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_wrong_type', 'timeslot_type', pc.timeslot_type);
+    END IF;
+
+    IF v_list_price = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_not_applicable');
+    END IF;
+
+    IF pc.max_uses IS NOT NULL AND promo_redemption_count(pc.id) >= pc.max_uses THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_used_up');
+    END IF;
+
+    IF pc.max_uses_per_user IS NOT NULL AND promo_redemption_count(pc.id, p_user_id) >= pc.max_uses_per_user THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'promo_user_limit');
+    END IF;
+
+    v_discount := CASE pc.discount_type
+        WHEN 'percent' THEN ROUND(v_list_price * pc.discount_value / 100.0)::INT
+        ELSE LEAST(pc.discount_value, v_list_price)
+    END;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'promo_code_id', pc.id,
+        'code', pc.code,
+        'discount_type', pc.discount_type,
+        'discount_value', pc.discount_value,
+        'list_price', v_list_price,
+        'unit_discount', v_discount,
+        'unit_price', v_list_price - v_discount
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_promo_code(INT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1D. Update reserve_timeslot — charge the tier on sale
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION reserve_timeslot(
+    p_timeslot_id INT,
+    p_vipps_reference TEXT DEFAULT NULL,
+    p_quantity INT DEFAULT 1,
+    p_promo_code TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ts RECORD;
+    current_bookings INT;
+    new_order_id INT;
+    new_booking_ids INT[];
+    new_qr_tokens UUID[];
+    is_free BOOLEAN;
+    venue_min_age INTEGER;
+    v_status TEXT;
+    tier RECORD;
+    v_tier_id INT;
+    v_tier_name TEXT;
+    v_list_price INT;
+    v_unit_price INT;
+    v_amount INT;
+    v_promo JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > 10 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_quantity', 'max_quantity', 10);
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_timeslot_id);
+
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    IF NOT ts.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_inactive');
+    END IF;
+
+    IF ts.date < CURRENT_DATE THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_past');
+    END IF;
+
+    -- Age check (venue-level)
+    SELECT min_age INTO venue_min_age FROM venues WHERE id = ts.venue_id;
+    IF venue_min_age IS NOT NULL AND NOT check_user_age(current_uid, venue_min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', venue_min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE timeslot_id = p_timeslot_id AND user_id = current_uid AND status NOT IN ('cancelled', 'expired')) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_booked');
+    END IF;
+
+    SELECT COUNT(*) INTO current_bookings
+    FROM bookings WHERE timeslot_id = p_timeslot_id AND status IN ('confirmed', 'checked_in', 'pending_payment');
+
+    IF current_bookings + p_quantity > ts.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out',
+            'spots_left', GREATEST(ts.capacity - current_bookings, 0));
+    END IF;
+
+    v_list_price := ts.price;
+
+    IF EXISTS (SELECT 1 FROM timeslot_price_tiers WHERE timeslot_id = p_timeslot_id) THEN
+        SELECT * INTO tier FROM timeslot_active_tier(p_timeslot_id);
+        IF tier.id IS NULL THEN
+            SELECT * INTO tier FROM timeslot_price_tiers
+            WHERE timeslot_id = p_timeslot_id AND sale_starts_at > NOW()
+            ORDER BY sale_starts_at LIMIT 1;
+            IF tier.id IS NOT NULL THEN
+                RETURN jsonb_build_object('status', 'error', 'code', 'sales_not_started',
+                    'sale_starts_at', tier.sale_starts_at);
+            END IF;
+            RETURN jsonb_build_object('status', 'error', 'code', 'sold_out', 'spots_left', 0);
+        END IF;
+
+        -- One order is sold at one price
+        IF tier_sold_count(tier.id) + p_quantity > tier.capacity THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'tier_spots_left',
+                'tier_name', tier.name, 'spots_left', tier.capacity - tier_sold_count(tier.id));
+        END IF;
+        v_list_price := tier.price;
+        v_tier_id := tier.id;
+        v_tier_name := tier.name;
+    END IF;
+
+    v_unit_price := v_list_price;
+
+    IF NULLIF(TRIM(p_promo_code), '') IS NOT NULL THEN
+        -- Serialize redemptions of the same code so usage caps hold
+        PERFORM 1 FROM promo_codes
+        WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_promo_code))
+        FOR UPDATE;
+
+        v_promo := check_promo_code(p_timeslot_id, p_promo_code, current_uid);
+        IF v_promo->>'status' = 'error' THEN
+            RETURN v_promo;
+        END IF;
+        v_unit_price := (v_promo->>'unit_price')::INT;
+    END IF;
+
+    is_free := (v_unit_price = 0);
+    v_status := CASE WHEN is_free THEN 'confirmed' ELSE 'pending_payment' END;
+    v_amount := v_unit_price * p_quantity;
+
+    INSERT INTO booking_orders (user_id, timeslot_id, quantity, unit_price, tier_id)
+    VALUES (current_uid, p_timeslot_id, p_quantity, v_unit_price, v_tier_id)
+    RETURNING id INTO new_order_id;
+
+    IF v_promo IS NOT NULL THEN
+        INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, list_price, discount_amount)
+        VALUES ((v_promo->>'promo_code_id')::INT, new_order_id, current_uid,
+                v_list_price * p_quantity, (v_promo->>'unit_discount')::INT * p_quantity);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO bookings (timeslot_id, user_id, qr_token, status, order_id)
+        SELECT p_timeslot_id, current_uid, gen_random_uuid(), v_status, new_order_id
+        FROM generate_series(1, p_quantity)
+        RETURNING id, qr_token
+    )
+    SELECT array_agg(id ORDER BY id), array_agg(qr_token ORDER BY id)
+    INTO new_booking_ids, new_qr_tokens
+    FROM inserted;
+
+    IF is_free THEN
+        -- Free (or fully discounted): confirm immediately
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, 0, 'NOK', 'completed', 'free');
+
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (current_uid, 'booking_confirmed', ts.venue_id, current_uid);
+    ELSE
+        -- Paid: one pending transaction for the whole order
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, v_amount, 'NOK', 'pending', 'vipps', p_vipps_reference);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'order_id', new_order_id,
+        'quantity', p_quantity,
+        'booking_id', new_booking_ids[1],
+        'qr_token', new_qr_tokens[1],
+        'booking_ids', to_jsonb(new_booking_ids),
+        'qr_tokens', to_jsonb(new_qr_tokens),
+        'payment_required', NOT is_free,
+        'tier_name', v_tier_name,
+        'unit_price', v_unit_price,
+        'amount', v_amount,
+        'discount', (v_list_price - v_unit_price) * p_quantity,
+        'promo_code', v_promo->>'code',
+        'vipps_reference', CASE WHEN is_free THEN NULL ELSE p_vipps_reference END
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update get_venue_detail — the price on sale now, the tiers
+--     and the tickets still for sale
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_detail(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    staff_role TEXT;
+    upcoming_timeslots JSONB;
+    v_is_following BOOLEAN;
+    v_follower_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    SELECT role INTO staff_role FROM venue_staff WHERE venue_id = p_venue_id AND user_id = current_uid;
+
+    IF current_uid IS NOT NULL THEN
+        SELECT EXISTS(SELECT 1 FROM venue_follows WHERE user_id = current_uid AND venue_id = p_venue_id) INTO v_is_following;
+    ELSE
+        v_is_following := false;
+    END IF;
+
+    SELECT COUNT(*) INTO v_follower_count FROM venue_follows WHERE venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', COALESCE(at.price, ts.price), 'capacity', ts.capacity, 'description', ts.description, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'booked_count', (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in', 'pending_payment')),
+            'spots_left', timeslot_spots_left(ts.id),
+            'tiers', timeslot_tiers_json(ts.id),
+            'active_tier', CASE WHEN at.id IS NOT NULL THEN jsonb_build_object(
+                'id', at.id, 'name', at.name, 'price', at.price,
+                'spots_left', at.capacity - tier_sold_count(at.id), 'sale_ends_at', at.sale_ends_at) END,
+            'my_booking', (SELECT jsonb_build_object('id', b.id, 'status', b.status, 'qr_token', b.qr_token)
+                          FROM bookings b WHERE b.timeslot_id = ts.id AND b.user_id = current_uid AND b.status NOT IN ('cancelled', 'expired') LIMIT 1)
+        ) ORDER BY ts.date, ts.start_time
+    ), '[]'::jsonb)
+    INTO upcoming_timeslots
+    FROM timeslots ts
+    LEFT JOIN LATERAL timeslot_active_tier(ts.id) at ON true
+    WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE;
+
+    RETURN jsonb_build_object(
+        'id', v.id, 'name', v.name, 'description', v.description, 'address', v.address,
+        'latitude', v.latitude, 'longitude', v.longitude, 'image_url', v.image_url,
+        'opening_hours', v.opening_hours, 'contact_email', v.contact_email, 'contact_phone', v.contact_phone,
+        'owner_id', v.owner_id, 'verified', v.verified, 'created_at', v.created_at,
+        'min_age', v.min_age,
+        'is_staff', (staff_role IS NOT NULL), 'staff_role', staff_role,
+        'is_following', v_is_following,
+        'follower_count', v_follower_count,
+        'timeslots', upcoming_timeslots
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update get_venue_dashboard — tiers with sales per timeslot,
+--     and the tier each ticket was sold at
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_dashboard(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    all_timeslots JSONB;
+    staff_list JSONB;
+    promo_list JSONB;
+    total_revenue INT;
+    pending_capture INT;
+    bookings_today INT;
+    sold_out_count INT;
+    total_discount INT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    -- Revenue is money actually captured, minus refunds
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0),
+           COALESCE(SUM(t.authorized_amount - t.captured_amount) FILTER (WHERE t.payment_state = 'authorized'), 0)
+    INTO total_revenue, pending_capture
+    FROM transactions t JOIN bookings b ON b.id = t.booking_id JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id;
+
+    SELECT COUNT(*) INTO bookings_today
+    FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date = CURRENT_DATE AND b.status IN ('confirmed', 'checked_in');
+
+    SELECT COUNT(*) INTO sold_out_count
+    FROM timeslots ts WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE
+      AND (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in')) >= ts.capacity;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', ts.price, 'capacity', ts.capacity, 'description', ts.description,
+            'active', ts.active, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'tiers', timeslot_tiers_json(ts.id),
+            'bookings', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id, 'user_id', b.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+                    'order_id', b.order_id, 'assigned_to_name', ap.name,
+                    'promo_code', pc.code, 'tier_name', pt.name,
+                    'status', b.status, 'checked_in_at', b.checked_in_at, 'created_at', b.created_at,
+                    'payment_state', t.payment_state,
+                    'captured_amount', t.captured_amount,
+                    'refunded_amount', t.refunded_amount
+                ) ORDER BY b.order_id, b.id)
+                FROM bookings b
+                JOIN profiles p ON p.id = b.user_id
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                LEFT JOIN transactions t ON t.order_id = b.order_id AND t.payment_method = 'vipps'
+                LEFT JOIN promo_redemptions pr ON pr.order_id = b.order_id
+                LEFT JOIN promo_codes pc ON pc.id = pr.promo_code_id
+                LEFT JOIN booking_orders o ON o.id = b.order_id
+                LEFT JOIN timeslot_price_tiers pt ON pt.id = o.tier_id
+                WHERE b.timeslot_id = ts.id AND b.status != 'cancelled'
+            ), '[]'::jsonb)
+        ) ORDER BY ts.date DESC, ts.start_time DESC
+    ), '[]'::jsonb) INTO all_timeslots FROM timeslots ts WHERE ts.venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vs.id, 'user_id', vs.user_id, 'role', vs.role,
+        'name', p.name, 'email', p.email, 'avatar_url', p.avatar_url
+    )), '[]'::jsonb) INTO staff_list
+    FROM venue_staff vs JOIN profiles p ON p.id = vs.user_id WHERE vs.venue_id = p_venue_id;
+
+    -- Redemptions count while the order still has valid tickets
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', pc.id, 'code', pc.code, 'discount_type', pc.discount_type,
+        'discount_value', pc.discount_value, 'timeslot_type', pc.timeslot_type,
+        'max_uses', pc.max_uses, 'max_uses_per_user', pc.max_uses_per_user,
+        'valid_from', pc.valid_from, 'valid_until', pc.valid_until, 'active', pc.active,
+        'redemptions', promo_redemption_count(pc.id),
+        'total_discount', COALESCE((
+            SELECT SUM(r.discount_amount) FROM promo_redemptions r
+            WHERE r.promo_code_id = pc.id
+              AND EXISTS (SELECT 1 FROM bookings b WHERE b.order_id = r.order_id AND b.status NOT IN ('cancelled', 'expired'))
+        ), 0)
+    ) ORDER BY pc.created_at DESC), '[]'::jsonb) INTO promo_list
+    FROM promo_codes pc WHERE pc.venue_id = p_venue_id;
+
+    SELECT COALESCE(SUM((p->>'total_discount')::INT), 0) INTO total_discount
+    FROM jsonb_array_elements(promo_list) p;
+
+    RETURN jsonb_build_object(
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'description', v.description,
+            'address', v.address, 'image_url', v.image_url, 'opening_hours', v.opening_hours, 'verified', v.verified,
+            'min_age', v.min_age, 'capture_mode', v.capture_mode),
+        'timeslots', all_timeslots, 'staff', staff_list, 'promo_codes', promo_list,
+        'stats', jsonb_build_object('total_revenue', total_revenue, 'pending_capture', pending_capture,
+            'bookings_today', bookings_today, 'sold_out_count', sold_out_count,
+            'total_discount', total_discount)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. create_tiered_timeslot — a ticket timeslot and its tiers
+--     in one transaction
+-- ============================================================
+
+-- The timeslot holds the first tier's price and all the tiers'
+-- tickets. Created together, so a tier that fails to save can't leave
+-- the whole capacity on sale at the first tier's price.
+CREATE OR REPLACE FUNCTION create_tiered_timeslot(
+    p_venue_id INT,
+    p_date DATE,
+    p_start_time TIME,
+    p_end_time TIME,
+    p_description TEXT,
+    p_tiers JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    new_timeslot_id INT;
+BEGIN
+    IF NOT is_venue_staff(p_venue_id, auth.uid(), ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF jsonb_typeof(p_tiers) IS DISTINCT FROM 'array' OR jsonb_array_length(p_tiers) = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_tiers');
+    END IF;
+
+    INSERT INTO timeslots (venue_id, date, start_time, end_time, price, capacity, description, type)
+    SELECT p_venue_id, p_date, p_start_time, p_end_time,
+           (p_tiers->0->>'price')::INT, SUM((t->>'capacity')::INT), p_description, 'ticket'
+    FROM jsonb_array_elements(p_tiers) t
+    RETURNING id INTO new_timeslot_id;
+
+    INSERT INTO timeslot_price_tiers (timeslot_id, name, price, capacity, sort_order, sale_starts_at, sale_ends_at)
+    SELECT new_timeslot_id, t->>'name', (t->>'price')::INT, (t->>'capacity')::INT, (i - 1)::INT,
+           (t->>'sale_starts_at')::TIMESTAMPTZ, (t->>'sale_ends_at')::TIMESTAMPTZ
+    FROM jsonb_array_elements(p_tiers) WITH ORDINALITY AS x(t, i);
+
+    RETURN jsonb_build_object('status', 'success', 'timeslot_id', new_timeslot_id);
+END;
+$$;
@@ -0,0 +1,408 @@
+-- ============================================================
+-- Migration V21: Offline door scanning
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Who checked a ticket in, and the offline check-in log
+-- ============================================================
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS checked_in_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- One row per check-in a scanner queued while offline. client_id is
+-- made on the device, so a check-in sent twice is only applied once.
+CREATE TABLE IF NOT EXISTS offline_checkins (
+    id              SERIAL PRIMARY KEY,
+    client_id       UUID NOT NULL UNIQUE,
+    device_id       TEXT NOT NULL,
+    staff_id        UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    booking_id      INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    rsvp_id         INTEGER REFERENCES rsvps(id) ON DELETE CASCADE,
+    scanned_at      TIMESTAMPTZ NOT NULL,
+    synced_at       TIMESTAMPTZ DEFAULT NOW(),
+    outcome         TEXT NOT NULL CHECK (outcome IN ('applied', 'conflict', 'rejected')),
+    code            TEXT,
+    CHECK ((booking_id IS NULL) != (rsvp_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_checkins_booking ON offline_checkins(booking_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_offline_checkins_rsvp ON offline_checkins(rsvp_id) WHERE rsvp_id IS NOT NULL;
+
+-- Only reached through sync_offline_checkins
+ALTER TABLE offline_checkins ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================
+-- 1B. scanner_token_hash — what the manifest holds instead of the
+--     QR token, so a copied manifest can't be turned into tickets
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION scanner_token_hash(p_qr_token UUID)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT encode(sha256(convert_to(p_qr_token::text, 'UTF8')), 'hex');
+$$;
+
+-- ============================================================
+-- 1C. get_scanner_manifest — every ticket the door may see tonight
+-- ============================================================
+
+-- For a venue: paid bookings for timeslots today, and yesterday's until
+-- 06:00 so a night that runs past midnight keeps its manifest. For an
+-- event: everyone going. The scanner-manifest edge function signs the
+-- result before it is cached on the device.
+CREATE OR REPLACE FUNCTION get_scanner_manifest(p_venue_id INT DEFAULT NULL, p_event_id INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_local_now TIMESTAMP;
+    v_entries JSONB;
+BEGIN
+    current_uid := auth.uid();
+    v_local_now := NOW() AT TIME ZONE 'Europe/Oslo';
+
+    IF p_venue_id IS NOT NULL THEN
+        IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_entries
+        FROM (
+            SELECT jsonb_build_object(
+                'kind', 'booking', 'id', b.id,
+                'token_hash', scanner_token_hash(b.qr_token),
+                'status', b.status, 'checked_in_at', b.checked_in_at,
+                'user_name', COALESCE(ap.name, p.name),
+                'bought_by', CASE WHEN ap.id IS NOT NULL OR b.user_id != o.user_id THEN bp.name END,
+                'transfer_count', (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b.id AND tr.status = 'accepted'),
+                'timeslot_id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+                'type', ts.type, 'label', ts.label
+            ) AS e
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            JOIN profiles p ON p.id = b.user_id
+            LEFT JOIN profiles ap ON ap.id = b.assigned_to
+            LEFT JOIN booking_orders o ON o.id = b.order_id
+            LEFT JOIN profiles bp ON bp.id = o.user_id
+            WHERE ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+              AND b.status IN ('confirmed', 'checked_in')
+
+            UNION ALL
+
+            -- Tokens replaced by a transfer, so the door can say who has the ticket now
+            SELECT jsonb_build_object(
+                'kind', 'transferred',
+                'token_hash', scanner_token_hash(tr.old_qr_token),
+                'transferred_to', tp.name
+            )
+            FROM ticket_transfers tr
+            JOIN profiles tp ON tp.id = tr.to_user_id
+            JOIN bookings b ON b.id = tr.booking_id
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE tr.old_qr_token IS NOT NULL AND ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+        ) entries;
+
+    ELSIF p_event_id IS NOT NULL THEN
+        IF NOT is_event_admin(p_event_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'kind', 'rsvp', 'id', r.id,
+            'token_hash', scanner_token_hash(r.qr_token),
+            'checked_in_at', r.checked_in_at,
+            'user_name', p.name
+        )), '[]'::jsonb) INTO v_entries
+        FROM rsvps r
+        JOIN profiles p ON p.id = r.user_id
+        WHERE r.event_id = p_event_id AND r.status = 'going'
+          AND r.qr_token IS NOT NULL AND r.kicked_at IS NULL;
+
+    ELSE
+        RETURN jsonb_build_object('status', 'error', 'code', 'missing_scope');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'venue_id', p_venue_id,
+        'event_id', p_event_id,
+        'generated_at', NOW(),
+        'expires_at', NOW() + INTERVAL '12 hours',
+        'entries', v_entries
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1D. sync_offline_checkins — apply check-ins queued on a device
+-- ============================================================
+
+-- The first check-in of a ticket wins. A later one (another device,
+-- or an online scan that got there first) is stored as a conflict and
+-- returned with who checked the ticket in first, so staff can look
+-- for a copied ticket. Tickets cancelled or unpaid by the time the
+-- queue syncs are 'rejected'.
+CREATE OR REPLACE FUNCTION sync_offline_checkins(p_device_id TEXT, p_checkins JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    item JSONB;
+    v_client_id UUID;
+    v_kind TEXT;
+    v_id INT;
+    v_scanned_at TIMESTAMPTZ;
+    v_outcome TEXT;
+    v_code TEXT;
+    v_capture BOOLEAN;
+    v_first_at TIMESTAMPTZ;
+    v_first_by TEXT;
+    prior RECORD;
+    b RECORD;
+    r RECORD;
+    results JSONB := '[]'::jsonb;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_checkins, '[]'::jsonb))
+        ORDER BY (value->>'scanned_at')::timestamptz
+    LOOP
+        v_client_id := (item->>'client_id')::UUID;
+        v_kind := item->>'kind';
+        v_id := (item->>'id')::INT;
+        -- A device clock running ahead must not date a check-in in the future
+        v_scanned_at := LEAST((item->>'scanned_at')::timestamptz, NOW());
+        v_outcome := NULL;
+        v_code := NULL;
+        v_capture := false;
+        v_first_at := NULL;
+        v_first_by := NULL;
+
+        -- Already synced: report the stored outcome again
+        SELECT * INTO prior FROM offline_checkins WHERE client_id = v_client_id;
+        IF prior.id IS NOT NULL THEN
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', prior.outcome, 'code', prior.code);
+            CONTINUE;
+        END IF;
+
+        IF v_kind = 'booking' THEN
+            SELECT b2.*, ts.venue_id, v.capture_mode, COALESCE(ap.name, p.name) AS user_name INTO b
+            FROM bookings b2
+            JOIN timeslots ts ON ts.id = b2.timeslot_id
+            JOIN venues v ON v.id = ts.venue_id
+            JOIN profiles p ON p.id = b2.user_id
+            LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+            WHERE b2.id = v_id
+            FOR UPDATE OF b2;
+
+            IF b.id IS NULL OR NOT is_venue_staff(b.venue_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN b.id IS NULL THEN 'not_found' ELSE 'not_staff' END);
+                CONTINUE;
+            END IF;
+
+            IF b.status = 'checked_in' THEN
+                v_outcome := 'conflict';
+                v_first_at := b.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = b.checked_in_by;
+                -- Keep the earliest scan as the check-in time
+                UPDATE bookings SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSIF b.status IN ('cancelled', 'expired') THEN
+                v_outcome := 'rejected';
+                v_code := 'booking_cancelled';
+            ELSIF b.status = 'pending_payment' THEN
+                v_outcome := 'rejected';
+                v_code := 'payment_pending';
+            ELSE
+                v_outcome := 'applied';
+                UPDATE bookings SET status = 'checked_in', checked_in_at = v_scanned_at, checked_in_by = current_uid
+                WHERE id = v_id;
+
+                v_capture := b.capture_mode = 'checkin' AND EXISTS (
+                    SELECT 1 FROM transactions
+                    WHERE (booking_id = v_id OR order_id = b.order_id)
+                      AND payment_method = 'vipps' AND payment_state = 'authorized'
+                );
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, booking_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', b.user_name,
+                'scanned_at', v_scanned_at, 'capture_required', v_capture,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSIF v_kind = 'rsvp' THEN
+            SELECT r2.*, p.name AS user_name INTO r
+            FROM rsvps r2 JOIN profiles p ON p.id = r2.user_id
+            WHERE r2.id = v_id
+            FOR UPDATE OF r2;
+
+            IF r.id IS NULL OR NOT is_event_admin(r.event_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN r.id IS NULL THEN 'not_found' ELSE 'not_creator' END);
+                CONTINUE;
+            END IF;
+
+            IF r.status != 'going' OR r.qr_token IS NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'invalid_token';
+            ELSIF r.kicked_at IS NOT NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'kicked';
+            ELSIF r.checked_in_at IS NOT NULL THEN
+                v_outcome := 'conflict';
+                v_first_at := r.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = r.checked_in_by;
+                UPDATE rsvps SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSE
+                v_outcome := 'applied';
+                UPDATE rsvps SET checked_in_at = v_scanned_at, checked_in_by = current_uid WHERE id = v_id;
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, rsvp_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', r.user_name,
+                'scanned_at', v_scanned_at,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSE
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', 'rejected', 'code', 'invalid_kind');
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('status', 'success', 'results', results);
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update checkin_queue_ticket / checkin_by_qr_token — record
+--     who checked the ticket in, for conflicts shown to staff
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION checkin_queue_ticket(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_capture_required BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT b2.*, ts.venue_id, v.capture_mode INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF b.status = 'checked_in' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_checked_in');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'booking_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'payment_pending');
+    END IF;
+
+    UPDATE bookings SET status = 'checked_in', checked_in_at = NOW(), checked_in_by = current_uid
+    WHERE id = p_booking_id;
+
+    v_capture_required := b.capture_mode = 'checkin' AND EXISTS (
+        SELECT 1 FROM transactions
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method = 'vipps' AND payment_state = 'authorized'
+    );
+
+    RETURN jsonb_build_object('status', 'success', 'capture_required', v_capture_required);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION checkin_by_qr_token(p_event_id INTEGER, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    rsvp_row RECORD;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    SELECT r.*, p.name AS user_name, p.avatar_url AS user_avatar_url
+    INTO rsvp_row
+    FROM rsvps r
+    JOIN profiles p ON p.id = r.user_id
+    WHERE r.event_id = p_event_id AND r.qr_token = p_qr_token AND r.status = 'going';
+
+    IF rsvp_row IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_token');
+    END IF;
+
+    IF rsvp_row.kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'kicked');
+    END IF;
+
+    IF rsvp_row.checked_in_at IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'already',
+            'user_name', rsvp_row.user_name,
+            'user_avatar_url', rsvp_row.user_avatar_url,
+            'checked_in_at', rsvp_row.checked_in_at
+        );
+    END IF;
+
+    UPDATE rsvps SET checked_in_at = NOW(), checked_in_by = current_uid WHERE id = rsvp_row.id;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'user_name', rsvp_row.user_name,
+        'user_avatar_url', rsvp_row.user_avatar_url,
+        'checked_in_at', NOW()
+    );
+END;
+$$;
@@ -0,0 +1,238 @@
+-- ============================================================
+-- Migration V22: Live venue occupancy
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Venue capacity settings
+-- ============================================================
+
+-- max_occupancy is the legal number of people inside. Door staff are
+-- warned from occupancy_alert_percent of it.
+ALTER TABLE venues
+    ADD COLUMN IF NOT EXISTS max_occupancy INTEGER CHECK (max_occupancy > 0),
+    ADD COLUMN IF NOT EXISTS occupancy_alert_percent INTEGER NOT NULL DEFAULT 90
+        CHECK (occupancy_alert_percent BETWEEN 1 AND 100);
+
+-- ============================================================
+-- 1B. occupancy_events — every in/out tap, with the count after it
+-- ============================================================
+
+-- A night runs from 06:00 to 06:00 Oslo time; the count starts at zero
+-- each night. count_after makes the current count one lookup and the
+-- night's curve a plain select.
+CREATE TABLE IF NOT EXISTS occupancy_events (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    kind            TEXT NOT NULL CHECK (kind IN ('checkin', 'walk_in', 'exit', 'adjust')),
+    delta           INTEGER NOT NULL,
+    count_after     INTEGER NOT NULL CHECK (count_after >= 0),
+    booking_id      INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    staff_id        UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_occupancy_events_venue ON occupancy_events(venue_id, created_at DESC);
+
+ALTER TABLE occupancy_events ENABLE ROW LEVEL SECURITY;
+
+-- Realtime delivers rows to staff devices through this policy
+DROP POLICY IF EXISTS "Staff can view occupancy" ON occupancy_events;
+CREATE POLICY "Staff can view occupancy" ON occupancy_events
+    FOR SELECT USING (is_venue_staff(venue_id, auth.uid()));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE occupancy_events;
+
+-- ============================================================
+-- 1C. Occupancy helpers
+-- ============================================================
+
+-- Start of the night that p_at falls in
+CREATE OR REPLACE FUNCTION occupancy_night_start(p_at TIMESTAMPTZ DEFAULT NOW())
+RETURNS TIMESTAMPTZ
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT (date_trunc('day', (p_at AT TIME ZONE 'Europe/Oslo') - INTERVAL '6 hours') + INTERVAL '6 hours')
+        AT TIME ZONE 'Europe/Oslo';
+$$;
+
+CREATE OR REPLACE FUNCTION current_occupancy(p_venue_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE((
+        SELECT count_after FROM occupancy_events
+        WHERE venue_id = p_venue_id AND created_at >= occupancy_night_start()
+        ORDER BY created_at DESC, id DESC LIMIT 1
+    ), 0);
+$$;
+
+-- Appends an event; callers must hold the venue row lock so counts
+-- from two doors don't interleave
+CREATE OR REPLACE FUNCTION append_occupancy_event(
+    p_venue_id INT, p_kind TEXT, p_delta INT, p_booking_id INT, p_staff_id UUID
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_before INT;
+    v_after INT;
+BEGIN
+    v_before := current_occupancy(p_venue_id);
+    v_after := GREATEST(v_before + p_delta, 0);
+
+    INSERT INTO occupancy_events (venue_id, kind, delta, count_after, booking_id, staff_id)
+    VALUES (p_venue_id, p_kind, v_after - v_before, v_after, p_booking_id, p_staff_id);
+
+    RETURN v_after;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION append_occupancy_event(INT, TEXT, INT, INT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1D. Ticket check-ins count as people coming in
+-- ============================================================
+
+-- A trigger rather than a line in each RPC, so online, offline-synced
+-- and manual check-ins are all counted
+CREATE OR REPLACE FUNCTION count_checkin_occupancy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_venue_id INT;
+BEGIN
+    SELECT ts.venue_id INTO v_venue_id FROM timeslots ts WHERE ts.id = NEW.timeslot_id;
+    PERFORM 1 FROM venues WHERE id = v_venue_id FOR UPDATE;
+    PERFORM append_occupancy_event(v_venue_id, 'checkin', 1, NEW.id, COALESCE(NEW.checked_in_by, auth.uid()));
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_count_checkin_occupancy ON bookings;
+CREATE TRIGGER trg_count_checkin_occupancy
+    AFTER UPDATE OF status ON bookings
+    FOR EACH ROW
+    WHEN (NEW.status = 'checked_in' AND OLD.status IS DISTINCT FROM 'checked_in')
+    EXECUTE FUNCTION count_checkin_occupancy();
+
+-- ============================================================
+-- 1E. record_occupancy — door taps: walk-ins, people leaving, and
+--     corrections to the count
+-- ============================================================
+
+-- 'walk_in' and 'exit' move the count by p_count; 'adjust' sets it
+-- to p_count after a head count.
+CREATE OR REPLACE FUNCTION record_occupancy(p_venue_id INT, p_kind TEXT, p_count INT DEFAULT 1)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    v_delta INT;
+    v_after INT;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_kind NOT IN ('walk_in', 'exit', 'adjust') OR p_count IS NULL OR p_count < 0
+       OR (p_kind != 'adjust' AND (p_count < 1 OR p_count > 50)) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_count');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id FOR UPDATE;
+
+    v_delta := CASE p_kind
+        WHEN 'walk_in' THEN p_count
+        WHEN 'exit' THEN -p_count
+        ELSE p_count - current_occupancy(p_venue_id)
+    END;
+
+    v_after := append_occupancy_event(p_venue_id, p_kind, v_delta, NULL, current_uid);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'count', v_after,
+        'max_occupancy', v.max_occupancy,
+        'over_capacity', v.max_occupancy IS NOT NULL AND v_after > v.max_occupancy
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. get_venue_occupancy — the count now, or a night's curve
+-- ============================================================
+
+-- p_night is the date the night starts on (default: tonight). The
+-- curve has the count at the end of every 10 minutes with activity.
+CREATE OR REPLACE FUNCTION get_venue_occupancy(p_venue_id INT, p_night DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    v_from TIMESTAMPTZ;
+    v_to TIMESTAMPTZ;
+    v_curve JSONB;
+    v_totals JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+
+    v_from := CASE WHEN p_night IS NULL THEN occupancy_night_start()
+                   ELSE (p_night + TIME '06:00') AT TIME ZONE 'Europe/Oslo' END;
+    v_to := v_from + INTERVAL '1 day';
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object('at', bucket, 'count', count_after) ORDER BY bucket), '[]'::jsonb)
+    INTO v_curve
+    FROM (
+        SELECT DISTINCT ON (bucket) bucket, count_after
+        FROM (
+            SELECT to_timestamp(floor(extract(epoch FROM created_at) / 600) * 600) AS bucket,
+                   count_after, created_at, id
+            FROM occupancy_events
+            WHERE venue_id = p_venue_id AND created_at >= v_from AND created_at < v_to
+        ) e
+        ORDER BY bucket, created_at DESC, id DESC
+    ) buckets;
+
+    SELECT jsonb_build_object(
+        'checkins', COUNT(*) FILTER (WHERE kind = 'checkin'),
+        'walk_ins', COALESCE(SUM(delta) FILTER (WHERE kind = 'walk_in'), 0),
+        'exits', COALESCE(-SUM(delta) FILTER (WHERE kind = 'exit'), 0),
+        'peak', COALESCE(MAX(count_after), 0)
+    ) INTO v_totals
+    FROM occupancy_events
+    WHERE venue_id = p_venue_id AND created_at >= v_from AND created_at < v_to;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'current', current_occupancy(p_venue_id),
+        'max_occupancy', v.max_occupancy,
+        'alert_percent', v.occupancy_alert_percent,
+        'night_start', v_from,
+        'curve', v_curve,
+        'totals', v_totals
+    );
+END;
+$$;
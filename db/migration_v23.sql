@@ -0,0 +1,772 @@
+-- ============================================================
+-- Migration V23: Door ban list and incident log
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. venue_bans — guests a venue has refused entry
+-- ============================================================
+
+-- expires_at NULL bans until lifted. Lifting keeps the row, so the
+-- history stays with the incidents that led to it.
+CREATE TABLE IF NOT EXISTS venue_bans (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    reason          TEXT NOT NULL CHECK (char_length(reason) BETWEEN 1 AND 500),
+    expires_at      TIMESTAMPTZ,
+    incident_id     INTEGER,
+    created_by      UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    lifted_at       TIMESTAMPTZ,
+    lifted_by       UUID REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_bans_lookup ON venue_bans(venue_id, user_id) WHERE lifted_at IS NULL;
+
+ALTER TABLE venue_bans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view bans" ON venue_bans;
+CREATE POLICY "Managers can view bans"
+    ON venue_bans FOR SELECT USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Managers can create bans" ON venue_bans;
+CREATE POLICY "Managers can create bans"
+    ON venue_bans FOR INSERT WITH CHECK (
+        is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']) AND created_by = auth.uid()
+    );
+
+DROP POLICY IF EXISTS "Managers can lift bans" ON venue_bans;
+CREATE POLICY "Managers can lift bans"
+    ON venue_bans FOR UPDATE USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+CREATE OR REPLACE FUNCTION active_venue_bans(p_venue_id INT, p_user_id UUID)
+RETURNS SETOF venue_bans
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT * FROM venue_bans
+    WHERE venue_id = p_venue_id AND user_id = p_user_id
+      AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY expires_at DESC NULLS FIRST;
+$$;
+
+REVOKE EXECUTE ON FUNCTION active_venue_bans(INT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1B. venue_incidents — refusals and removals logged at the door
+-- ============================================================
+
+-- Any staff member can report; only managers and owners read the log.
+-- user_id is set when the guest had a ticket, otherwise guest_description
+-- says who it was.
+CREATE TABLE IF NOT EXISTS venue_incidents (
+    id                  SERIAL PRIMARY KEY,
+    venue_id            INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    kind                TEXT NOT NULL CHECK (kind IN ('refused', 'removed', 'other')),
+    description         TEXT NOT NULL CHECK (char_length(description) BETWEEN 1 AND 2000),
+    user_id             UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    booking_id          INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    guest_description   TEXT,
+    reported_by         UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_incidents_venue ON venue_incidents(venue_id, created_at DESC);
+
+ALTER TABLE venue_incidents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view incidents" ON venue_incidents;
+CREATE POLICY "Managers can view incidents"
+    ON venue_incidents FOR SELECT USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+ALTER TABLE venue_bans
+    DROP CONSTRAINT IF EXISTS venue_bans_incident_id_fkey,
+    ADD CONSTRAINT venue_bans_incident_id_fkey FOREIGN KEY (incident_id) REFERENCES venue_incidents(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- 1C. report_venue_incident — written from the scanner screen
+-- ============================================================
+
+-- With p_booking_id the guest is whoever holds that ticket
+CREATE OR REPLACE FUNCTION report_venue_incident(
+    p_venue_id INT,
+    p_kind TEXT,
+    p_description TEXT,
+    p_booking_id INT DEFAULT NULL,
+    p_guest_description TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_user_id UUID;
+    v_incident_id INT;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_kind NOT IN ('refused', 'removed', 'other') OR NULLIF(TRIM(p_description), '') IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_incident');
+    END IF;
+
+    IF p_booking_id IS NOT NULL THEN
+        SELECT COALESCE(b.assigned_to, b.user_id) INTO v_user_id
+        FROM bookings b
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        WHERE b.id = p_booking_id AND ts.venue_id = p_venue_id;
+
+        IF v_user_id IS NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'booking_not_found');
+        END IF;
+    ELSIF NULLIF(TRIM(p_guest_description), '') IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_incident');
+    END IF;
+
+    INSERT INTO venue_incidents (venue_id, kind, description, user_id, booking_id, guest_description, reported_by)
+    VALUES (p_venue_id, p_kind, TRIM(p_description), v_user_id, p_booking_id,
+            NULLIF(TRIM(p_guest_description), ''), current_uid)
+    RETURNING id INTO v_incident_id;
+
+    RETURN jsonb_build_object('status', 'success', 'incident_id', v_incident_id);
+END;
+$$;
+
+-- ============================================================
+-- 1D. get_venue_safety — ban list and incident log for managers
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_safety(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ban_list JSONB;
+    incident_list JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vb.id, 'user_id', vb.user_id, 'user_name', p.name, 'user_email', p.email,
+        'reason', vb.reason, 'expires_at', vb.expires_at, 'incident_id', vb.incident_id,
+        'created_at', vb.created_at, 'created_by_name', cp.name
+    ) ORDER BY vb.created_at DESC), '[]'::jsonb) INTO ban_list
+    FROM venue_bans vb
+    JOIN profiles p ON p.id = vb.user_id
+    LEFT JOIN profiles cp ON cp.id = vb.created_by
+    WHERE vb.venue_id = p_venue_id
+      AND vb.lifted_at IS NULL AND (vb.expires_at IS NULL OR vb.expires_at > NOW());
+
+    SELECT COALESCE(jsonb_agg(i ORDER BY (i->>'created_at') DESC), '[]'::jsonb) INTO incident_list
+    FROM (
+        SELECT jsonb_build_object(
+            'id', vi.id, 'kind', vi.kind, 'description', vi.description,
+            'user_id', vi.user_id, 'user_name', p.name, 'guest_description', vi.guest_description,
+            'booking_id', vi.booking_id, 'reported_by_name', rp.name, 'created_at', vi.created_at,
+            'banned', vi.user_id IS NOT NULL AND EXISTS (SELECT 1 FROM active_venue_bans(p_venue_id, vi.user_id))
+        ) AS i
+        FROM venue_incidents vi
+        LEFT JOIN profiles p ON p.id = vi.user_id
+        LEFT JOIN profiles rp ON rp.id = vi.reported_by
+        WHERE vi.venue_id = p_venue_id
+        ORDER BY vi.created_at DESC
+        LIMIT 100
+    ) recent;
+
+    RETURN jsonb_build_object('status', 'success', 'bans', ban_list, 'incidents', incident_list);
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update reserve_timeslot — banned guests can't book
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION reserve_timeslot(
+    p_timeslot_id INT,
+    p_vipps_reference TEXT DEFAULT NULL,
+    p_quantity INT DEFAULT 1,
+    p_promo_code TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ts RECORD;
+    current_bookings INT;
+    new_order_id INT;
+    new_booking_ids INT[];
+    new_qr_tokens UUID[];
+    is_free BOOLEAN;
+    venue_min_age INTEGER;
+    v_status TEXT;
+    tier RECORD;
+    v_tier_id INT;
+    v_tier_name TEXT;
+    v_list_price INT;
+    v_unit_price INT;
+    v_amount INT;
+    v_promo JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > 10 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_quantity', 'max_quantity', 10);
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_timeslot_id);
+
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    IF NOT ts.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_inactive');
+    END IF;
+
+    IF ts.date < CURRENT_DATE THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_past');
+    END IF;
+
+    -- Age check (venue-level)
+    SELECT min_age INTO venue_min_age FROM venues WHERE id = ts.venue_id;
+    IF venue_min_age IS NOT NULL AND NOT check_user_age(current_uid, venue_min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', venue_min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM active_venue_bans(ts.venue_id, current_uid)) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'banned');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE timeslot_id = p_timeslot_id AND user_id = current_uid AND status NOT IN ('cancelled', 'expired')) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_booked');
+    END IF;
+
+    SELECT COUNT(*) INTO current_bookings
+    FROM bookings WHERE timeslot_id = p_timeslot_id AND status IN ('confirmed', 'checked_in', 'pending_payment');
+
+    IF current_bookings + p_quantity > ts.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out',
+            'spots_left', GREATEST(ts.capacity - current_bookings, 0));
+    END IF;
+
+    v_list_price := ts.price;
+
+    IF EXISTS (SELECT 1 FROM timeslot_price_tiers WHERE timeslot_id = p_timeslot_id) THEN
+        SELECT * INTO tier FROM timeslot_active_tier(p_timeslot_id);
+        IF tier.id IS NULL THEN
+            SELECT * INTO tier FROM timeslot_price_tiers
+            WHERE timeslot_id = p_timeslot_id AND sale_starts_at > NOW()
+            ORDER BY sale_starts_at LIMIT 1;
+            IF tier.id IS NOT NULL THEN
+                RETURN jsonb_build_object('status', 'error', 'code', 'sales_not_started',
+                    'sale_starts_at', tier.sale_starts_at);
+            END IF;
+            RETURN jsonb_build_object('status', 'error', 'code', 'sold_out', 'spots_left', 0);
+        END IF;
+
+        -- One order is sold at one price
+        IF tier_sold_count(tier.id) + p_quantity > tier.capacity THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'tier_spots_left',
+                'tier_name', tier.name, 'spots_left', tier.capacity - tier_sold_count(tier.id));
+        END IF;
+        v_list_price := tier.price;
+        v_tier_id := tier.id;
+        v_tier_name := tier.name;
+    END IF;
+
+    v_unit_price := v_list_price;
+
+    IF NULLIF(TRIM(p_promo_code), '') IS NOT NULL THEN
+        -- Serialize redemptions of the same code so usage caps hold
+        PERFORM 1 FROM promo_codes
+        WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_promo_code))
+        FOR UPDATE;
+
+        v_promo := check_promo_code(p_timeslot_id, p_promo_code, current_uid);
+        IF v_promo->>'status' = 'error' THEN
+            RETURN v_promo;
+        END IF;
+        v_unit_price := (v_promo->>'unit_price')::INT;
+    END IF;
+
+    is_free := (v_unit_price = 0);
+    v_status := CASE WHEN is_free THEN 'confirmed' ELSE 'pending_payment' END;
+    v_amount := v_unit_price * p_quantity;
+
+    INSERT INTO booking_orders (user_id, timeslot_id, quantity, unit_price, tier_id)
+    VALUES (current_uid, p_timeslot_id, p_quantity, v_unit_price, v_tier_id)
+    RETURNING id INTO new_order_id;
+
+    IF v_promo IS NOT NULL THEN
+        INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, list_price, discount_amount)
+        VALUES ((v_promo->>'promo_code_id')::INT, new_order_id, current_uid,
+                v_list_price * p_quantity, (v_promo->>'unit_discount')::INT * p_quantity);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO bookings (timeslot_id, user_id, qr_token, status, order_id)
+        SELECT p_timeslot_id, current_uid, gen_random_uuid(), v_status, new_order_id
+        FROM generate_series(1, p_quantity)
+        RETURNING id, qr_token
+    )
+    SELECT array_agg(id ORDER BY id), array_agg(qr_token ORDER BY id)
+    INTO new_booking_ids, new_qr_tokens
+    FROM inserted;
+
+    IF is_free THEN
+        -- Free (or fully discounted): confirm immediately
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, 0, 'NOK', 'completed', 'free');
+
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (current_uid, 'booking_confirmed', ts.venue_id, current_uid);
+    ELSE
+        -- Paid: one pending transaction for the whole order
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, v_amount, 'NOK', 'pending', 'vipps', p_vipps_reference);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'order_id', new_order_id,
+        'quantity', p_quantity,
+        'booking_id', new_booking_ids[1],
+        'qr_token', new_qr_tokens[1],
+        'booking_ids', to_jsonb(new_booking_ids),
+        'qr_tokens', to_jsonb(new_qr_tokens),
+        'payment_required', NOT is_free,
+        'tier_name', v_tier_name,
+        'unit_price', v_unit_price,
+        'amount', v_amount,
+        'discount', (v_list_price - v_unit_price) * p_quantity,
+        'promo_code', v_promo->>'code',
+        'vipps_reference', CASE WHEN is_free THEN NULL ELSE p_vipps_reference END
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update verify_queue_ticket — stop banned guests at the door
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION verify_queue_ticket(p_venue_id INT, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_transferred_to TEXT;
+    ban RECORD;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT b2.id AS booking_id, b2.status AS booking_status, b2.checked_in_at,
+           COALESCE(b2.assigned_to, b2.user_id) AS holder_id, COALESCE(ap.name, p.name) AS user_name,
+           COALESCE(ap.avatar_url, p.avatar_url) AS user_avatar_url,
+           CASE WHEN ap.id IS NOT NULL OR b2.user_id != o.user_id THEN bp.name END AS bought_by,
+           (SELECT COUNT(*) FROM bookings ob WHERE ob.order_id = b2.order_id) AS order_quantity,
+           (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b2.id AND tr.status = 'accepted') AS transfer_count,
+           ts.date, ts.start_time, ts.end_time, ts.description AS ts_description,
+           ts.venue_id, ts.type AS ts_type, ts.label AS ts_label
+    INTO b
+    FROM bookings b2
+    JOIN profiles p ON p.id = b2.user_id
+    LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+    LEFT JOIN booking_orders o ON o.id = b2.order_id
+    LEFT JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    WHERE b2.qr_token = p_qr_token AND ts.venue_id = p_venue_id;
+
+    IF b.booking_id IS NULL THEN
+        -- A token replaced by a transfer: the ticket now belongs to someone else
+        SELECT tp.name INTO v_transferred_to
+        FROM ticket_transfers tr
+        JOIN profiles tp ON tp.id = tr.to_user_id
+        JOIN bookings b3 ON b3.id = tr.booking_id
+        JOIN timeslots ts ON ts.id = b3.timeslot_id
+        WHERE tr.old_qr_token = p_qr_token AND ts.venue_id = p_venue_id
+        ORDER BY tr.responded_at DESC LIMIT 1;
+
+        IF v_transferred_to IS NOT NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'ticket_transferred', 'transferred_to', v_transferred_to);
+        END IF;
+
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_ticket');
+    END IF;
+
+    -- Whoever holds the ticket now, so a ban can't be dodged by
+    -- getting a friend to buy or pass on the ticket
+    SELECT * INTO ban FROM active_venue_bans(p_venue_id, b.holder_id) LIMIT 1;
+    IF ban.id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'error', 'code', 'guest_banned',
+            'booking_id', b.booking_id,
+            'user_name', b.user_name,
+            'user_avatar_url', b.user_avatar_url,
+            'ban_reason', ban.reason,
+            'ban_expires_at', ban.expires_at
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.booking_id,
+        'booking_status', b.booking_status,
+        'checked_in_at', b.checked_in_at,
+        'user_name', b.user_name,
+        'user_avatar_url', b.user_avatar_url,
+        'bought_by', b.bought_by,
+        'order_quantity', b.order_quantity,
+        'transfer_count', b.transfer_count,
+        'date', b.date,
+        'start_time', b.start_time,
+        'end_time', b.end_time,
+        'timeslot_description', b.ts_description,
+        'type', b.ts_type,
+        'label', b.ts_label
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update get_scanner_manifest — flag banned ticket holders
+--     for offline scanning
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_scanner_manifest(p_venue_id INT DEFAULT NULL, p_event_id INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_local_now TIMESTAMP;
+    v_entries JSONB;
+BEGIN
+    current_uid := auth.uid();
+    v_local_now := NOW() AT TIME ZONE 'Europe/Oslo';
+
+    IF p_venue_id IS NOT NULL THEN
+        IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_entries
+        FROM (
+            SELECT jsonb_build_object(
+                'kind', 'booking', 'id', b.id,
+                'token_hash', scanner_token_hash(b.qr_token),
+                'status', b.status, 'checked_in_at', b.checked_in_at,
+                'user_name', COALESCE(ap.name, p.name),
+                'bought_by', CASE WHEN ap.id IS NOT NULL OR b.user_id != o.user_id THEN bp.name END,
+                'transfer_count', (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b.id AND tr.status = 'accepted'),
+                'timeslot_id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+                'type', ts.type, 'label', ts.label,
+                'banned', EXISTS (SELECT 1 FROM active_venue_bans(p_venue_id, COALESCE(b.assigned_to, b.user_id)))
+            ) AS e
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            JOIN profiles p ON p.id = b.user_id
+            LEFT JOIN profiles ap ON ap.id = b.assigned_to
+            LEFT JOIN booking_orders o ON o.id = b.order_id
+            LEFT JOIN profiles bp ON bp.id = o.user_id
+            WHERE ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+              AND b.status IN ('confirmed', 'checked_in')
+
+            UNION ALL
+
+            -- Tokens replaced by a transfer, so the door can say who has the ticket now
+            SELECT jsonb_build_object(
+                'kind', 'transferred',
+                'token_hash', scanner_token_hash(tr.old_qr_token),
+                'transferred_to', tp.name
+            )
+            FROM ticket_transfers tr
+            JOIN profiles tp ON tp.id = tr.to_user_id
+            JOIN bookings b ON b.id = tr.booking_id
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE tr.old_qr_token IS NOT NULL AND ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+        ) entries;
+
+    ELSIF p_event_id IS NOT NULL THEN
+        IF NOT is_event_admin(p_event_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'kind', 'rsvp', 'id', r.id,
+            'token_hash', scanner_token_hash(r.qr_token),
+            'checked_in_at', r.checked_in_at,
+            'user_name', p.name
+        )), '[]'::jsonb) INTO v_entries
+        FROM rsvps r
+        JOIN profiles p ON p.id = r.user_id
+        WHERE r.event_id = p_event_id AND r.status = 'going'
+          AND r.qr_token IS NOT NULL AND r.kicked_at IS NULL;
+
+    ELSE
+        RETURN jsonb_build_object('status', 'error', 'code', 'missing_scope');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'venue_id', p_venue_id,
+        'event_id', p_event_id,
+        'generated_at', NOW(),
+        'expires_at', NOW() + INTERVAL '12 hours',
+        'entries', v_entries
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update checkin_queue_ticket — refuse banned guests
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION checkin_queue_ticket(p_booking_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_capture_required BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT b2.*, ts.venue_id, v.capture_mode,
+           COALESCE(b2.assigned_to, b2.user_id) AS holder_id INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF b.status = 'checked_in' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_checked_in');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'booking_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'payment_pending');
+    END IF;
+
+    -- Checked here as well as at the scan, so a banned guest can't be
+    -- checked in by calling this directly
+    IF EXISTS (SELECT 1 FROM active_venue_bans(b.venue_id, b.holder_id)) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'guest_banned');
+    END IF;
+
+    UPDATE bookings SET status = 'checked_in', checked_in_at = NOW(), checked_in_by = current_uid
+    WHERE id = p_booking_id;
+
+    v_capture_required := b.capture_mode = 'checkin' AND EXISTS (
+        SELECT 1 FROM transactions
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method = 'vipps' AND payment_state = 'authorized'
+    );
+
+    RETURN jsonb_build_object('status', 'success', 'capture_required', v_capture_required);
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update sync_offline_checkins — a banned guest let in
+--     offline is rejected at sync
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION sync_offline_checkins(p_device_id TEXT, p_checkins JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    item JSONB;
+    v_client_id UUID;
+    v_kind TEXT;
+    v_id INT;
+    v_scanned_at TIMESTAMPTZ;
+    v_outcome TEXT;
+    v_code TEXT;
+    v_capture BOOLEAN;
+    v_first_at TIMESTAMPTZ;
+    v_first_by TEXT;
+    prior RECORD;
+    b RECORD;
+    r RECORD;
+    results JSONB := '[]'::jsonb;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_checkins, '[]'::jsonb))
+        ORDER BY (value->>'scanned_at')::timestamptz
+    LOOP
+        v_client_id := (item->>'client_id')::UUID;
+        v_kind := item->>'kind';
+        v_id := (item->>'id')::INT;
+        -- A device clock running ahead must not date a check-in in the future
+        v_scanned_at := LEAST((item->>'scanned_at')::timestamptz, NOW());
+        v_outcome := NULL;
+        v_code := NULL;
+        v_capture := false;
+        v_first_at := NULL;
+        v_first_by := NULL;
+
+        -- Already synced: report the stored outcome again
+        SELECT * INTO prior FROM offline_checkins WHERE client_id = v_client_id;
+        IF prior.id IS NOT NULL THEN
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', prior.outcome, 'code', prior.code);
+            CONTINUE;
+        END IF;
+
+        IF v_kind = 'booking' THEN
+            SELECT b2.*, ts.venue_id, v.capture_mode, COALESCE(ap.name, p.name) AS user_name,
+                   COALESCE(b2.assigned_to, b2.user_id) AS holder_id INTO b
+            FROM bookings b2
+            JOIN timeslots ts ON ts.id = b2.timeslot_id
+            JOIN venues v ON v.id = ts.venue_id
+            JOIN profiles p ON p.id = b2.user_id
+            LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+            WHERE b2.id = v_id
+            FOR UPDATE OF b2;
+
+            IF b.id IS NULL OR NOT is_venue_staff(b.venue_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN b.id IS NULL THEN 'not_found' ELSE 'not_staff' END);
+                CONTINUE;
+            END IF;
+
+            IF b.status = 'checked_in' THEN
+                v_outcome := 'conflict';
+                v_first_at := b.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = b.checked_in_by;
+                -- Keep the earliest scan as the check-in time
+                UPDATE bookings SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSIF b.status IN ('cancelled', 'expired') THEN
+                v_outcome := 'rejected';
+                v_code := 'booking_cancelled';
+            ELSIF b.status = 'pending_payment' THEN
+                v_outcome := 'rejected';
+                v_code := 'payment_pending';
+            ELSIF EXISTS (SELECT 1 FROM active_venue_bans(b.venue_id, b.holder_id)) THEN
+                v_outcome := 'rejected';
+                v_code := 'guest_banned';
+            ELSE
+                v_outcome := 'applied';
+                UPDATE bookings SET status = 'checked_in', checked_in_at = v_scanned_at, checked_in_by = current_uid
+                WHERE id = v_id;
+
+                v_capture := b.capture_mode = 'checkin' AND EXISTS (
+                    SELECT 1 FROM transactions
+                    WHERE (booking_id = v_id OR order_id = b.order_id)
+                      AND payment_method = 'vipps' AND payment_state = 'authorized'
+                );
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, booking_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', b.user_name,
+                'scanned_at', v_scanned_at, 'capture_required', v_capture,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSIF v_kind = 'rsvp' THEN
+            SELECT r2.*, p.name AS user_name INTO r
+            FROM rsvps r2 JOIN profiles p ON p.id = r2.user_id
+            WHERE r2.id = v_id
+            FOR UPDATE OF r2;
+
+            IF r.id IS NULL OR NOT is_event_admin(r.event_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN r.id IS NULL THEN 'not_found' ELSE 'not_creator' END);
+                CONTINUE;
+            END IF;
+
+            IF r.status != 'going' OR r.qr_token IS NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'invalid_token';
+            ELSIF r.kicked_at IS NOT NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'kicked';
+            ELSIF r.checked_in_at IS NOT NULL THEN
+                v_outcome := 'conflict';
+                v_first_at := r.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = r.checked_in_by;
+                UPDATE rsvps SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSE
+                v_outcome := 'applied';
+                UPDATE rsvps SET checked_in_at = v_scanned_at, checked_in_by = current_uid WHERE id = v_id;
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, rsvp_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', r.user_name,
+                'scanned_at', v_scanned_at,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSE
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', 'rejected', 'code', 'invalid_kind');
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('status', 'success', 'results', results);
+END;
+$$;
@@ -0,0 +1,751 @@
+-- ============================================================
+-- Migration V24: Age checks at RSVP, booking and the door
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Which birthdates came from Vipps
+-- ============================================================
+
+-- vipps-auth stamps birthdate_verified_at with the service role. A
+-- signed-in user can't change their own birthdate or the stamp, so
+-- age checks only trust what Vipps said.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS birthdate_verified_at TIMESTAMPTZ;
+
+-- Profiles linked to Vipps got their birthdate from Vipps login
+UPDATE profiles SET birthdate_verified_at = NOW()
+WHERE vipps_sub IS NOT NULL AND birthdate IS NOT NULL AND birthdate_verified_at IS NULL;
+
+CREATE OR REPLACE FUNCTION protect_verified_birthdate()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL THEN
+        NEW.birthdate := OLD.birthdate;
+        NEW.birthdate_verified_at := OLD.birthdate_verified_at;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_protect_verified_birthdate ON profiles;
+CREATE TRIGGER trg_protect_verified_birthdate
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_verified_birthdate();
+
+-- ============================================================
+-- 1B. age_check_status — one answer for every age check
+-- ============================================================
+
+-- 'not_required' when there is no age limit, 'verified' when the
+-- Vipps birthdate meets it, 'underage' when it doesn't, and
+-- 'unverified' when there is no Vipps birthdate to go by.
+CREATE OR REPLACE FUNCTION age_check_status(p_user_id UUID, p_min_age INTEGER)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    pr RECORD;
+BEGIN
+    IF p_min_age IS NULL THEN RETURN 'not_required'; END IF;
+
+    SELECT birthdate, birthdate_verified_at INTO pr FROM profiles WHERE id = p_user_id;
+    IF pr.birthdate IS NULL OR pr.birthdate_verified_at IS NULL THEN
+        RETURN 'unverified';
+    END IF;
+
+    IF AGE(CURRENT_DATE, pr.birthdate) >= make_interval(years => p_min_age) THEN
+        RETURN 'verified';
+    END IF;
+    RETURN 'underage';
+END;
+$$;
+
+-- Booking, transfers and RSVPs need a verified age up front; only the
+-- door can accept an ID instead
+CREATE OR REPLACE FUNCTION check_user_age(p_user_id UUID, p_min_age INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN age_check_status(p_user_id, p_min_age) IN ('not_required', 'verified');
+END;
+$$;
+
+-- ============================================================
+-- 1C. id_check_overrides — guests let in on a physical ID
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS id_check_overrides (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER REFERENCES venues(id) ON DELETE CASCADE,
+    event_id        INTEGER REFERENCES events(id) ON DELETE CASCADE,
+    booking_id      INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    rsvp_id         INTEGER REFERENCES rsvps(id) ON DELETE SET NULL,
+    user_id         UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    min_age         INTEGER NOT NULL,
+    staff_id        UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_id_check_overrides_venue ON id_check_overrides(venue_id, created_at DESC);
+
+ALTER TABLE id_check_overrides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view ID overrides" ON id_check_overrides;
+CREATE POLICY "Managers can view ID overrides"
+    ON id_check_overrides FOR SELECT USING (
+        (venue_id IS NOT NULL AND is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']))
+        OR (event_id IS NOT NULL AND is_event_admin(event_id, auth.uid()))
+    );
+
+-- ============================================================
+-- 1D. RSVPs respect events.min_age
+-- ============================================================
+
+-- RSVPs are written straight to the table, so the check is a trigger.
+-- Only a new place counts: a waitlisted RSVP was checked when it joined
+-- the waitlist, so promotion doesn't fail half-way.
+CREATE OR REPLACE FUNCTION enforce_rsvp_min_age()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_min_age INTEGER;
+BEGIN
+    IF NEW.status NOT IN ('going', 'waitlisted')
+       OR (TG_OP = 'UPDATE' AND OLD.status IN ('going', 'waitlisted')) THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT min_age INTO v_min_age FROM events WHERE id = NEW.event_id;
+    IF NOT check_user_age(NEW.user_id, v_min_age) THEN
+        RAISE EXCEPTION 'too_young' USING DETAIL = v_min_age::TEXT;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_enforce_rsvp_min_age ON rsvps;
+CREATE TRIGGER trg_enforce_rsvp_min_age
+    BEFORE INSERT OR UPDATE OF status ON rsvps
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_rsvp_min_age();
+
+-- ============================================================
+-- 1E. Update verify_queue_ticket — show the holder's age check
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION verify_queue_ticket(p_venue_id INT, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_transferred_to TEXT;
+    ban RECORD;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT b2.id AS booking_id, b2.status AS booking_status, b2.checked_in_at,
+           COALESCE(b2.assigned_to, b2.user_id) AS holder_id, COALESCE(ap.name, p.name) AS user_name,
+           COALESCE(ap.avatar_url, p.avatar_url) AS user_avatar_url,
+           CASE WHEN ap.id IS NOT NULL OR b2.user_id != o.user_id THEN bp.name END AS bought_by,
+           (SELECT COUNT(*) FROM bookings ob WHERE ob.order_id = b2.order_id) AS order_quantity,
+           (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b2.id AND tr.status = 'accepted') AS transfer_count,
+           ts.date, ts.start_time, ts.end_time, ts.description AS ts_description,
+           ts.venue_id, ts.type AS ts_type, ts.label AS ts_label, v.min_age
+    INTO b
+    FROM bookings b2
+    JOIN profiles p ON p.id = b2.user_id
+    LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+    LEFT JOIN booking_orders o ON o.id = b2.order_id
+    LEFT JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.qr_token = p_qr_token AND ts.venue_id = p_venue_id;
+
+    IF b.booking_id IS NULL THEN
+        -- A token replaced by a transfer: the ticket now belongs to someone else
+        SELECT tp.name INTO v_transferred_to
+        FROM ticket_transfers tr
+        JOIN profiles tp ON tp.id = tr.to_user_id
+        JOIN bookings b3 ON b3.id = tr.booking_id
+        JOIN timeslots ts ON ts.id = b3.timeslot_id
+        WHERE tr.old_qr_token = p_qr_token AND ts.venue_id = p_venue_id
+        ORDER BY tr.responded_at DESC LIMIT 1;
+
+        IF v_transferred_to IS NOT NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'ticket_transferred', 'transferred_to', v_transferred_to);
+        END IF;
+
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_ticket');
+    END IF;
+
+    -- Whoever holds the ticket now, so a ban can't be dodged by
+    -- getting a friend to buy or pass on the ticket
+    SELECT * INTO ban FROM active_venue_bans(p_venue_id, b.holder_id) LIMIT 1;
+    IF ban.id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'error', 'code', 'guest_banned',
+            'booking_id', b.booking_id,
+            'user_name', b.user_name,
+            'user_avatar_url', b.user_avatar_url,
+            'ban_reason', ban.reason,
+            'ban_expires_at', ban.expires_at
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.booking_id,
+        'booking_status', b.booking_status,
+        'checked_in_at', b.checked_in_at,
+        'user_name', b.user_name,
+        'user_avatar_url', b.user_avatar_url,
+        'bought_by', b.bought_by,
+        'order_quantity', b.order_quantity,
+        'transfer_count', b.transfer_count,
+        'date', b.date,
+        'start_time', b.start_time,
+        'end_time', b.end_time,
+        'timeslot_description', b.ts_description,
+        'type', b.ts_type,
+        'label', b.ts_label,
+        'min_age', b.min_age,
+        'age_status', age_check_status(b.holder_id, b.min_age)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update checkin_queue_ticket — refuse underage guests; an
+--     unverified guest needs p_id_checked, which is logged
+-- ============================================================
+
+-- Replaces the one-argument version from V21
+DROP FUNCTION IF EXISTS checkin_queue_ticket(INT);
+
+CREATE OR REPLACE FUNCTION checkin_queue_ticket(p_booking_id INT, p_id_checked BOOLEAN DEFAULT FALSE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_capture_required BOOLEAN;
+    v_age_status TEXT;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT b2.*, ts.venue_id, v.capture_mode, v.min_age,
+           COALESCE(b2.assigned_to, b2.user_id) AS holder_id INTO b
+    FROM bookings b2
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.id = p_booking_id;
+
+    IF b.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT is_venue_staff(b.venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF b.status = 'checked_in' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_checked_in');
+    END IF;
+
+    IF b.status IN ('cancelled', 'expired') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'booking_cancelled');
+    END IF;
+
+    IF b.status = 'pending_payment' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'payment_pending');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM active_venue_bans(b.venue_id, b.holder_id)) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'guest_banned');
+    END IF;
+
+    v_age_status := age_check_status(b.holder_id, b.min_age);
+    IF v_age_status = 'underage' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'underage', 'min_age', b.min_age);
+    END IF;
+    IF v_age_status = 'unverified' AND NOT COALESCE(p_id_checked, false) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'id_check_required', 'min_age', b.min_age);
+    END IF;
+
+    UPDATE bookings SET status = 'checked_in', checked_in_at = NOW(), checked_in_by = current_uid
+    WHERE id = p_booking_id;
+
+    IF v_age_status = 'unverified' THEN
+        INSERT INTO id_check_overrides (venue_id, booking_id, user_id, min_age, staff_id)
+        VALUES (b.venue_id, p_booking_id, b.holder_id, b.min_age, current_uid);
+    END IF;
+
+    v_capture_required := b.capture_mode = 'checkin' AND EXISTS (
+        SELECT 1 FROM transactions
+        WHERE (booking_id = p_booking_id OR order_id = b.order_id)
+          AND payment_method = 'vipps' AND payment_state = 'authorized'
+    );
+
+    RETURN jsonb_build_object('status', 'success', 'capture_required', v_capture_required,
+        'age_status', v_age_status);
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update checkin_by_qr_token — same age gate for events
+-- ============================================================
+
+-- Replaces the two-argument version from V21
+DROP FUNCTION IF EXISTS checkin_by_qr_token(INTEGER, UUID);
+
+CREATE OR REPLACE FUNCTION checkin_by_qr_token(p_event_id INTEGER, p_qr_token UUID, p_id_checked BOOLEAN DEFAULT FALSE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    rsvp_row RECORD;
+    ev RECORD;
+    v_age_status TEXT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    SELECT r.*, p.name AS user_name, p.avatar_url AS user_avatar_url
+    INTO rsvp_row
+    FROM rsvps r
+    JOIN profiles p ON p.id = r.user_id
+    WHERE r.event_id = p_event_id AND r.qr_token = p_qr_token AND r.status = 'going';
+
+    IF rsvp_row IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_token');
+    END IF;
+
+    IF rsvp_row.kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'kicked');
+    END IF;
+
+    IF rsvp_row.checked_in_at IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'already',
+            'user_name', rsvp_row.user_name,
+            'user_avatar_url', rsvp_row.user_avatar_url,
+            'checked_in_at', rsvp_row.checked_in_at
+        );
+    END IF;
+
+    SELECT id, venue_id, min_age INTO ev FROM events WHERE id = p_event_id;
+    v_age_status := age_check_status(rsvp_row.user_id, ev.min_age);
+    IF v_age_status = 'underage' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'underage', 'min_age', ev.min_age,
+            'user_name', rsvp_row.user_name, 'user_avatar_url', rsvp_row.user_avatar_url);
+    END IF;
+    IF v_age_status = 'unverified' AND NOT COALESCE(p_id_checked, false) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'id_check_required', 'min_age', ev.min_age,
+            'user_name', rsvp_row.user_name, 'user_avatar_url', rsvp_row.user_avatar_url);
+    END IF;
+
+    UPDATE rsvps SET checked_in_at = NOW(), checked_in_by = current_uid WHERE id = rsvp_row.id;
+
+    IF v_age_status = 'unverified' THEN
+        INSERT INTO id_check_overrides (venue_id, event_id, rsvp_id, user_id, min_age, staff_id)
+        VALUES (ev.venue_id, p_event_id, rsvp_row.id, rsvp_row.user_id, ev.min_age, current_uid);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'user_name', rsvp_row.user_name,
+        'user_avatar_url', rsvp_row.user_avatar_url,
+        'checked_in_at', NOW(),
+        'min_age', ev.min_age,
+        'age_status', v_age_status
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update get_scanner_manifest — age checks for offline scans
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_scanner_manifest(p_venue_id INT DEFAULT NULL, p_event_id INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_local_now TIMESTAMP;
+    v_entries JSONB;
+BEGIN
+    current_uid := auth.uid();
+    v_local_now := NOW() AT TIME ZONE 'Europe/Oslo';
+
+    IF p_venue_id IS NOT NULL THEN
+        IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_entries
+        FROM (
+            SELECT jsonb_build_object(
+                'kind', 'booking', 'id', b.id,
+                'token_hash', scanner_token_hash(b.qr_token),
+                'status', b.status, 'checked_in_at', b.checked_in_at,
+                'user_name', COALESCE(ap.name, p.name),
+                'bought_by', CASE WHEN ap.id IS NOT NULL OR b.user_id != o.user_id THEN bp.name END,
+                'transfer_count', (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b.id AND tr.status = 'accepted'),
+                'timeslot_id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+                'type', ts.type, 'label', ts.label,
+                'banned', EXISTS (SELECT 1 FROM active_venue_bans(p_venue_id, COALESCE(b.assigned_to, b.user_id))),
+                'min_age', vn.min_age,
+                'age_status', age_check_status(COALESCE(b.assigned_to, b.user_id), vn.min_age)
+            ) AS e
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            JOIN venues vn ON vn.id = ts.venue_id
+            JOIN profiles p ON p.id = b.user_id
+            LEFT JOIN profiles ap ON ap.id = b.assigned_to
+            LEFT JOIN booking_orders o ON o.id = b.order_id
+            LEFT JOIN profiles bp ON bp.id = o.user_id
+            WHERE ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+              AND b.status IN ('confirmed', 'checked_in')
+
+            UNION ALL
+
+            -- Tokens replaced by a transfer, so the door can say who has the ticket now
+            SELECT jsonb_build_object(
+                'kind', 'transferred',
+                'token_hash', scanner_token_hash(tr.old_qr_token),
+                'transferred_to', tp.name
+            )
+            FROM ticket_transfers tr
+            JOIN profiles tp ON tp.id = tr.to_user_id
+            JOIN bookings b ON b.id = tr.booking_id
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE tr.old_qr_token IS NOT NULL AND ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+        ) entries;
+
+    ELSIF p_event_id IS NOT NULL THEN
+        IF NOT is_event_admin(p_event_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'kind', 'rsvp', 'id', r.id,
+            'token_hash', scanner_token_hash(r.qr_token),
+            'checked_in_at', r.checked_in_at,
+            'user_name', p.name,
+            'min_age', ev.min_age,
+            'age_status', age_check_status(r.user_id, ev.min_age)
+        )), '[]'::jsonb) INTO v_entries
+        FROM rsvps r
+        JOIN events ev ON ev.id = r.event_id
+        JOIN profiles p ON p.id = r.user_id
+        WHERE r.event_id = p_event_id AND r.status = 'going'
+          AND r.qr_token IS NOT NULL AND r.kicked_at IS NULL;
+
+    ELSE
+        RETURN jsonb_build_object('status', 'error', 'code', 'missing_scope');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'venue_id', p_venue_id,
+        'event_id', p_event_id,
+        'generated_at', NOW(),
+        'expires_at', NOW() + INTERVAL '12 hours',
+        'entries', v_entries
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update sync_offline_checkins — same age gate; queued items
+--     carry id_checked when staff looked at an ID
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION sync_offline_checkins(p_device_id TEXT, p_checkins JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    item JSONB;
+    v_client_id UUID;
+    v_kind TEXT;
+    v_id INT;
+    v_scanned_at TIMESTAMPTZ;
+    v_outcome TEXT;
+    v_code TEXT;
+    v_capture BOOLEAN;
+    v_first_at TIMESTAMPTZ;
+    v_first_by TEXT;
+    v_id_checked BOOLEAN;
+    v_age_status TEXT;
+    v_min_age INT;
+    v_event_venue_id INT;
+    prior RECORD;
+    b RECORD;
+    r RECORD;
+    results JSONB := '[]'::jsonb;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_checkins, '[]'::jsonb))
+        ORDER BY (value->>'scanned_at')::timestamptz
+    LOOP
+        v_client_id := (item->>'client_id')::UUID;
+        v_kind := item->>'kind';
+        v_id := (item->>'id')::INT;
+        -- A device clock running ahead must not date a check-in in the future
+        v_scanned_at := LEAST((item->>'scanned_at')::timestamptz, NOW());
+        v_outcome := NULL;
+        v_code := NULL;
+        v_capture := false;
+        v_first_at := NULL;
+        v_first_by := NULL;
+        v_id_checked := COALESCE((item->>'id_checked')::BOOLEAN, false);
+
+        -- Already synced: report the stored outcome again
+        SELECT * INTO prior FROM offline_checkins WHERE client_id = v_client_id;
+        IF prior.id IS NOT NULL THEN
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', prior.outcome, 'code', prior.code);
+            CONTINUE;
+        END IF;
+
+        IF v_kind = 'booking' THEN
+            SELECT b2.*, ts.venue_id, v.capture_mode, v.min_age, COALESCE(ap.name, p.name) AS user_name,
+                   COALESCE(b2.assigned_to, b2.user_id) AS holder_id INTO b
+            FROM bookings b2
+            JOIN timeslots ts ON ts.id = b2.timeslot_id
+            JOIN venues v ON v.id = ts.venue_id
+            JOIN profiles p ON p.id = b2.user_id
+            LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+            WHERE b2.id = v_id
+            FOR UPDATE OF b2;
+
+            IF b.id IS NULL OR NOT is_venue_staff(b.venue_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN b.id IS NULL THEN 'not_found' ELSE 'not_staff' END);
+                CONTINUE;
+            END IF;
+
+            IF b.status = 'checked_in' THEN
+                v_outcome := 'conflict';
+                v_first_at := b.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = b.checked_in_by;
+                -- Keep the earliest scan as the check-in time
+                UPDATE bookings SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSIF b.status IN ('cancelled', 'expired') THEN
+                v_outcome := 'rejected';
+                v_code := 'booking_cancelled';
+            ELSIF b.status = 'pending_payment' THEN
+                v_outcome := 'rejected';
+                v_code := 'payment_pending';
+            ELSIF EXISTS (SELECT 1 FROM active_venue_bans(b.venue_id, b.holder_id)) THEN
+                v_outcome := 'rejected';
+                v_code := 'guest_banned';
+            ELSIF age_check_status(b.holder_id, b.min_age) = 'underage' THEN
+                v_outcome := 'rejected';
+                v_code := 'underage';
+            ELSIF age_check_status(b.holder_id, b.min_age) = 'unverified' AND NOT v_id_checked THEN
+                v_outcome := 'rejected';
+                v_code := 'id_check_required';
+            ELSE
+                v_outcome := 'applied';
+                UPDATE bookings SET status = 'checked_in', checked_in_at = v_scanned_at, checked_in_by = current_uid
+                WHERE id = v_id;
+
+                IF age_check_status(b.holder_id, b.min_age) = 'unverified' THEN
+                    INSERT INTO id_check_overrides (venue_id, booking_id, user_id, min_age, staff_id, created_at)
+                    VALUES (b.venue_id, v_id, b.holder_id, b.min_age, current_uid, v_scanned_at);
+                END IF;
+
+                v_capture := b.capture_mode = 'checkin' AND EXISTS (
+                    SELECT 1 FROM transactions
+                    WHERE (booking_id = v_id OR order_id = b.order_id)
+                      AND payment_method = 'vipps' AND payment_state = 'authorized'
+                );
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, booking_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', b.user_name,
+                'scanned_at', v_scanned_at, 'capture_required', v_capture,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSIF v_kind = 'rsvp' THEN
+            SELECT r2.*, p.name AS user_name INTO r
+            FROM rsvps r2 JOIN profiles p ON p.id = r2.user_id
+            WHERE r2.id = v_id
+            FOR UPDATE OF r2;
+
+            IF r.id IS NULL OR NOT is_event_admin(r.event_id, current_uid) THEN
+                results := results || jsonb_build_object(
+                    'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                    'outcome', 'rejected', 'code', CASE WHEN r.id IS NULL THEN 'not_found' ELSE 'not_creator' END);
+                CONTINUE;
+            END IF;
+
+            IF r.status != 'going' OR r.qr_token IS NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'invalid_token';
+            ELSIF r.kicked_at IS NOT NULL THEN
+                v_outcome := 'rejected';
+                v_code := 'kicked';
+            ELSIF r.checked_in_at IS NOT NULL THEN
+                v_outcome := 'conflict';
+                v_first_at := r.checked_in_at;
+                SELECT name INTO v_first_by FROM profiles WHERE id = r.checked_in_by;
+                UPDATE rsvps SET checked_in_at = LEAST(checked_in_at, v_scanned_at) WHERE id = v_id;
+            ELSE
+                SELECT min_age, venue_id INTO v_min_age, v_event_venue_id FROM events WHERE id = r.event_id;
+                v_age_status := age_check_status(r.user_id, v_min_age);
+                IF v_age_status = 'underage' THEN
+                    v_outcome := 'rejected';
+                    v_code := 'underage';
+                ELSIF v_age_status = 'unverified' AND NOT v_id_checked THEN
+                    v_outcome := 'rejected';
+                    v_code := 'id_check_required';
+                ELSE
+                    v_outcome := 'applied';
+                    UPDATE rsvps SET checked_in_at = v_scanned_at, checked_in_by = current_uid WHERE id = v_id;
+
+                    IF v_age_status = 'unverified' THEN
+                        INSERT INTO id_check_overrides (venue_id, event_id, rsvp_id, user_id, min_age, staff_id, created_at)
+                        VALUES (v_event_venue_id, r.event_id, v_id, r.user_id, v_min_age, current_uid, v_scanned_at);
+                    END IF;
+                END IF;
+            END IF;
+
+            INSERT INTO offline_checkins (client_id, device_id, staff_id, rsvp_id, scanned_at, outcome, code)
+            VALUES (v_client_id, p_device_id, current_uid, v_id, v_scanned_at, v_outcome, v_code);
+
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', v_outcome, 'code', v_code, 'user_name', r.user_name,
+                'scanned_at', v_scanned_at,
+                'first_checked_in_at', v_first_at, 'first_checked_in_by', v_first_by);
+
+        ELSE
+            results := results || jsonb_build_object(
+                'client_id', v_client_id, 'kind', v_kind, 'id', v_id,
+                'outcome', 'rejected', 'code', 'invalid_kind');
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('status', 'success', 'results', results);
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update get_venue_safety — include the ID override log
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_safety(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ban_list JSONB;
+    incident_list JSONB;
+    override_list JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vb.id, 'user_id', vb.user_id, 'user_name', p.name, 'user_email', p.email,
+        'reason', vb.reason, 'expires_at', vb.expires_at, 'incident_id', vb.incident_id,
+        'created_at', vb.created_at, 'created_by_name', cp.name
+    ) ORDER BY vb.created_at DESC), '[]'::jsonb) INTO ban_list
+    FROM venue_bans vb
+    JOIN profiles p ON p.id = vb.user_id
+    LEFT JOIN profiles cp ON cp.id = vb.created_by
+    WHERE vb.venue_id = p_venue_id
+      AND vb.lifted_at IS NULL AND (vb.expires_at IS NULL OR vb.expires_at > NOW());
+
+    SELECT COALESCE(jsonb_agg(i ORDER BY (i->>'created_at') DESC), '[]'::jsonb) INTO incident_list
+    FROM (
+        SELECT jsonb_build_object(
+            'id', vi.id, 'kind', vi.kind, 'description', vi.description,
+            'user_id', vi.user_id, 'user_name', p.name, 'guest_description', vi.guest_description,
+            'booking_id', vi.booking_id, 'reported_by_name', rp.name, 'created_at', vi.created_at,
+            'banned', vi.user_id IS NOT NULL AND EXISTS (SELECT 1 FROM active_venue_bans(p_venue_id, vi.user_id))
+        ) AS i
+        FROM venue_incidents vi
+        LEFT JOIN profiles p ON p.id = vi.user_id
+        LEFT JOIN profiles rp ON rp.id = vi.reported_by
+        WHERE vi.venue_id = p_venue_id
+        ORDER BY vi.created_at DESC
+        LIMIT 100
+    ) recent;
+
+    SELECT COALESCE(jsonb_agg(o ORDER BY (o->>'created_at') DESC), '[]'::jsonb) INTO override_list
+    FROM (
+        SELECT jsonb_build_object(
+            'id', io.id, 'user_name', p.name, 'min_age', io.min_age,
+            'staff_name', sp.name, 'event_title', ev.title, 'created_at', io.created_at
+        ) AS o
+        FROM id_check_overrides io
+        LEFT JOIN profiles p ON p.id = io.user_id
+        LEFT JOIN profiles sp ON sp.id = io.staff_id
+        LEFT JOIN events ev ON ev.id = io.event_id
+        WHERE io.venue_id = p_venue_id
+        ORDER BY io.created_at DESC
+        LIMIT 100
+    ) recent;
+
+    RETURN jsonb_build_object('status', 'success', 'bans', ban_list, 'incidents', incident_list,
+        'id_overrides', override_list);
+END;
+$$;
@@ -0,0 +1,200 @@
+-- ============================================================
+-- Migration V25: Venue analytics
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- Sales (revenue, tickets sold) are counted on the day of the sale.
+-- Attendance (sell-through, no-shows, arrivals) is counted on the
+-- timeslot's date. Days are Oslo days.
+
+-- ============================================================
+-- 1A. venue_analytics_totals — headline numbers for a date range
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION venue_analytics_totals(p_venue_id INT, p_from DATE, p_to DATE)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_revenue INT;
+    v_tickets INT;
+    v_capacity INT;
+    v_sold INT;
+    v_attended INT;
+    v_no_shows INT;
+    v_new_followers INT;
+BEGIN
+    -- Revenue is money captured minus refunds, as on the dashboard
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0) INTO v_revenue
+    FROM transactions t
+    JOIN bookings b ON b.id = t.booking_id
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id
+      AND (t.created_at AT TIME ZONE 'Europe/Oslo')::date BETWEEN p_from AND p_to;
+
+    SELECT COUNT(*) INTO v_tickets
+    FROM bookings b
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND b.status IN ('confirmed', 'checked_in')
+      AND (b.created_at AT TIME ZONE 'Europe/Oslo')::date BETWEEN p_from AND p_to;
+
+    SELECT COALESCE(SUM(ts.capacity), 0),
+           COALESCE(SUM((SELECT COUNT(*) FROM bookings b
+                         WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in'))), 0)
+    INTO v_capacity, v_sold
+    FROM timeslots ts
+    WHERE ts.venue_id = p_venue_id AND ts.date BETWEEN p_from AND p_to;
+
+    -- Only timeslots that are over can have no-shows
+    SELECT COUNT(*) FILTER (WHERE b.status = 'checked_in'),
+           COUNT(*) FILTER (WHERE b.status = 'confirmed')
+    INTO v_attended, v_no_shows
+    FROM bookings b
+    JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date BETWEEN p_from AND p_to
+      AND ts.date < (NOW() AT TIME ZONE 'Europe/Oslo')::date;
+
+    SELECT COUNT(*) INTO v_new_followers
+    FROM venue_follows
+    WHERE venue_id = p_venue_id
+      AND (created_at AT TIME ZONE 'Europe/Oslo')::date BETWEEN p_from AND p_to;
+
+    RETURN jsonb_build_object(
+        'revenue', v_revenue,
+        'tickets', v_tickets,
+        'capacity', v_capacity,
+        'sold', v_sold,
+        'sell_through', CASE WHEN v_capacity > 0 THEN ROUND(v_sold * 100.0 / v_capacity, 1) END,
+        'attended', v_attended,
+        'no_shows', v_no_shows,
+        'no_show_rate', CASE WHEN v_attended + v_no_shows > 0
+                             THEN ROUND(v_no_shows * 100.0 / (v_attended + v_no_shows), 1) END,
+        'new_followers', v_new_followers
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION venue_analytics_totals(INT, DATE, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1B. venue_analytics_series — one row per day
+-- ============================================================
+
+-- Unfollowing deletes the venue_follows row, so followers on a past
+-- day are the current followers who had followed by then.
+CREATE OR REPLACE FUNCTION venue_analytics_series(p_venue_id INT, p_from DATE, p_to DATE)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'day', d.day,
+        'revenue', COALESCE((
+            SELECT SUM(t.captured_amount - t.refunded_amount)
+            FROM transactions t
+            JOIN bookings b ON b.id = t.booking_id
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE ts.venue_id = p_venue_id
+              AND (t.created_at AT TIME ZONE 'Europe/Oslo')::date = d.day
+        ), 0),
+        'tickets', (
+            SELECT COUNT(*)
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE ts.venue_id = p_venue_id AND b.status IN ('confirmed', 'checked_in')
+              AND (b.created_at AT TIME ZONE 'Europe/Oslo')::date = d.day
+        ),
+        'followers', (
+            SELECT COUNT(*) FROM venue_follows vf
+            WHERE vf.venue_id = p_venue_id
+              AND (vf.created_at AT TIME ZONE 'Europe/Oslo')::date <= d.day
+        )
+    ) ORDER BY d.day), '[]'::jsonb)
+    FROM (SELECT generate_series(p_from, p_to, INTERVAL '1 day')::date AS day) d;
+$$;
+
+REVOKE EXECUTE ON FUNCTION venue_analytics_series(INT, DATE, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1C. get_venue_analytics — a date range against the one before it
+-- ============================================================
+
+-- The previous period is the same number of days right before p_from.
+-- Arrivals are check-ins per half hour of the night, starting 06:00.
+CREATE OR REPLACE FUNCTION get_venue_analytics(p_venue_id INT, p_from DATE, p_to DATE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_days INT;
+    v_prev_from DATE;
+    v_prev_to DATE;
+    v_sell_through JSONB;
+    v_arrivals JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_from IS NULL OR p_to IS NULL OR p_to < p_from OR p_to - p_from > 366 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_range');
+    END IF;
+
+    v_days := p_to - p_from + 1;
+    v_prev_to := p_from - 1;
+    v_prev_from := p_from - v_days;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'type', s.type, 'timeslots', s.timeslots, 'capacity', s.capacity, 'sold', s.sold,
+        'sell_through', CASE WHEN s.capacity > 0 THEN ROUND(s.sold * 100.0 / s.capacity, 1) END
+    ) ORDER BY s.type), '[]'::jsonb) INTO v_sell_through
+    FROM (
+        SELECT ts.type, COUNT(*) AS timeslots, SUM(ts.capacity) AS capacity,
+               SUM((SELECT COUNT(*) FROM bookings b
+                    WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in'))) AS sold
+        FROM timeslots ts
+        WHERE ts.venue_id = p_venue_id AND ts.date BETWEEN p_from AND p_to
+        GROUP BY ts.type
+    ) s;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object('slot', a.slot, 'count', a.count) ORDER BY a.night_minute), '[]'::jsonb)
+    INTO v_arrivals
+    FROM (
+        SELECT to_char(date_trunc('hour', local_at) + floor(extract(minute FROM local_at) / 30) * INTERVAL '30 minutes', 'HH24:MI') AS slot,
+               MIN(((extract(hour FROM local_at)::INT * 60 + extract(minute FROM local_at)::INT) - 360 + 1440) % 1440) AS night_minute,
+               COUNT(*) AS count
+        FROM (
+            SELECT b.checked_in_at AT TIME ZONE 'Europe/Oslo' AS local_at
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE ts.venue_id = p_venue_id AND ts.date BETWEEN p_from AND p_to
+              AND b.checked_in_at IS NOT NULL
+        ) c
+        GROUP BY 1
+    ) a;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'from', p_from,
+        'to', p_to,
+        'previous_from', v_prev_from,
+        'previous_to', v_prev_to,
+        'totals', venue_analytics_totals(p_venue_id, p_from, p_to),
+        'previous_totals', venue_analytics_totals(p_venue_id, v_prev_from, v_prev_to),
+        'series', venue_analytics_series(p_venue_id, p_from, p_to),
+        'previous_series', venue_analytics_series(p_venue_id, v_prev_from, v_prev_to),
+        'sell_through', v_sell_through,
+        'arrivals', v_arrivals
+    );
+END;
+$$;
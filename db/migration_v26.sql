@@ -0,0 +1,437 @@
+-- ============================================================
+-- Migration V26: Venue settlements and payout statements
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. platform_fee_rules — what Hapn keeps from each sale
+-- ============================================================
+
+-- A rule applies from valid_from until a newer one takes over. Rules
+-- with a venue_id beat the default rule (venue_id NULL). Rules are
+-- written by Hapn with the service role, e.g.
+--   INSERT INTO platform_fee_rules (venue_id, percent, fixed_fee, valid_from, note)
+--   VALUES (NULL, 5, 0, '2026-01-01', 'Standard');
+-- With no rule at all, no fee is charged.
+CREATE TABLE IF NOT EXISTS platform_fee_rules (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER REFERENCES venues(id) ON DELETE CASCADE,
+    percent         NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (percent BETWEEN 0 AND 100),
+    fixed_fee       INTEGER NOT NULL DEFAULT 0 CHECK (fixed_fee >= 0),   -- øre per paid order
+    valid_from      DATE NOT NULL DEFAULT CURRENT_DATE,
+    note            TEXT,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_platform_fee_rules_lookup ON platform_fee_rules(venue_id, valid_from DESC);
+
+ALTER TABLE platform_fee_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view their fee rules" ON platform_fee_rules;
+CREATE POLICY "Managers can view their fee rules"
+    ON platform_fee_rules FOR SELECT USING (
+        venue_id IS NULL OR is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager'])
+    );
+
+CREATE OR REPLACE FUNCTION platform_fee_rule_for(p_venue_id INT, p_on DATE)
+RETURNS SETOF platform_fee_rules
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT * FROM platform_fee_rules
+    WHERE (venue_id = p_venue_id OR venue_id IS NULL) AND valid_from <= p_on
+    ORDER BY venue_id NULLS LAST, valid_from DESC, id DESC
+    LIMIT 1;
+$$;
+
+REVOKE EXECUTE ON FUNCTION platform_fee_rule_for(INT, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1B. Payout period per venue
+-- ============================================================
+
+ALTER TABLE venues
+    ADD COLUMN IF NOT EXISTS payout_period TEXT NOT NULL DEFAULT 'monthly'
+        CHECK (payout_period IN ('weekly', 'monthly'));
+
+-- Last day of the weekly (Monday–Sunday) or monthly period holding p_day
+CREATE OR REPLACE FUNCTION settlement_period_end(p_period TEXT, p_day DATE)
+RETURNS DATE
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE p_period
+        WHEN 'weekly' THEN date_trunc('week', p_day)::date + 6
+        ELSE (date_trunc('month', p_day) + INTERVAL '1 month')::date - 1
+    END;
+$$;
+
+-- ============================================================
+-- 1C. settlement_statements and settlement_entries
+-- ============================================================
+
+-- A statement is closed once its period is over and never changes
+-- after that. Each entry is what one transaction adds to the payout.
+-- A refund or capture after the close shows up in a later statement
+-- as an adjustment entry holding the difference.
+CREATE TABLE IF NOT EXISTS settlement_statements (
+    id                  SERIAL PRIMARY KEY,
+    venue_id            INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    period              TEXT NOT NULL CHECK (period IN ('weekly', 'monthly')),
+    period_start        DATE NOT NULL,
+    period_end          DATE NOT NULL,
+    transaction_count   INTEGER NOT NULL DEFAULT 0,
+    captured            INTEGER NOT NULL DEFAULT 0,
+    refunded            INTEGER NOT NULL DEFAULT 0,
+    fees                INTEGER NOT NULL DEFAULT 0,
+    net                 INTEGER NOT NULL DEFAULT 0,
+    closed_at           TIMESTAMPTZ DEFAULT NOW(),
+    paid_at             TIMESTAMPTZ,
+    payout_reference    TEXT,
+    UNIQUE (venue_id, period_start)
+);
+
+CREATE TABLE IF NOT EXISTS settlement_entries (
+    id              SERIAL PRIMARY KEY,
+    statement_id    INTEGER NOT NULL REFERENCES settlement_statements(id) ON DELETE CASCADE,
+    transaction_id  INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    is_adjustment   BOOLEAN NOT NULL DEFAULT FALSE,
+    captured        INTEGER NOT NULL DEFAULT 0,
+    refunded        INTEGER NOT NULL DEFAULT 0,
+    fee             INTEGER NOT NULL DEFAULT 0,
+    net             INTEGER NOT NULL DEFAULT 0,
+    fee_rule_id     INTEGER REFERENCES platform_fee_rules(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlement_entries_statement ON settlement_entries(statement_id);
+CREATE INDEX IF NOT EXISTS idx_settlement_entries_tx ON settlement_entries(transaction_id);
+
+ALTER TABLE settlement_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE settlement_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view statements" ON settlement_statements;
+CREATE POLICY "Managers can view statements"
+    ON settlement_statements FOR SELECT USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Managers can view statement entries" ON settlement_entries;
+CREATE POLICY "Managers can view statement entries"
+    ON settlement_entries FOR SELECT USING (
+        EXISTS (SELECT 1 FROM settlement_statements s
+                WHERE s.id = statement_id AND is_venue_staff(s.venue_id, auth.uid(), ARRAY['owner','manager']))
+    );
+
+-- ============================================================
+-- 1D. settlement_due — what the next statement would contain
+-- ============================================================
+
+-- Transactions count once the money has moved or the payment is over:
+-- still-pending and authorized-but-uncaptured payments wait. The fee
+-- is taken from what the venue keeps after refunds, using the rule in
+-- force on the day of the sale, so a full refund costs no fee.
+CREATE OR REPLACE FUNCTION settlement_due(p_venue_id INT, p_to DATE)
+RETURNS TABLE (
+    transaction_id INT, is_adjustment BOOLEAN,
+    captured INT, refunded INT, fee INT, net INT, fee_rule_id INT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH current_values AS (
+        SELECT t.id, t.payment_state, t.captured_amount AS captured, t.refunded_amount AS refunded,
+               r.id AS rule_id,
+               CASE WHEN t.captured_amount - t.refunded_amount > 0
+                    THEN ROUND((t.captured_amount - t.refunded_amount) * COALESCE(r.percent, 0) / 100)::INT
+                         + COALESCE(r.fixed_fee, 0)
+                    ELSE 0 END AS fee
+        FROM transactions t
+        JOIN bookings b ON b.id = t.booking_id
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        LEFT JOIN LATERAL platform_fee_rule_for(p_venue_id, (t.created_at AT TIME ZONE 'Europe/Oslo')::date) r ON TRUE
+        WHERE ts.venue_id = p_venue_id
+          AND t.status IN ('completed', 'refunded', 'cancelled')
+          AND (t.created_at AT TIME ZONE 'Europe/Oslo')::date <= p_to
+    ),
+    settled AS (
+        SELECT e.transaction_id, SUM(e.captured) AS captured, SUM(e.refunded) AS refunded, SUM(e.fee) AS fee
+        FROM settlement_entries e
+        JOIN settlement_statements s ON s.id = e.statement_id
+        WHERE s.venue_id = p_venue_id AND e.transaction_id IS NOT NULL
+        GROUP BY e.transaction_id
+    )
+    SELECT c.id,
+           s.transaction_id IS NOT NULL,
+           c.captured - COALESCE(s.captured, 0)::INT,
+           c.refunded - COALESCE(s.refunded, 0)::INT,
+           c.fee - COALESCE(s.fee, 0)::INT,
+           (c.captured - c.refunded - c.fee) - COALESCE(s.captured - s.refunded - s.fee, 0)::INT,
+           c.rule_id
+    FROM current_values c
+    LEFT JOIN settled s ON s.transaction_id = c.id
+    WHERE (s.transaction_id IS NULL AND c.payment_state NOT IN ('created', 'authorized'))
+       OR (s.transaction_id IS NOT NULL
+           AND (c.captured <> s.captured OR c.refunded <> s.refunded OR c.fee <> s.fee));
+$$;
+
+REVOKE EXECUTE ON FUNCTION settlement_due(INT, DATE) FROM PUBLIC, anon, authenticated;
+
+-- The period the next statement will cover: right after the last
+-- closed one, or from the venue's first sale
+CREATE OR REPLACE FUNCTION next_settlement_period(p_venue_id INT)
+RETURNS TABLE (period TEXT, period_start DATE, period_end DATE)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_period TEXT;
+    v_start DATE;
+BEGIN
+    SELECT payout_period INTO v_period FROM venues WHERE id = p_venue_id;
+
+    SELECT MAX(s.period_end) + 1 INTO v_start FROM settlement_statements s WHERE s.venue_id = p_venue_id;
+
+    IF v_start IS NULL THEN
+        SELECT MIN((t.created_at AT TIME ZONE 'Europe/Oslo')::date) INTO v_start
+        FROM transactions t
+        JOIN bookings b ON b.id = t.booking_id
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        WHERE ts.venue_id = p_venue_id;
+
+        v_start := COALESCE(v_start, (NOW() AT TIME ZONE 'Europe/Oslo')::date);
+        v_start := CASE v_period WHEN 'weekly' THEN date_trunc('week', v_start)::date
+                                 ELSE date_trunc('month', v_start)::date END;
+    END IF;
+
+    -- After a switch between weekly and monthly the first period runs
+    -- to the end of the new period it starts in
+    RETURN QUERY SELECT v_period, v_start, settlement_period_end(v_period, v_start);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION next_settlement_period(INT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1E. close_settlement_statements — close every finished period
+--     (run via pg_cron or manually)
+-- ============================================================
+
+-- SELECT cron.schedule('close-settlements', '0 4 * * *', 'SELECT close_settlement_statements()');
+CREATE OR REPLACE FUNCTION close_settlement_statements()
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v RECORD;
+    np RECORD;
+    v_statement_id INT;
+    v_today DATE := (NOW() AT TIME ZONE 'Europe/Oslo')::date;
+    v_closed INT := 0;
+BEGIN
+    FOR v IN
+        SELECT DISTINCT ts.venue_id AS id
+        FROM transactions t
+        JOIN bookings b ON b.id = t.booking_id
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+    LOOP
+        -- Serialize with a concurrent run for the same venue
+        PERFORM 1 FROM venues WHERE id = v.id FOR UPDATE;
+
+        LOOP
+            SELECT * INTO np FROM next_settlement_period(v.id);
+            EXIT WHEN np.period_end >= v_today;
+
+            INSERT INTO settlement_statements (venue_id, period, period_start, period_end)
+            VALUES (v.id, np.period, np.period_start, np.period_end)
+            RETURNING id INTO v_statement_id;
+
+            INSERT INTO settlement_entries (statement_id, transaction_id, is_adjustment, captured, refunded, fee, net, fee_rule_id)
+            SELECT v_statement_id, d.transaction_id, d.is_adjustment, d.captured, d.refunded, d.fee, d.net, d.fee_rule_id
+            FROM settlement_due(v.id, np.period_end) d;
+
+            UPDATE settlement_statements s SET
+                transaction_count = e.n, captured = e.captured, refunded = e.refunded, fees = e.fee, net = e.net
+            FROM (
+                SELECT COUNT(*) AS n, COALESCE(SUM(captured), 0) AS captured, COALESCE(SUM(refunded), 0) AS refunded,
+                       COALESCE(SUM(fee), 0) AS fee, COALESCE(SUM(net), 0) AS net
+                FROM settlement_entries WHERE statement_id = v_statement_id
+            ) e
+            WHERE s.id = v_statement_id;
+
+            v_closed := v_closed + 1;
+        END LOOP;
+    END LOOP;
+
+    RETURN v_closed;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION close_settlement_statements() FROM PUBLIC, anon, authenticated;
+
+-- Hapn records the bank transfer once a statement has been paid out
+CREATE OR REPLACE FUNCTION mark_settlement_paid(p_statement_id INT, p_payout_reference TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE settlement_statements
+    SET paid_at = NOW(), payout_reference = p_payout_reference
+    WHERE id = p_statement_id AND paid_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found_or_paid');
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION mark_settlement_paid(INT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1F. get_venue_settlements — statements and the open period
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_settlements(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    np RECORD;
+    rule RECORD;
+    v_open JSONB;
+    v_statements JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO np FROM next_settlement_period(p_venue_id);
+    SELECT * INTO rule FROM platform_fee_rule_for(p_venue_id, (NOW() AT TIME ZONE 'Europe/Oslo')::date);
+
+    SELECT jsonb_build_object(
+        'period', np.period, 'period_start', np.period_start, 'period_end', np.period_end,
+        'transaction_count', COUNT(*),
+        'captured', COALESCE(SUM(d.captured), 0), 'refunded', COALESCE(SUM(d.refunded), 0),
+        'fees', COALESCE(SUM(d.fee), 0), 'net', COALESCE(SUM(d.net), 0)
+    ) INTO v_open
+    FROM settlement_due(p_venue_id, np.period_end) d;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', s.id, 'period', s.period, 'period_start', s.period_start, 'period_end', s.period_end,
+        'transaction_count', s.transaction_count, 'captured', s.captured, 'refunded', s.refunded,
+        'fees', s.fees, 'net', s.net, 'closed_at', s.closed_at,
+        'paid_at', s.paid_at, 'payout_reference', s.payout_reference
+    ) ORDER BY s.period_start DESC), '[]'::jsonb) INTO v_statements
+    FROM settlement_statements s WHERE s.venue_id = p_venue_id;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'payout_period', np.period,
+        'fee_rule', CASE WHEN rule.id IS NOT NULL THEN jsonb_build_object(
+            'percent', rule.percent, 'fixed_fee', rule.fixed_fee, 'valid_from', rule.valid_from) END,
+        'open', v_open,
+        'statements', v_statements
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. get_settlement_statement — one statement with every line.
+--     NULL p_statement_id gives the open period so far.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_settlement_statement(p_venue_id INT, p_statement_id INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    st RECORD;
+    np RECORD;
+    v_statement JSONB;
+    v_entries JSONB;
+    v_lines JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT id, name, address INTO v FROM venues WHERE id = p_venue_id;
+
+    IF p_statement_id IS NULL THEN
+        SELECT * INTO np FROM next_settlement_period(p_venue_id);
+        v_statement := jsonb_build_object(
+            'id', NULL, 'period', np.period, 'period_start', np.period_start, 'period_end', np.period_end,
+            'closed_at', NULL, 'paid_at', NULL, 'payout_reference', NULL);
+        SELECT COALESCE(jsonb_agg(to_jsonb(d)), '[]'::jsonb) INTO v_entries
+        FROM settlement_due(p_venue_id, np.period_end) d;
+    ELSE
+        SELECT * INTO st FROM settlement_statements WHERE id = p_statement_id AND venue_id = p_venue_id;
+        IF st.id IS NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+        END IF;
+        v_statement := jsonb_build_object(
+            'id', st.id, 'period', st.period, 'period_start', st.period_start, 'period_end', st.period_end,
+            'closed_at', st.closed_at, 'paid_at', st.paid_at, 'payout_reference', st.payout_reference);
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'transaction_id', e.transaction_id, 'is_adjustment', e.is_adjustment,
+            'captured', e.captured, 'refunded', e.refunded, 'fee', e.fee, 'net', e.net,
+            'fee_rule_id', e.fee_rule_id
+        )), '[]'::jsonb) INTO v_entries
+        FROM settlement_entries e WHERE e.statement_id = p_statement_id;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(e.entry || jsonb_build_object(
+        'created_at', t.created_at,
+        'status', t.status,
+        'payment_state', t.payment_state,
+        'payment_method', t.payment_method,
+        'vipps_reference', t.vipps_reference,
+        'buyer_name', p.name,
+        'quantity', COALESCE(o.quantity, 1),
+        'timeslot_date', ts.date,
+        'timeslot_type', ts.type
+    ) ORDER BY t.created_at, t.id), '[]'::jsonb) INTO v_lines
+    FROM jsonb_array_elements(v_entries) AS e(entry)
+    LEFT JOIN transactions t ON t.id = (e.entry->>'transaction_id')::INT
+    LEFT JOIN profiles p ON p.id = t.user_id
+    LEFT JOIN booking_orders o ON o.id = t.order_id
+    LEFT JOIN bookings b ON b.id = t.booking_id
+    LEFT JOIN timeslots ts ON ts.id = b.timeslot_id;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'address', v.address),
+        'statement', v_statement,
+        'totals', (
+            SELECT jsonb_build_object(
+                'transaction_count', COUNT(*),
+                'captured', COALESCE(SUM((l->>'captured')::INT), 0),
+                'refunded', COALESCE(SUM((l->>'refunded')::INT), 0),
+                'fees', COALESCE(SUM((l->>'fee')::INT), 0),
+                'net', COALESCE(SUM((l->>'net')::INT), 0))
+            FROM jsonb_array_elements(v_lines) l
+        ),
+        'lines', v_lines
+    );
+END;
+$$;
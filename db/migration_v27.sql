@@ -0,0 +1,308 @@
+-- ============================================================
+-- Migration V27: Recurring timeslot templates
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. timeslot_templates + template link on timeslots
+-- ============================================================
+
+-- A template is a weekly pattern. Timeslots are generated from it
+-- weeks_ahead weeks forward and are normal rows in timeslots after
+-- that. Queue templates split from_time–to_time into slot_duration
+-- slots; ticket and table templates make one timeslot for the whole
+-- range, which may run past midnight.
+CREATE TABLE IF NOT EXISTS timeslot_templates (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    name            TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    type            TEXT NOT NULL CHECK (type IN ('queue', 'ticket', 'table')),
+    weekdays        INTEGER[] NOT NULL,                 -- EXTRACT(DOW): 0 = Sunday
+    from_time       TIME NOT NULL,
+    to_time         TIME NOT NULL,
+    slot_duration   INTEGER CHECK (slot_duration BETWEEN 5 AND 240),
+    price           INTEGER NOT NULL DEFAULT 0 CHECK (price >= 0),
+    capacity        INTEGER NOT NULL CHECK (capacity > 0),
+    label           TEXT,
+    description     TEXT,
+    weeks_ahead     INTEGER NOT NULL DEFAULT 4 CHECK (weeks_ahead BETWEEN 1 AND 26),
+    paused          BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by      UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (weekdays <@ ARRAY[0,1,2,3,4,5,6] AND cardinality(weekdays) > 0),
+    CHECK (type != 'queue' OR (slot_duration IS NOT NULL AND to_time > from_time)),
+    CHECK (type != 'table' OR label IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_timeslot_templates_venue ON timeslot_templates(venue_id);
+
+ALTER TABLE timeslots ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES timeslot_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_timeslots_template ON timeslots(template_id, date);
+
+ALTER TABLE timeslot_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers can view templates" ON timeslot_templates;
+CREATE POLICY "Managers can view templates"
+    ON timeslot_templates FOR SELECT USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+-- Writes go through the SECURITY DEFINER RPCs below.
+
+-- ============================================================
+-- 1B. materialize_timeslot_template — create missing timeslots
+-- ============================================================
+
+-- A timeslot is skipped when the venue already has one of the same
+-- type at the same date and start (and table label), whether it came
+-- from this template, another one or the form, and whether it is
+-- active or not. A slot a manager deactivated is not brought back.
+CREATE OR REPLACE FUNCTION materialize_timeslot_template(p_template_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl timeslot_templates%ROWTYPE;
+    v_now TIMESTAMP := NOW() AT TIME ZONE 'Europe/Oslo';
+    v_date DATE;
+    v_start TIME;
+    v_end TIME;
+    created_count INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM timeslot_templates WHERE id = p_template_id;
+    IF NOT FOUND OR tpl.paused THEN RETURN 0; END IF;
+
+    FOR v_date IN
+        SELECT d::date FROM generate_series(v_now::date, v_now::date + tpl.weeks_ahead * 7 - 1, INTERVAL '1 day') d
+        WHERE EXTRACT(DOW FROM d)::INT = ANY(tpl.weekdays)
+    LOOP
+        FOR v_start, v_end IN
+            SELECT s::time, (s + make_interval(mins => tpl.slot_duration))::time
+            FROM generate_series(v_date + tpl.from_time,
+                                 v_date + tpl.to_time - make_interval(mins => tpl.slot_duration),
+                                 make_interval(mins => tpl.slot_duration)) s
+            WHERE tpl.type = 'queue'
+            UNION ALL
+            SELECT tpl.from_time, tpl.to_time WHERE tpl.type != 'queue'
+        LOOP
+            CONTINUE WHEN v_date + v_start <= v_now;
+
+            CONTINUE WHEN EXISTS (
+                SELECT 1 FROM timeslots
+                WHERE venue_id = tpl.venue_id AND date = v_date AND start_time = v_start
+                  AND type = tpl.type AND label = COALESCE(tpl.label, '')
+            );
+
+            INSERT INTO timeslots (venue_id, date, start_time, end_time, price, capacity,
+                                   description, type, label, template_id)
+            VALUES (tpl.venue_id, v_date, v_start, v_end, tpl.price, tpl.capacity,
+                    tpl.description, tpl.type, COALESCE(tpl.label, ''), tpl.id);
+
+            created_count := created_count + 1;
+        END LOOP;
+    END LOOP;
+
+    RETURN created_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION materialize_timeslot_template(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Roll every running template forward (run via pg_cron or manually)
+-- SELECT cron.schedule('extend-timeslot-templates', '15 3 * * *', 'SELECT extend_timeslot_templates()');
+CREATE OR REPLACE FUNCTION extend_timeslot_templates()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl RECORD;
+    total INTEGER := 0;
+BEGIN
+    FOR tpl IN SELECT id FROM timeslot_templates WHERE NOT paused LOOP
+        total := total + materialize_timeslot_template(tpl.id);
+    END LOOP;
+
+    RETURN total;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION extend_timeslot_templates() FROM PUBLIC, anon, authenticated;
+
+-- Upcoming timeslots from a template that nobody has booked. These
+-- are regenerated when the template changes.
+CREATE OR REPLACE FUNCTION remove_unbooked_template_slots(p_template_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    removed INTEGER;
+BEGIN
+    DELETE FROM timeslots ts
+    WHERE ts.template_id = p_template_id
+      AND ts.date + ts.start_time > NOW() AT TIME ZONE 'Europe/Oslo'
+      AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.timeslot_id = ts.id)
+      AND NOT EXISTS (SELECT 1 FROM booking_orders o WHERE o.timeslot_id = ts.id);
+    GET DIAGNOSTICS removed = ROW_COUNT;
+    RETURN removed;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION remove_unbooked_template_slots(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1C. save_timeslot_template — create or edit a template
+-- ============================================================
+
+-- p_template_id NULL creates. An edit replaces the template's upcoming
+-- unbooked timeslots; booked ones keep their old times and price.
+CREATE OR REPLACE FUNCTION save_timeslot_template(
+    p_venue_id INTEGER,
+    p_template_id INTEGER,
+    p_name TEXT,
+    p_type TEXT,
+    p_weekdays INTEGER[],
+    p_from_time TIME,
+    p_to_time TIME,
+    p_slot_duration INTEGER,
+    p_price INTEGER,
+    p_capacity INTEGER,
+    p_label TEXT DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_weeks_ahead INTEGER DEFAULT 4
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_template_id INTEGER;
+    v_removed INTEGER := 0;
+    v_created INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_name IS NULL OR char_length(trim(p_name)) = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'name_required');
+    END IF;
+    IF p_type NOT IN ('queue', 'ticket', 'table') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_type');
+    END IF;
+    IF p_weekdays IS NULL OR cardinality(p_weekdays) = 0 OR NOT p_weekdays <@ ARRAY[0,1,2,3,4,5,6] THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_weekdays');
+    END IF;
+    IF p_from_time IS NULL OR p_to_time IS NULL OR p_from_time = p_to_time
+       OR (p_type = 'queue' AND p_to_time < p_from_time) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_times');
+    END IF;
+    IF p_type = 'queue' AND (p_slot_duration IS NULL OR p_slot_duration NOT BETWEEN 5 AND 240
+       OR p_from_time + make_interval(mins => p_slot_duration) > p_to_time) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_duration');
+    END IF;
+    IF p_capacity IS NULL OR p_capacity <= 0 OR p_price IS NULL OR p_price < 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_capacity');
+    END IF;
+    IF p_type = 'table' AND (p_label IS NULL OR char_length(trim(p_label)) = 0) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'label_required');
+    END IF;
+    IF p_weeks_ahead IS NULL OR p_weeks_ahead NOT BETWEEN 1 AND 26 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_weeks_ahead');
+    END IF;
+
+    IF p_template_id IS NULL THEN
+        INSERT INTO timeslot_templates (venue_id, name, type, weekdays, from_time, to_time, slot_duration,
+                                        price, capacity, label, description, weeks_ahead, created_by)
+        VALUES (p_venue_id, trim(p_name), p_type, p_weekdays, p_from_time, p_to_time,
+                CASE WHEN p_type = 'queue' THEN p_slot_duration END,
+                p_price, p_capacity, CASE WHEN p_type = 'table' THEN trim(p_label) END,
+                p_description, p_weeks_ahead, current_uid)
+        RETURNING id INTO v_template_id;
+    ELSE
+        UPDATE timeslot_templates SET
+            name = trim(p_name), type = p_type, weekdays = p_weekdays,
+            from_time = p_from_time, to_time = p_to_time,
+            slot_duration = CASE WHEN p_type = 'queue' THEN p_slot_duration END,
+            price = p_price, capacity = p_capacity,
+            label = CASE WHEN p_type = 'table' THEN trim(p_label) END,
+            description = p_description, weeks_ahead = p_weeks_ahead, updated_at = NOW()
+        WHERE id = p_template_id AND venue_id = p_venue_id
+        RETURNING id INTO v_template_id;
+
+        IF v_template_id IS NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+        END IF;
+
+        v_removed := remove_unbooked_template_slots(v_template_id);
+    END IF;
+
+    v_created := materialize_timeslot_template(v_template_id);
+
+    RETURN jsonb_build_object('status', 'success', 'template_id', v_template_id,
+        'created', v_created, 'removed', v_removed);
+END;
+$$;
+
+-- ============================================================
+-- 1D. Pause, resume and delete
+-- ============================================================
+
+-- Pausing stops new timeslots; the ones already generated stay open
+-- for booking. Resuming fills the window again.
+CREATE OR REPLACE FUNCTION set_timeslot_template_paused(p_template_id INTEGER, p_paused BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl RECORD;
+    v_created INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM timeslot_templates WHERE id = p_template_id;
+    IF tpl.id IS NULL OR NOT is_venue_staff(tpl.venue_id, auth.uid(), ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    UPDATE timeslot_templates SET paused = p_paused, updated_at = NOW() WHERE id = p_template_id;
+
+    IF NOT p_paused THEN
+        v_created := materialize_timeslot_template(p_template_id);
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success', 'paused', p_paused, 'created', v_created);
+END;
+$$;
+
+-- Deleting also removes the upcoming timeslots nobody has booked
+CREATE OR REPLACE FUNCTION delete_timeslot_template(p_template_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl RECORD;
+    v_removed INTEGER;
+BEGIN
+    SELECT * INTO tpl FROM timeslot_templates WHERE id = p_template_id;
+    IF tpl.id IS NULL OR NOT is_venue_staff(tpl.venue_id, auth.uid(), ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    v_removed := remove_unbooked_template_slots(p_template_id);
+    DELETE FROM timeslot_templates WHERE id = p_template_id;
+
+    RETURN jsonb_build_object('status', 'success', 'removed', v_removed);
+END;
+$$;
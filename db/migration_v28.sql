@@ -0,0 +1,316 @@
+-- ============================================================
+-- Migration V28: Table floor plan with live availability
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. venue_tables — the venue's tables and where they stand
+-- ============================================================
+
+-- Position and size are percentages of the floor plan, so the plan
+-- scales to any screen. min_spend is in øre and is what the party is
+-- expected to spend at the bar that night, on top of the booking price.
+CREATE TABLE IF NOT EXISTS venue_tables (
+    id          SERIAL PRIMARY KEY,
+    venue_id    INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    label       TEXT NOT NULL CHECK (char_length(label) BETWEEN 1 AND 40),
+    shape       TEXT NOT NULL DEFAULT 'round' CHECK (shape IN ('round', 'square', 'rect')),
+    x           NUMERIC(5,2) NOT NULL CHECK (x BETWEEN 0 AND 100),
+    y           NUMERIC(5,2) NOT NULL CHECK (y BETWEEN 0 AND 100),
+    width       NUMERIC(5,2) NOT NULL CHECK (width BETWEEN 2 AND 50),
+    height      NUMERIC(5,2) NOT NULL CHECK (height BETWEEN 2 AND 50),
+    seats       INTEGER NOT NULL CHECK (seats BETWEEN 1 AND 50),
+    min_spend   INTEGER NOT NULL DEFAULT 0 CHECK (min_spend >= 0),
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (venue_id, label)
+);
+
+ALTER TABLE venue_tables ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Venue tables are publicly readable" ON venue_tables;
+CREATE POLICY "Venue tables are publicly readable"
+    ON venue_tables FOR SELECT USING (true);
+
+-- Writes go through save_floor_plan below.
+
+-- ============================================================
+-- 1B. Table link on timeslots
+-- ============================================================
+
+-- A table timeslot is one night's booking of one table. The label
+-- stays the source of truth for timeslots made before the plan
+-- existed, so the link is filled in from it.
+ALTER TABLE timeslots ADD COLUMN IF NOT EXISTS table_id INTEGER REFERENCES venue_tables(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_timeslots_table ON timeslots(table_id, date);
+
+-- The create-table form and templates only send a label; a timeslot
+-- made for a table on the plan gets its label from it.
+CREATE OR REPLACE FUNCTION link_timeslot_table()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.type = 'table' THEN
+        IF NEW.table_id IS NULL AND COALESCE(NEW.label, '') != '' THEN
+            SELECT id INTO NEW.table_id FROM venue_tables
+            WHERE venue_id = NEW.venue_id AND label = NEW.label;
+        ELSIF NEW.table_id IS NOT NULL AND COALESCE(NEW.label, '') = '' THEN
+            SELECT label INTO NEW.label FROM venue_tables WHERE id = NEW.table_id;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_link_timeslot_table ON timeslots;
+CREATE TRIGGER trg_link_timeslot_table
+    BEFORE INSERT ON timeslots
+    FOR EACH ROW EXECUTE FUNCTION link_timeslot_table();
+
+-- ============================================================
+-- 1C. table_booking_events — realtime feed for the floor plan
+-- ============================================================
+
+-- Bookings are private, so browsers watching the plan can't subscribe
+-- to them. This carries only which timeslot changed; clients refetch
+-- get_table_availability when a row arrives.
+CREATE TABLE IF NOT EXISTS table_booking_events (
+    id          SERIAL PRIMARY KEY,
+    venue_id    INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    timeslot_id INTEGER NOT NULL REFERENCES timeslots(id) ON DELETE CASCADE,
+    date        DATE NOT NULL,
+    created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_booking_events_created ON table_booking_events(created_at);
+
+ALTER TABLE table_booking_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Table booking events are publicly readable" ON table_booking_events;
+CREATE POLICY "Table booking events are publicly readable"
+    ON table_booking_events FOR SELECT USING (true);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE table_booking_events;
+
+CREATE OR REPLACE FUNCTION notify_table_booking_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.status IS NOT DISTINCT FROM NEW.status THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO table_booking_events (venue_id, timeslot_id, date)
+    SELECT ts.venue_id, ts.id, ts.date FROM timeslots ts
+    WHERE ts.id = NEW.timeslot_id AND ts.type = 'table';
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_table_booking_change ON bookings;
+CREATE TRIGGER trg_notify_table_booking_change
+    AFTER INSERT OR UPDATE OF status ON bookings
+    FOR EACH ROW EXECUTE FUNCTION notify_table_booking_change();
+
+-- Events are only useful while someone is looking at the plan
+CREATE OR REPLACE FUNCTION prune_table_booking_events()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM table_booking_events WHERE created_at < NOW() - INTERVAL '1 day';
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION prune_table_booking_events() FROM PUBLIC, anon, authenticated;
+
+-- Run hourly with pg_cron:
+-- SELECT cron.schedule('prune-table-booking-events', '15 * * * *', 'SELECT prune_table_booking_events()');
+
+-- ============================================================
+-- 1D. save_floor_plan — replace the venue's tables in one go
+-- ============================================================
+
+-- p_tables is the whole plan: [{id?, label, shape, x, y, width, height,
+-- seats, min_spend}]. Tables with an id are updated, the rest are
+-- created, and tables left out are removed. Removed tables' timeslots
+-- keep their label and just drop off the map. Renaming a table renames
+-- its upcoming timeslots and the table templates that make them.
+CREATE OR REPLACE FUNCTION save_floor_plan(p_venue_id INT, p_tables JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    item JSONB;
+    v_label TEXT;
+    v_old_label TEXT;
+    v_id INTEGER;
+    kept_ids INTEGER[] := '{}';
+    old_labels JSONB;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF jsonb_typeof(p_tables) != 'array' OR jsonb_array_length(p_tables) > 200 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_table');
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(p_tables) LOOP
+        v_label := btrim(item->>'label');
+        IF COALESCE(v_label, '') = '' THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'label_required');
+        END IF;
+        IF char_length(v_label) > 40
+           OR COALESCE(item->>'shape', '') NOT IN ('round', 'square', 'rect')
+           OR COALESCE((item->>'x')::NUMERIC, -1) NOT BETWEEN 0 AND 100
+           OR COALESCE((item->>'y')::NUMERIC, -1) NOT BETWEEN 0 AND 100
+           OR COALESCE((item->>'width')::NUMERIC, -1) NOT BETWEEN 2 AND 50
+           OR COALESCE((item->>'height')::NUMERIC, -1) NOT BETWEEN 2 AND 50
+           OR COALESCE((item->>'seats')::INTEGER, -1) NOT BETWEEN 1 AND 50
+           OR COALESCE((item->>'min_spend')::INTEGER, 0) < 0 THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'invalid_table', 'label', v_label);
+        END IF;
+    END LOOP;
+
+    IF (SELECT COUNT(DISTINCT lower(btrim(e->>'label'))) FROM jsonb_array_elements(p_tables) e)
+       < jsonb_array_length(p_tables) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'duplicate_label');
+    END IF;
+
+    SELECT COALESCE(jsonb_object_agg(id::TEXT, label), '{}'::jsonb) INTO old_labels
+    FROM venue_tables WHERE venue_id = p_venue_id;
+
+    -- Labels move between tables when they are swapped in one save, so
+    -- park the ones being kept out of the way of the unique constraint
+    UPDATE venue_tables SET label = '~' || id
+    WHERE venue_id = p_venue_id
+      AND id IN (SELECT (e->>'id')::INTEGER FROM jsonb_array_elements(p_tables) e WHERE e ? 'id');
+
+    FOR item IN SELECT * FROM jsonb_array_elements(p_tables) LOOP
+        v_label := btrim(item->>'label');
+        v_id := NULL;
+
+        IF item ? 'id' THEN
+            SELECT t.id INTO v_id
+            FROM venue_tables t WHERE t.id = (item->>'id')::INTEGER AND t.venue_id = p_venue_id;
+            v_old_label := old_labels->>v_id::TEXT;
+        END IF;
+
+        IF v_id IS NOT NULL THEN
+            UPDATE venue_tables SET
+                label = v_label, shape = item->>'shape',
+                x = (item->>'x')::NUMERIC, y = (item->>'y')::NUMERIC,
+                width = (item->>'width')::NUMERIC, height = (item->>'height')::NUMERIC,
+                seats = (item->>'seats')::INTEGER, min_spend = COALESCE((item->>'min_spend')::INTEGER, 0)
+            WHERE id = v_id;
+
+            IF v_old_label != v_label THEN
+                UPDATE timeslots SET label = v_label
+                WHERE table_id = v_id AND date >= CURRENT_DATE;
+                UPDATE timeslot_templates SET label = v_label, updated_at = NOW()
+                WHERE venue_id = p_venue_id AND type = 'table' AND label = v_old_label;
+            END IF;
+        ELSE
+            INSERT INTO venue_tables (venue_id, label, shape, x, y, width, height, seats, min_spend)
+            VALUES (p_venue_id, v_label, item->>'shape',
+                    (item->>'x')::NUMERIC, (item->>'y')::NUMERIC,
+                    (item->>'width')::NUMERIC, (item->>'height')::NUMERIC,
+                    (item->>'seats')::INTEGER, COALESCE((item->>'min_spend')::INTEGER, 0))
+            RETURNING id INTO v_id;
+        END IF;
+
+        kept_ids := kept_ids || v_id;
+    END LOOP;
+
+    DELETE FROM venue_tables WHERE venue_id = p_venue_id AND id != ALL(kept_ids);
+
+    -- Table timeslots made before the plan, or before this table was on it
+    UPDATE timeslots ts SET table_id = t.id
+    FROM venue_tables t
+    WHERE t.venue_id = p_venue_id AND ts.venue_id = p_venue_id
+      AND ts.type = 'table' AND ts.table_id IS NULL AND ts.label = t.label
+      AND ts.date >= CURRENT_DATE;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY t.label), '[]'::jsonb) INTO result
+    FROM venue_tables t WHERE t.venue_id = p_venue_id;
+
+    RETURN jsonb_build_object('status', 'success', 'tables', result);
+END;
+$$;
+
+-- ============================================================
+-- 1E. get_table_availability — the plan for one night
+-- ============================================================
+
+-- A table is available when one of its timeslots that night has a
+-- spot left, booked when they are all taken, and mine when the caller
+-- holds one of them. Pending payments count as taken, the same as in
+-- reserve_timeslot, which is what stops two people paying for the
+-- same table.
+CREATE OR REPLACE FUNCTION get_table_availability(p_venue_id INT, p_date DATE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', t.id, 'label', t.label, 'shape', t.shape,
+            'x', t.x, 'y', t.y, 'width', t.width, 'height', t.height,
+            'seats', t.seats, 'min_spend', t.min_spend,
+            'state', CASE
+                WHEN slots.mine THEN 'mine'
+                WHEN slots.list IS NULL THEN 'unavailable'
+                WHEN slots.spots_left > 0 THEN 'available'
+                ELSE 'booked' END,
+            'timeslots', COALESCE(slots.list, '[]'::jsonb)
+        ) ORDER BY t.label
+    ), '[]'::jsonb)
+    INTO result
+    FROM venue_tables t
+    LEFT JOIN LATERAL (
+        SELECT jsonb_agg(jsonb_build_object(
+                   'id', s.id, 'start_time', s.start_time, 'end_time', s.end_time,
+                   'spots_left', s.spots_left, 'mine', s.mine
+               ) ORDER BY s.start_time) AS list,
+               SUM(s.spots_left) AS spots_left,
+               bool_or(s.mine) AS mine
+        FROM (
+            SELECT ts.id, ts.start_time, ts.end_time,
+                   timeslot_spots_left(ts.id) AS spots_left,
+                   EXISTS (SELECT 1 FROM bookings b WHERE b.timeslot_id = ts.id AND b.user_id = current_uid
+                           AND b.status IN ('confirmed', 'checked_in', 'pending_payment')) AS mine
+            FROM timeslots ts
+            WHERE ts.table_id = t.id AND ts.date = p_date AND ts.active = true
+        ) s
+    ) slots ON true
+    WHERE t.venue_id = p_venue_id;
+
+    RETURN jsonb_build_object('status', 'success', 'date', p_date, 'tables', result);
+END;
+$$;
@@ -0,0 +1,483 @@
+-- ============================================================
+-- Migration V29: Structured opening hours with holiday exceptions
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Weekly hours and dated exceptions
+-- ============================================================
+
+-- One range per weekday (EXTRACT(DOW): 0 = Sunday), in Oslo time. A
+-- closing time at or before the opening time is the next morning, so
+-- 22:00–03:00 on Friday runs into Saturday. Weekdays without a row
+-- are closed. A venue without any rows has no structured hours and
+-- is treated as always open; the old free-text opening_hours is
+-- still shown for those.
+CREATE TABLE IF NOT EXISTS venue_opening_hours (
+    venue_id    INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    weekday     INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    opens_at    TIME NOT NULL,
+    closes_at   TIME NOT NULL,
+    PRIMARY KEY (venue_id, weekday),
+    CHECK (opens_at != closes_at)
+);
+
+-- Replaces the weekly range for one date: closed when opens_at is
+-- null (Christmas Eve), or other hours (an extended New Year's Eve).
+CREATE TABLE IF NOT EXISTS venue_hours_exceptions (
+    id          SERIAL PRIMARY KEY,
+    venue_id    INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    date        DATE NOT NULL,
+    opens_at    TIME,
+    closes_at   TIME,
+    note        TEXT CHECK (char_length(note) <= 100),
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (venue_id, date),
+    CHECK ((opens_at IS NULL) = (closes_at IS NULL)),
+    CHECK (opens_at IS NULL OR opens_at != closes_at)
+);
+
+ALTER TABLE venue_opening_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE venue_hours_exceptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Opening hours are publicly readable" ON venue_opening_hours;
+CREATE POLICY "Opening hours are publicly readable"
+    ON venue_opening_hours FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Hours exceptions are publicly readable" ON venue_hours_exceptions;
+CREATE POLICY "Hours exceptions are publicly readable"
+    ON venue_hours_exceptions FOR SELECT USING (true);
+
+-- Writes go through the SECURITY DEFINER RPCs below.
+
+-- ============================================================
+-- 1B. Opening hours helpers
+-- ============================================================
+
+-- The open range of each date from p_from to p_to that has one, as Oslo
+-- local timestamps. Without p_with_exceptions it is the plain weekly
+-- pattern.
+CREATE OR REPLACE FUNCTION venue_open_ranges(
+    p_venue_id INT, p_from DATE, p_to DATE, p_with_exceptions BOOLEAN DEFAULT true
+)
+RETURNS TABLE (day DATE, opens_at TIMESTAMP, closes_at TIMESTAMP)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT r.day, r.day + r.opens, r.day + r.closes + CASE WHEN r.closes <= r.opens THEN INTERVAL '1 day' ELSE INTERVAL '0' END
+    FROM (
+        SELECT d::date AS day,
+               CASE WHEN e.id IS NOT NULL THEN e.opens_at ELSE h.opens_at END AS opens,
+               CASE WHEN e.id IS NOT NULL THEN e.closes_at ELSE h.closes_at END AS closes
+        FROM generate_series(p_from, p_to, INTERVAL '1 day') d
+        LEFT JOIN venue_hours_exceptions e
+            ON p_with_exceptions AND e.venue_id = p_venue_id AND e.date = d::date
+        LEFT JOIN venue_opening_hours h
+            ON h.venue_id = p_venue_id AND h.weekday = EXTRACT(DOW FROM d)::INT
+    ) r
+    WHERE r.opens IS NOT NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION venue_has_opening_hours(p_venue_id INT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM venue_opening_hours WHERE venue_id = p_venue_id);
+$$;
+
+CREATE OR REPLACE FUNCTION venue_is_open(p_venue_id INT, p_at TIMESTAMPTZ DEFAULT NOW())
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM venue_open_ranges(p_venue_id,
+                                        (p_at AT TIME ZONE 'Europe/Oslo')::date - 1,
+                                        (p_at AT TIME ZONE 'Europe/Oslo')::date) r
+        WHERE (p_at AT TIME ZONE 'Europe/Oslo') >= r.opens_at
+          AND (p_at AT TIME ZONE 'Europe/Oslo') < r.closes_at
+    );
+$$;
+
+-- Open now, or opening later today: the range from last night that is
+-- still running counts as well as today's.
+CREATE OR REPLACE FUNCTION venue_open_tonight(p_venue_id INT, p_at TIMESTAMPTZ DEFAULT NOW())
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM venue_open_ranges(p_venue_id,
+                                        (p_at AT TIME ZONE 'Europe/Oslo')::date - 1,
+                                        (p_at AT TIME ZONE 'Europe/Oslo')::date) r
+        WHERE r.closes_at > (p_at AT TIME ZONE 'Europe/Oslo')
+    );
+$$;
+
+-- Whether a timeslot on p_date from p_start to p_end (the next morning
+-- when p_end <= p_start) fits inside one open range. A slot at 01:00
+-- fits the previous date's range when that runs past midnight.
+CREATE OR REPLACE FUNCTION venue_hours_cover(p_venue_id INT, p_date DATE, p_start TIME, p_end TIME)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT NOT venue_has_opening_hours(p_venue_id) OR EXISTS (
+        SELECT 1 FROM venue_open_ranges(p_venue_id, p_date - 1, p_date) r
+        WHERE r.opens_at <= p_date + p_start
+          AND r.closes_at >= p_date + p_end + CASE WHEN p_end <= p_start THEN INTERVAL '1 day' ELSE INTERVAL '0' END
+    );
+$$;
+
+-- The same for a weekday in the plain weekly pattern, for templates.
+-- 1 January 2023 was a Sunday, so 2023-01-01 + DOW lands on that weekday.
+CREATE OR REPLACE FUNCTION weekly_hours_cover(p_venue_id INT, p_weekday INT, p_start TIME, p_end TIME)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT NOT venue_has_opening_hours(p_venue_id) OR EXISTS (
+        SELECT 1 FROM venue_open_ranges(p_venue_id, DATE '2023-01-01' + p_weekday - 1, DATE '2023-01-01' + p_weekday, false) r
+        WHERE r.opens_at <= DATE '2023-01-01' + p_weekday + p_start
+          AND r.closes_at >= DATE '2023-01-01' + p_weekday + p_end
+                             + CASE WHEN p_end <= p_start THEN INTERVAL '1 day' ELSE INTERVAL '0' END
+    );
+$$;
+
+-- ============================================================
+-- 1C. Keep new timeslots inside opening hours
+-- ============================================================
+
+-- Covers the create forms, which insert into timeslots directly.
+-- Moving or editing an existing timeslot is not checked.
+CREATE OR REPLACE FUNCTION enforce_timeslot_opening_hours()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT venue_hours_cover(NEW.venue_id, NEW.date, NEW.start_time, NEW.end_time) THEN
+        RAISE EXCEPTION 'outside_opening_hours' USING DETAIL = NEW.date::TEXT;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_enforce_timeslot_opening_hours ON timeslots;
+CREATE TRIGGER trg_enforce_timeslot_opening_hours
+    BEFORE INSERT ON timeslots
+    FOR EACH ROW EXECUTE FUNCTION enforce_timeslot_opening_hours();
+
+-- ============================================================
+-- 1D. Editing hours
+-- ============================================================
+
+-- p_hours is the whole week: [{weekday, opens_at, closes_at}], with
+-- closed days left out. An empty array turns structured hours off.
+CREATE OR REPLACE FUNCTION save_opening_hours(p_venue_id INT, p_hours JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    item JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF jsonb_typeof(p_hours) != 'array' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_hours');
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(p_hours) LOOP
+        IF COALESCE((item->>'weekday')::INT, -1) NOT BETWEEN 0 AND 6
+           OR item->>'opens_at' IS NULL OR item->>'closes_at' IS NULL
+           OR (item->>'opens_at')::TIME = (item->>'closes_at')::TIME THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'invalid_hours', 'weekday', item->'weekday');
+        END IF;
+    END LOOP;
+
+    IF (SELECT COUNT(DISTINCT e->>'weekday') FROM jsonb_array_elements(p_hours) e) < jsonb_array_length(p_hours) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_hours');
+    END IF;
+
+    DELETE FROM venue_opening_hours WHERE venue_id = p_venue_id;
+
+    INSERT INTO venue_opening_hours (venue_id, weekday, opens_at, closes_at)
+    SELECT p_venue_id, (e->>'weekday')::INT, (e->>'opens_at')::TIME, (e->>'closes_at')::TIME
+    FROM jsonb_array_elements(p_hours) e;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- One exception per date; saving the same date again replaces it.
+-- Timeslots already created for that night are left alone.
+CREATE OR REPLACE FUNCTION save_hours_exception(
+    p_venue_id INT, p_date DATE, p_opens_at TIME DEFAULT NULL, p_closes_at TIME DEFAULT NULL, p_note TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_id INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_date IS NULL OR p_date < (NOW() AT TIME ZONE 'Europe/Oslo')::date THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_date');
+    END IF;
+    IF (p_opens_at IS NULL) != (p_closes_at IS NULL) OR p_opens_at = p_closes_at THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_hours');
+    END IF;
+
+    INSERT INTO venue_hours_exceptions (venue_id, date, opens_at, closes_at, note)
+    VALUES (p_venue_id, p_date, p_opens_at, p_closes_at, NULLIF(trim(p_note), ''))
+    ON CONFLICT (venue_id, date) DO UPDATE SET
+        opens_at = EXCLUDED.opens_at, closes_at = EXCLUDED.closes_at, note = EXCLUDED.note
+    RETURNING id INTO v_id;
+
+    RETURN jsonb_build_object('status', 'success', 'exception_id', v_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_hours_exception(p_exception_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_venue_id INTEGER;
+BEGIN
+    SELECT venue_id INTO v_venue_id FROM venue_hours_exceptions WHERE id = p_exception_id;
+
+    IF v_venue_id IS NULL OR NOT is_venue_staff(v_venue_id, auth.uid(), ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    DELETE FROM venue_hours_exceptions WHERE id = p_exception_id;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- ============================================================
+-- 1E. search_venues — venue list with open status
+-- ============================================================
+
+-- p_open: NULL for all venues, 'now' or 'tonight'. Venues without
+-- structured hours have no open status and drop out of both filters.
+CREATE OR REPLACE FUNCTION search_venues(p_search TEXT DEFAULT NULL, p_open TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    result JSONB;
+BEGIN
+    SELECT COALESCE(jsonb_agg(
+        to_jsonb(v) || jsonb_build_object(
+            'has_hours', s.has_hours,
+            'open_now', s.has_hours AND venue_is_open(v.id),
+            'open_tonight', s.has_hours AND venue_open_tonight(v.id)
+        ) ORDER BY v.created_at DESC
+    ), '[]'::jsonb)
+    INTO result
+    FROM venues v
+    CROSS JOIN LATERAL (SELECT venue_has_opening_hours(v.id) AS has_hours) s
+    WHERE (p_search IS NULL OR v.name ILIKE '%' || p_search || '%' OR v.address ILIKE '%' || p_search || '%')
+      AND (p_open IS NULL
+           OR (p_open = 'now' AND s.has_hours AND venue_is_open(v.id))
+           OR (p_open = 'tonight' AND s.has_hours AND venue_open_tonight(v.id)));
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update materialize_timeslot_template — skip closed nights
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION materialize_timeslot_template(p_template_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl timeslot_templates%ROWTYPE;
+    v_now TIMESTAMP := NOW() AT TIME ZONE 'Europe/Oslo';
+    v_date DATE;
+    v_start TIME;
+    v_end TIME;
+    created_count INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM timeslot_templates WHERE id = p_template_id;
+    IF NOT FOUND OR tpl.paused THEN RETURN 0; END IF;
+
+    FOR v_date IN
+        SELECT d::date FROM generate_series(v_now::date, v_now::date + tpl.weeks_ahead * 7 - 1, INTERVAL '1 day') d
+        WHERE EXTRACT(DOW FROM d)::INT = ANY(tpl.weekdays)
+    LOOP
+        FOR v_start, v_end IN
+            SELECT s::time, (s + make_interval(mins => tpl.slot_duration))::time
+            FROM generate_series(v_date + tpl.from_time,
+                                 v_date + tpl.to_time - make_interval(mins => tpl.slot_duration),
+                                 make_interval(mins => tpl.slot_duration)) s
+            WHERE tpl.type = 'queue'
+            UNION ALL
+            SELECT tpl.from_time, tpl.to_time WHERE tpl.type != 'queue'
+        LOOP
+            CONTINUE WHEN v_date + v_start <= v_now;
+
+            -- Closed days and holiday exceptions are left out rather
+            -- than failing the whole run on the timeslot trigger
+            CONTINUE WHEN NOT venue_hours_cover(tpl.venue_id, v_date, v_start, v_end);
+
+            CONTINUE WHEN EXISTS (
+                SELECT 1 FROM timeslots
+                WHERE venue_id = tpl.venue_id AND date = v_date AND start_time = v_start
+                  AND type = tpl.type AND label = COALESCE(tpl.label, '')
+            );
+
+            INSERT INTO timeslots (venue_id, date, start_time, end_time, price, capacity,
+                                   description, type, label, template_id)
+            VALUES (tpl.venue_id, v_date, v_start, v_end, tpl.price, tpl.capacity,
+                    tpl.description, tpl.type, COALESCE(tpl.label, ''), tpl.id);
+
+            created_count := created_count + 1;
+        END LOOP;
+    END LOOP;
+
+    RETURN created_count;
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update save_timeslot_template — times must fit the weekly hours
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION save_timeslot_template(
+    p_venue_id INTEGER,
+    p_template_id INTEGER,
+    p_name TEXT,
+    p_type TEXT,
+    p_weekdays INTEGER[],
+    p_from_time TIME,
+    p_to_time TIME,
+    p_slot_duration INTEGER,
+    p_price INTEGER,
+    p_capacity INTEGER,
+    p_label TEXT DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_weeks_ahead INTEGER DEFAULT 4
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_template_id INTEGER;
+    v_removed INTEGER := 0;
+    v_created INTEGER;
+    v_closed_weekday INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    IF p_name IS NULL OR char_length(trim(p_name)) = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'name_required');
+    END IF;
+    IF p_type NOT IN ('queue', 'ticket', 'table') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_type');
+    END IF;
+    IF p_weekdays IS NULL OR cardinality(p_weekdays) = 0 OR NOT p_weekdays <@ ARRAY[0,1,2,3,4,5,6] THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_weekdays');
+    END IF;
+    IF p_from_time IS NULL OR p_to_time IS NULL OR p_from_time = p_to_time
+       OR (p_type = 'queue' AND p_to_time < p_from_time) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_times');
+    END IF;
+    IF p_type = 'queue' AND (p_slot_duration IS NULL OR p_slot_duration NOT BETWEEN 5 AND 240
+       OR p_from_time + make_interval(mins => p_slot_duration) > p_to_time) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_duration');
+    END IF;
+    IF p_capacity IS NULL OR p_capacity <= 0 OR p_price IS NULL OR p_price < 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_capacity');
+    END IF;
+    IF p_type = 'table' AND (p_label IS NULL OR char_length(trim(p_label)) = 0) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'label_required');
+    END IF;
+    IF p_weeks_ahead IS NULL OR p_weeks_ahead NOT BETWEEN 1 AND 26 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_weeks_ahead');
+    END IF;
+
+    -- Checked against the weekly hours only; dated exceptions just skip
+    -- those nights when the timeslots are generated
+    SELECT d INTO v_closed_weekday FROM unnest(p_weekdays) d
+    WHERE NOT weekly_hours_cover(p_venue_id, d, p_from_time, p_to_time)
+    ORDER BY d LIMIT 1;
+    IF v_closed_weekday IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'outside_opening_hours', 'weekday', v_closed_weekday);
+    END IF;
+
+    IF p_template_id IS NULL THEN
+        INSERT INTO timeslot_templates (venue_id, name, type, weekdays, from_time, to_time, slot_duration,
+                                        price, capacity, label, description, weeks_ahead, created_by)
+        VALUES (p_venue_id, trim(p_name), p_type, p_weekdays, p_from_time, p_to_time,
+                CASE WHEN p_type = 'queue' THEN p_slot_duration END,
+                p_price, p_capacity, CASE WHEN p_type = 'table' THEN trim(p_label) END,
+                p_description, p_weeks_ahead, current_uid)
+        RETURNING id INTO v_template_id;
+    ELSE
+        UPDATE timeslot_templates SET
+            name = trim(p_name), type = p_type, weekdays = p_weekdays,
+            from_time = p_from_time, to_time = p_to_time,
+            slot_duration = CASE WHEN p_type = 'queue' THEN p_slot_duration END,
+            price = p_price, capacity = p_capacity,
+            label = CASE WHEN p_type = 'table' THEN trim(p_label) END,
+            description = p_description, weeks_ahead = p_weeks_ahead, updated_at = NOW()
+        WHERE id = p_template_id AND venue_id = p_venue_id
+        RETURNING id INTO v_template_id;
+
+        IF v_template_id IS NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+        END IF;
+
+        v_removed := remove_unbooked_template_slots(v_template_id);
+    END IF;
+
+    v_created := materialize_timeslot_template(v_template_id);
+
+    RETURN jsonb_build_object('status', 'success', 'template_id', v_template_id,
+        'created', v_created, 'removed', v_removed);
+END;
+$$;
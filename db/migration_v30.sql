@@ -0,0 +1,416 @@
+-- ============================================================
+-- Migration V30: Venue reviews and ratings
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. venue_reviews + review_reports
+-- ============================================================
+
+-- One review per guest and venue; writing again edits it. The venue
+-- answers with one public reply. A review reported by three different
+-- users is hidden until Hapn looks at it.
+CREATE TABLE IF NOT EXISTS venue_reviews (
+    id          SERIAL PRIMARY KEY,
+    venue_id    INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    user_id     UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    rating      INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    body        TEXT CHECK (char_length(body) <= 2000),
+    reply       TEXT CHECK (char_length(reply) <= 1000),
+    replied_by  UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    replied_at  TIMESTAMPTZ,
+    hidden_at   TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (venue_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_reviews_venue ON venue_reviews(venue_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS review_reports (
+    id          SERIAL PRIMARY KEY,
+    review_id   INTEGER NOT NULL REFERENCES venue_reviews(id) ON DELETE CASCADE,
+    reporter_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    reason      TEXT NOT NULL CHECK (reason IN ('abusive', 'spam', 'false', 'other')),
+    details     TEXT CHECK (char_length(details) <= 500),
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (review_id, reporter_id)
+);
+
+ALTER TABLE venue_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Visible reviews are publicly readable" ON venue_reviews;
+CREATE POLICY "Visible reviews are publicly readable"
+    ON venue_reviews FOR SELECT USING (hidden_at IS NULL OR user_id = auth.uid());
+
+-- Reports are only read by Hapn with the service role. Writes go
+-- through the SECURITY DEFINER RPCs below.
+
+-- ============================================================
+-- 1B. Review helpers
+-- ============================================================
+
+-- Only guests who were actually there: a checked-in booking at the
+-- venue, or a check-in at an event held there
+CREATE OR REPLACE FUNCTION can_review_venue(p_venue_id INT, p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT p_user_id IS NOT NULL AND (
+        EXISTS (
+            SELECT 1 FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE ts.venue_id = p_venue_id AND b.user_id = p_user_id AND b.status = 'checked_in'
+        ) OR EXISTS (
+            SELECT 1 FROM rsvps r JOIN events e ON e.id = r.event_id
+            WHERE e.venue_id = p_venue_id AND r.user_id = p_user_id AND r.checked_in_at IS NOT NULL
+        )
+    );
+$$;
+
+-- Average and count over visible reviews, for detail, cards and sorting
+CREATE OR REPLACE FUNCTION venue_rating(p_venue_id INT)
+RETURNS TABLE (rating_avg NUMERIC, rating_count INTEGER)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT ROUND(AVG(rating)::NUMERIC, 1), COUNT(*)::INTEGER
+    FROM venue_reviews WHERE venue_id = p_venue_id AND hidden_at IS NULL;
+$$;
+
+-- ============================================================
+-- 1C. Writing, replying and reporting
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION submit_venue_review(p_venue_id INT, p_rating INT, p_body TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_id INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+    IF NOT can_review_venue(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_eligible');
+    END IF;
+    IF p_rating IS NULL OR p_rating NOT BETWEEN 1 AND 5 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_rating');
+    END IF;
+    IF char_length(p_body) > 2000 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'body_too_long');
+    END IF;
+
+    -- Editing keeps the venue's reply and any reports; a hidden review
+    -- stays hidden
+    INSERT INTO venue_reviews (venue_id, user_id, rating, body)
+    VALUES (p_venue_id, current_uid, p_rating, NULLIF(trim(p_body), ''))
+    ON CONFLICT (venue_id, user_id) DO UPDATE SET
+        rating = EXCLUDED.rating, body = EXCLUDED.body, updated_at = NOW()
+    RETURNING id INTO v_id;
+
+    RETURN jsonb_build_object('status', 'success', 'review_id', v_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_venue_review(p_review_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    DELETE FROM venue_reviews WHERE id = p_review_id AND user_id = auth.uid();
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- An empty reply removes it
+CREATE OR REPLACE FUNCTION reply_to_venue_review(p_review_id INT, p_reply TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_venue_id INTEGER;
+    v_reply TEXT := NULLIF(trim(p_reply), '');
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT venue_id INTO v_venue_id FROM venue_reviews WHERE id = p_review_id;
+    IF v_venue_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+    IF NOT is_venue_staff(v_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+    IF char_length(v_reply) > 1000 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reply_too_long');
+    END IF;
+
+    UPDATE venue_reviews SET
+        reply = v_reply,
+        replied_by = CASE WHEN v_reply IS NULL THEN NULL ELSE current_uid END,
+        replied_at = CASE WHEN v_reply IS NULL THEN NULL ELSE NOW() END
+    WHERE id = p_review_id;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- Three reports from different users hide a review from everyone but
+-- its author until set_review_hidden restores it
+CREATE OR REPLACE FUNCTION report_venue_review(p_review_id INT, p_reason TEXT, p_details TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    review venue_reviews%ROWTYPE;
+    report_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO review FROM venue_reviews WHERE id = p_review_id;
+    IF NOT FOUND OR review.hidden_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+    IF review.user_id = current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'own_review');
+    END IF;
+    IF p_reason IS NULL OR p_reason NOT IN ('abusive', 'spam', 'false', 'other') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_reason');
+    END IF;
+
+    INSERT INTO review_reports (review_id, reporter_id, reason, details)
+    VALUES (p_review_id, current_uid, p_reason, NULLIF(trim(left(p_details, 500)), ''))
+    ON CONFLICT (review_id, reporter_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_reported');
+    END IF;
+
+    SELECT COUNT(*) INTO report_count FROM review_reports WHERE review_id = p_review_id;
+    IF report_count >= 3 THEN
+        UPDATE venue_reviews SET hidden_at = NOW() WHERE id = p_review_id;
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+-- Hapn's moderation: hide a review, or restore one and clear its reports
+CREATE OR REPLACE FUNCTION set_review_hidden(p_review_id INT, p_hidden BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE venue_reviews SET hidden_at = CASE WHEN p_hidden THEN COALESCE(hidden_at, NOW()) END
+    WHERE id = p_review_id;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    IF NOT p_hidden THEN
+        DELETE FROM review_reports WHERE review_id = p_review_id;
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION set_review_hidden(INT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1D. get_venue_reviews — summary, the caller's own review and a page
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_reviews(p_venue_id INT, p_limit INT DEFAULT 20, p_offset INT DEFAULT 0)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_avg NUMERIC;
+    v_count INTEGER;
+    distribution JSONB;
+    my_review JSONB;
+    review_list JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT rating_avg, rating_count INTO v_avg, v_count FROM venue_rating(p_venue_id);
+
+    SELECT jsonb_object_agg(n, (SELECT COUNT(*) FROM venue_reviews
+                                WHERE venue_id = p_venue_id AND hidden_at IS NULL AND rating = n))
+    INTO distribution
+    FROM generate_series(1, 5) n;
+
+    SELECT jsonb_build_object('id', r.id, 'rating', r.rating, 'body', r.body,
+                              'hidden', r.hidden_at IS NOT NULL, 'updated_at', r.updated_at)
+    INTO my_review
+    FROM venue_reviews r WHERE r.venue_id = p_venue_id AND r.user_id = current_uid;
+
+    SELECT COALESCE(jsonb_agg(row ORDER BY (row->>'created_at') DESC), '[]'::jsonb) INTO review_list
+    FROM (
+        SELECT jsonb_build_object(
+            'id', r.id, 'rating', r.rating, 'body', r.body,
+            'created_at', r.created_at, 'edited', r.updated_at > r.created_at + INTERVAL '1 minute',
+            'user_id', r.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+            'reply', r.reply, 'replied_at', r.replied_at,
+            'reported_by_me', EXISTS (SELECT 1 FROM review_reports rr WHERE rr.review_id = r.id AND rr.reporter_id = current_uid)
+        ) AS row
+        FROM venue_reviews r JOIN profiles p ON p.id = r.user_id
+        WHERE r.venue_id = p_venue_id AND r.hidden_at IS NULL
+        ORDER BY r.created_at DESC
+        LIMIT LEAST(GREATEST(p_limit, 1), 50) OFFSET GREATEST(p_offset, 0)
+    ) page;
+
+    RETURN jsonb_build_object(
+        'rating_avg', v_avg, 'rating_count', v_count, 'distribution', distribution,
+        'can_review', can_review_venue(p_venue_id, current_uid),
+        'is_manager', is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']),
+        'my_review', my_review,
+        'reviews', review_list
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update get_venue_detail — rating summary
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_detail(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    staff_role TEXT;
+    upcoming_timeslots JSONB;
+    v_is_following BOOLEAN;
+    v_follower_count INTEGER;
+    v_rating_avg NUMERIC;
+    v_rating_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    SELECT role INTO staff_role FROM venue_staff WHERE venue_id = p_venue_id AND user_id = current_uid;
+
+    IF current_uid IS NOT NULL THEN
+        SELECT EXISTS(SELECT 1 FROM venue_follows WHERE user_id = current_uid AND venue_id = p_venue_id) INTO v_is_following;
+    ELSE
+        v_is_following := false;
+    END IF;
+
+    SELECT COUNT(*) INTO v_follower_count FROM venue_follows WHERE venue_id = p_venue_id;
+
+    SELECT rating_avg, rating_count INTO v_rating_avg, v_rating_count FROM venue_rating(p_venue_id);
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', COALESCE(at.price, ts.price), 'capacity', ts.capacity, 'description', ts.description, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'booked_count', (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in', 'pending_payment')),
+            'spots_left', timeslot_spots_left(ts.id),
+            'tiers', timeslot_tiers_json(ts.id),
+            'active_tier', CASE WHEN at.id IS NOT NULL THEN jsonb_build_object(
+                'id', at.id, 'name', at.name, 'price', at.price,
+                'spots_left', at.capacity - tier_sold_count(at.id), 'sale_ends_at', at.sale_ends_at) END,
+            'my_booking', (SELECT jsonb_build_object('id', b.id, 'status', b.status, 'qr_token', b.qr_token)
+                          FROM bookings b WHERE b.timeslot_id = ts.id AND b.user_id = current_uid AND b.status NOT IN ('cancelled', 'expired') LIMIT 1)
+        ) ORDER BY ts.date, ts.start_time
+    ), '[]'::jsonb)
+    INTO upcoming_timeslots
+    FROM timeslots ts
+    LEFT JOIN LATERAL timeslot_active_tier(ts.id) at ON true
+    WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE;
+
+    RETURN jsonb_build_object(
+        'id', v.id, 'name', v.name, 'description', v.description, 'address', v.address,
+        'latitude', v.latitude, 'longitude', v.longitude, 'image_url', v.image_url,
+        'opening_hours', v.opening_hours, 'contact_email', v.contact_email, 'contact_phone', v.contact_phone,
+        'owner_id', v.owner_id, 'verified', v.verified, 'created_at', v.created_at,
+        'min_age', v.min_age,
+        'is_staff', (staff_role IS NOT NULL), 'staff_role', staff_role,
+        'is_following', v_is_following,
+        'follower_count', v_follower_count,
+        'rating_avg', v_rating_avg, 'rating_count', v_rating_count,
+        'timeslots', upcoming_timeslots
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update search_venues — rating and sort by rating
+-- ============================================================
+
+-- p_open: NULL for all venues, 'now' or 'tonight'. Venues without
+-- structured hours have no open status and drop out of both filters.
+-- p_sort: 'newest' or 'rating', best rated first and unrated last.
+DROP FUNCTION IF EXISTS search_venues(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION search_venues(p_search TEXT DEFAULT NULL, p_open TEXT DEFAULT NULL, p_sort TEXT DEFAULT 'newest')
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    result JSONB;
+BEGIN
+    SELECT COALESCE(jsonb_agg(
+        to_jsonb(v) || jsonb_build_object(
+            'has_hours', s.has_hours,
+            'open_now', s.has_hours AND venue_is_open(v.id),
+            'open_tonight', s.has_hours AND venue_open_tonight(v.id),
+            'rating_avg', vr.rating_avg, 'rating_count', vr.rating_count
+        ) ORDER BY
+            CASE WHEN p_sort = 'rating' THEN vr.rating_avg END DESC NULLS LAST,
+            CASE WHEN p_sort = 'rating' THEN vr.rating_count END DESC,
+            v.created_at DESC
+    ), '[]'::jsonb)
+    INTO result
+    FROM venues v
+    CROSS JOIN LATERAL (SELECT venue_has_opening_hours(v.id) AS has_hours) s
+    CROSS JOIN LATERAL venue_rating(v.id) vr
+    WHERE (p_search IS NULL OR v.name ILIKE '%' || p_search || '%' OR v.address ILIKE '%' || p_search || '%')
+      AND (p_open IS NULL
+           OR (p_open = 'now' AND s.has_hours AND venue_is_open(v.id))
+           OR (p_open = 'tonight' AND s.has_hours AND venue_open_tonight(v.id)));
+
+    RETURN result;
+END;
+$$;
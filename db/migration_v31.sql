@@ -0,0 +1,727 @@
+-- ============================================================
+-- Migration V31: Drinks menu and pre-orders with tickets
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. venue_menu_items — what the bar sells
+-- ============================================================
+
+-- price is in øre. Items marked preorder can be added to a ticket
+-- purchase; the rest are only shown on the venue page. Age-restricted
+-- items need a Vipps-verified age of 18 to pre-order.
+CREATE TABLE IF NOT EXISTS venue_menu_items (
+    id              SERIAL PRIMARY KEY,
+    venue_id        INTEGER NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+    category        TEXT NOT NULL CHECK (char_length(category) BETWEEN 1 AND 40),
+    name            TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 80),
+    description     TEXT CHECK (char_length(description) <= 300),
+    price           INTEGER NOT NULL CHECK (price >= 0),
+    age_restricted  BOOLEAN NOT NULL DEFAULT false,
+    preorder        BOOLEAN NOT NULL DEFAULT false,
+    active          BOOLEAN NOT NULL DEFAULT true,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_menu_items_venue ON venue_menu_items(venue_id, category, name);
+
+ALTER TABLE venue_menu_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Menu items are publicly readable" ON venue_menu_items;
+CREATE POLICY "Menu items are publicly readable"
+    ON venue_menu_items FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Managers can create menu items" ON venue_menu_items;
+CREATE POLICY "Managers can create menu items"
+    ON venue_menu_items FOR INSERT WITH CHECK (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Managers can update menu items" ON venue_menu_items;
+CREATE POLICY "Managers can update menu items"
+    ON venue_menu_items FOR UPDATE USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+DROP POLICY IF EXISTS "Managers can delete menu items" ON venue_menu_items;
+CREATE POLICY "Managers can delete menu items"
+    ON venue_menu_items FOR DELETE USING (is_venue_staff(venue_id, auth.uid(), ARRAY['owner','manager']));
+
+-- ============================================================
+-- 1B. booking_order_items — what was pre-ordered with an order
+-- ============================================================
+
+-- Name and price are copied from the menu at purchase, so editing or
+-- deleting an item later doesn't change what the guest paid for.
+CREATE TABLE IF NOT EXISTS booking_order_items (
+    id              SERIAL PRIMARY KEY,
+    order_id        INTEGER NOT NULL REFERENCES booking_orders(id) ON DELETE CASCADE,
+    menu_item_id    INTEGER REFERENCES venue_menu_items(id) ON DELETE SET NULL,
+    name            TEXT NOT NULL,
+    unit_price      INTEGER NOT NULL CHECK (unit_price >= 0),
+    quantity        INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 20),
+    age_restricted  BOOLEAN NOT NULL DEFAULT false,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_order_items_order ON booking_order_items(order_id);
+
+ALTER TABLE booking_order_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Buyers and staff can view pre-orders" ON booking_order_items;
+CREATE POLICY "Buyers and staff can view pre-orders"
+    ON booking_order_items FOR SELECT USING (
+        EXISTS (SELECT 1 FROM booking_orders o JOIN timeslots ts ON ts.id = o.timeslot_id
+                WHERE o.id = order_id
+                  AND (o.user_id = auth.uid() OR is_venue_staff(ts.venue_id, auth.uid())))
+    );
+
+-- Rows are only written by reserve_timeslot below.
+
+-- ============================================================
+-- 1C. order_items_json — an order's pre-order for the RPCs below
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION order_items_json(p_order_id INT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'name', oi.name, 'quantity', oi.quantity, 'unit_price', oi.unit_price,
+        'age_restricted', oi.age_restricted
+    ) ORDER BY oi.id), '[]'::jsonb)
+    FROM booking_order_items oi
+    WHERE oi.order_id = p_order_id;
+$$;
+
+-- ============================================================
+-- 1D. Update reserve_timeslot — pre-ordered menu items
+-- ============================================================
+
+-- Replaces the four-argument version from V23
+DROP FUNCTION IF EXISTS reserve_timeslot(INT, TEXT, INT, TEXT);
+
+CREATE OR REPLACE FUNCTION reserve_timeslot(
+    p_timeslot_id INT,
+    p_vipps_reference TEXT DEFAULT NULL,
+    p_quantity INT DEFAULT 1,
+    p_promo_code TEXT DEFAULT NULL,
+    p_items JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ts RECORD;
+    current_bookings INT;
+    new_order_id INT;
+    new_booking_ids INT[];
+    new_qr_tokens UUID[];
+    is_free BOOLEAN;
+    venue_min_age INTEGER;
+    v_status TEXT;
+    tier RECORD;
+    v_tier_id INT;
+    v_tier_name TEXT;
+    v_list_price INT;
+    v_unit_price INT;
+    v_amount INT;
+    v_promo JSONB;
+    v_items JSONB;
+    v_items_amount INT := 0;
+    v_age_restricted BOOLEAN := false;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > 10 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_quantity', 'max_quantity', 10);
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_timeslot_id);
+
+    SELECT * INTO ts FROM timeslots WHERE id = p_timeslot_id;
+    IF ts.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_not_found');
+    END IF;
+
+    IF NOT ts.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_inactive');
+    END IF;
+
+    IF ts.date < CURRENT_DATE THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'timeslot_past');
+    END IF;
+
+    -- Age check (venue-level)
+    SELECT min_age INTO venue_min_age FROM venues WHERE id = ts.venue_id;
+    IF venue_min_age IS NOT NULL AND NOT check_user_age(current_uid, venue_min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', venue_min_age);
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM active_venue_bans(ts.venue_id, current_uid)) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'banned');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE timeslot_id = p_timeslot_id AND user_id = current_uid AND status NOT IN ('cancelled', 'expired')) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_booked');
+    END IF;
+
+    SELECT COUNT(*) INTO current_bookings
+    FROM bookings WHERE timeslot_id = p_timeslot_id AND status IN ('confirmed', 'checked_in', 'pending_payment');
+
+    IF current_bookings + p_quantity > ts.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out',
+            'spots_left', GREATEST(ts.capacity - current_bookings, 0));
+    END IF;
+
+    v_list_price := ts.price;
+
+    IF EXISTS (SELECT 1 FROM timeslot_price_tiers WHERE timeslot_id = p_timeslot_id) THEN
+        SELECT * INTO tier FROM timeslot_active_tier(p_timeslot_id);
+        IF tier.id IS NULL THEN
+            SELECT * INTO tier FROM timeslot_price_tiers
+            WHERE timeslot_id = p_timeslot_id AND sale_starts_at > NOW()
+            ORDER BY sale_starts_at LIMIT 1;
+            IF tier.id IS NOT NULL THEN
+                RETURN jsonb_build_object('status', 'error', 'code', 'sales_not_started',
+                    'sale_starts_at', tier.sale_starts_at);
+            END IF;
+            RETURN jsonb_build_object('status', 'error', 'code', 'sold_out', 'spots_left', 0);
+        END IF;
+
+        -- One order is sold at one price
+        IF tier_sold_count(tier.id) + p_quantity > tier.capacity THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'tier_spots_left',
+                'tier_name', tier.name, 'spots_left', tier.capacity - tier_sold_count(tier.id));
+        END IF;
+        v_list_price := tier.price;
+        v_tier_id := tier.id;
+        v_tier_name := tier.name;
+    END IF;
+
+    v_unit_price := v_list_price;
+
+    IF NULLIF(TRIM(p_promo_code), '') IS NOT NULL THEN
+        -- Serialize redemptions of the same code so usage caps hold
+        PERFORM 1 FROM promo_codes
+        WHERE venue_id = ts.venue_id AND code = UPPER(TRIM(p_promo_code))
+        FOR UPDATE;
+
+        v_promo := check_promo_code(p_timeslot_id, p_promo_code, current_uid);
+        IF v_promo->>'status' = 'error' THEN
+            RETURN v_promo;
+        END IF;
+        v_unit_price := (v_promo->>'unit_price')::INT;
+    END IF;
+
+    -- Pre-ordered menu items are paid for in the same payment.
+    -- p_items is [{ menu_item_id, quantity }]; repeats are summed.
+    IF p_items IS NOT NULL AND jsonb_typeof(p_items) != 'null' THEN
+        IF jsonb_typeof(p_items) != 'array' THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'invalid_preorder');
+        END IF;
+
+        IF EXISTS (
+            SELECT 1
+            FROM (
+                SELECT (e->>'menu_item_id')::INT AS menu_item_id, SUM((e->>'quantity')::INT) AS quantity
+                FROM jsonb_array_elements(p_items) e
+                GROUP BY 1
+            ) q
+            LEFT JOIN venue_menu_items mi ON mi.id = q.menu_item_id
+                AND mi.venue_id = ts.venue_id AND mi.active AND mi.preorder
+            WHERE mi.id IS NULL OR q.quantity IS NULL OR q.quantity NOT BETWEEN 1 AND 20
+        ) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'invalid_preorder', 'max_quantity', 20);
+        END IF;
+
+        SELECT jsonb_agg(jsonb_build_object(
+                   'menu_item_id', mi.id, 'name', mi.name, 'unit_price', mi.price,
+                   'quantity', q.quantity, 'age_restricted', mi.age_restricted
+               ) ORDER BY mi.category, mi.name),
+               COALESCE(SUM(mi.price * q.quantity), 0),
+               COALESCE(bool_or(mi.age_restricted), false)
+        INTO v_items, v_items_amount, v_age_restricted
+        FROM (
+            SELECT (e->>'menu_item_id')::INT AS menu_item_id, SUM((e->>'quantity')::INT)::INT AS quantity
+            FROM jsonb_array_elements(p_items) e
+            GROUP BY 1
+        ) q
+        JOIN venue_menu_items mi ON mi.id = q.menu_item_id;
+
+        IF v_age_restricted AND NOT check_user_age(current_uid, 18) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'preorder_too_young', 'min_age', 18);
+        END IF;
+    END IF;
+
+    v_amount := v_unit_price * p_quantity + v_items_amount;
+    is_free := (v_amount = 0);
+    v_status := CASE WHEN is_free THEN 'confirmed' ELSE 'pending_payment' END;
+
+    INSERT INTO booking_orders (user_id, timeslot_id, quantity, unit_price, tier_id)
+    VALUES (current_uid, p_timeslot_id, p_quantity, v_unit_price, v_tier_id)
+    RETURNING id INTO new_order_id;
+
+    IF v_items IS NOT NULL THEN
+        INSERT INTO booking_order_items (order_id, menu_item_id, name, unit_price, quantity, age_restricted)
+        SELECT new_order_id, (i->>'menu_item_id')::INT, i->>'name', (i->>'unit_price')::INT,
+               (i->>'quantity')::INT, (i->>'age_restricted')::BOOLEAN
+        FROM jsonb_array_elements(v_items) i;
+    END IF;
+
+    IF v_promo IS NOT NULL THEN
+        INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, list_price, discount_amount)
+        VALUES ((v_promo->>'promo_code_id')::INT, new_order_id, current_uid,
+                v_list_price * p_quantity, (v_promo->>'unit_discount')::INT * p_quantity);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO bookings (timeslot_id, user_id, qr_token, status, order_id)
+        SELECT p_timeslot_id, current_uid, gen_random_uuid(), v_status, new_order_id
+        FROM generate_series(1, p_quantity)
+        RETURNING id, qr_token
+    )
+    SELECT array_agg(id ORDER BY id), array_agg(qr_token ORDER BY id)
+    INTO new_booking_ids, new_qr_tokens
+    FROM inserted;
+
+    IF is_free THEN
+        -- Free (or fully discounted): confirm immediately
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, 0, 'NOK', 'completed', 'free');
+
+        INSERT INTO notifications (user_id, type, venue_id, actor_id)
+        VALUES (current_uid, 'booking_confirmed', ts.venue_id, current_uid);
+    ELSE
+        -- Paid: one pending transaction for the whole order
+        INSERT INTO transactions (booking_id, order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+        VALUES (new_booking_ids[1], new_order_id, current_uid, v_amount, 'NOK', 'pending', 'vipps', p_vipps_reference);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'order_id', new_order_id,
+        'quantity', p_quantity,
+        'booking_id', new_booking_ids[1],
+        'qr_token', new_qr_tokens[1],
+        'booking_ids', to_jsonb(new_booking_ids),
+        'qr_tokens', to_jsonb(new_qr_tokens),
+        'payment_required', NOT is_free,
+        'tier_name', v_tier_name,
+        'unit_price', v_unit_price,
+        'amount', v_amount,
+        'items', COALESCE(v_items, '[]'::jsonb),
+        'items_amount', v_items_amount,
+        'discount', (v_list_price - v_unit_price) * p_quantity,
+        'promo_code', v_promo->>'code',
+        'vipps_reference', CASE WHEN is_free THEN NULL ELSE p_vipps_reference END
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1E. Update verify_queue_ticket — show the pre-order at the door
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION verify_queue_ticket(p_venue_id INT, p_qr_token UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    b RECORD;
+    v_transferred_to TEXT;
+    ban RECORD;
+BEGIN
+    current_uid := auth.uid();
+    IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT b2.id AS booking_id, b2.status AS booking_status, b2.checked_in_at,
+           COALESCE(b2.assigned_to, b2.user_id) AS holder_id, COALESCE(ap.name, p.name) AS user_name,
+           COALESCE(ap.avatar_url, p.avatar_url) AS user_avatar_url,
+           CASE WHEN ap.id IS NOT NULL OR b2.user_id != o.user_id THEN bp.name END AS bought_by,
+           (SELECT COUNT(*) FROM bookings ob WHERE ob.order_id = b2.order_id) AS order_quantity,
+           (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b2.id AND tr.status = 'accepted') AS transfer_count,
+           ts.date, ts.start_time, ts.end_time, ts.description AS ts_description,
+           ts.venue_id, ts.type AS ts_type, ts.label AS ts_label, v.min_age,
+           order_items_json(b2.order_id) AS pre_order
+    INTO b
+    FROM bookings b2
+    JOIN profiles p ON p.id = b2.user_id
+    LEFT JOIN profiles ap ON ap.id = b2.assigned_to
+    LEFT JOIN booking_orders o ON o.id = b2.order_id
+    LEFT JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = b2.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE b2.qr_token = p_qr_token AND ts.venue_id = p_venue_id;
+
+    IF b.booking_id IS NULL THEN
+        -- A token replaced by a transfer: the ticket now belongs to someone else
+        SELECT tp.name INTO v_transferred_to
+        FROM ticket_transfers tr
+        JOIN profiles tp ON tp.id = tr.to_user_id
+        JOIN bookings b3 ON b3.id = tr.booking_id
+        JOIN timeslots ts ON ts.id = b3.timeslot_id
+        WHERE tr.old_qr_token = p_qr_token AND ts.venue_id = p_venue_id
+        ORDER BY tr.responded_at DESC LIMIT 1;
+
+        IF v_transferred_to IS NOT NULL THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'ticket_transferred', 'transferred_to', v_transferred_to);
+        END IF;
+
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_ticket');
+    END IF;
+
+    -- Whoever holds the ticket now, so a ban can't be dodged by
+    -- getting a friend to buy or pass on the ticket
+    SELECT * INTO ban FROM active_venue_bans(p_venue_id, b.holder_id) LIMIT 1;
+    IF ban.id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'error', 'code', 'guest_banned',
+            'booking_id', b.booking_id,
+            'user_name', b.user_name,
+            'user_avatar_url', b.user_avatar_url,
+            'ban_reason', ban.reason,
+            'ban_expires_at', ban.expires_at
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'booking_id', b.booking_id,
+        'booking_status', b.booking_status,
+        'checked_in_at', b.checked_in_at,
+        'user_name', b.user_name,
+        'user_avatar_url', b.user_avatar_url,
+        'bought_by', b.bought_by,
+        'order_quantity', b.order_quantity,
+        'transfer_count', b.transfer_count,
+        'date', b.date,
+        'start_time', b.start_time,
+        'end_time', b.end_time,
+        'timeslot_description', b.ts_description,
+        'type', b.ts_type,
+        'label', b.ts_label,
+        'min_age', b.min_age,
+        'age_status', age_check_status(b.holder_id, b.min_age),
+        'pre_order', b.pre_order
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update get_scanner_manifest — pre-orders for offline scans
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_scanner_manifest(p_venue_id INT DEFAULT NULL, p_event_id INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_local_now TIMESTAMP;
+    v_entries JSONB;
+BEGIN
+    current_uid := auth.uid();
+    v_local_now := NOW() AT TIME ZONE 'Europe/Oslo';
+
+    IF p_venue_id IS NOT NULL THEN
+        IF NOT is_venue_staff(p_venue_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_entries
+        FROM (
+            SELECT jsonb_build_object(
+                'kind', 'booking', 'id', b.id,
+                'token_hash', scanner_token_hash(b.qr_token),
+                'status', b.status, 'checked_in_at', b.checked_in_at,
+                'user_name', COALESCE(ap.name, p.name),
+                'bought_by', CASE WHEN ap.id IS NOT NULL OR b.user_id != o.user_id THEN bp.name END,
+                'transfer_count', (SELECT COUNT(*) FROM ticket_transfers tr WHERE tr.booking_id = b.id AND tr.status = 'accepted'),
+                'timeslot_id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+                'type', ts.type, 'label', ts.label,
+                'banned', EXISTS (SELECT 1 FROM active_venue_bans(p_venue_id, COALESCE(b.assigned_to, b.user_id))),
+                'min_age', vn.min_age,
+                'age_status', age_check_status(COALESCE(b.assigned_to, b.user_id), vn.min_age),
+                'pre_order', order_items_json(b.order_id)
+            ) AS e
+            FROM bookings b
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            JOIN venues vn ON vn.id = ts.venue_id
+            JOIN profiles p ON p.id = b.user_id
+            LEFT JOIN profiles ap ON ap.id = b.assigned_to
+            LEFT JOIN booking_orders o ON o.id = b.order_id
+            LEFT JOIN profiles bp ON bp.id = o.user_id
+            WHERE ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+              AND b.status IN ('confirmed', 'checked_in')
+
+            UNION ALL
+
+            -- Tokens replaced by a transfer, so the door can say who has the ticket now
+            SELECT jsonb_build_object(
+                'kind', 'transferred',
+                'token_hash', scanner_token_hash(tr.old_qr_token),
+                'transferred_to', tp.name
+            )
+            FROM ticket_transfers tr
+            JOIN profiles tp ON tp.id = tr.to_user_id
+            JOIN bookings b ON b.id = tr.booking_id
+            JOIN timeslots ts ON ts.id = b.timeslot_id
+            WHERE tr.old_qr_token IS NOT NULL AND ts.venue_id = p_venue_id
+              AND ts.date BETWEEN (v_local_now - INTERVAL '6 hours')::date AND v_local_now::date
+        ) entries;
+
+    ELSIF p_event_id IS NOT NULL THEN
+        IF NOT is_event_admin(p_event_id, current_uid) THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+        END IF;
+
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'kind', 'rsvp', 'id', r.id,
+            'token_hash', scanner_token_hash(r.qr_token),
+            'checked_in_at', r.checked_in_at,
+            'user_name', p.name,
+            'min_age', ev.min_age,
+            'age_status', age_check_status(r.user_id, ev.min_age)
+        )), '[]'::jsonb) INTO v_entries
+        FROM rsvps r
+        JOIN events ev ON ev.id = r.event_id
+        JOIN profiles p ON p.id = r.user_id
+        WHERE r.event_id = p_event_id AND r.status = 'going'
+          AND r.qr_token IS NOT NULL AND r.kicked_at IS NULL;
+
+    ELSE
+        RETURN jsonb_build_object('status', 'error', 'code', 'missing_scope');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'venue_id', p_venue_id,
+        'event_id', p_event_id,
+        'generated_at', NOW(),
+        'expires_at', NOW() + INTERVAL '12 hours',
+        'entries', v_entries
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update get_my_bookings — the buyer's pre-order and total
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_my_bookings()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN RETURN '[]'::jsonb; END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'order_id', o.id, 'quantity', o.quantity, 'unit_price', o.unit_price,
+            'created_at', o.created_at,
+            'items', order_items_json(o.id),
+            'amount', o.unit_price * o.quantity
+                + COALESCE((SELECT SUM(oi.unit_price * oi.quantity) FROM booking_order_items oi WHERE oi.order_id = o.id), 0),
+            'is_buyer', o.user_id = current_uid,
+            'buyer_name', bp.name,
+            'timeslot', jsonb_build_object('id', ts.id, 'date', ts.date, 'start_time', ts.start_time,
+                'end_time', ts.end_time, 'price', ts.price, 'description', ts.description,
+                'type', ts.type, 'label', ts.label),
+            'venue', jsonb_build_object('id', v.id, 'name', v.name, 'address', v.address, 'image_url', v.image_url,
+                'allow_transfers', v.allow_transfers),
+            'vipps_reference', CASE WHEN o.user_id = current_uid
+                THEN (SELECT t.vipps_reference FROM transactions t WHERE t.order_id = o.id LIMIT 1) END,
+            'tickets', (
+                SELECT jsonb_agg(jsonb_build_object(
+                    'booking_id', b.id, 'status', b.status, 'qr_token', b.qr_token,
+                    'checked_in_at', b.checked_in_at,
+                    'is_holder', b.user_id = current_uid,
+                    'assigned_to', CASE WHEN ap.id IS NOT NULL
+                        THEN jsonb_build_object('id', ap.id, 'name', ap.name, 'avatar_url', ap.avatar_url) END,
+                    'transfer_block_reason', CASE WHEN b.user_id = current_uid THEN transfer_block_reason(b.id) END,
+                    'pending_transfer', (
+                        SELECT jsonb_build_object('id', tr.id, 'to_name', tp.name)
+                        FROM ticket_transfers tr JOIN profiles tp ON tp.id = tr.to_user_id
+                        WHERE tr.booking_id = b.id AND tr.status = 'pending'
+                    )
+                ) ORDER BY b.id)
+                FROM bookings b
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                WHERE b.order_id = o.id AND b.status != 'expired'
+                  AND (b.user_id = current_uid OR b.assigned_to = current_uid)
+            )
+        ) ORDER BY ts.date DESC, ts.start_time DESC, o.id DESC
+    ), '[]'::jsonb) INTO result
+    FROM booking_orders o
+    JOIN profiles bp ON bp.id = o.user_id
+    JOIN timeslots ts ON ts.id = o.timeslot_id
+    JOIN venues v ON v.id = ts.venue_id
+    WHERE EXISTS (
+        SELECT 1 FROM bookings b
+        WHERE b.order_id = o.id AND b.status != 'expired'
+          AND (b.user_id = current_uid OR b.assigned_to = current_uid)
+    );
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update get_venue_dashboard — pre-orders in the bookings list
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_venue_dashboard(p_venue_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v RECORD;
+    all_timeslots JSONB;
+    staff_list JSONB;
+    promo_list JSONB;
+    total_revenue INT;
+    pending_capture INT;
+    bookings_today INT;
+    sold_out_count INT;
+    total_discount INT;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_venue_staff(p_venue_id, current_uid, ARRAY['owner','manager']) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_staff');
+    END IF;
+
+    SELECT * INTO v FROM venues WHERE id = p_venue_id;
+    IF v.id IS NULL THEN RETURN NULL; END IF;
+
+    -- Revenue is money actually captured, minus refunds
+    SELECT COALESCE(SUM(t.captured_amount - t.refunded_amount), 0),
+           COALESCE(SUM(t.authorized_amount - t.captured_amount) FILTER (WHERE t.payment_state = 'authorized'), 0)
+    INTO total_revenue, pending_capture
+    FROM transactions t JOIN bookings b ON b.id = t.booking_id JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id;
+
+    SELECT COUNT(*) INTO bookings_today
+    FROM bookings b JOIN timeslots ts ON ts.id = b.timeslot_id
+    WHERE ts.venue_id = p_venue_id AND ts.date = CURRENT_DATE AND b.status IN ('confirmed', 'checked_in');
+
+    SELECT COUNT(*) INTO sold_out_count
+    FROM timeslots ts WHERE ts.venue_id = p_venue_id AND ts.active = true AND ts.date >= CURRENT_DATE
+      AND (SELECT COUNT(*) FROM bookings b WHERE b.timeslot_id = ts.id AND b.status IN ('confirmed', 'checked_in')) >= ts.capacity;
+
+    SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+            'id', ts.id, 'date', ts.date, 'start_time', ts.start_time, 'end_time', ts.end_time,
+            'price', ts.price, 'capacity', ts.capacity, 'description', ts.description,
+            'active', ts.active, 'event_id', ts.event_id,
+            'type', ts.type, 'label', ts.label,
+            'tiers', timeslot_tiers_json(ts.id),
+            'bookings', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', b.id, 'user_id', b.user_id, 'user_name', p.name, 'user_avatar_url', p.avatar_url,
+                    'order_id', b.order_id, 'assigned_to_name', ap.name,
+                    'promo_code', pc.code, 'tier_name', pt.name,
+                    'pre_order', order_items_json(b.order_id),
+                    'status', b.status, 'checked_in_at', b.checked_in_at, 'created_at', b.created_at,
+                    'payment_state', t.payment_state,
+                    'captured_amount', t.captured_amount,
+                    'refunded_amount', t.refunded_amount
+                ) ORDER BY b.order_id, b.id)
+                FROM bookings b
+                JOIN profiles p ON p.id = b.user_id
+                LEFT JOIN profiles ap ON ap.id = b.assigned_to
+                LEFT JOIN transactions t ON t.order_id = b.order_id AND t.payment_method = 'vipps'
+                LEFT JOIN promo_redemptions pr ON pr.order_id = b.order_id
+                LEFT JOIN promo_codes pc ON pc.id = pr.promo_code_id
+                LEFT JOIN booking_orders o ON o.id = b.order_id
+                LEFT JOIN timeslot_price_tiers pt ON pt.id = o.tier_id
+                WHERE b.timeslot_id = ts.id AND b.status != 'cancelled'
+            ), '[]'::jsonb)
+        ) ORDER BY ts.date DESC, ts.start_time DESC
+    ), '[]'::jsonb) INTO all_timeslots FROM timeslots ts WHERE ts.venue_id = p_venue_id;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', vs.id, 'user_id', vs.user_id, 'role', vs.role,
+        'name', p.name, 'email', p.email, 'avatar_url', p.avatar_url
+    )), '[]'::jsonb) INTO staff_list
+    FROM venue_staff vs JOIN profiles p ON p.id = vs.user_id WHERE vs.venue_id = p_venue_id;
+
+    -- Redemptions count while the order still has valid tickets
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', pc.id, 'code', pc.code, 'discount_type', pc.discount_type,
+        'discount_value', pc.discount_value, 'timeslot_type', pc.timeslot_type,
+        'max_uses', pc.max_uses, 'max_uses_per_user', pc.max_uses_per_user,
+        'valid_from', pc.valid_from, 'valid_until', pc.valid_until, 'active', pc.active,
+        'redemptions', promo_redemption_count(pc.id),
+        'total_discount', COALESCE((
+            SELECT SUM(r.discount_amount) FROM promo_redemptions r
+            WHERE r.promo_code_id = pc.id
+              AND EXISTS (SELECT 1 FROM bookings b WHERE b.order_id = r.order_id AND b.status NOT IN ('cancelled', 'expired'))
+        ), 0)
+    ) ORDER BY pc.created_at DESC), '[]'::jsonb) INTO promo_list
+    FROM promo_codes pc WHERE pc.venue_id = p_venue_id;
+
+    SELECT COALESCE(SUM((p->>'total_discount')::INT), 0) INTO total_discount
+    FROM jsonb_array_elements(promo_list) p;
+
+    RETURN jsonb_build_object(
+        'venue', jsonb_build_object('id', v.id, 'name', v.name, 'description', v.description,
+            'address', v.address, 'image_url', v.image_url, 'opening_hours', v.opening_hours, 'verified', v.verified,
+            'min_age', v.min_age, 'capture_mode', v.capture_mode),
+        'timeslots', all_timeslots, 'staff', staff_list, 'promo_codes', promo_list,
+        'stats', jsonb_build_object('total_revenue', total_revenue, 'pending_capture', pending_capture,
+            'bookings_today', bookings_today, 'sold_out_count', sold_out_count,
+            'total_discount', total_discount)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update order_capturable_amount — the pre-order is captured
+--     with the tickets while any of them are still valid
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION order_capturable_amount(p_transaction_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT GREATEST(0, LEAST(
+        t.authorized_amount,
+        COALESCE(o.unit_price * v.active_count
+            + CASE WHEN v.active_count > 0 THEN COALESCE((
+                SELECT SUM(oi.unit_price * oi.quantity) FROM booking_order_items oi WHERE oi.order_id = o.id
+              ), 0) ELSE 0 END,
+            t.authorized_amount)
+    ) - t.captured_amount)::INTEGER
+    FROM transactions t
+    LEFT JOIN booking_orders o ON o.id = t.order_id
+    LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS active_count FROM bookings b
+        WHERE b.order_id = o.id AND b.status NOT IN ('cancelled', 'expired')
+    ) v ON true
+    WHERE t.id = p_transaction_id;
+$$;
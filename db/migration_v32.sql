@@ -0,0 +1,1051 @@
+-- ============================================================
+-- Migration V32: Paid tickets on events
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. event_ticket_types — what an event sells
+-- ============================================================
+
+-- price is in øre and always above zero; free events keep plain RSVPs.
+-- capacity (optional) caps one type; events.max_attendees still caps the
+-- event as a whole. An event with any ticket type is a ticketed event:
+-- going then needs a paid ticket, also while sales are paused.
+CREATE TABLE IF NOT EXISTS event_ticket_types (
+    id              SERIAL PRIMARY KEY,
+    event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    name            TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    price           INTEGER NOT NULL CHECK (price > 0),
+    capacity        INTEGER CHECK (capacity > 0),
+    active          BOOLEAN NOT NULL DEFAULT true,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_ticket_types_event ON event_ticket_types(event_id);
+
+ALTER TABLE event_ticket_types ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Ticket types readable if event accessible" ON event_ticket_types;
+CREATE POLICY "Ticket types readable if event accessible"
+    ON event_ticket_types FOR SELECT USING (check_event_access(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can create ticket types" ON event_ticket_types;
+CREATE POLICY "Event admins can create ticket types"
+    ON event_ticket_types FOR INSERT WITH CHECK (is_event_admin(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can update ticket types" ON event_ticket_types;
+CREATE POLICY "Event admins can update ticket types"
+    ON event_ticket_types FOR UPDATE USING (is_event_admin(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can delete ticket types" ON event_ticket_types;
+CREATE POLICY "Event admins can delete ticket types"
+    ON event_ticket_types FOR DELETE USING (is_event_admin(event_id, auth.uid()));
+
+-- ============================================================
+-- 1B. event_ticket_orders — one ticket bought for an event
+-- ============================================================
+
+-- unit_price is copied from the type at purchase. The buyer's rsvps row
+-- is only created once the payment is confirmed. A type that has been
+-- sold can't be deleted, only hidden (active = false). A cancelled
+-- ticket waits in refund_pending until Vipps confirms the refund.
+CREATE TABLE IF NOT EXISTS event_ticket_orders (
+    id              SERIAL PRIMARY KEY,
+    event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    ticket_type_id  INTEGER NOT NULL REFERENCES event_ticket_types(id),
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    unit_price      INTEGER NOT NULL CHECK (unit_price > 0),
+    status          TEXT NOT NULL DEFAULT 'pending_payment'
+                    CHECK (status IN ('pending_payment', 'paid', 'cancelled', 'expired', 'refund_pending', 'refunded')),
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    paid_at         TIMESTAMPTZ,
+    refunded_at     TIMESTAMPTZ
+);
+
+-- One live ticket per person and event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_ticket_orders_live
+    ON event_ticket_orders(event_id, user_id) WHERE status IN ('pending_payment', 'paid');
+CREATE INDEX IF NOT EXISTS idx_event_ticket_orders_type ON event_ticket_orders(ticket_type_id, status);
+CREATE INDEX IF NOT EXISTS idx_event_ticket_orders_user ON event_ticket_orders(user_id);
+
+ALTER TABLE event_ticket_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Buyers and event admins can view ticket orders" ON event_ticket_orders;
+CREATE POLICY "Buyers and event admins can view ticket orders"
+    ON event_ticket_orders FOR SELECT USING (user_id = auth.uid() OR is_event_admin(event_id, auth.uid()));
+
+-- Rows are only written by the RPCs below.
+
+-- An event with sold tickets has to have them refunded before it goes
+CREATE OR REPLACE FUNCTION prevent_ticketed_event_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM event_ticket_orders WHERE event_id = OLD.id AND status IN ('pending_payment', 'paid', 'refund_pending')) THEN
+        RAISE EXCEPTION 'event_has_tickets';
+    END IF;
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_prevent_ticketed_event_delete ON events;
+CREATE TRIGGER trg_prevent_ticketed_event_delete
+    BEFORE DELETE ON events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_ticketed_event_delete();
+
+-- ============================================================
+-- 1C. Transactions can pay for an event ticket instead of a booking
+-- ============================================================
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS event_order_id INTEGER REFERENCES event_ticket_orders(id) ON DELETE CASCADE;
+ALTER TABLE transactions ALTER COLUMN booking_id DROP NOT NULL;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_paid_for_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_paid_for_check
+    CHECK (booking_id IS NOT NULL OR event_order_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_event_order ON transactions(event_order_id);
+
+-- ============================================================
+-- 1D. Waitlist offers — a freed place on a ticketed event is offered
+--     to the next waitlisted person, who has a day to buy it
+-- ============================================================
+
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS ticket_offer_expires_at TIMESTAMPTZ;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('rsvp','comment','access_request','invitation','reminder',
+                    'waitlist_promoted','kicked','follow_request','follow_accepted',
+                    'booking_confirmed','booking_cancelled','venue_new_timeslot',
+                    'ticket_assigned','ticket_transfer','ticket_transfer_accepted',
+                    'ticket_offer'));
+
+CREATE OR REPLACE FUNCTION event_has_tickets(p_event_id INT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM event_ticket_types WHERE event_id = p_event_id);
+$$;
+
+-- Places on a ticketed event that are spoken for: going, being paid
+-- for, or offered from the waitlist. p_user_id's own pending order and
+-- offer are left out, so they don't stand in that person's way.
+CREATE OR REPLACE FUNCTION event_places_taken(p_event_id INT, p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT (
+        (SELECT COUNT(*) FROM rsvps
+         WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL)
+      + (SELECT COUNT(*) FROM event_ticket_orders
+         WHERE event_id = p_event_id AND status = 'pending_payment'
+           AND user_id IS DISTINCT FROM p_user_id)
+      + (SELECT COUNT(*) FROM rsvps r
+         WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+           AND r.ticket_offer_expires_at > NOW()
+           AND r.user_id IS DISTINCT FROM p_user_id
+           AND NOT EXISTS (SELECT 1 FROM event_ticket_orders o
+                           WHERE o.event_id = p_event_id AND o.user_id = r.user_id
+                             AND o.status = 'pending_payment'))
+    )::INTEGER;
+$$;
+
+-- Offer every free place to the next person on the waitlist. Returns
+-- how many offers were made. Callers hold the event's advisory lock.
+CREATE OR REPLACE FUNCTION offer_event_tickets(p_event_id INT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev RECORD;
+    v_free INT;
+    v_offered INT := 0;
+    r RECORD;
+BEGIN
+    SELECT id, max_attendees, (date + time) AT TIME ZONE 'Europe/Oslo' AS starts_at
+    INTO ev FROM events WHERE id = p_event_id;
+
+    IF ev.max_attendees IS NULL OR NOT event_has_tickets(p_event_id) OR ev.starts_at <= NOW() THEN
+        RETURN 0;
+    END IF;
+
+    v_free := ev.max_attendees - event_places_taken(p_event_id);
+
+    FOR r IN
+        SELECT id, user_id FROM rsvps
+        WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL
+          AND ticket_offer_expires_at IS NULL
+        ORDER BY created_at ASC
+        LIMIT GREATEST(v_free, 0)
+    LOOP
+        UPDATE rsvps SET ticket_offer_expires_at = LEAST(NOW() + INTERVAL '24 hours', ev.starts_at)
+        WHERE id = r.id;
+
+        INSERT INTO notifications (user_id, type, event_id)
+        VALUES (r.user_id, 'ticket_offer', p_event_id);
+
+        v_offered := v_offered + 1;
+    END LOOP;
+
+    RETURN v_offered;
+END;
+$$;
+
+-- Offers nobody acted on: the person leaves the waitlist and the place
+-- goes to the next one. Someone paying right now keeps theirs.
+CREATE OR REPLACE FUNCTION expire_ticket_offers()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_events INT[];
+    v_count INT;
+    v_event_id INT;
+BEGIN
+    WITH expired AS (
+        DELETE FROM rsvps r
+        WHERE r.status = 'waitlisted' AND r.ticket_offer_expires_at <= NOW()
+          AND NOT EXISTS (SELECT 1 FROM event_ticket_orders o
+                          WHERE o.event_id = r.event_id AND o.user_id = r.user_id
+                            AND o.status = 'pending_payment')
+        RETURNING r.event_id
+    )
+    SELECT COUNT(*), array_agg(DISTINCT event_id) INTO v_count, v_events FROM expired;
+
+    FOREACH v_event_id IN ARRAY COALESCE(v_events, '{}') LOOP
+        PERFORM pg_advisory_xact_lock(v_event_id);
+        PERFORM offer_event_tickets(v_event_id);
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+-- Schedule with pg_cron:
+-- SELECT cron.schedule('expire-ticket-offers', '*/10 * * * *', 'SELECT expire_ticket_offers()');
+
+-- ============================================================
+-- 1E. RSVPs on a ticketed event — going needs a paid ticket
+-- ============================================================
+
+-- Runs after trg_check_capacity_on_rsvp (triggers fire by name), so a
+-- going RSVP on a full event has already become waitlisted and passes.
+CREATE OR REPLACE FUNCTION require_event_ticket()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status != 'going' OR (TG_OP = 'UPDATE' AND OLD.status = 'going') THEN
+        RETURN NEW;
+    END IF;
+
+    IF event_has_tickets(NEW.event_id) AND NOT EXISTS (
+        SELECT 1 FROM event_ticket_orders
+        WHERE event_id = NEW.event_id AND user_id = NEW.user_id AND status = 'paid'
+    ) THEN
+        RAISE EXCEPTION 'ticket_required';
+    END IF;
+
+    NEW.ticket_offer_expires_at := NULL;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_require_event_ticket ON rsvps;
+CREATE TRIGGER trg_require_event_ticket
+    BEFORE INSERT OR UPDATE OF status ON rsvps
+    FOR EACH ROW
+    EXECUTE FUNCTION require_event_ticket();
+
+-- ============================================================
+-- 1F. Update promote_from_waitlist — on a ticketed event the next
+--     person gets an offer to buy instead of the place itself
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION promote_from_waitlist()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    max_att INTEGER;
+    current_going INTEGER;
+    promoted_rsvp RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' AND OLD.status != 'going' THEN
+        RETURN OLD;
+    END IF;
+    IF TG_OP = 'UPDATE' AND (OLD.status != 'going' OR NEW.status = 'going') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_attendees INTO max_att FROM events WHERE id = OLD.event_id;
+    IF max_att IS NULL THEN
+        IF TG_OP = 'DELETE' THEN RETURN OLD; END IF;
+        RETURN NEW;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(OLD.event_id);
+
+    IF event_has_tickets(OLD.event_id) THEN
+        PERFORM offer_event_tickets(OLD.event_id);
+        IF TG_OP = 'DELETE' THEN RETURN OLD; END IF;
+        RETURN NEW;
+    END IF;
+
+    SELECT COUNT(*) INTO current_going
+    FROM rsvps
+    WHERE event_id = OLD.event_id AND status = 'going' AND kicked_at IS NULL;
+
+    IF current_going < max_att THEN
+        SELECT * INTO promoted_rsvp
+        FROM rsvps
+        WHERE event_id = OLD.event_id AND status = 'waitlisted' AND kicked_at IS NULL
+        ORDER BY created_at ASC
+        LIMIT 1;
+
+        IF promoted_rsvp.id IS NOT NULL THEN
+            UPDATE rsvps SET status = 'going' WHERE id = promoted_rsvp.id;
+
+            INSERT INTO notifications (user_id, type, event_id)
+            VALUES (promoted_rsvp.user_id, 'waitlist_promoted', OLD.event_id);
+        END IF;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN RETURN OLD; END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- ============================================================
+-- 1G. reserve_event_ticket — hold a place and start the payment
+-- ============================================================
+
+-- Called by the vipps-payment edge function as the buyer, like
+-- reserve_timeslot. An earlier unpaid attempt is given up, so a second
+-- try doesn't have to wait for the first to expire; if Vipps authorizes
+-- it after all, process_payment_event releases the money.
+CREATE OR REPLACE FUNCTION reserve_event_ticket(p_ticket_type_id INT, p_vipps_reference TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    tt RECORD;
+    ev RECORD;
+    v_my_rsvp RECORD;
+    v_sold INT;
+    v_previous INT;
+    new_order_id INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO tt FROM event_ticket_types WHERE id = p_ticket_type_id;
+    IF tt.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_not_found');
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(tt.event_id);
+
+    SELECT id, title, min_age, max_attendees, (date + time) AT TIME ZONE 'Europe/Oslo' AS starts_at
+    INTO ev FROM events WHERE id = tt.event_id;
+
+    IF NOT check_event_access(ev.id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_access');
+    END IF;
+
+    IF NOT tt.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_inactive');
+    END IF;
+
+    IF ev.starts_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_started');
+    END IF;
+
+    IF NOT check_user_age(current_uid, ev.min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', ev.min_age);
+    END IF;
+
+    SELECT * INTO v_my_rsvp FROM rsvps WHERE event_id = ev.id AND user_id = current_uid;
+    IF v_my_rsvp.kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'kicked');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM event_ticket_orders WHERE event_id = ev.id AND user_id = current_uid AND status = 'paid') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_has_ticket');
+    END IF;
+
+    -- Going from before the event started selling tickets
+    IF v_my_rsvp.status = 'going' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_going');
+    END IF;
+
+    IF ev.max_attendees IS NOT NULL AND event_places_taken(ev.id, current_uid) >= ev.max_attendees THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out');
+    END IF;
+
+    SELECT COUNT(*) INTO v_sold FROM event_ticket_orders
+    WHERE ticket_type_id = tt.id AND status IN ('pending_payment', 'paid') AND user_id != current_uid;
+    IF tt.capacity IS NOT NULL AND v_sold >= tt.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_sold_out');
+    END IF;
+
+    UPDATE event_ticket_orders SET status = 'cancelled'
+    WHERE event_id = ev.id AND user_id = current_uid AND status = 'pending_payment'
+    RETURNING id INTO v_previous;
+
+    IF v_previous IS NOT NULL THEN
+        WITH cancelled AS (
+            UPDATE transactions SET status = 'cancelled', payment_state = 'cancelled'
+            WHERE event_order_id = v_previous AND payment_state = 'created'
+            RETURNING id
+        )
+        INSERT INTO transaction_events (transaction_id, event)
+        SELECT id, 'CANCELLED' FROM cancelled;
+    END IF;
+
+    INSERT INTO event_ticket_orders (event_id, ticket_type_id, user_id, unit_price)
+    VALUES (ev.id, tt.id, current_uid, tt.price)
+    RETURNING id INTO new_order_id;
+
+    INSERT INTO transactions (event_order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+    VALUES (new_order_id, current_uid, tt.price, 'NOK', 'pending', 'vipps', p_vipps_reference);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'event_order_id', new_order_id,
+        'event_id', ev.id,
+        'event_title', ev.title,
+        'ticket_name', tt.name,
+        'payment_required', true,
+        'amount', tt.price,
+        'vipps_reference', p_vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1H. cancel_event_ticket — give up a paid ticket before the event
+-- ============================================================
+
+-- Like cancel_booking, this returns what the edge function has to do at
+-- Vipps: refund captured money or cancel an authorization.
+CREATE OR REPLACE FUNCTION cancel_event_ticket(p_event_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ord RECORD;
+    tx RECORD;
+    v_starts_at TIMESTAMPTZ;
+    v_action TEXT;
+    v_amount INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ord FROM event_ticket_orders
+    WHERE event_id = p_event_id AND user_id = current_uid AND status = 'paid'
+    FOR UPDATE;
+    IF ord.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_ticket');
+    END IF;
+
+    SELECT (date + time) AT TIME ZONE 'Europe/Oslo' INTO v_starts_at FROM events WHERE id = p_event_id;
+    IF v_starts_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_started');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM rsvps WHERE event_id = p_event_id AND user_id = current_uid AND checked_in_at IS NOT NULL) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'checked_in');
+    END IF;
+
+    -- promote_from_waitlist offers the place to the next in line
+    DELETE FROM rsvps WHERE event_id = p_event_id AND user_id = current_uid;
+
+    SELECT * INTO tx FROM transactions
+    WHERE event_order_id = ord.id AND payment_method = 'vipps'
+      AND payment_state IN ('authorized', 'captured', 'partially_refunded');
+
+    -- record_vipps_adjustment marks it refunded once Vipps confirms
+    UPDATE event_ticket_orders
+    SET status = CASE WHEN tx.id IS NOT NULL THEN 'refund_pending' ELSE 'refunded' END,
+        refunded_at = NOW()
+    WHERE id = ord.id;
+
+    IF tx.id IS NOT NULL THEN
+        IF tx.captured_amount > tx.refunded_amount THEN
+            v_action := 'refund';
+            v_amount := tx.captured_amount - tx.refunded_amount;
+        ELSE
+            v_action := 'cancel';
+            v_amount := tx.authorized_amount - tx.captured_amount;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'needs_refund', v_action IS NOT NULL,
+        'payment_action', v_action,
+        'amount', v_amount,
+        'vipps_reference', tx.vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update confirm_vipps_payment / fail_vipps_payment — event
+--     tickets. They are captured right away: there's no venue
+--     capture_mode, and the ticket is final once it's paid.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION confirm_vipps_payment(p_vipps_reference TEXT, p_psp_reference TEXT DEFAULT NULL, p_amount INT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_venue_id INT;
+    v_capture_mode TEXT;
+    v_event_id INT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    IF tx.event_order_id IS NOT NULL THEN
+        SELECT event_id INTO v_event_id FROM event_ticket_orders WHERE id = tx.event_order_id;
+        v_capture_mode := 'purchase';
+    ELSE
+        SELECT ts.venue_id, v.capture_mode INTO v_venue_id, v_capture_mode
+        FROM bookings b
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        JOIN venues v ON v.id = ts.venue_id
+        WHERE b.id = tx.booking_id;
+    END IF;
+
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'already_confirmed', 'booking_id', tx.booking_id,
+            'order_id', tx.order_id, 'event_order_id', tx.event_order_id,
+            'capture_now', tx.payment_state = 'authorized' AND v_capture_mode = 'purchase',
+            'amount', order_capturable_amount(tx.id));
+    END IF;
+
+    UPDATE transactions
+    SET status = 'completed',
+        payment_state = 'authorized',
+        authorized_amount = COALESCE(p_amount, tx.amount),
+        vipps_psp_reference = p_psp_reference
+    WHERE id = tx.id;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, 'AUTHORIZED', COALESCE(p_amount, tx.amount), p_psp_reference);
+
+    IF tx.event_order_id IS NOT NULL THEN
+        UPDATE event_ticket_orders SET status = 'paid', paid_at = NOW()
+        WHERE id = tx.event_order_id AND status = 'pending_payment';
+
+        -- The place was held at reserve_event_ticket, so the RSVP goes
+        -- straight to going; rsvp triggers hand out the QR token
+        INSERT INTO rsvps (user_id, event_id, status)
+        VALUES (tx.user_id, v_event_id, 'going')
+        ON CONFLICT (user_id, event_id) DO UPDATE SET status = 'going';
+
+        RETURN jsonb_build_object('status', 'success', 'event_order_id', tx.event_order_id,
+            'event_id', v_event_id,
+            'capture_now', true,
+            'amount', order_capturable_amount(tx.id));
+    END IF;
+
+    UPDATE bookings SET status = 'confirmed'
+    WHERE (id = tx.booking_id OR order_id = tx.order_id) AND status = 'pending_payment';
+
+    -- Send notification
+    INSERT INTO notifications (user_id, type, venue_id, actor_id)
+    VALUES (tx.user_id, 'booking_confirmed', v_venue_id, tx.user_id);
+
+    RETURN jsonb_build_object('status', 'success', 'booking_id', tx.booking_id,
+        'order_id', tx.order_id,
+        'capture_now', v_capture_mode = 'purchase',
+        'amount', order_capturable_amount(tx.id));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION fail_vipps_payment(p_vipps_reference TEXT, p_event TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_state TEXT;
+    v_event_id INT;
+BEGIN
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    -- Once authorized, cancellations are recorded by record_vipps_adjustment
+    IF tx.payment_state != 'created' THEN
+        RETURN jsonb_build_object('status', 'ignored', 'payment_state', tx.payment_state);
+    END IF;
+
+    v_state := CASE p_event
+        WHEN 'CANCELLED' THEN 'cancelled'
+        WHEN 'EXPIRED' THEN 'expired'
+        ELSE 'failed'
+    END;
+
+    UPDATE transactions SET status = 'cancelled', payment_state = v_state WHERE id = tx.id;
+
+    UPDATE bookings SET status = 'cancelled'
+    WHERE (id = tx.booking_id OR order_id = tx.order_id) AND status = 'pending_payment';
+
+    -- A held event place goes back to the waitlist
+    UPDATE event_ticket_orders SET status = 'cancelled'
+    WHERE id = tx.event_order_id AND status = 'pending_payment'
+    RETURNING event_id INTO v_event_id;
+
+    IF v_event_id IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(v_event_id);
+        PERFORM offer_event_tickets(v_event_id);
+    END IF;
+
+    INSERT INTO transaction_events (transaction_id, event)
+    VALUES (tx.id, p_event);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state);
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update expire_pending_bookings — unpaid event tickets too
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION expire_pending_bookings()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    expired_count INTEGER;
+    expired_orders INTEGER;
+    v_events INT[];
+    v_event_id INT;
+BEGIN
+    WITH expired AS (
+        UPDATE bookings SET status = 'expired'
+        WHERE status = 'pending_payment' AND created_at < NOW() - INTERVAL '15 minutes'
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO expired_count FROM expired;
+
+    -- Also cancel associated pending transactions
+    WITH cancelled AS (
+        UPDATE transactions SET status = 'cancelled', payment_state = 'expired'
+        WHERE booking_id IN (
+            SELECT id FROM bookings WHERE status = 'expired'
+        ) AND status = 'pending'
+        RETURNING id
+    )
+    INSERT INTO transaction_events (transaction_id, event)
+    SELECT id, 'EXPIRED' FROM cancelled;
+
+    WITH expired AS (
+        UPDATE event_ticket_orders SET status = 'expired'
+        WHERE status = 'pending_payment' AND created_at < NOW() - INTERVAL '15 minutes'
+        RETURNING id, event_id
+    )
+    SELECT COUNT(*), array_agg(DISTINCT event_id) INTO expired_orders, v_events FROM expired;
+
+    WITH cancelled AS (
+        UPDATE transactions SET status = 'cancelled', payment_state = 'expired'
+        WHERE event_order_id IN (
+            SELECT id FROM event_ticket_orders WHERE status = 'expired'
+        ) AND status = 'pending'
+        RETURNING id
+    )
+    INSERT INTO transaction_events (transaction_id, event)
+    SELECT id, 'EXPIRED' FROM cancelled;
+
+    FOREACH v_event_id IN ARRAY COALESCE(v_events, '{}') LOOP
+        PERFORM pg_advisory_xact_lock(v_event_id);
+        PERFORM offer_event_tickets(v_event_id);
+    END LOOP;
+
+    RETURN expired_count + expired_orders;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION confirm_vipps_payment(TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION fail_vipps_payment(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_pending_bookings() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_ticket_offers() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION offer_event_tickets(INT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1K. Update get_event_detail — ticket types, your ticket and
+--     your waitlist offer
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_detail(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev events%ROWTYPE;
+    current_uid UUID;
+    has_access BOOLEAN;
+    ar_status TEXT;
+    show_location BOOLEAN;
+BEGIN
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN RETURN NULL; END IF;
+
+    current_uid := auth.uid();
+    has_access := check_event_access(p_event_id, current_uid);
+
+    IF NOT has_access THEN
+        SELECT ar.status INTO ar_status
+        FROM access_requests ar
+        WHERE ar.event_id = p_event_id AND ar.user_id = current_uid;
+
+        RETURN jsonb_build_object(
+            'id', ev.id,
+            'title', ev.title,
+            'category', ev.category,
+            'visibility', ev.visibility,
+            'join_mode', ev.join_mode,
+            'event_mode', ev.event_mode,
+            'min_age', ev.min_age,
+            'has_access', false,
+            'access_request_status', ar_status
+        );
+    END IF;
+
+    show_location := TRUE;
+    IF ev.join_mode = 'approval_required' THEN
+        IF is_event_admin(p_event_id, current_uid) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM access_requests
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'approved'
+        ) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM rsvps
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'going'
+        ) THEN
+            show_location := TRUE;
+        ELSE
+            show_location := FALSE;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', ev.id,
+        'title', ev.title,
+        'description', ev.description,
+        'date', ev.date,
+        'end_date', ev.end_date,
+        'time', ev.time,
+        'end_time', ev.end_time,
+        'event_mode', ev.event_mode,
+        'online_url', ev.online_url,
+        'location', CASE WHEN show_location THEN ev.location ELSE NULL END,
+        'location_hidden', NOT show_location,
+        'area_name', CASE
+            WHEN NOT show_location THEN
+                CASE
+                    WHEN POSITION(',' IN ev.location) > 0 THEN
+                        TRIM(SUBSTRING(ev.location FROM POSITION(',' IN ev.location) + 1))
+                    ELSE ev.location
+                END
+            ELSE NULL
+        END,
+        'image_url', ev.image_url,
+        'category', ev.category,
+        'visibility', ev.visibility,
+        'join_mode', ev.join_mode,
+        'min_age', ev.min_age,
+        'latitude', CASE WHEN show_location THEN ev.latitude ELSE NULL END,
+        'longitude', CASE WHEN show_location THEN ev.longitude ELSE NULL END,
+        'creator_id', ev.creator_id,
+        'created_at', ev.created_at,
+        'max_attendees', ev.max_attendees,
+        'venue_id', ev.venue_id,
+        'series_id', ev.series_id,
+        'series', CASE WHEN ev.series_id IS NOT NULL THEN series_summary(ev.series_id) ELSE NULL END,
+        'has_access', true,
+        'qr_enabled', ev.qr_enabled,
+        'is_admin', is_event_admin(p_event_id, current_uid),
+        'creator_name', (SELECT name FROM profiles WHERE id = ev.creator_id),
+        'going_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL),
+        'interested_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'interested' AND kicked_at IS NULL),
+        'waitlisted_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL),
+        'checked_in_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL),
+        'going_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url, 'checked_in_at', r.checked_in_at))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'interested_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'interested' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'waitlisted_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url) ORDER BY r.created_at ASC)
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'my_rsvp', (SELECT r.status FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid),
+        'my_qr_token', (SELECT r.qr_token FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_checked_in_at', (SELECT r.checked_in_at FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_kicked', COALESCE((SELECT r.kicked_at IS NOT NULL FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid), false),
+        'ticketed', event_has_tickets(p_event_id),
+        'ticket_types', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', tt.id,
+                'name', tt.name,
+                'price', tt.price,
+                'sold_out', tt.capacity IS NOT NULL AND (
+                    SELECT COUNT(*) FROM event_ticket_orders o
+                    WHERE o.ticket_type_id = tt.id AND o.status IN ('pending_payment', 'paid')
+                      AND o.user_id IS DISTINCT FROM current_uid
+                ) >= tt.capacity
+            ) ORDER BY tt.price, tt.id)
+            FROM event_ticket_types tt
+            WHERE tt.event_id = p_event_id AND tt.active
+        ), '[]'::jsonb),
+        'tickets_available', ev.max_attendees IS NULL OR event_places_taken(p_event_id, current_uid) < ev.max_attendees,
+        'my_ticket', (
+            SELECT jsonb_build_object('id', o.id, 'name', tt.name, 'unit_price', o.unit_price, 'paid_at', o.paid_at)
+            FROM event_ticket_orders o JOIN event_ticket_types tt ON tt.id = o.ticket_type_id
+            WHERE o.event_id = p_event_id AND o.user_id = current_uid AND o.status = 'paid'
+        ),
+        'my_ticket_offer_expires_at', (
+            SELECT r.ticket_offer_expires_at FROM rsvps r
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'waitlisted'
+              AND r.ticket_offer_expires_at > NOW()
+        ),
+        'images', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', ei.id,
+                    'image_url', ei.image_url,
+                    'position', ei.position
+                ) ORDER BY ei.position
+            )
+            FROM event_images ei
+            WHERE ei.event_id = p_event_id
+        ), '[]'::jsonb),
+        'comments', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', c.id,
+                    'text', c.text,
+                    'image_url', c.image_url,
+                    'user_id', c.user_id,
+                    'user_name', p.name,
+                    'user_avatar_url', p.avatar_url,
+                    'created_at', c.created_at
+                ) ORDER BY c.created_at
+            )
+            FROM comments c JOIN profiles p ON p.id = c.user_id
+            WHERE c.event_id = p_event_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1L. release_event_ticket_order — the Vipps payment could not be
+--     created, so the held place goes back to the waitlist
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION release_event_ticket_order(p_event_order_id INT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_event_id INT;
+BEGIN
+    SELECT event_id INTO v_event_id FROM event_ticket_orders WHERE id = p_event_order_id;
+    IF v_event_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(v_event_id);
+
+    UPDATE event_ticket_orders SET status = 'cancelled'
+    WHERE id = p_event_order_id AND status = 'pending_payment';
+
+    PERFORM offer_event_tickets(v_event_id);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION release_event_ticket_order(INT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1M. get_event_order_payment — payment info for an event ticket,
+--     for the buyer and the event's admins
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_order_payment(p_event_order_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ord RECORD;
+    tx RECORD;
+    v_is_staff BOOLEAN;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ord FROM event_ticket_orders WHERE id = p_event_order_id;
+    IF ord.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_found');
+    END IF;
+
+    v_is_staff := is_event_admin(ord.event_id, current_uid);
+    IF ord.user_id != current_uid AND NOT v_is_staff THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    SELECT * INTO tx FROM transactions
+    WHERE event_order_id = ord.id AND payment_method = 'vipps'
+    ORDER BY id DESC LIMIT 1;
+
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_payment');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'event_order_id', ord.id,
+        'event_id', ord.event_id,
+        'order_status', ord.status,
+        'is_staff', v_is_staff,
+        'vipps_reference', tx.vipps_reference,
+        'payment_state', tx.payment_state,
+        'amount', tx.amount,
+        'authorized_amount', tx.authorized_amount,
+        'captured_amount', tx.captured_amount,
+        'refunded_amount', tx.refunded_amount,
+        'capturable_amount', GREATEST(tx.authorized_amount - tx.captured_amount, 0)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1N. Update record_vipps_adjustment — a cancelled event ticket is
+--     refunded once Vipps has confirmed it
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION record_vipps_adjustment(
+    p_vipps_reference TEXT,
+    p_event TEXT,
+    p_amount INT,
+    p_aggregate JSONB,
+    p_psp_reference TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_authorized INT;
+    v_captured INT;
+    v_refunded INT;
+    v_state TEXT;
+BEGIN
+    IF p_event NOT IN ('CAPTURED', 'REFUNDED', 'CANCELLED') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_event');
+    END IF;
+
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    v_authorized := COALESCE((p_aggregate->'authorizedAmount'->>'value')::INT, tx.authorized_amount);
+    v_captured := COALESCE((p_aggregate->'capturedAmount'->>'value')::INT, tx.captured_amount);
+    v_refunded := COALESCE((p_aggregate->'refundedAmount'->>'value')::INT, tx.refunded_amount);
+
+    IF p_event = 'CANCELLED' AND v_captured = 0 THEN
+        v_state := 'cancelled';
+    ELSE
+        v_state := payment_state_for(v_authorized, v_captured, v_refunded);
+    END IF;
+
+    UPDATE transactions
+    SET authorized_amount = v_authorized,
+        captured_amount = v_captured,
+        refunded_amount = v_refunded,
+        payment_state = v_state,
+        status = CASE v_state
+            WHEN 'refunded' THEN 'refunded'
+            WHEN 'cancelled' THEN 'cancelled'
+            ELSE 'completed'
+        END
+    WHERE id = tx.id;
+
+    IF v_state IN ('refunded', 'cancelled') THEN
+        UPDATE event_ticket_orders SET status = 'refunded', refunded_at = NOW()
+        WHERE id = tx.event_order_id AND status = 'refund_pending';
+    END IF;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, p_event, p_amount, p_psp_reference);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state,
+        'captured_amount', v_captured, 'refunded_amount', v_refunded);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_vipps_adjustment(TEXT, TEXT, INT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,1103 @@
+-- ============================================================
+-- Migration V33: Plus-ones — guests on RSVPs
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. events.max_guests_per_rsvp — how many people an RSVP may bring
+-- ============================================================
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS max_guests_per_rsvp INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_max_guests_per_rsvp_check;
+ALTER TABLE events ADD CONSTRAINT events_max_guests_per_rsvp_check
+    CHECK (max_guests_per_rsvp BETWEEN 0 AND 10);
+
+-- ============================================================
+-- 1B. rsvp_guests — the people an RSVP brings along
+-- ============================================================
+
+-- Guests aren't on Hapn, so a row is just an optional name and the
+-- door's check-in. They take a place each whenever their host is going.
+CREATE TABLE IF NOT EXISTS rsvp_guests (
+    id              SERIAL PRIMARY KEY,
+    rsvp_id         INTEGER NOT NULL REFERENCES rsvps(id) ON DELETE CASCADE,
+    name            TEXT CHECK (char_length(name) <= 80),
+    checked_in_at   TIMESTAMPTZ,
+    checked_in_by   UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rsvp_guests_rsvp ON rsvp_guests(rsvp_id);
+
+ALTER TABLE rsvp_guests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Hosts and event admins can view guests" ON rsvp_guests;
+CREATE POLICY "Hosts and event admins can view guests"
+    ON rsvp_guests FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM rsvps r
+            WHERE r.id = rsvp_guests.rsvp_id
+              AND (r.user_id = auth.uid() OR is_event_admin(r.event_id, auth.uid()))
+        )
+    );
+
+-- Rows are only written by set_rsvp_guests and checkin_rsvp_guest.
+
+CREATE OR REPLACE FUNCTION rsvp_guest_count(p_rsvp_id INT)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::INTEGER FROM rsvp_guests WHERE rsvp_id = p_rsvp_id;
+$$;
+
+-- People going to an event: going RSVPs and their guests. p_exclude_rsvp
+-- leaves one party out, for checking whether it still fits.
+CREATE OR REPLACE FUNCTION event_going_count(p_event_id INT, p_exclude_rsvp INT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT (COUNT(*) + COALESCE(SUM(rsvp_guest_count(r.id)), 0))::INTEGER
+    FROM rsvps r
+    WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+      AND r.id IS DISTINCT FROM p_exclude_rsvp;
+$$;
+
+-- ============================================================
+-- 1C. Update check_capacity_on_rsvp — a party needs room for its
+--     guests too. A going RSVP already holds its places.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION check_capacity_on_rsvp()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    max_att INTEGER;
+    current_going INTEGER;
+BEGIN
+    IF NEW.status != 'going' OR (TG_OP = 'UPDATE' AND OLD.status = 'going') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_attendees INTO max_att FROM events WHERE id = NEW.event_id;
+
+    IF max_att IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(NEW.event_id);
+
+    current_going := event_going_count(NEW.event_id, NEW.id);
+
+    IF current_going + 1 + rsvp_guest_count(NEW.id) > max_att THEN
+        NEW.status := 'waitlisted';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- ============================================================
+-- 1D. Update event_places_taken — guests of going RSVPs count
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION event_places_taken(p_event_id INT, p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT (
+        event_going_count(p_event_id)
+      + (SELECT COUNT(*) FROM event_ticket_orders
+         WHERE event_id = p_event_id AND status = 'pending_payment'
+           AND user_id IS DISTINCT FROM p_user_id)
+      + (SELECT COUNT(*) FROM rsvps r
+         WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+           AND r.ticket_offer_expires_at > NOW()
+           AND r.user_id IS DISTINCT FROM p_user_id
+           AND NOT EXISTS (SELECT 1 FROM event_ticket_orders o
+                           WHERE o.event_id = p_event_id AND o.user_id = r.user_id
+                             AND o.status = 'pending_payment'))
+    )::INTEGER;
+$$;
+
+-- ============================================================
+-- 1E. fill_event_waitlist — promote whole parties into free places
+-- ============================================================
+
+-- Goes down the waitlist in order and stops at the first party that
+-- doesn't fit. Smaller parties behind it wait too, so a large party
+-- isn't overtaken every time a single place frees up. Ticketed events
+-- offer the places instead. Callers hold the event's advisory lock.
+-- Returns how many RSVPs were promoted.
+CREATE OR REPLACE FUNCTION fill_event_waitlist(p_event_id INT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    max_att INTEGER;
+    v_free INTEGER;
+    v_promoted INTEGER := 0;
+    r RECORD;
+BEGIN
+    SELECT max_attendees INTO max_att FROM events WHERE id = p_event_id;
+    IF max_att IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    IF event_has_tickets(p_event_id) THEN
+        PERFORM offer_event_tickets(p_event_id);
+        RETURN 0;
+    END IF;
+
+    v_free := max_att - event_going_count(p_event_id);
+
+    FOR r IN
+        SELECT id, user_id, 1 + rsvp_guest_count(id) AS party_size
+        FROM rsvps
+        WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL
+        ORDER BY created_at ASC
+    LOOP
+        EXIT WHEN r.party_size > v_free;
+
+        UPDATE rsvps SET status = 'going' WHERE id = r.id;
+
+        INSERT INTO notifications (user_id, type, event_id)
+        VALUES (r.user_id, 'waitlist_promoted', p_event_id);
+
+        v_free := v_free - r.party_size;
+        v_promoted := v_promoted + 1;
+    END LOOP;
+
+    RETURN v_promoted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION fill_event_waitlist(INT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1F. Update promote_from_waitlist — a freed party can make room
+--     for more than one RSVP
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION promote_from_waitlist()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    max_att INTEGER;
+BEGIN
+    IF TG_OP = 'DELETE' AND OLD.status != 'going' THEN
+        RETURN OLD;
+    END IF;
+    IF TG_OP = 'UPDATE' AND (OLD.status != 'going' OR NEW.status = 'going') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_attendees INTO max_att FROM events WHERE id = OLD.event_id;
+    IF max_att IS NULL THEN
+        IF TG_OP = 'DELETE' THEN RETURN OLD; END IF;
+        RETURN NEW;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(OLD.event_id);
+    PERFORM fill_event_waitlist(OLD.event_id);
+
+    IF TG_OP = 'DELETE' THEN RETURN OLD; END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- ============================================================
+-- 1G. set_rsvp_guests — the host picks how many guests they bring
+-- ============================================================
+
+-- p_guests is the whole party after the change: [{id, name}], where
+-- guests already on the RSVP keep their id (and their check-in) and new
+-- ones have none. Guests left out are removed. A going host who asks
+-- for more places than are free gets not_enough_places and keeps their
+-- current party.
+CREATE OR REPLACE FUNCTION set_rsvp_guests(p_event_id INT, p_guests JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev RECORD;
+    rsvp_row RECORD;
+    v_count INT;
+    v_current INT;
+    v_keep INT[];
+    g JSONB;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT id, max_attendees, max_guests_per_rsvp INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_not_found');
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(p_event_id);
+
+    SELECT * INTO rsvp_row FROM rsvps
+    WHERE event_id = p_event_id AND user_id = current_uid
+      AND status IN ('going', 'waitlisted') AND kicked_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_going');
+    END IF;
+
+    v_count := jsonb_array_length(COALESCE(p_guests, '[]'::jsonb));
+    v_current := rsvp_guest_count(rsvp_row.id);
+
+    SELECT COALESCE(array_agg((e->>'id')::INT), '{}') INTO v_keep
+    FROM jsonb_array_elements(COALESCE(p_guests, '[]'::jsonb)) e
+    WHERE e->>'id' IS NOT NULL;
+
+    IF EXISTS (
+        SELECT 1 FROM unnest(v_keep) k(id)
+        WHERE NOT EXISTS (SELECT 1 FROM rsvp_guests WHERE id = k.id AND rsvp_id = rsvp_row.id)
+    ) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'guest_not_found');
+    END IF;
+
+    -- Each ticket is one person, so guests would get in without paying
+    IF event_has_tickets(p_event_id) AND v_count > v_current THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticketed_event');
+    END IF;
+
+    -- Lowering the limit doesn't take away guests someone already has
+    IF v_count > ev.max_guests_per_rsvp AND v_count > v_current THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_many_guests',
+            'max_guests', ev.max_guests_per_rsvp);
+    END IF;
+
+    IF rsvp_row.status = 'going' AND ev.max_attendees IS NOT NULL AND v_count > v_current
+       AND event_going_count(p_event_id, rsvp_row.id) + 1 + v_count > ev.max_attendees THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_enough_places',
+            'places_left', GREATEST(ev.max_attendees - event_going_count(p_event_id, rsvp_row.id) - 1, 0));
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM rsvp_guests
+        WHERE rsvp_id = rsvp_row.id AND id != ALL(v_keep) AND checked_in_at IS NOT NULL
+    ) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'guest_checked_in');
+    END IF;
+
+    DELETE FROM rsvp_guests WHERE rsvp_id = rsvp_row.id AND id != ALL(v_keep);
+
+    FOR g IN SELECT * FROM jsonb_array_elements(COALESCE(p_guests, '[]'::jsonb)) LOOP
+        IF g->>'id' IS NOT NULL THEN
+            UPDATE rsvp_guests SET name = NULLIF(LEFT(TRIM(g->>'name'), 80), '') WHERE id = (g->>'id')::INT;
+        ELSE
+            INSERT INTO rsvp_guests (rsvp_id, name) VALUES (rsvp_row.id, NULLIF(LEFT(TRIM(g->>'name'), 80), ''));
+        END IF;
+    END LOOP;
+
+    -- A smaller party may let someone off the waitlist
+    IF v_count < v_current THEN
+        PERFORM fill_event_waitlist(p_event_id);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'guests', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id)
+            FROM rsvp_guests g WHERE g.rsvp_id = rsvp_row.id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update get_checkin_list — guests are counted and listed
+--     under their host, each with their own check-in
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_checkin_list(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'total_going', event_going_count(p_event_id),
+        'total_checked_in',
+            (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL)
+          + (SELECT COUNT(*) FROM rsvp_guests g JOIN rsvps r ON r.id = g.rsvp_id
+             WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL AND g.checked_in_at IS NOT NULL),
+        'attendees', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'user_id', p.id,
+                    'rsvp_id', r.id,
+                    'name', p.name,
+                    'avatar_url', p.avatar_url,
+                    'checked_in_at', r.checked_in_at,
+                    'guests', COALESCE((
+                        SELECT jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id)
+                        FROM rsvp_guests g WHERE g.rsvp_id = r.id
+                    ), '[]'::jsonb)
+                ) ORDER BY r.checked_in_at DESC NULLS LAST, r.created_at ASC
+            )
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1I. checkin_rsvp_guest — check in one guest at the door
+-- ============================================================
+
+-- Guests have no profile and so no verified age: on an age-limited
+-- event the door has to look at their ID, and that is logged like any
+-- other override.
+CREATE OR REPLACE FUNCTION checkin_rsvp_guest(p_guest_id INT, p_id_checked BOOLEAN DEFAULT FALSE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    guest_row RECORD;
+    ev RECORD;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT g.*, r.event_id, r.status AS host_status, r.kicked_at AS host_kicked_at, p.name AS host_name
+    INTO guest_row
+    FROM rsvp_guests g
+    JOIN rsvps r ON r.id = g.rsvp_id
+    JOIN profiles p ON p.id = r.user_id
+    WHERE g.id = p_guest_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'guest_not_found');
+    END IF;
+
+    IF NOT is_event_admin(guest_row.event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    IF guest_row.host_status != 'going' OR guest_row.host_kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'host_not_going');
+    END IF;
+
+    IF guest_row.checked_in_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'already', 'guest_name', guest_row.name,
+            'host_name', guest_row.host_name, 'checked_in_at', guest_row.checked_in_at);
+    END IF;
+
+    SELECT id, venue_id, min_age INTO ev FROM events WHERE id = guest_row.event_id;
+    IF ev.min_age IS NOT NULL AND NOT COALESCE(p_id_checked, false) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'id_check_required', 'min_age', ev.min_age,
+            'guest_name', guest_row.name, 'host_name', guest_row.host_name);
+    END IF;
+
+    UPDATE rsvp_guests SET checked_in_at = NOW(), checked_in_by = current_uid WHERE id = p_guest_id;
+
+    IF ev.min_age IS NOT NULL THEN
+        INSERT INTO id_check_overrides (venue_id, event_id, rsvp_id, min_age, staff_id)
+        VALUES (ev.venue_id, ev.id, guest_row.rsvp_id, ev.min_age, current_uid);
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success', 'guest_name', guest_row.name,
+        'host_name', guest_row.host_name, 'checked_in_at', NOW());
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update checkin_by_qr_token — the scan shows the host's guests
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION checkin_by_qr_token(p_event_id INTEGER, p_qr_token UUID, p_id_checked BOOLEAN DEFAULT FALSE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    rsvp_row RECORD;
+    ev RECORD;
+    v_age_status TEXT;
+    v_guests JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    SELECT r.*, p.name AS user_name, p.avatar_url AS user_avatar_url
+    INTO rsvp_row
+    FROM rsvps r
+    JOIN profiles p ON p.id = r.user_id
+    WHERE r.event_id = p_event_id AND r.qr_token = p_qr_token AND r.status = 'going';
+
+    IF rsvp_row IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_token');
+    END IF;
+
+    IF rsvp_row.kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'kicked');
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id), '[]'::jsonb)
+    INTO v_guests
+    FROM rsvp_guests g WHERE g.rsvp_id = rsvp_row.id;
+
+    IF rsvp_row.checked_in_at IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'already',
+            'user_name', rsvp_row.user_name,
+            'user_avatar_url', rsvp_row.user_avatar_url,
+            'checked_in_at', rsvp_row.checked_in_at,
+            'guests', v_guests
+        );
+    END IF;
+
+    SELECT id, venue_id, min_age INTO ev FROM events WHERE id = p_event_id;
+    v_age_status := age_check_status(rsvp_row.user_id, ev.min_age);
+    IF v_age_status = 'underage' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'underage', 'min_age', ev.min_age,
+            'user_name', rsvp_row.user_name, 'user_avatar_url', rsvp_row.user_avatar_url);
+    END IF;
+    IF v_age_status = 'unverified' AND NOT COALESCE(p_id_checked, false) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'id_check_required', 'min_age', ev.min_age,
+            'user_name', rsvp_row.user_name, 'user_avatar_url', rsvp_row.user_avatar_url);
+    END IF;
+
+    UPDATE rsvps SET checked_in_at = NOW(), checked_in_by = current_uid WHERE id = rsvp_row.id;
+
+    IF v_age_status = 'unverified' THEN
+        INSERT INTO id_check_overrides (venue_id, event_id, rsvp_id, user_id, min_age, staff_id)
+        VALUES (ev.venue_id, p_event_id, rsvp_row.id, rsvp_row.user_id, ev.min_age, current_uid);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'user_name', rsvp_row.user_name,
+        'user_avatar_url', rsvp_row.user_avatar_url,
+        'checked_in_at', NOW(),
+        'min_age', ev.min_age,
+        'age_status', v_age_status,
+        'guests', v_guests
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update materialize_event_series / update_event_series — the
+--     guest limit carries over to the other occurrences
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION materialize_event_series(p_series_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl events%ROWTYPE;
+    occ_date DATE;
+    new_event_id INTEGER;
+    created_count INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM events
+    WHERE series_id = p_series_id
+    ORDER BY date DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN RETURN 0; END IF;
+
+    FOR occ_date IN
+        SELECT * FROM series_occurrence_dates(p_series_id, CURRENT_DATE, CURRENT_DATE + 84)
+    LOOP
+        IF EXISTS (SELECT 1 FROM events WHERE series_id = p_series_id AND date = occ_date) THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO events (
+            title, description, date, end_date, time, end_time, location, image_url,
+            category, visibility, join_mode, max_attendees, max_guests_per_rsvp, qr_enabled, latitude, longitude,
+            venue_id, creator_id, event_mode, online_url, min_age, series_id
+        ) VALUES (
+            tpl.title, tpl.description, occ_date,
+            CASE WHEN tpl.end_date IS NOT NULL THEN occ_date + (tpl.end_date - tpl.date) ELSE NULL END,
+            tpl.time, tpl.end_time, tpl.location, tpl.image_url,
+            tpl.category, tpl.visibility, tpl.join_mode, tpl.max_attendees, tpl.max_guests_per_rsvp, tpl.qr_enabled,
+            tpl.latitude, tpl.longitude, tpl.venue_id, tpl.creator_id, tpl.event_mode,
+            tpl.online_url, tpl.min_age, p_series_id
+        )
+        RETURNING id INTO new_event_id;
+
+        INSERT INTO event_images (event_id, image_url, position)
+        SELECT new_event_id, image_url, position FROM event_images WHERE event_id = tpl.id;
+
+        INSERT INTO event_admins (event_id, user_id)
+        SELECT new_event_id, user_id FROM event_admins WHERE event_id = tpl.id;
+
+        created_count := created_count + 1;
+    END LOOP;
+
+    RETURN created_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION update_event_series(
+    p_event_id INTEGER,
+    p_propagate BOOLEAN DEFAULT TRUE,
+    p_frequency TEXT DEFAULT NULL,
+    p_until_date DATE DEFAULT NULL,
+    p_exception_dates DATE[] DEFAULT NULL,
+    p_week_of_month INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev events%ROWTYPE;
+    s event_series%ROWTYPE;
+    updated_count INTEGER := 0;
+    removed_count INTEGER := 0;
+    detached_count INTEGER := 0;
+    created_count INTEGER;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND OR ev.series_id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_in_series');
+    END IF;
+
+    SELECT * INTO s FROM event_series WHERE id = ev.series_id;
+    IF s.creator_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authorized');
+    END IF;
+
+    IF p_frequency IS NOT NULL AND p_frequency NOT IN ('weekly', 'biweekly', 'monthly') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_frequency');
+    END IF;
+
+    -- Rule change: occurrences after this one that no longer match are
+    -- removed, unless someone has already signed up (those are detached
+    -- from the series so the organizer can handle them individually).
+    -- A whole rule (p_frequency given) replaces the end date, so a NULL
+    -- p_until_date then clears it.
+    IF p_frequency IS NOT NULL OR p_until_date IS NOT NULL OR p_exception_dates IS NOT NULL THEN
+        UPDATE event_series SET
+            frequency = COALESCE(p_frequency, frequency),
+            until_date = CASE WHEN p_frequency IS NOT NULL THEN p_until_date ELSE COALESCE(p_until_date, until_date) END,
+            exception_dates = COALESCE(p_exception_dates, exception_dates),
+            week_of_month = CASE
+                WHEN COALESCE(p_frequency, frequency) = 'monthly' THEN
+                    COALESCE(p_week_of_month, week_of_month, LEAST((EXTRACT(DAY FROM start_date)::INT + 6) / 7, 4))
+                ELSE NULL
+            END
+        WHERE id = s.id;
+
+        WITH stale AS (
+            SELECT e.id,
+                EXISTS (SELECT 1 FROM rsvps r WHERE r.event_id = e.id AND r.kicked_at IS NULL) AS has_rsvps
+            FROM events e
+            WHERE e.series_id = s.id AND e.date > ev.date
+              AND e.date NOT IN (SELECT * FROM series_occurrence_dates(s.id, ev.date + 1, e.date))
+        ),
+        detached AS (
+            UPDATE events SET series_id = NULL
+            WHERE id IN (SELECT id FROM stale WHERE has_rsvps)
+            RETURNING id
+        ),
+        removed AS (
+            DELETE FROM events
+            WHERE id IN (SELECT id FROM stale WHERE NOT has_rsvps)
+            RETURNING id
+        )
+        SELECT (SELECT COUNT(*) FROM detached), (SELECT COUNT(*) FROM removed)
+        INTO detached_count, removed_count;
+    END IF;
+
+    IF p_propagate THEN
+        UPDATE events SET
+            title = ev.title,
+            description = ev.description,
+            time = ev.time,
+            end_time = ev.end_time,
+            end_date = CASE WHEN ev.end_date IS NOT NULL THEN events.date + (ev.end_date - ev.date) ELSE NULL END,
+            location = ev.location,
+            latitude = ev.latitude,
+            longitude = ev.longitude,
+            image_url = ev.image_url,
+            category = ev.category,
+            visibility = ev.visibility,
+            join_mode = ev.join_mode,
+            max_attendees = ev.max_attendees,
+            max_guests_per_rsvp = ev.max_guests_per_rsvp,
+            venue_id = ev.venue_id,
+            event_mode = ev.event_mode,
+            online_url = ev.online_url,
+            min_age = ev.min_age,
+            updated_at = NOW()
+        WHERE series_id = ev.series_id AND date > ev.date;
+
+        GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+        DELETE FROM event_images
+        WHERE event_id IN (SELECT id FROM events WHERE series_id = ev.series_id AND date > ev.date);
+
+        INSERT INTO event_images (event_id, image_url, position)
+        SELECT e.id, ei.image_url, ei.position
+        FROM events e CROSS JOIN event_images ei
+        WHERE e.series_id = ev.series_id AND e.date > ev.date AND ei.event_id = ev.id;
+    END IF;
+
+    created_count := materialize_event_series(ev.series_id);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'updated', updated_count,
+        'created', created_count,
+        'removed', removed_count,
+        'detached', detached_count
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1L. Update get_event_detail — going counts include guests, plus
+--     the guest limit and your own guests
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_detail(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev events%ROWTYPE;
+    current_uid UUID;
+    has_access BOOLEAN;
+    ar_status TEXT;
+    show_location BOOLEAN;
+BEGIN
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN RETURN NULL; END IF;
+
+    current_uid := auth.uid();
+    has_access := check_event_access(p_event_id, current_uid);
+
+    IF NOT has_access THEN
+        SELECT ar.status INTO ar_status
+        FROM access_requests ar
+        WHERE ar.event_id = p_event_id AND ar.user_id = current_uid;
+
+        RETURN jsonb_build_object(
+            'id', ev.id,
+            'title', ev.title,
+            'category', ev.category,
+            'visibility', ev.visibility,
+            'join_mode', ev.join_mode,
+            'event_mode', ev.event_mode,
+            'min_age', ev.min_age,
+            'has_access', false,
+            'access_request_status', ar_status
+        );
+    END IF;
+
+    show_location := TRUE;
+    IF ev.join_mode = 'approval_required' THEN
+        IF is_event_admin(p_event_id, current_uid) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM access_requests
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'approved'
+        ) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM rsvps
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'going'
+        ) THEN
+            show_location := TRUE;
+        ELSE
+            show_location := FALSE;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', ev.id,
+        'title', ev.title,
+        'description', ev.description,
+        'date', ev.date,
+        'end_date', ev.end_date,
+        'time', ev.time,
+        'end_time', ev.end_time,
+        'event_mode', ev.event_mode,
+        'online_url', ev.online_url,
+        'location', CASE WHEN show_location THEN ev.location ELSE NULL END,
+        'location_hidden', NOT show_location,
+        'area_name', CASE
+            WHEN NOT show_location THEN
+                CASE
+                    WHEN POSITION(',' IN ev.location) > 0 THEN
+                        TRIM(SUBSTRING(ev.location FROM POSITION(',' IN ev.location) + 1))
+                    ELSE ev.location
+                END
+            ELSE NULL
+        END,
+        'image_url', ev.image_url,
+        'category', ev.category,
+        'visibility', ev.visibility,
+        'join_mode', ev.join_mode,
+        'min_age', ev.min_age,
+        'latitude', CASE WHEN show_location THEN ev.latitude ELSE NULL END,
+        'longitude', CASE WHEN show_location THEN ev.longitude ELSE NULL END,
+        'creator_id', ev.creator_id,
+        'created_at', ev.created_at,
+        'max_attendees', ev.max_attendees,
+        'venue_id', ev.venue_id,
+        'series_id', ev.series_id,
+        'series', CASE WHEN ev.series_id IS NOT NULL THEN series_summary(ev.series_id) ELSE NULL END,
+        'has_access', true,
+        'qr_enabled', ev.qr_enabled,
+        'is_admin', is_event_admin(p_event_id, current_uid),
+        'creator_name', (SELECT name FROM profiles WHERE id = ev.creator_id),
+        'max_guests_per_rsvp', ev.max_guests_per_rsvp,
+        'going_count', event_going_count(p_event_id),
+        'interested_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'interested' AND kicked_at IS NULL),
+        'waitlisted_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL),
+        'checked_in_count',
+            (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL)
+          + (SELECT COUNT(*) FROM rsvp_guests g JOIN rsvps r ON r.id = g.rsvp_id
+             WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL AND g.checked_in_at IS NOT NULL),
+        'going_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url, 'checked_in_at', r.checked_in_at, 'guest_count', rsvp_guest_count(r.id)))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'interested_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'interested' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'waitlisted_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url) ORDER BY r.created_at ASC)
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'my_rsvp', (SELECT r.status FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid),
+        'my_qr_token', (SELECT r.qr_token FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_checked_in_at', (SELECT r.checked_in_at FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_guests', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id), '[]'::jsonb)
+            FROM rsvps r JOIN rsvp_guests g ON g.rsvp_id = r.id
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid
+        ),
+        'my_kicked', COALESCE((SELECT r.kicked_at IS NOT NULL FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid), false),
+        'ticketed', event_has_tickets(p_event_id),
+        'ticket_types', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', tt.id,
+                'name', tt.name,
+                'price', tt.price,
+                'sold_out', tt.capacity IS NOT NULL AND (
+                    SELECT COUNT(*) FROM event_ticket_orders o
+                    WHERE o.ticket_type_id = tt.id AND o.status IN ('pending_payment', 'paid')
+                      AND o.user_id IS DISTINCT FROM current_uid
+                ) >= tt.capacity
+            ) ORDER BY tt.price, tt.id)
+            FROM event_ticket_types tt
+            WHERE tt.event_id = p_event_id AND tt.active
+        ), '[]'::jsonb),
+        'tickets_available', ev.max_attendees IS NULL OR event_places_taken(p_event_id, current_uid) < ev.max_attendees,
+        'my_ticket', (
+            SELECT jsonb_build_object('id', o.id, 'name', tt.name, 'unit_price', o.unit_price, 'paid_at', o.paid_at)
+            FROM event_ticket_orders o JOIN event_ticket_types tt ON tt.id = o.ticket_type_id
+            WHERE o.event_id = p_event_id AND o.user_id = current_uid AND o.status = 'paid'
+        ),
+        'my_ticket_offer_expires_at', (
+            SELECT r.ticket_offer_expires_at FROM rsvps r
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'waitlisted'
+              AND r.ticket_offer_expires_at > NOW()
+        ),
+        'images', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', ei.id,
+                    'image_url', ei.image_url,
+                    'position', ei.position
+                ) ORDER BY ei.position
+            )
+            FROM event_images ei
+            WHERE ei.event_id = p_event_id
+        ), '[]'::jsonb),
+        'comments', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', c.id,
+                    'text', c.text,
+                    'image_url', c.image_url,
+                    'user_id', c.user_id,
+                    'user_name', p.name,
+                    'user_avatar_url', p.avatar_url,
+                    'created_at', c.created_at
+                ) ORDER BY c.created_at
+            )
+            FROM comments c JOIN profiles p ON p.id = c.user_id
+            WHERE c.event_id = p_event_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1M. Update get_discover_events / search_events — going counts
+--     include guests
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_discover_events(
+    p_lat DOUBLE PRECISION,
+    p_lng DOUBLE PRECISION,
+    p_radius_km INTEGER DEFAULT 25,
+    p_date_from DATE DEFAULT CURRENT_DATE,
+    p_date_to DATE DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        WITH candidate_events AS (
+            SELECT e.*,
+                CASE WHEN e.latitude IS NOT NULL AND e.longitude IS NOT NULL THEN
+                    ROUND((
+                        6371 * ACOS(
+                            LEAST(1.0, GREATEST(-1.0,
+                                COS(RADIANS(p_lat)) * COS(RADIANS(e.latitude)) *
+                                COS(RADIANS(e.longitude) - RADIANS(p_lng)) +
+                                SIN(RADIANS(p_lat)) * SIN(RADIANS(e.latitude))
+                            ))
+                        )
+                    )::numeric, 1)
+                ELSE NULL END AS dist_km
+            FROM events e
+            WHERE e.visibility = 'public'
+              AND e.effective_end_date >= p_date_from
+              AND (p_date_to IS NULL OR e.date <= p_date_to)
+              AND (p_category IS NULL OR e.category = p_category)
+              AND (current_uid IS NULL OR e.creator_id != current_uid)
+              -- A swipe on one occurrence counts for the whole series
+              AND (current_uid IS NULL OR NOT EXISTS (
+                  SELECT 1 FROM event_swipes es
+                  JOIN events sw ON sw.id = es.event_id
+                  WHERE es.user_id = current_uid
+                    AND (sw.id = e.id OR sw.series_id = e.series_id)
+              ))
+              -- Series: only the next occurrence in the window
+              AND (e.series_id IS NULL OR e.id = (
+                  SELECT e2.id FROM events e2
+                  WHERE e2.series_id = e.series_id
+                    AND e2.effective_end_date >= p_date_from
+                    AND (p_date_to IS NULL OR e2.date <= p_date_to)
+                  ORDER BY e2.date
+                  LIMIT 1
+              ))
+        )
+        SELECT jsonb_build_object(
+            'id', ce.id,
+            'title', ce.title,
+            'date', ce.date,
+            'end_date', ce.end_date,
+            'time', ce.time,
+            'end_time', ce.end_time,
+            'category', ce.category,
+            'image_url', ce.image_url,
+            'join_mode', ce.join_mode,
+            'event_mode', ce.event_mode,
+            'online_url', ce.online_url,
+            'series_id', ce.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = ce.series_id),
+            'area_name', CASE
+                WHEN ce.event_mode = 'online' THEN NULL
+                WHEN ce.join_mode = 'approval_required' THEN
+                    CASE
+                        WHEN POSITION(',' IN ce.location) > 0 THEN
+                            TRIM(SUBSTRING(ce.location FROM POSITION(',' IN ce.location) + 1))
+                        ELSE ce.location
+                    END
+                ELSE ce.location
+            END,
+            'distance_km', ce.dist_km,
+            'going_count', event_going_count(ce.id),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = ce.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END,
+            'attendee_preview', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url,
+                        CASE WHEN current_uid IS NOT NULL AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                            THEN 0 ELSE 1 END AS sort_order
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                    ORDER BY sort_order, r2.created_at
+                    LIMIT 5
+                ) p
+            ), '[]'::jsonb)
+        ) AS row_data
+        FROM candidate_events ce
+        WHERE (ce.dist_km IS NOT NULL AND ce.dist_km <= p_radius_km)
+           OR ce.event_mode = 'online'
+        ORDER BY ce.date ASC
+        LIMIT p_limit
+    ) sub;
+
+    RETURN result;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION search_events(
+    p_search TEXT DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 30,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        SELECT jsonb_build_object(
+            'id', e.id,
+            'title', e.title,
+            'date', e.date,
+            'end_date', e.end_date,
+            'time', e.time,
+            'end_time', e.end_time,
+            'location', e.location,
+            'category', e.category,
+            'image_url', e.image_url,
+            'event_mode', e.event_mode,
+            'online_url', e.online_url,
+            'series_id', e.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = e.series_id),
+            'latitude', e.latitude,
+            'longitude', e.longitude,
+            'going_count', event_going_count(e.id),
+            'interested_count', (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status = 'interested' AND r.kicked_at IS NULL
+            ),
+            'creator_name', (SELECT name FROM profiles WHERE id = e.creator_id),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = e.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END
+        ) AS row_data
+        FROM events e
+        WHERE e.visibility = 'public'
+          AND e.effective_end_date >= CURRENT_DATE
+          AND (p_search IS NULL OR (
+              e.title ILIKE '%' || p_search || '%'
+              OR e.description ILIKE '%' || p_search || '%'
+              OR e.location ILIKE '%' || p_search || '%'
+          ))
+          AND (p_category IS NULL OR e.category = p_category)
+          -- Series: only the next upcoming occurrence
+          AND (e.series_id IS NULL OR e.id = (
+              SELECT e2.id FROM events e2
+              WHERE e2.series_id = e.series_id AND e2.effective_end_date >= CURRENT_DATE
+              ORDER BY e2.date
+              LIMIT 1
+          ))
+        ORDER BY e.date ASC
+        LIMIT p_limit
+        OFFSET p_offset
+    ) sub;
+
+    RETURN result;
+END;
+$$;
@@ -0,0 +1,562 @@
+-- ============================================================
+-- Migration V34: Custom RSVP questions and attendee answers
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. event_questions — what the organizer asks attendees
+-- ============================================================
+
+-- kind is 'text' (free text), 'single' (one of options) or 'multi'
+-- (any of options). Answers to choice questions store the option text,
+-- so renaming an option leaves earlier answers under the old name.
+CREATE TABLE IF NOT EXISTS event_questions (
+    id              SERIAL PRIMARY KEY,
+    event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    position        INTEGER NOT NULL DEFAULT 0,
+    kind            TEXT NOT NULL CHECK (kind IN ('text', 'single', 'multi')),
+    label           TEXT NOT NULL CHECK (char_length(label) BETWEEN 1 AND 200),
+    options         TEXT[] NOT NULL DEFAULT '{}',
+    required        BOOLEAN NOT NULL DEFAULT false,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT event_questions_options_check
+        CHECK (kind = 'text' OR cardinality(options) BETWEEN 1 AND 20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_questions_event ON event_questions(event_id, position);
+
+ALTER TABLE event_questions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Questions readable if event accessible" ON event_questions;
+CREATE POLICY "Questions readable if event accessible"
+    ON event_questions FOR SELECT USING (check_event_access(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can create questions" ON event_questions;
+CREATE POLICY "Event admins can create questions"
+    ON event_questions FOR INSERT WITH CHECK (is_event_admin(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can update questions" ON event_questions;
+CREATE POLICY "Event admins can update questions"
+    ON event_questions FOR UPDATE USING (is_event_admin(event_id, auth.uid()));
+
+DROP POLICY IF EXISTS "Event admins can delete questions" ON event_questions;
+CREATE POLICY "Event admins can delete questions"
+    ON event_questions FOR DELETE USING (is_event_admin(event_id, auth.uid()));
+
+-- ============================================================
+-- 1B. event_question_answers — one person's answer to a question
+-- ============================================================
+
+-- A row only exists for a non-empty answer. Answers outlive a cancelled
+-- RSVP, so they are still filled in if the person comes back.
+CREATE TABLE IF NOT EXISTS event_question_answers (
+    id              SERIAL PRIMARY KEY,
+    question_id     INTEGER NOT NULL REFERENCES event_questions(id) ON DELETE CASCADE,
+    event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id         UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    answer_text     TEXT CHECK (char_length(answer_text) <= 1000),
+    answer_options  TEXT[] NOT NULL DEFAULT '{}',
+    updated_at      TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (question_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_question_answers_event ON event_question_answers(event_id, user_id);
+
+ALTER TABLE event_question_answers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Own answers and event admins" ON event_question_answers;
+CREATE POLICY "Own answers and event admins"
+    ON event_question_answers FOR SELECT USING (
+        user_id = auth.uid() OR is_event_admin(event_id, auth.uid())
+    );
+
+-- Rows are only written by save_event_answers.
+
+-- [{id, kind, label, options, required}] in the organizer's order
+CREATE OR REPLACE FUNCTION event_questions_json(p_event_id INT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', q.id, 'kind', q.kind, 'label', q.label,
+        'options', to_jsonb(q.options), 'required', q.required
+    ) ORDER BY q.position, q.id), '[]'::jsonb)
+    FROM event_questions q
+    WHERE q.event_id = p_event_id;
+$$;
+
+-- {question_id: {text, options}} for one person
+CREATE OR REPLACE FUNCTION event_answers_json(p_event_id INT, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_object_agg(a.question_id::TEXT, jsonb_build_object(
+        'text', a.answer_text, 'options', to_jsonb(a.answer_options)
+    )), '{}'::jsonb)
+    FROM event_question_answers a
+    WHERE a.event_id = p_event_id AND a.user_id = p_user_id;
+$$;
+
+-- How many required questions p_user_id hasn't answered
+CREATE OR REPLACE FUNCTION missing_event_answers(p_event_id INT, p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM event_questions q
+    WHERE q.event_id = p_event_id AND q.required
+      AND NOT EXISTS (
+          SELECT 1 FROM event_question_answers a
+          WHERE a.question_id = q.id AND a.user_id = p_user_id
+      );
+$$;
+
+-- ============================================================
+-- 1C. save_event_answers — answer the event's questions
+-- ============================================================
+
+-- p_answers is [{question_id, text, options}] and replaces the person's
+-- earlier answers; questions left out count as unanswered. Open to
+-- anyone who can see the event, and to someone asking for access.
+CREATE OR REPLACE FUNCTION save_event_answers(p_event_id INT, p_answers JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    q RECORD;
+    a JSONB;
+    v_text TEXT;
+    v_options TEXT[];
+    -- Checked answers, written only once every question has passed
+    v_valid JSONB := '[]'::jsonb;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    IF NOT check_event_access(p_event_id, current_uid) AND NOT EXISTS (
+        SELECT 1 FROM access_requests
+        WHERE event_id = p_event_id AND user_id = current_uid AND status != 'denied'
+    ) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_access');
+    END IF;
+
+    FOR q IN SELECT * FROM event_questions WHERE event_id = p_event_id ORDER BY position, id LOOP
+        SELECT e INTO a FROM jsonb_array_elements(COALESCE(p_answers, '[]'::jsonb)) e
+        WHERE (e->>'question_id')::INT = q.id
+        LIMIT 1;
+
+        v_text := NULL;
+        v_options := '{}';
+        IF q.kind = 'text' THEN
+            v_text := NULLIF(TRIM(a->>'text'), '');
+            IF char_length(v_text) > 1000 THEN
+                RETURN jsonb_build_object('status', 'error', 'code', 'answer_too_long', 'question_id', q.id);
+            END IF;
+        ELSIF jsonb_typeof(a->'options') = 'array' THEN
+            SELECT COALESCE(array_agg(DISTINCT o), '{}') INTO v_options
+            FROM jsonb_array_elements_text(a->'options') o;
+
+            IF NOT v_options <@ q.options
+               OR (q.kind = 'single' AND cardinality(v_options) > 1) THEN
+                RETURN jsonb_build_object('status', 'error', 'code', 'invalid_option', 'question_id', q.id);
+            END IF;
+        END IF;
+
+        IF q.required AND v_text IS NULL AND cardinality(v_options) = 0 THEN
+            RETURN jsonb_build_object('status', 'error', 'code', 'answer_required', 'question_id', q.id);
+        END IF;
+
+        v_valid := v_valid || jsonb_build_object('question_id', q.id, 'text', v_text, 'options', to_jsonb(v_options));
+    END LOOP;
+
+    FOR a IN SELECT * FROM jsonb_array_elements(v_valid) LOOP
+        IF a->>'text' IS NULL AND jsonb_array_length(a->'options') = 0 THEN
+            DELETE FROM event_question_answers
+            WHERE question_id = (a->>'question_id')::INT AND user_id = current_uid;
+        ELSE
+            INSERT INTO event_question_answers (question_id, event_id, user_id, answer_text, answer_options)
+            VALUES ((a->>'question_id')::INT, p_event_id, current_uid, a->>'text',
+                    ARRAY(SELECT jsonb_array_elements_text(a->'options')))
+            ON CONFLICT (question_id, user_id) DO UPDATE SET
+                answer_text = EXCLUDED.answer_text,
+                answer_options = EXCLUDED.answer_options,
+                updated_at = NOW();
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('status', 'success', 'answers', event_answers_json(p_event_id, current_uid));
+END;
+$$;
+
+-- ============================================================
+-- 1D. RSVPs need the required answers first
+-- ============================================================
+
+-- Only checked when people sign themselves up: waitlist promotions and
+-- paid tickets confirmed by the payment webhook go through untouched.
+CREATE OR REPLACE FUNCTION require_event_answers()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status NOT IN ('going', 'waitlisted') OR NEW.user_id IS DISTINCT FROM auth.uid() THEN
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' AND OLD.status IN ('going', 'waitlisted') THEN
+        RETURN NEW;
+    END IF;
+
+    IF missing_event_answers(NEW.event_id, NEW.user_id) > 0 THEN
+        RAISE EXCEPTION 'answers_required';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_require_event_answers ON rsvps;
+CREATE TRIGGER trg_require_event_answers
+    BEFORE INSERT OR UPDATE OF status ON rsvps
+    FOR EACH ROW
+    EXECUTE FUNCTION require_event_answers();
+
+-- ============================================================
+-- 1E. get_event_answers — the organizer's answers table
+-- ============================================================
+
+-- Everyone who has answered and is still signed up in some way: an RSVP
+-- or an access request that wasn't denied
+CREATE OR REPLACE FUNCTION event_answer_respondents(p_event_id INT)
+RETURNS TABLE (user_id UUID, rsvp_status TEXT, access_request_status TEXT)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT u.user_id, r.status, ar.status
+    FROM (SELECT DISTINCT a.user_id FROM event_question_answers a WHERE a.event_id = p_event_id) u
+    LEFT JOIN rsvps r ON r.event_id = p_event_id AND r.user_id = u.user_id AND r.kicked_at IS NULL
+    LEFT JOIN access_requests ar ON ar.event_id = p_event_id AND ar.user_id = u.user_id AND ar.status != 'denied'
+    WHERE r.id IS NOT NULL OR ar.id IS NOT NULL;
+$$;
+
+-- Option counts are over the respondents listed, not over every
+-- answer ever given
+CREATE OR REPLACE FUNCTION get_event_answers(p_event_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'questions', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', q.id, 'kind', q.kind, 'label', q.label,
+                'options', to_jsonb(q.options), 'required', q.required,
+                'counts', (
+                    SELECT COALESCE(jsonb_object_agg(o, (
+                        SELECT COUNT(*) FROM event_question_answers a
+                        WHERE a.question_id = q.id AND o = ANY(a.answer_options)
+                          AND a.user_id IN (SELECT user_id FROM event_answer_respondents(p_event_id))
+                    )), '{}'::jsonb)
+                    FROM unnest(q.options) o
+                ),
+                'answered', (
+                    SELECT COUNT(*) FROM event_question_answers a
+                    WHERE a.question_id = q.id
+                      AND a.user_id IN (SELECT user_id FROM event_answer_respondents(p_event_id))
+                )
+            ) ORDER BY q.position, q.id)
+            FROM event_questions q
+            WHERE q.event_id = p_event_id
+        ), '[]'::jsonb),
+        'respondents', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'user_id', p.id,
+                'name', p.name,
+                'avatar_url', p.avatar_url,
+                'rsvp_status', er.rsvp_status,
+                'access_request_status', er.access_request_status,
+                'answers', event_answers_json(p_event_id, p.id)
+            ) ORDER BY p.name)
+            FROM event_answer_respondents(p_event_id) er
+            JOIN profiles p ON p.id = er.user_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. Update materialize_event_series — new occurrences ask the
+--     same questions
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION materialize_event_series(p_series_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tpl events%ROWTYPE;
+    occ_date DATE;
+    new_event_id INTEGER;
+    created_count INTEGER := 0;
+BEGIN
+    SELECT * INTO tpl FROM events
+    WHERE series_id = p_series_id
+    ORDER BY date DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN RETURN 0; END IF;
+
+    FOR occ_date IN
+        SELECT * FROM series_occurrence_dates(p_series_id, CURRENT_DATE, CURRENT_DATE + 84)
+    LOOP
+        IF EXISTS (SELECT 1 FROM events WHERE series_id = p_series_id AND date = occ_date) THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO events (
+            title, description, date, end_date, time, end_time, location, image_url,
+            category, visibility, join_mode, max_attendees, max_guests_per_rsvp, qr_enabled, latitude, longitude,
+            venue_id, creator_id, event_mode, online_url, min_age, series_id
+        ) VALUES (
+            tpl.title, tpl.description, occ_date,
+            CASE WHEN tpl.end_date IS NOT NULL THEN occ_date + (tpl.end_date - tpl.date) ELSE NULL END,
+            tpl.time, tpl.end_time, tpl.location, tpl.image_url,
+            tpl.category, tpl.visibility, tpl.join_mode, tpl.max_attendees, tpl.max_guests_per_rsvp, tpl.qr_enabled,
+            tpl.latitude, tpl.longitude, tpl.venue_id, tpl.creator_id, tpl.event_mode,
+            tpl.online_url, tpl.min_age, p_series_id
+        )
+        RETURNING id INTO new_event_id;
+
+        INSERT INTO event_images (event_id, image_url, position)
+        SELECT new_event_id, image_url, position FROM event_images WHERE event_id = tpl.id;
+
+        INSERT INTO event_admins (event_id, user_id)
+        SELECT new_event_id, user_id FROM event_admins WHERE event_id = tpl.id;
+
+        INSERT INTO event_questions (event_id, position, kind, label, options, required)
+        SELECT new_event_id, position, kind, label, options, required FROM event_questions WHERE event_id = tpl.id;
+
+        created_count := created_count + 1;
+    END LOOP;
+
+    RETURN created_count;
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update get_event_detail — the questions and your answers;
+--     people asking for access see the questions too
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_detail(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev events%ROWTYPE;
+    current_uid UUID;
+    has_access BOOLEAN;
+    ar_status TEXT;
+    show_location BOOLEAN;
+BEGIN
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN RETURN NULL; END IF;
+
+    current_uid := auth.uid();
+    has_access := check_event_access(p_event_id, current_uid);
+
+    IF NOT has_access THEN
+        SELECT ar.status INTO ar_status
+        FROM access_requests ar
+        WHERE ar.event_id = p_event_id AND ar.user_id = current_uid;
+
+        RETURN jsonb_build_object(
+            'id', ev.id,
+            'title', ev.title,
+            'category', ev.category,
+            'visibility', ev.visibility,
+            'join_mode', ev.join_mode,
+            'event_mode', ev.event_mode,
+            'min_age', ev.min_age,
+            'has_access', false,
+            'access_request_status', ar_status,
+            'questions', event_questions_json(p_event_id)
+        );
+    END IF;
+
+    show_location := TRUE;
+    IF ev.join_mode = 'approval_required' THEN
+        IF is_event_admin(p_event_id, current_uid) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM access_requests
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'approved'
+        ) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM rsvps
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'going'
+        ) THEN
+            show_location := TRUE;
+        ELSE
+            show_location := FALSE;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', ev.id,
+        'title', ev.title,
+        'description', ev.description,
+        'date', ev.date,
+        'end_date', ev.end_date,
+        'time', ev.time,
+        'end_time', ev.end_time,
+        'event_mode', ev.event_mode,
+        'online_url', ev.online_url,
+        'location', CASE WHEN show_location THEN ev.location ELSE NULL END,
+        'location_hidden', NOT show_location,
+        'area_name', CASE
+            WHEN NOT show_location THEN
+                CASE
+                    WHEN POSITION(',' IN ev.location) > 0 THEN
+                        TRIM(SUBSTRING(ev.location FROM POSITION(',' IN ev.location) + 1))
+                    ELSE ev.location
+                END
+            ELSE NULL
+        END,
+        'image_url', ev.image_url,
+        'category', ev.category,
+        'visibility', ev.visibility,
+        'join_mode', ev.join_mode,
+        'min_age', ev.min_age,
+        'latitude', CASE WHEN show_location THEN ev.latitude ELSE NULL END,
+        'longitude', CASE WHEN show_location THEN ev.longitude ELSE NULL END,
+        'creator_id', ev.creator_id,
+        'created_at', ev.created_at,
+        'max_attendees', ev.max_attendees,
+        'venue_id', ev.venue_id,
+        'series_id', ev.series_id,
+        'series', CASE WHEN ev.series_id IS NOT NULL THEN series_summary(ev.series_id) ELSE NULL END,
+        'has_access', true,
+        'qr_enabled', ev.qr_enabled,
+        'is_admin', is_event_admin(p_event_id, current_uid),
+        'creator_name', (SELECT name FROM profiles WHERE id = ev.creator_id),
+        'max_guests_per_rsvp', ev.max_guests_per_rsvp,
+        'going_count', event_going_count(p_event_id),
+        'interested_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'interested' AND kicked_at IS NULL),
+        'waitlisted_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL),
+        'checked_in_count',
+            (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL)
+          + (SELECT COUNT(*) FROM rsvp_guests g JOIN rsvps r ON r.id = g.rsvp_id
+             WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL AND g.checked_in_at IS NOT NULL),
+        'going_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url, 'checked_in_at', r.checked_in_at, 'guest_count', rsvp_guest_count(r.id)))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'interested_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'interested' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'waitlisted_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url) ORDER BY r.created_at ASC)
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'my_rsvp', (SELECT r.status FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid),
+        'my_qr_token', (SELECT r.qr_token FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_checked_in_at', (SELECT r.checked_in_at FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_guests', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id), '[]'::jsonb)
+            FROM rsvps r JOIN rsvp_guests g ON g.rsvp_id = r.id
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid
+        ),
+        'my_kicked', COALESCE((SELECT r.kicked_at IS NOT NULL FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid), false),
+        'ticketed', event_has_tickets(p_event_id),
+        'ticket_types', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', tt.id,
+                'name', tt.name,
+                'price', tt.price,
+                'sold_out', tt.capacity IS NOT NULL AND (
+                    SELECT COUNT(*) FROM event_ticket_orders o
+                    WHERE o.ticket_type_id = tt.id AND o.status IN ('pending_payment', 'paid')
+                      AND o.user_id IS DISTINCT FROM current_uid
+                ) >= tt.capacity
+            ) ORDER BY tt.price, tt.id)
+            FROM event_ticket_types tt
+            WHERE tt.event_id = p_event_id AND tt.active
+        ), '[]'::jsonb),
+        'tickets_available', ev.max_attendees IS NULL OR event_places_taken(p_event_id, current_uid) < ev.max_attendees,
+        'my_ticket', (
+            SELECT jsonb_build_object('id', o.id, 'name', tt.name, 'unit_price', o.unit_price, 'paid_at', o.paid_at)
+            FROM event_ticket_orders o JOIN event_ticket_types tt ON tt.id = o.ticket_type_id
+            WHERE o.event_id = p_event_id AND o.user_id = current_uid AND o.status = 'paid'
+        ),
+        'my_ticket_offer_expires_at', (
+            SELECT r.ticket_offer_expires_at FROM rsvps r
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'waitlisted'
+              AND r.ticket_offer_expires_at > NOW()
+        ),
+        'images', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', ei.id,
+                    'image_url', ei.image_url,
+                    'position', ei.position
+                ) ORDER BY ei.position
+            )
+            FROM event_images ei
+            WHERE ei.event_id = p_event_id
+        ), '[]'::jsonb),
+        'comments', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', c.id,
+                    'text', c.text,
+                    'image_url', c.image_url,
+                    'user_id', c.user_id,
+                    'user_name', p.name,
+                    'user_avatar_url', p.avatar_url,
+                    'created_at', c.created_at
+                ) ORDER BY c.created_at
+            )
+            FROM comments c JOIN profiles p ON p.id = c.user_id
+            WHERE c.event_id = p_event_id
+        ), '[]'::jsonb)
+    ) || jsonb_build_object(
+        -- jsonb_build_object takes at most 100 arguments
+        'questions', event_questions_json(p_event_id),
+        'my_answers', event_answers_json(p_event_id, current_uid)
+    );
+END;
+$$;
@@ -0,0 +1,179 @@
+-- ============================================================
+-- Migration V35: Attendee export and announcements to attendees
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. profiles.share_contact_with_organizers — privacy opt-in
+-- ============================================================
+
+-- Organizers see attendee names already; email and phone only go into
+-- their exports for people who have opted in
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS share_contact_with_organizers BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- ============================================================
+-- 1B. 'announcement' notifications and their email preference
+-- ============================================================
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('rsvp','comment','access_request','invitation','reminder',
+                    'waitlist_promoted','kicked','follow_request','follow_accepted',
+                    'booking_confirmed','booking_cancelled','venue_new_timeslot',
+                    'ticket_assigned','ticket_transfer','ticket_transfer_accepted',
+                    'ticket_offer','announcement'));
+
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email_announcement BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- ============================================================
+-- 1C. event_announcements — what was sent, to whom and by whom
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS event_announcements (
+    id              SERIAL PRIMARY KEY,
+    event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    sent_by         UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    segment         TEXT NOT NULL,
+    message         TEXT NOT NULL CHECK (char_length(message) BETWEEN 1 AND 1000),
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_announcements_event ON event_announcements(event_id, created_at DESC);
+
+ALTER TABLE event_announcements ENABLE ROW LEVEL SECURITY;
+
+-- Written only by announce_to_attendees
+DROP POLICY IF EXISTS "Event admins can read announcements" ON event_announcements;
+CREATE POLICY "Event admins can read announcements"
+    ON event_announcements FOR SELECT USING (is_event_admin(event_id, auth.uid()));
+
+-- ============================================================
+-- 1D. event_segment_rsvps — the RSVPs in one attendee segment
+-- ============================================================
+
+-- Segments: 'going', 'interested', 'waitlisted', 'checked_in' and
+-- 'going_not_checked_in'. An unknown segment matches nothing.
+CREATE OR REPLACE FUNCTION event_segment_rsvps(p_event_id INT, p_segment TEXT)
+RETURNS SETOF rsvps
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT r.* FROM rsvps r
+    WHERE r.event_id = p_event_id AND r.kicked_at IS NULL
+      AND CASE p_segment
+          WHEN 'going' THEN r.status = 'going'
+          WHEN 'interested' THEN r.status = 'interested'
+          WHEN 'waitlisted' THEN r.status = 'waitlisted'
+          WHEN 'checked_in' THEN r.status = 'going' AND r.checked_in_at IS NOT NULL
+          WHEN 'going_not_checked_in' THEN r.status = 'going' AND r.checked_in_at IS NULL
+          ELSE false
+      END;
+$$;
+
+-- ============================================================
+-- 1E. get_event_attendees — attendee list for export
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_attendees(p_event_id INT, p_segment TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+BEGIN
+    current_uid := auth.uid();
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    IF p_segment NOT IN ('going', 'interested', 'waitlisted', 'checked_in', 'going_not_checked_in') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_segment');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'attendees', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'user_id', p.id,
+                'name', p.name,
+                'email', CASE WHEN p.share_contact_with_organizers THEN p.email END,
+                'phone', CASE WHEN p.share_contact_with_organizers THEN p.phone END,
+                'status', r.status,
+                'rsvp_at', r.created_at,
+                'checked_in_at', r.checked_in_at,
+                'guests', COALESCE((
+                    SELECT jsonb_agg(jsonb_build_object('name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id)
+                    FROM rsvp_guests g WHERE g.rsvp_id = r.id
+                ), '[]'::jsonb)
+            ) ORDER BY p.name)
+            FROM event_segment_rsvps(p_event_id, p_segment) r
+            JOIN profiles p ON p.id = r.user_id
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1F. announce_to_attendees — notify one segment
+-- ============================================================
+
+-- One notification per recipient; the notifications webhook sends the
+-- email. The sender is left out of their own announcement, and an
+-- event can send at most 5 announcements a day.
+CREATE OR REPLACE FUNCTION announce_to_attendees(p_event_id INT, p_segment TEXT, p_message TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    msg TEXT;
+    sent_count INT;
+BEGIN
+    current_uid := auth.uid();
+    msg := btrim(COALESCE(p_message, ''));
+
+    IF NOT is_event_admin(p_event_id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    IF p_segment NOT IN ('going', 'interested', 'waitlisted', 'checked_in', 'going_not_checked_in') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_segment');
+    END IF;
+
+    IF msg = '' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'message_empty');
+    END IF;
+
+    IF char_length(msg) > 1000 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'message_too_long');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM event_announcements
+        WHERE event_id = p_event_id AND created_at > NOW() - INTERVAL '1 day') >= 5 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_many_announcements');
+    END IF;
+
+    INSERT INTO notifications (user_id, type, event_id, actor_id, message)
+    SELECT r.user_id, 'announcement', p_event_id, current_uid, msg
+    FROM event_segment_rsvps(p_event_id, p_segment) r
+    WHERE r.user_id != current_uid;
+
+    GET DIAGNOSTICS sent_count = ROW_COUNT;
+
+    IF sent_count = 0 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_recipients');
+    END IF;
+
+    INSERT INTO event_announcements (event_id, sent_by, segment, message, recipient_count)
+    VALUES (p_event_id, current_uid, p_segment, msg, sent_count);
+
+    RETURN jsonb_build_object('status', 'success', 'recipient_count', sent_count);
+END;
+$$;
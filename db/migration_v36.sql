@@ -0,0 +1,1105 @@
+-- ============================================================
+-- Migration V36: Event cancellation and change notifications
+-- Run this in Supabase SQL Editor
+-- ============================================================
+
+-- ============================================================
+-- 1A. Cancelled events — kept, with the organizer's reason
+-- ============================================================
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT CHECK (char_length(cancellation_reason) <= 500);
+
+-- ============================================================
+-- 1B. 'event_cancelled' and 'event_updated' notifications
+-- ============================================================
+
+-- changes holds what an 'event_updated' notification is about:
+-- { field: { old, new } } for date, time, location, event_mode and
+-- online_url
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS changes JSONB;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('rsvp','comment','access_request','invitation','reminder',
+                    'waitlist_promoted','kicked','follow_request','follow_accepted',
+                    'booking_confirmed','booking_cancelled','venue_new_timeslot',
+                    'ticket_assigned','ticket_transfer','ticket_transfer_accepted',
+                    'ticket_offer','announcement','event_cancelled','event_updated'));
+
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email_event_updates BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- ============================================================
+-- 1C. No new RSVPs on a cancelled event
+-- ============================================================
+
+-- Leaving (deleting the RSVP) still works. Fires before
+-- trg_check_capacity_on_rsvp (triggers fire by name).
+CREATE OR REPLACE FUNCTION block_cancelled_event_rsvp()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.status = OLD.status THEN
+        RETURN NEW;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM events WHERE id = NEW.event_id AND cancelled_at IS NOT NULL) THEN
+        RAISE EXCEPTION 'event_cancelled';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_block_cancelled_event_rsvp ON rsvps;
+CREATE TRIGGER trg_block_cancelled_event_rsvp
+    BEFORE INSERT OR UPDATE OF status ON rsvps
+    FOR EACH ROW
+    EXECUTE FUNCTION block_cancelled_event_rsvp();
+
+-- ============================================================
+-- 1D. cancel_event — cancel instead of deleting
+-- ============================================================
+
+-- A paid ticket on a cancelled event waits in refund_pending until
+-- Vipps confirms the refund (record_vipps_adjustment, 1K)
+ALTER TABLE event_ticket_orders DROP CONSTRAINT IF EXISTS event_ticket_orders_status_check;
+ALTER TABLE event_ticket_orders ADD CONSTRAINT event_ticket_orders_status_check
+    CHECK (status IN ('pending_payment', 'paid', 'cancelled', 'expired', 'refund_pending', 'refunded'));
+
+-- Deleting the event would take the orders, and the money still owed
+-- on them, with it
+CREATE OR REPLACE FUNCTION prevent_ticketed_event_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM event_ticket_orders WHERE event_id = OLD.id AND status IN ('pending_payment', 'paid', 'refund_pending')) THEN
+        RAISE EXCEPTION 'event_has_tickets';
+    END IF;
+    RETURN OLD;
+END;
+$$;
+
+-- What the vipps-payment edge function has to do at Vipps for each
+-- ticket still waiting for its refund
+CREATE OR REPLACE FUNCTION event_pending_refunds(p_event_id INT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'event_order_id', tx.event_order_id,
+        'vipps_reference', tx.vipps_reference,
+        'payment_action', CASE WHEN tx.captured_amount > tx.refunded_amount THEN 'refund' ELSE 'cancel' END,
+        'amount', CASE WHEN tx.captured_amount > tx.refunded_amount
+                       THEN tx.captured_amount - tx.refunded_amount
+                       ELSE tx.authorized_amount - tx.captured_amount END
+    ) ORDER BY tx.id), '[]'::jsonb)
+    FROM transactions tx
+    JOIN event_ticket_orders o ON o.id = tx.event_order_id
+    WHERE o.event_id = p_event_id AND o.status = 'refund_pending'
+      AND tx.payment_method = 'vipps'
+      AND tx.payment_state IN ('authorized', 'captured', 'partially_refunded');
+$$;
+
+REVOKE EXECUTE ON FUNCTION event_pending_refunds(INT) FROM PUBLIC, anon, authenticated;
+
+-- Everyone with an RSVP is notified, and RSVPs stay so the event keeps
+-- showing up, as cancelled, in their lists. Unpaid ticket attempts are
+-- given up; paid tickets go to refund_pending, and like
+-- cancel_event_ticket this returns what the vipps-payment edge function
+-- has to do at Vipps for each of them. Only the creator may cancel, as
+-- only the creator may delete the event; co-admins don't get the
+-- section on the event page.
+CREATE OR REPLACE FUNCTION cancel_event(p_event_id INT, p_reason TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    ev RECORD;
+    v_reason TEXT;
+    v_refunds JSONB;
+    v_notified INT;
+BEGIN
+    current_uid := auth.uid();
+    v_reason := NULLIF(btrim(COALESCE(p_reason, '')), '');
+
+    PERFORM pg_advisory_xact_lock(p_event_id);
+
+    SELECT id, creator_id, cancelled_at, (date + time) AT TIME ZONE 'Europe/Oslo' AS starts_at
+    INTO ev FROM events WHERE id = p_event_id FOR UPDATE;
+
+    IF ev.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_not_found');
+    END IF;
+
+    IF current_uid IS NULL OR ev.creator_id != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    IF ev.cancelled_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_cancelled');
+    END IF;
+
+    IF ev.starts_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_started');
+    END IF;
+
+    IF v_reason IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reason_required');
+    END IF;
+
+    IF char_length(v_reason) > 500 THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reason_too_long');
+    END IF;
+
+    UPDATE events
+    SET cancelled_at = NOW(), cancelled_by = current_uid, cancellation_reason = v_reason
+    WHERE id = p_event_id;
+
+    -- If Vipps authorizes one of these after all, process_payment_event
+    -- releases the money
+    WITH given_up AS (
+        UPDATE event_ticket_orders SET status = 'cancelled'
+        WHERE event_id = p_event_id AND status = 'pending_payment'
+        RETURNING id
+    ),
+    cancelled AS (
+        UPDATE transactions SET status = 'cancelled', payment_state = 'cancelled'
+        WHERE event_order_id IN (SELECT id FROM given_up) AND payment_state = 'created'
+        RETURNING id
+    )
+    INSERT INTO transaction_events (transaction_id, event)
+    SELECT id, 'CANCELLED' FROM cancelled;
+
+    -- Without money left at Vipps there is nothing to wait for
+    UPDATE event_ticket_orders o
+    SET status = CASE WHEN EXISTS (
+            SELECT 1 FROM transactions tx
+            WHERE tx.event_order_id = o.id AND tx.payment_method = 'vipps'
+              AND tx.payment_state IN ('authorized', 'captured', 'partially_refunded')
+        ) THEN 'refund_pending' ELSE 'refunded' END,
+        refunded_at = NOW()
+    WHERE o.event_id = p_event_id AND o.status = 'paid';
+
+    v_refunds := event_pending_refunds(p_event_id);
+
+    UPDATE rsvps SET ticket_offer_expires_at = NULL
+    WHERE event_id = p_event_id AND ticket_offer_expires_at IS NOT NULL;
+
+    INSERT INTO notifications (user_id, type, event_id, actor_id, message)
+    SELECT user_id, 'event_cancelled', p_event_id, current_uid, v_reason
+    FROM rsvps
+    WHERE event_id = p_event_id AND kicked_at IS NULL AND user_id != current_uid;
+
+    GET DIAGNOSTICS v_notified = ROW_COUNT;
+
+    RETURN jsonb_build_object('status', 'success', 'notified', v_notified, 'refunds', v_refunds);
+END;
+$$;
+
+-- ============================================================
+-- 1E. notify_event_changes — tell attendees what moved
+-- ============================================================
+
+-- Runs on any update of the fields, so edits from EventFormPage and
+-- update_event_series both notify. Past and cancelled events don't. On
+-- approval_required events the location is left out for people who
+-- can't see it yet (see show_location in get_event_detail).
+CREATE OR REPLACE FUNCTION notify_event_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changes JSONB := '{}'::jsonb;
+BEGIN
+    IF NEW.cancelled_at IS NOT NULL OR (OLD.date + OLD.time) AT TIME ZONE 'Europe/Oslo' <= NOW() THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.date IS DISTINCT FROM OLD.date THEN
+        v_changes := v_changes || jsonb_build_object('date', jsonb_build_object('old', OLD.date, 'new', NEW.date));
+    END IF;
+    IF NEW.time IS DISTINCT FROM OLD.time THEN
+        v_changes := v_changes || jsonb_build_object('time', jsonb_build_object('old', OLD.time, 'new', NEW.time));
+    END IF;
+    IF NEW.location IS DISTINCT FROM OLD.location THEN
+        v_changes := v_changes || jsonb_build_object('location', jsonb_build_object('old', OLD.location, 'new', NEW.location));
+    END IF;
+    IF NEW.event_mode IS DISTINCT FROM OLD.event_mode THEN
+        v_changes := v_changes || jsonb_build_object('event_mode', jsonb_build_object('old', OLD.event_mode, 'new', NEW.event_mode));
+    END IF;
+    IF NEW.online_url IS DISTINCT FROM OLD.online_url THEN
+        v_changes := v_changes || jsonb_build_object('online_url', jsonb_build_object('old', OLD.online_url, 'new', NEW.online_url));
+    END IF;
+
+    IF v_changes = '{}'::jsonb THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO notifications (user_id, type, event_id, actor_id, changes)
+    SELECT r.user_id, 'event_updated', NEW.id, auth.uid(), c.changes
+    FROM rsvps r
+    CROSS JOIN LATERAL (
+        SELECT CASE
+            WHEN NEW.join_mode = 'approval_required' AND r.status != 'going'
+                 AND NOT is_event_admin(NEW.id, r.user_id)
+                 AND NOT EXISTS (SELECT 1 FROM access_requests ar
+                                 WHERE ar.event_id = NEW.id AND ar.user_id = r.user_id AND ar.status = 'approved')
+            THEN v_changes - 'location'
+            ELSE v_changes
+        END AS changes
+    ) c
+    WHERE r.event_id = NEW.id AND r.kicked_at IS NULL
+      AND r.user_id IS DISTINCT FROM auth.uid()
+      AND c.changes != '{}'::jsonb;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_event_changes ON events;
+CREATE TRIGGER trg_notify_event_changes
+    AFTER UPDATE OF date, time, location, event_mode, online_url ON events
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_event_changes();
+
+-- ============================================================
+-- 1F. Update fill_event_waitlist / offer_event_tickets — a cancelled
+--     event promotes and offers nothing
+-- ============================================================
+
+-- Someone leaving a cancelled event would otherwise promote the next
+-- person into an RSVP that trg_block_cancelled_event_rsvp refuses.
+CREATE OR REPLACE FUNCTION fill_event_waitlist(p_event_id INT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    max_att INTEGER;
+    v_cancelled TIMESTAMPTZ;
+    v_free INTEGER;
+    v_promoted INTEGER := 0;
+    r RECORD;
+BEGIN
+    SELECT max_attendees, cancelled_at INTO max_att, v_cancelled FROM events WHERE id = p_event_id;
+    IF max_att IS NULL OR v_cancelled IS NOT NULL THEN
+        RETURN 0;
+    END IF;
+
+    IF event_has_tickets(p_event_id) THEN
+        PERFORM offer_event_tickets(p_event_id);
+        RETURN 0;
+    END IF;
+
+    v_free := max_att - event_going_count(p_event_id);
+
+    FOR r IN
+        SELECT id, user_id, 1 + rsvp_guest_count(id) AS party_size
+        FROM rsvps
+        WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL
+        ORDER BY created_at ASC
+    LOOP
+        EXIT WHEN r.party_size > v_free;
+
+        UPDATE rsvps SET status = 'going' WHERE id = r.id;
+
+        INSERT INTO notifications (user_id, type, event_id)
+        VALUES (r.user_id, 'waitlist_promoted', p_event_id);
+
+        v_free := v_free - r.party_size;
+        v_promoted := v_promoted + 1;
+    END LOOP;
+
+    RETURN v_promoted;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION offer_event_tickets(p_event_id INT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev RECORD;
+    v_free INT;
+    v_offered INT := 0;
+    r RECORD;
+BEGIN
+    SELECT id, max_attendees, cancelled_at, (date + time) AT TIME ZONE 'Europe/Oslo' AS starts_at
+    INTO ev FROM events WHERE id = p_event_id;
+
+    IF ev.max_attendees IS NULL OR ev.cancelled_at IS NOT NULL
+       OR NOT event_has_tickets(p_event_id) OR ev.starts_at <= NOW() THEN
+        RETURN 0;
+    END IF;
+
+    v_free := ev.max_attendees - event_places_taken(p_event_id);
+
+    FOR r IN
+        SELECT id, user_id FROM rsvps
+        WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL
+          AND ticket_offer_expires_at IS NULL
+        ORDER BY created_at ASC
+        LIMIT GREATEST(v_free, 0)
+    LOOP
+        UPDATE rsvps SET ticket_offer_expires_at = LEAST(NOW() + INTERVAL '24 hours', ev.starts_at)
+        WHERE id = r.id;
+
+        INSERT INTO notifications (user_id, type, event_id)
+        VALUES (r.user_id, 'ticket_offer', p_event_id);
+
+        v_offered := v_offered + 1;
+    END LOOP;
+
+    RETURN v_offered;
+END;
+$$;
+
+-- ============================================================
+-- 1G. Update reserve_event_ticket — no tickets for a cancelled event
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION reserve_event_ticket(p_ticket_type_id INT, p_vipps_reference TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    tt RECORD;
+    ev RECORD;
+    v_my_rsvp RECORD;
+    v_sold INT;
+    v_previous INT;
+    new_order_id INT;
+BEGIN
+    current_uid := auth.uid();
+    IF current_uid IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_authenticated');
+    END IF;
+
+    SELECT * INTO tt FROM event_ticket_types WHERE id = p_ticket_type_id;
+    IF tt.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_not_found');
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(tt.event_id);
+
+    SELECT id, title, min_age, max_attendees, cancelled_at, (date + time) AT TIME ZONE 'Europe/Oslo' AS starts_at
+    INTO ev FROM events WHERE id = tt.event_id;
+
+    IF NOT check_event_access(ev.id, current_uid) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'no_access');
+    END IF;
+
+    IF ev.cancelled_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_cancelled');
+    END IF;
+
+    IF NOT tt.active THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_inactive');
+    END IF;
+
+    IF ev.starts_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_started');
+    END IF;
+
+    IF NOT check_user_age(current_uid, ev.min_age) THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'too_young', 'min_age', ev.min_age);
+    END IF;
+
+    SELECT * INTO v_my_rsvp FROM rsvps WHERE event_id = ev.id AND user_id = current_uid;
+    IF v_my_rsvp.kicked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'kicked');
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM event_ticket_orders WHERE event_id = ev.id AND user_id = current_uid AND status = 'paid') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_has_ticket');
+    END IF;
+
+    -- Going from before the event started selling tickets
+    IF v_my_rsvp.status = 'going' THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'already_going');
+    END IF;
+
+    IF ev.max_attendees IS NOT NULL AND event_places_taken(ev.id, current_uid) >= ev.max_attendees THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'sold_out');
+    END IF;
+
+    SELECT COUNT(*) INTO v_sold FROM event_ticket_orders
+    WHERE ticket_type_id = tt.id AND status IN ('pending_payment', 'paid') AND user_id != current_uid;
+    IF tt.capacity IS NOT NULL AND v_sold >= tt.capacity THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'ticket_type_sold_out');
+    END IF;
+
+    UPDATE event_ticket_orders SET status = 'cancelled'
+    WHERE event_id = ev.id AND user_id = current_uid AND status = 'pending_payment'
+    RETURNING id INTO v_previous;
+
+    IF v_previous IS NOT NULL THEN
+        WITH cancelled AS (
+            UPDATE transactions SET status = 'cancelled', payment_state = 'cancelled'
+            WHERE event_order_id = v_previous AND payment_state = 'created'
+            RETURNING id
+        )
+        INSERT INTO transaction_events (transaction_id, event)
+        SELECT id, 'CANCELLED' FROM cancelled;
+    END IF;
+
+    INSERT INTO event_ticket_orders (event_id, ticket_type_id, user_id, unit_price)
+    VALUES (ev.id, tt.id, current_uid, tt.price)
+    RETURNING id INTO new_order_id;
+
+    INSERT INTO transactions (event_order_id, user_id, amount, currency, status, payment_method, vipps_reference)
+    VALUES (new_order_id, current_uid, tt.price, 'NOK', 'pending', 'vipps', p_vipps_reference);
+
+    RETURN jsonb_build_object(
+        'status', 'success',
+        'event_order_id', new_order_id,
+        'event_id', ev.id,
+        'event_title', ev.title,
+        'ticket_name', tt.name,
+        'payment_required', true,
+        'amount', tt.price,
+        'vipps_reference', p_vipps_reference
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1H. Update generate_reminders — no reminders for cancelled events,
+--     or for timeslots booked for them
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION generate_reminders(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    event_count INTEGER;
+    booking_count INTEGER;
+BEGIN
+    -- Event attendees
+    WITH due AS (
+        SELECT DISTINCT ON (r.user_id, e.id)
+            r.user_id, e.id AS event_id, e.title, o.minutes_before,
+            -- Joined after this offset's time, with a tighter reminder still to come
+            r.created_at > (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM rsvps r
+        JOIN events e ON e.id = r.event_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = r.user_id
+        WHERE o.active
+          AND r.status = 'going'
+          AND r.kicked_at IS NULL
+          AND e.cancelled_at IS NULL
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (e.date + e.time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY r.user_id, e.id, o.minutes_before
+    ),
+    logged AS (
+        INSERT INTO sent_reminders (user_id, event_id, minutes_before)
+        SELECT user_id, event_id, minutes_before FROM due
+        ON CONFLICT DO NOTHING
+        RETURNING user_id, event_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, message, reminder_minutes)
+        SELECT l.user_id, 'reminder', l.event_id, d.title, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.user_id = l.user_id AND d.event_id = l.event_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO event_count FROM inserted;
+
+    -- Venue bookings. Each ticket goes to whoever holds it, and someone
+    -- holding several tickets for a timeslot is reminded once (through
+    -- their lowest booking id, so later runs pick the same row).
+    WITH due AS (
+        SELECT DISTINCT ON (COALESCE(b.assigned_to, b.user_id), ts.id)
+            b.id AS booking_id, COALESCE(b.assigned_to, b.user_id) AS user_id,
+            ts.venue_id, ts.event_id, v.name, o.minutes_before, ts.id AS timeslot_id,
+            b.created_at > (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before)
+                AND EXISTS (SELECT 1 FROM reminder_offsets t WHERE t.active AND t.minutes_before < o.minutes_before)
+                AS superseded
+        FROM bookings b
+        JOIN timeslots ts ON ts.id = b.timeslot_id
+        JOIN venues v ON v.id = ts.venue_id
+        CROSS JOIN reminder_offsets o
+        LEFT JOIN notification_preferences np ON np.user_id = COALESCE(b.assigned_to, b.user_id)
+        WHERE o.active
+          AND b.status = 'confirmed'
+          -- A timeslot booked for an event goes with it when it's cancelled
+          AND NOT EXISTS (SELECT 1 FROM events te WHERE te.id = ts.event_id AND te.cancelled_at IS NOT NULL)
+          AND COALESCE(np.email_reminder, TRUE)
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' > p_now
+          AND (ts.date + ts.start_time) AT TIME ZONE 'Europe/Oslo' - make_interval(mins => o.minutes_before) <= p_now
+        ORDER BY COALESCE(b.assigned_to, b.user_id), ts.id, o.minutes_before, b.id
+    ),
+    logged AS (
+        -- Not again through another of their tickets for the timeslot
+        INSERT INTO sent_reminders (user_id, booking_id, minutes_before)
+        SELECT d.user_id, d.booking_id, d.minutes_before FROM due d
+        WHERE NOT EXISTS (
+            SELECT 1 FROM sent_reminders sr
+            JOIN bookings b2 ON b2.id = sr.booking_id
+            WHERE sr.user_id = d.user_id AND b2.timeslot_id = d.timeslot_id
+              AND sr.minutes_before = d.minutes_before
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING booking_id, user_id, minutes_before
+    ),
+    inserted AS (
+        INSERT INTO notifications (user_id, type, event_id, venue_id, message, reminder_minutes)
+        SELECT d.user_id, 'reminder', d.event_id, d.venue_id, d.name, l.minutes_before
+        FROM logged l
+        JOIN due d ON d.booking_id = l.booking_id AND d.user_id = l.user_id
+        WHERE NOT d.superseded
+        RETURNING id
+    )
+    SELECT COUNT(*) INTO booking_count FROM inserted;
+
+    RETURN event_count + booking_count;
+END;
+$$;
+
+-- ============================================================
+-- 1I. Update get_discover_events / search_events — cancelled events
+--     stay listed with cancelled_at, so cards can mark them; a series
+--     shows its next occurrence that goes ahead, if it has one
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_discover_events(
+    p_lat DOUBLE PRECISION,
+    p_lng DOUBLE PRECISION,
+    p_radius_km INTEGER DEFAULT 25,
+    p_date_from DATE DEFAULT CURRENT_DATE,
+    p_date_to DATE DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        WITH candidate_events AS (
+            SELECT e.*,
+                CASE WHEN e.latitude IS NOT NULL AND e.longitude IS NOT NULL THEN
+                    ROUND((
+                        6371 * ACOS(
+                            LEAST(1.0, GREATEST(-1.0,
+                                COS(RADIANS(p_lat)) * COS(RADIANS(e.latitude)) *
+                                COS(RADIANS(e.longitude) - RADIANS(p_lng)) +
+                                SIN(RADIANS(p_lat)) * SIN(RADIANS(e.latitude))
+                            ))
+                        )
+                    )::numeric, 1)
+                ELSE NULL END AS dist_km
+            FROM events e
+            WHERE e.visibility = 'public'
+              AND e.effective_end_date >= p_date_from
+              AND (p_date_to IS NULL OR e.date <= p_date_to)
+              AND (p_category IS NULL OR e.category = p_category)
+              AND (current_uid IS NULL OR e.creator_id != current_uid)
+              -- A swipe on one occurrence counts for the whole series
+              AND (current_uid IS NULL OR NOT EXISTS (
+                  SELECT 1 FROM event_swipes es
+                  JOIN events sw ON sw.id = es.event_id
+                  WHERE es.user_id = current_uid
+                    AND (sw.id = e.id OR sw.series_id = e.series_id)
+              ))
+              -- Series: only the next occurrence in the window
+              AND (e.series_id IS NULL OR e.id = (
+                  SELECT e2.id FROM events e2
+                  WHERE e2.series_id = e.series_id
+                    AND e2.effective_end_date >= p_date_from
+                    AND (p_date_to IS NULL OR e2.date <= p_date_to)
+                  ORDER BY e2.cancelled_at IS NOT NULL, e2.date
+                  LIMIT 1
+              ))
+        )
+        SELECT jsonb_build_object(
+            'id', ce.id,
+            'title', ce.title,
+            'date', ce.date,
+            'end_date', ce.end_date,
+            'time', ce.time,
+            'end_time', ce.end_time,
+            'category', ce.category,
+            'image_url', ce.image_url,
+            'join_mode', ce.join_mode,
+            'event_mode', ce.event_mode,
+            'online_url', ce.online_url,
+            'series_id', ce.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = ce.series_id),
+            'cancelled_at', ce.cancelled_at,
+            'area_name', CASE
+                WHEN ce.event_mode = 'online' THEN NULL
+                WHEN ce.join_mode = 'approval_required' THEN
+                    CASE
+                        WHEN POSITION(',' IN ce.location) > 0 THEN
+                            TRIM(SUBSTRING(ce.location FROM POSITION(',' IN ce.location) + 1))
+                        ELSE ce.location
+                    END
+                ELSE ce.location
+            END,
+            'distance_km', ce.dist_km,
+            'going_count', event_going_count(ce.id),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = ce.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END,
+            'attendee_preview', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url,
+                        CASE WHEN current_uid IS NOT NULL AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                            THEN 0 ELSE 1 END AS sort_order
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = ce.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                    ORDER BY sort_order, r2.created_at
+                    LIMIT 5
+                ) p
+            ), '[]'::jsonb)
+        ) AS row_data
+        FROM candidate_events ce
+        WHERE (ce.dist_km IS NOT NULL AND ce.dist_km <= p_radius_km)
+           OR ce.event_mode = 'online'
+        ORDER BY ce.date ASC
+        LIMIT p_limit
+    ) sub;
+
+    RETURN result;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION search_events(
+    p_search TEXT DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 30,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    result JSONB;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT COALESCE(jsonb_agg(row_data), '[]'::jsonb)
+    INTO result
+    FROM (
+        SELECT jsonb_build_object(
+            'id', e.id,
+            'title', e.title,
+            'date', e.date,
+            'end_date', e.end_date,
+            'time', e.time,
+            'end_time', e.end_time,
+            'location', e.location,
+            'category', e.category,
+            'image_url', e.image_url,
+            'event_mode', e.event_mode,
+            'online_url', e.online_url,
+            'series_id', e.series_id,
+            'series_frequency', (SELECT s.frequency FROM event_series s WHERE s.id = e.series_id),
+            'cancelled_at', e.cancelled_at,
+            'latitude', e.latitude,
+            'longitude', e.longitude,
+            'going_count', event_going_count(e.id),
+            'interested_count', (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status = 'interested' AND r.kicked_at IS NULL
+            ),
+            'creator_name', (SELECT name FROM profiles WHERE id = e.creator_id),
+            'friend_count', CASE WHEN current_uid IS NOT NULL THEN (
+                SELECT COUNT(*) FROM rsvps r
+                WHERE r.event_id = e.id AND r.status IN ('going', 'interested') AND r.kicked_at IS NULL
+                  AND r.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+            ) ELSE 0 END,
+            'friend_preview', CASE WHEN current_uid IS NOT NULL THEN COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('name', p.name, 'avatar_url', p.avatar_url))
+                FROM (
+                    SELECT pr.name, pr.avatar_url
+                    FROM rsvps r2
+                    JOIN profiles pr ON pr.id = r2.user_id
+                    WHERE r2.event_id = e.id AND r2.status IN ('going', 'interested') AND r2.kicked_at IS NULL
+                      AND r2.user_id IN (SELECT following_id FROM follows WHERE follower_id = current_uid AND status = 'active')
+                    LIMIT 3
+                ) p
+            ), '[]'::jsonb) ELSE '[]'::jsonb END
+        ) AS row_data
+        FROM events e
+        WHERE e.visibility = 'public'
+          AND e.effective_end_date >= CURRENT_DATE
+          AND (p_search IS NULL OR (
+              e.title ILIKE '%' || p_search || '%'
+              OR e.description ILIKE '%' || p_search || '%'
+              OR e.location ILIKE '%' || p_search || '%'
+          ))
+          AND (p_category IS NULL OR e.category = p_category)
+          -- Series: only the next upcoming occurrence
+          AND (e.series_id IS NULL OR e.id = (
+              SELECT e2.id FROM events e2
+              WHERE e2.series_id = e.series_id AND e2.effective_end_date >= CURRENT_DATE
+              ORDER BY e2.cancelled_at IS NOT NULL, e2.date
+              LIMIT 1
+          ))
+        ORDER BY e.date ASC
+        LIMIT p_limit
+        OFFSET p_offset
+    ) sub;
+
+    RETURN result;
+END;
+$$;
+
+-- ============================================================
+-- 1J. Update get_event_detail — cancellation and its reason
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION get_event_detail(p_event_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    ev events%ROWTYPE;
+    current_uid UUID;
+    has_access BOOLEAN;
+    ar_status TEXT;
+    show_location BOOLEAN;
+BEGIN
+    SELECT * INTO ev FROM events WHERE id = p_event_id;
+    IF NOT FOUND THEN RETURN NULL; END IF;
+
+    current_uid := auth.uid();
+    has_access := check_event_access(p_event_id, current_uid);
+
+    IF NOT has_access THEN
+        SELECT ar.status INTO ar_status
+        FROM access_requests ar
+        WHERE ar.event_id = p_event_id AND ar.user_id = current_uid;
+
+        RETURN jsonb_build_object(
+            'id', ev.id,
+            'title', ev.title,
+            'category', ev.category,
+            'visibility', ev.visibility,
+            'join_mode', ev.join_mode,
+            'event_mode', ev.event_mode,
+            'min_age', ev.min_age,
+            'cancelled_at', ev.cancelled_at,
+            'has_access', false,
+            'access_request_status', ar_status,
+            'questions', event_questions_json(p_event_id)
+        );
+    END IF;
+
+    show_location := TRUE;
+    IF ev.join_mode = 'approval_required' THEN
+        IF is_event_admin(p_event_id, current_uid) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM access_requests
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'approved'
+        ) THEN
+            show_location := TRUE;
+        ELSIF EXISTS (
+            SELECT 1 FROM rsvps
+            WHERE event_id = p_event_id AND user_id = current_uid AND status = 'going'
+        ) THEN
+            show_location := TRUE;
+        ELSE
+            show_location := FALSE;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', ev.id,
+        'title', ev.title,
+        'description', ev.description,
+        'date', ev.date,
+        'end_date', ev.end_date,
+        'time', ev.time,
+        'end_time', ev.end_time,
+        'event_mode', ev.event_mode,
+        'online_url', ev.online_url,
+        'location', CASE WHEN show_location THEN ev.location ELSE NULL END,
+        'location_hidden', NOT show_location,
+        'area_name', CASE
+            WHEN NOT show_location THEN
+                CASE
+                    WHEN POSITION(',' IN ev.location) > 0 THEN
+                        TRIM(SUBSTRING(ev.location FROM POSITION(',' IN ev.location) + 1))
+                    ELSE ev.location
+                END
+            ELSE NULL
+        END,
+        'image_url', ev.image_url,
+        'category', ev.category,
+        'visibility', ev.visibility,
+        'join_mode', ev.join_mode,
+        'min_age', ev.min_age,
+        'latitude', CASE WHEN show_location THEN ev.latitude ELSE NULL END,
+        'longitude', CASE WHEN show_location THEN ev.longitude ELSE NULL END,
+        'creator_id', ev.creator_id,
+        'created_at', ev.created_at,
+        'max_attendees', ev.max_attendees,
+        'venue_id', ev.venue_id,
+        'series_id', ev.series_id,
+        'series', CASE WHEN ev.series_id IS NOT NULL THEN series_summary(ev.series_id) ELSE NULL END,
+        'has_access', true,
+        'qr_enabled', ev.qr_enabled,
+        'is_admin', is_event_admin(p_event_id, current_uid),
+        'creator_name', (SELECT name FROM profiles WHERE id = ev.creator_id),
+        'max_guests_per_rsvp', ev.max_guests_per_rsvp,
+        'going_count', event_going_count(p_event_id),
+        'interested_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'interested' AND kicked_at IS NULL),
+        'waitlisted_count', (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'waitlisted' AND kicked_at IS NULL),
+        'checked_in_count',
+            (SELECT COUNT(*) FROM rsvps WHERE event_id = p_event_id AND status = 'going' AND kicked_at IS NULL AND checked_in_at IS NOT NULL)
+          + (SELECT COUNT(*) FROM rsvp_guests g JOIN rsvps r ON r.id = g.rsvp_id
+             WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL AND g.checked_in_at IS NOT NULL),
+        'going_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url, 'checked_in_at', r.checked_in_at, 'guest_count', rsvp_guest_count(r.id)))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'going' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'interested_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url))
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'interested' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'waitlisted_users', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', p.id, 'name', p.name, 'avatar_url', p.avatar_url) ORDER BY r.created_at ASC)
+            FROM rsvps r JOIN profiles p ON p.id = r.user_id
+            WHERE r.event_id = p_event_id AND r.status = 'waitlisted' AND r.kicked_at IS NULL
+        ), '[]'::jsonb),
+        'my_rsvp', (SELECT r.status FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid),
+        'my_qr_token', (SELECT r.qr_token FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_checked_in_at', (SELECT r.checked_in_at FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'going' AND r.kicked_at IS NULL),
+        'my_guests', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'checked_in_at', g.checked_in_at) ORDER BY g.id), '[]'::jsonb)
+            FROM rsvps r JOIN rsvp_guests g ON g.rsvp_id = r.id
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid
+        ),
+        'my_kicked', COALESCE((SELECT r.kicked_at IS NOT NULL FROM rsvps r WHERE r.event_id = p_event_id AND r.user_id = current_uid), false),
+        'ticketed', event_has_tickets(p_event_id),
+        'ticket_types', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', tt.id,
+                'name', tt.name,
+                'price', tt.price,
+                'sold_out', tt.capacity IS NOT NULL AND (
+                    SELECT COUNT(*) FROM event_ticket_orders o
+                    WHERE o.ticket_type_id = tt.id AND o.status IN ('pending_payment', 'paid')
+                      AND o.user_id IS DISTINCT FROM current_uid
+                ) >= tt.capacity
+            ) ORDER BY tt.price, tt.id)
+            FROM event_ticket_types tt
+            WHERE tt.event_id = p_event_id AND tt.active
+        ), '[]'::jsonb),
+        'tickets_available', ev.max_attendees IS NULL OR event_places_taken(p_event_id, current_uid) < ev.max_attendees,
+        'my_ticket', (
+            SELECT jsonb_build_object('id', o.id, 'name', tt.name, 'unit_price', o.unit_price, 'paid_at', o.paid_at)
+            FROM event_ticket_orders o JOIN event_ticket_types tt ON tt.id = o.ticket_type_id
+            WHERE o.event_id = p_event_id AND o.user_id = current_uid AND o.status = 'paid'
+        ),
+        'my_ticket_offer_expires_at', (
+            SELECT r.ticket_offer_expires_at FROM rsvps r
+            WHERE r.event_id = p_event_id AND r.user_id = current_uid AND r.status = 'waitlisted'
+              AND r.ticket_offer_expires_at > NOW()
+        ),
+        'images', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', ei.id,
+                    'image_url', ei.image_url,
+                    'position', ei.position
+                ) ORDER BY ei.position
+            )
+            FROM event_images ei
+            WHERE ei.event_id = p_event_id
+        ), '[]'::jsonb),
+        'comments', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'id', c.id,
+                    'text', c.text,
+                    'image_url', c.image_url,
+                    'user_id', c.user_id,
+                    'user_name', p.name,
+                    'user_avatar_url', p.avatar_url,
+                    'created_at', c.created_at
+                ) ORDER BY c.created_at
+            )
+            FROM comments c JOIN profiles p ON p.id = c.user_id
+            WHERE c.event_id = p_event_id
+        ), '[]'::jsonb)
+    ) || jsonb_build_object(
+        -- jsonb_build_object takes at most 100 arguments
+        'questions', event_questions_json(p_event_id),
+        'my_answers', event_answers_json(p_event_id, current_uid),
+        'cancelled_at', ev.cancelled_at,
+        'cancellation_reason', ev.cancellation_reason,
+        'refunds_pending', CASE WHEN ev.creator_id = current_uid THEN
+            (SELECT COUNT(*) FROM event_ticket_orders WHERE event_id = p_event_id AND status = 'refund_pending')
+        ELSE 0 END
+    );
+END;
+$$;
+
+-- ============================================================
+-- 1K. Update record_vipps_adjustment — a ticket of a cancelled event
+--     is refunded once Vipps has confirmed it
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION record_vipps_adjustment(
+    p_vipps_reference TEXT,
+    p_event TEXT,
+    p_amount INT,
+    p_aggregate JSONB,
+    p_psp_reference TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    tx RECORD;
+    v_authorized INT;
+    v_captured INT;
+    v_refunded INT;
+    v_state TEXT;
+BEGIN
+    IF p_event NOT IN ('CAPTURED', 'REFUNDED', 'CANCELLED') THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'invalid_event');
+    END IF;
+
+    SELECT * INTO tx FROM transactions WHERE vipps_reference = p_vipps_reference FOR UPDATE;
+    IF tx.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'reference_not_found');
+    END IF;
+
+    v_authorized := COALESCE((p_aggregate->'authorizedAmount'->>'value')::INT, tx.authorized_amount);
+    v_captured := COALESCE((p_aggregate->'capturedAmount'->>'value')::INT, tx.captured_amount);
+    v_refunded := COALESCE((p_aggregate->'refundedAmount'->>'value')::INT, tx.refunded_amount);
+
+    IF p_event = 'CANCELLED' AND v_captured = 0 THEN
+        v_state := 'cancelled';
+    ELSE
+        v_state := payment_state_for(v_authorized, v_captured, v_refunded);
+    END IF;
+
+    UPDATE transactions
+    SET authorized_amount = v_authorized,
+        captured_amount = v_captured,
+        refunded_amount = v_refunded,
+        payment_state = v_state,
+        status = CASE v_state
+            WHEN 'refunded' THEN 'refunded'
+            WHEN 'cancelled' THEN 'cancelled'
+            ELSE 'completed'
+        END
+    WHERE id = tx.id;
+
+    IF v_state IN ('refunded', 'cancelled') THEN
+        UPDATE event_ticket_orders SET status = 'refunded', refunded_at = NOW()
+        WHERE id = tx.event_order_id AND status = 'refund_pending';
+    END IF;
+
+    INSERT INTO transaction_events (transaction_id, event, amount, psp_reference)
+    VALUES (tx.id, p_event, p_amount, p_psp_reference);
+
+    RETURN jsonb_build_object('status', 'success', 'payment_state', v_state,
+        'captured_amount', v_captured, 'refunded_amount', v_refunded);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_vipps_adjustment(TEXT, TEXT, INT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================
+-- 1L. get_pending_event_refunds — refunds of a cancelled event
+--     that Vipps didn't take, for the organizer to retry
+-- ============================================================
+
+-- Creator only, like cancel_event that left them pending
+CREATE OR REPLACE FUNCTION get_pending_event_refunds(p_event_id INT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    current_uid UUID;
+    v_creator UUID;
+BEGIN
+    current_uid := auth.uid();
+
+    SELECT creator_id INTO v_creator FROM events WHERE id = p_event_id;
+    IF v_creator IS NULL THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'event_not_found');
+    END IF;
+
+    IF current_uid IS NULL OR v_creator != current_uid THEN
+        RETURN jsonb_build_object('status', 'error', 'code', 'not_creator');
+    END IF;
+
+    RETURN jsonb_build_object('status', 'success', 'refunds', event_pending_refunds(p_event_id));
+END;
+$$;
@@ -21,6 +21,7 @@ const VenueDetailPage = lazy(() => import("./pages/VenueDetailPage").then(m => (
 const VenueRegisterPage = lazy(() => import("./pages/VenueRegisterPage").then(m => ({ default: m.VenueRegisterPage })));
 const VenueManagePage = lazy(() => import("./pages/VenueManagePage").then(m => ({ default: m.VenueManagePage })));
 const VenueScannerPage = lazy(() => import("./pages/VenueScannerPage").then(m => ({ default: m.VenueScannerPage })));
+const VenueAnalyticsPage = lazy(() => import("./pages/VenueAnalyticsPage").then(m => ({ default: m.VenueAnalyticsPage })));
 const MyTicketsPage = lazy(() => import("./pages/MyTicketsPage").then(m => ({ default: m.MyTicketsPage })));
 const PaymentCallbackPage = lazy(() => import("./pages/PaymentCallbackPage").then(m => ({ default: m.PaymentCallbackPage })));
 const TermsPage = lazy(() => import("./pages/TermsPage").then(m => ({ default: m.TermsPage })));
@@ -116,6 +117,7 @@ export default function App() {
           {page === "venue-register" && <VenueRegisterPage user={user} onNavigate={navigate} />}
           {page === "venue-manage" && <VenueManagePage venueId={pageData.venueId} user={user} onNavigate={navigate} />}
           {page === "venue-scan" && <VenueScannerPage venueId={pageData.venueId} user={user} onNavigate={navigate} />}
+          {page === "venue-analytics" && <VenueAnalyticsPage venueId={pageData.venueId} user={user} onNavigate={navigate} />}
           {page === "my-tickets" && <MyTicketsPage user={user} onNavigate={navigate} />}
           {page === "payment-callback" && <PaymentCallbackPage user={user} onNavigate={navigate} />}
           {page === "terms" && <TermsPage onNavigate={navigate} />}
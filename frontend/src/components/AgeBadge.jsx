@@ -0,0 +1,14 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+// The door's view of age_check_status for a guest
+export function AgeBadge({ minAge, status }) {
+  const { t } = useI18n();
+  if (!minAge || !status || status === "not_required") return null;
+
+  const text = status === "verified" ? t("age.verified")
+    : status === "underage" ? t("age.underage")
+    : t("age.unverified");
+
+  return <span className={`age-check-badge ${status}`}>{text.replace("{age}", minAge)}</span>;
+}
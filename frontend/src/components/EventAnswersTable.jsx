@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { Avatar } from "./shared";
+import { formatAnswer } from "./EventQuestions";
+import { downloadCsv } from "../utils/csv";
+
+// Answers to the event's questions, for organizers and co-admins: a
+// count per choice option, then one row per person
+export function EventAnswersTable({ eventId }) {
+  const { t } = useI18n();
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    supabase.rpc("get_event_answers", { p_event_id: eventId }).then(({ data: result }) => {
+      if (result?.status === "success") setData(result);
+    });
+  }, [eventId]);
+
+  if (!data || data.questions.length === 0) return null;
+
+  const statusLabel = (r) => r.rsvp_status
+    ? t(`questions.status.${r.rsvp_status}`)
+    : t("questions.status.access_request");
+
+  const handleExport = () => {
+    const rows = [
+      [t("questions.name"), t("questions.statusColumn"), ...data.questions.map((q) => q.label)],
+      ...data.respondents.map((r) => [r.name, statusLabel(r), ...data.questions.map((q) => formatAnswer(r.answers[q.id]))]),
+    ];
+    downloadCsv(`answers-${eventId}.csv`, rows);
+  };
+
+  return (
+    <div className="event-answers">
+      <div className="event-answers-header">
+        <h3>{t("questions.answersTitle")} ({data.respondents.length})</h3>
+        <button className="btn btn-secondary btn-sm" onClick={handleExport} disabled={data.respondents.length === 0}>
+          {t("questions.exportCsv")}
+        </button>
+      </div>
+
+      <div className="event-answers-summary">
+        {data.questions.filter((q) => q.kind !== "text").map((q) => (
+          <div key={q.id} className="event-answers-question">
+            <strong>{q.label}</strong>
+            {q.options.map((option) => (
+              <div key={option} className="event-answers-count">
+                <span>{option}</span>
+                <span>{q.counts[option] || 0}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {data.respondents.length > 0 && (
+        <div className="event-answers-table-wrapper">
+          <table className="bookings-table">
+            <thead>
+              <tr>
+                <th>{t("questions.name")}</th>
+                {data.questions.map((q) => <th key={q.id}>{q.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {data.respondents.map((r) => (
+                <tr key={r.user_id}>
+                  <td>
+                    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                      <Avatar name={r.name} avatarUrl={r.avatar_url} size={24} />
+                      <div>
+                        {r.name}
+                        <div className="bookings-table-sub">{statusLabel(r)}</div>
+                      </div>
+                    </div>
+                  </td>
+                  {data.questions.map((q) => <td key={q.id}>{formatAnswer(r.answers[q.id])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
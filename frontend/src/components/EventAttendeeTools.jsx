@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { downloadCsv } from "../utils/csv";
+import { downloadXlsx } from "../utils/xlsx";
+
+const SEGMENTS = ["going", "interested", "waitlisted", "checked_in", "going_not_checked_in"];
+
+// Export one attendee segment and send it an announcement. Email and
+// phone are only filled in for people who share them with organizers.
+export function EventAttendeeTools({ eventId }) {
+  const { t, lang } = useI18n();
+  const [segment, setSegment] = useState("going");
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [announcements, setAnnouncements] = useState([]);
+
+  const loadAnnouncements = async () => {
+    const { data } = await supabase
+      .from("event_announcements")
+      .select("id, segment, message, recipient_count, created_at")
+      .eq("event_id", eventId)
+      .order("created_at", { ascending: false })
+      .limit(5);
+    setAnnouncements(data || []);
+  };
+
+  useEffect(() => { loadAnnouncements(); }, [eventId]);
+
+  const formatTimestamp = (iso) => iso
+    ? new Date(iso).toLocaleString(lang === "no" ? "nb-NO" : "en-US", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })
+    : "";
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setError("");
+    const { data: result } = await supabase.rpc("get_event_attendees", { p_event_id: eventId, p_segment: segment });
+    setExporting(false);
+    if (result?.status !== "success") {
+      setError(t("attendees.error.exportFailed"));
+      return;
+    }
+
+    const rows = [
+      [
+        t("attendees.col.name"), t("attendees.col.status"), t("attendees.col.rsvpAt"), t("attendees.col.checkedInAt"),
+        t("attendees.col.guests"), t("attendees.col.email"), t("attendees.col.phone"),
+      ],
+      ...result.attendees.map((a) => [
+        a.name, t(`attendees.status.${a.status}`), formatTimestamp(a.rsvp_at), formatTimestamp(a.checked_in_at),
+        a.guests.map((g) => g.name).join(", "), a.email || "", a.phone || "",
+      ]),
+    ];
+    const filename = `attendees-${eventId}-${segment}`;
+    if (format === "xlsx") downloadXlsx(`${filename}.xlsx`, rows, t(`attendees.segment.${segment}`));
+    else downloadCsv(`${filename}.csv`, rows);
+  };
+
+  const handleAnnounce = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+    if (!confirm(t("attendees.announceConfirm").replace("{segment}", t(`attendees.segment.${segment}`).toLowerCase()))) return;
+    setSending(true);
+    setError("");
+    setNotice("");
+    const { data: result, error: rpcError } = await supabase.rpc("announce_to_attendees", {
+      p_event_id: eventId, p_segment: segment, p_message: message,
+    });
+    setSending(false);
+    if (rpcError || result?.status !== "success") {
+      setError(t(`attendees.error.${result?.code || "failed"}`));
+      return;
+    }
+    setMessage("");
+    setNotice(t("attendees.sent").replace("{count}", result.recipient_count));
+    loadAnnouncements();
+  };
+
+  return (
+    <div className="attendee-tools">
+      <h3>{t("attendees.title")}</h3>
+      <div className="form-group">
+        <label>{t("attendees.segmentLabel")}</label>
+        <select value={segment} onChange={(e) => setSegment(e.target.value)}>
+          {SEGMENTS.map((s) => <option key={s} value={s}>{t(`attendees.segment.${s}`)}</option>)}
+        </select>
+      </div>
+
+      <div className="attendee-tools-export">
+        <button className="btn btn-secondary btn-sm" onClick={() => handleExport("csv")} disabled={exporting}>
+          {t("attendees.exportCsv")}
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={() => handleExport("xlsx")} disabled={exporting}>
+          {t("attendees.exportXlsx")}
+        </button>
+      </div>
+      <p className="attendee-tools-hint">{t("attendees.privacyHint")}</p>
+
+      <form className="attendee-tools-announce" onSubmit={handleAnnounce}>
+        <label>{t("attendees.announceLabel")}</label>
+        <textarea rows={3} maxLength={1000} value={message} placeholder={t("attendees.announcePlaceholder")}
+          onChange={(e) => setMessage(e.target.value)} />
+        <button type="submit" className="btn btn-primary btn-sm" disabled={sending || !message.trim()}>
+          {sending ? t("attendees.sending") : t("attendees.send")}
+        </button>
+      </form>
+      {error && <p className="form-error">{error}</p>}
+      {notice && <p className="attendee-tools-notice">{notice}</p>}
+
+      {announcements.length > 0 && (
+        <div className="attendee-tools-history">
+          <div className="attendee-tools-history-title">{t("attendees.history")}</div>
+          {announcements.map((a) => (
+            <div key={a.id} className="attendee-tools-history-item">
+              <div className="attendee-tools-history-meta">
+                {formatTimestamp(a.created_at)} · {t(`attendees.segment.${a.segment}`)} · {t("attendees.recipients").replace("{count}", a.recipient_count)}
+              </div>
+              <div>{a.message}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -20,6 +20,8 @@ export function EventCard({ event, onClick }) {
           {event.event_mode === "online" && <span className="event-mode-badge online">{t("events.online")}</span>}
           {event.event_mode === "hybrid" && <span className="event-mode-badge hybrid">{t("events.hybrid")}</span>}
           {event.min_age && <span className="age-badge">{event.min_age}+</span>}
+          {event.series_id && <span className="event-mode-badge recurring">{t("events.recurring")}</span>}
+          {event.cancelled_at && <span className="cancelled-badge">{t("cancelEvent.badge")}</span>}
         </div>
         <div className="event-card-meta">
           <span>
@@ -78,8 +80,12 @@ export function VenueCard({ venue, onClick }) {
         <h3>
           {venue.name}
           {venue.verified && <span className="venue-badge verified">{t("venue.verified")}</span>}
+          {venue.open_now && <span className="venue-badge open-now">{t("hours.openNow")}</span>}
         </h3>
         <p>{venue.address}</p>
+        {venue.rating_count > 0 && (
+          <p className="venue-card-rating">★ {Number(venue.rating_avg).toFixed(1)} ({venue.rating_count})</p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,68 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+// One answer as text, for tables and exports
+export function formatAnswer(answer) {
+  if (!answer) return "";
+  return answer.text || (answer.options || []).join(", ");
+}
+
+// answers is { [question_id]: { text, options } }, the shape of
+// my_answers in get_event_detail; save_event_answers wants a list
+export function answersPayload(questions, answers) {
+  return questions.map((q) => ({
+    question_id: q.id,
+    text: answers[q.id]?.text || null,
+    options: answers[q.id]?.options || [],
+  }));
+}
+
+// The first required question without an answer, if any
+export function firstMissingAnswer(questions, answers) {
+  return questions.find((q) => q.required && !formatAnswer(answers[q.id]).trim());
+}
+
+// The organizer's questions, filled in while RSVPing or asking for access
+export function EventQuestionsForm({ questions, answers, onChange, disabled }) {
+  const { t } = useI18n();
+
+  const setAnswer = (q, answer) => onChange({ ...answers, [q.id]: answer });
+
+  const toggleOption = (q, option) => {
+    const current = answers[q.id]?.options || [];
+    const options = q.kind === "single"
+      ? [option]
+      : current.includes(option) ? current.filter((o) => o !== option) : [...current, option];
+    setAnswer(q, { text: null, options });
+  };
+
+  return (
+    <div className="event-questions-form">
+      <div className="event-questions-title">{t("questions.formTitle")}</div>
+      {questions.map((q) => (
+        <div key={q.id} className="form-group">
+          <label>{q.label}{q.required && " *"}</label>
+          {q.kind === "text" ? (
+            <input type="text" value={answers[q.id]?.text || ""} maxLength={1000} disabled={disabled}
+              onChange={(e) => setAnswer(q, { text: e.target.value, options: [] })} />
+          ) : (
+            <div className="event-question-options">
+              {q.options.map((option) => (
+                <label key={option} className="event-question-option">
+                  <input
+                    type={q.kind === "single" ? "radio" : "checkbox"}
+                    name={`question-${q.id}`}
+                    checked={(answers[q.id]?.options || []).includes(option)}
+                    disabled={disabled}
+                    onChange={() => toggleOption(q, option)}
+                  />
+                  {" "}{option}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+const EMPTY_QUESTION = { kind: "text", label: "", options: [], required: false };
+
+// Questions for attendees, edited as part of the event form. Saved
+// questions keep their id; EventFormPage syncs the list on submit.
+// Choice options are typed one per line.
+export function EventQuestionsBuilder({ questions, onChange }) {
+  const { t } = useI18n();
+
+  const update = (i, changes) => onChange(questions.map((q, j) => (j === i ? { ...q, ...changes } : q)));
+
+  const move = (i, step) => {
+    const next = [...questions];
+    [next[i], next[i + step]] = [next[i + step], next[i]];
+    onChange(next);
+  };
+
+  const remove = (i) => {
+    if (questions[i].id && !confirm(t("questions.deleteConfirm"))) return;
+    onChange(questions.filter((_, j) => j !== i));
+  };
+
+  return (
+    <div className="event-questions-builder">
+      {questions.map((q, i) => (
+        <div key={q.id || `new-${i}`} className="event-question-card">
+          <div className="form-row">
+            <div className="form-group">
+              <input type="text" value={q.label} maxLength={200} placeholder={t("questions.labelPlaceholder")}
+                onChange={(e) => update(i, { label: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <select value={q.kind} onChange={(e) => update(i, { kind: e.target.value })}>
+                <option value="text">{t("questions.kind.text")}</option>
+                <option value="single">{t("questions.kind.single")}</option>
+                <option value="multi">{t("questions.kind.multi")}</option>
+              </select>
+            </div>
+          </div>
+          {q.kind !== "text" && (
+            <div className="form-group">
+              <textarea rows={3} value={q.options.join("\n")} placeholder={t("questions.optionsPlaceholder")}
+                onChange={(e) => update(i, { options: e.target.value.split("\n") })} />
+            </div>
+          )}
+          <div className="event-question-card-actions">
+            <label>
+              <input type="checkbox" checked={q.required} onChange={(e) => update(i, { required: e.target.checked })} />
+              {" "}{t("questions.required")}
+            </label>
+            <div style={{ display: "flex", gap: 6 }}>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => move(i, -1)} disabled={i === 0}>↑</button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => move(i, 1)} disabled={i === questions.length - 1}>↓</button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => remove(i)}>{t("menu.delete")}</button>
+            </div>
+          </div>
+        </div>
+      ))}
+      <button type="button" className="btn btn-secondary btn-sm" onClick={() => onChange([...questions, { ...EMPTY_QUESTION }])}>
+        {t("questions.add")}
+      </button>
+    </div>
+  );
+}
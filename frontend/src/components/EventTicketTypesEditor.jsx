@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+
+const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+
+const EMPTY_FORM = { name: "", price: "", capacity: "" };
+
+// Paid ticket types for an event. Prices are entered in kroner and stored
+// in øre. Once a type exists, going to the event needs a paid ticket.
+export function EventTicketTypesEditor({ eventId, onChange }) {
+  const { t } = useI18n();
+  const [types, setTypes] = useState([]);
+  // ticket type id -> tickets sold
+  const [sold, setSold] = useState({});
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    const [{ data: typeRows }, { data: orderRows }] = await Promise.all([
+      supabase.from("event_ticket_types").select("*").eq("event_id", eventId).order("price").order("id"),
+      supabase.from("event_ticket_orders").select("ticket_type_id").eq("event_id", eventId).eq("status", "paid"),
+    ]);
+    setTypes(typeRows || []);
+    const counts = {};
+    (orderRows || []).forEach((o) => { counts[o.ticket_type_id] = (counts[o.ticket_type_id] || 0) + 1; });
+    setSold(counts);
+  }, [eventId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const afterChange = () => {
+    load();
+    onChange?.();
+  };
+
+  const startEdit = (type) => {
+    setEditingId(type.id);
+    setForm({ name: type.name, price: String(type.price / 100), capacity: type.capacity ? String(type.capacity) : "" });
+    setError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    const row = {
+      name: form.name.trim(),
+      price: Math.round((parseFloat(form.price) || 0) * 100),
+      capacity: parseInt(form.capacity, 10) || null,
+    };
+    if (row.price <= 0) {
+      setError(t("eventTicket.error.price"));
+      return;
+    }
+    const { error: saveError } = editingId
+      ? await supabase.from("event_ticket_types").update(row).eq("id", editingId)
+      : await supabase.from("event_ticket_types").insert({ ...row, event_id: eventId });
+    if (saveError) {
+      setError(t("eventTicket.error.failed"));
+      return;
+    }
+    setForm(null);
+    setEditingId(null);
+    afterChange();
+  };
+
+  const handleToggleActive = async (type) => {
+    await supabase.from("event_ticket_types").update({ active: !type.active }).eq("id", type.id);
+    afterChange();
+  };
+
+  const handleDelete = async (type) => {
+    if (!confirm(t("eventTicket.deleteConfirm"))) return;
+    setError("");
+    // Types with orders are kept by a foreign key; they can only be hidden
+    const { error: deleteError } = await supabase.from("event_ticket_types").delete().eq("id", type.id);
+    if (deleteError) setError(t("eventTicket.error.hasOrders"));
+    afterChange();
+  };
+
+  return (
+    <div className="event-ticket-editor">
+      <h3>{t("eventTicket.title")}</h3>
+      <p className="event-ticket-hint">{t("eventTicket.hint")}</p>
+
+      {types.length > 0 && (
+        <table className="bookings-table">
+          <tbody>
+            {types.map((type) => (
+              <tr key={type.id} className={type.active ? "" : "venue-menu-inactive"}>
+                <td>
+                  {type.name}
+                  <div className="bookings-table-sub">
+                    {t("eventTicket.sold").replace("{count}", sold[type.id] || 0)}
+                    {type.capacity && ` / ${type.capacity}`}
+                    {!type.active && ` · ${t("eventTicket.pausedShort")}`}
+                  </div>
+                </td>
+                <td>{formatPrice(type.price)}</td>
+                <td>
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                    <button className="btn btn-secondary btn-sm" onClick={() => startEdit(type)}>{t("menu.edit")}</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(type)}>
+                      {type.active ? t("eventTicket.pause") : t("eventTicket.resume")}
+                    </button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(type)}>{t("menu.delete")}</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {!form ? (
+        <button className="btn btn-secondary btn-sm" onClick={() => { setEditingId(null); setForm(EMPTY_FORM); setError(""); }}>
+          {t("eventTicket.add")}
+        </button>
+      ) : (
+        <form className="timeslot-form" onSubmit={handleSave}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("eventTicket.name")} *</label>
+              <input type="text" value={form.name} maxLength={60} placeholder={t("eventTicket.namePlaceholder")}
+                onChange={(e) => setForm({ ...form, name: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("timeslot.priceKr")} *</label>
+              <input type="number" value={form.price} min="1" step="1" onChange={(e) => setForm({ ...form, price: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("eventTicket.capacity")}</label>
+              <input type="number" value={form.capacity} min="1" placeholder={t("eventTicket.capacityPlaceholder")}
+                onChange={(e) => setForm({ ...form, capacity: e.target.value })} />
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-primary" type="submit" disabled={!form.name.trim() || form.price === ""}>
+              {t("eventTicket.save")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => { setForm(null); setEditingId(null); }}>
+              {t("detail.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+      {error && <div className="form-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useRef } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { FloorPlanTable } from "./TableFloorPlan";
+
+// The plan is 4:3, so a table as tall in % as 4/3 of its width is square
+const PLAN_ASPECT = 4 / 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+function defaultSize(shape) {
+  return shape === "rect" ? { width: 16, height: round2((16 * PLAN_ASPECT) / 2) } : { width: 8, height: round2(8 * PLAN_ASPECT) };
+}
+
+// Drag tables to where they stand and the corner handle to size them.
+// Nothing is stored until Save, which sends the whole plan.
+export function FloorPlanEditor({ venueId, onChange }) {
+  const { t } = useI18n();
+  const [tables, setTables] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const planRef = useRef(null);
+  // { key, mode: "move" | "resize", startX, startY, orig }
+  const dragRef = useRef(null);
+
+  // New tables have no id yet, so the editor keys on its own counter
+  const nextKeyRef = useRef(1);
+  const withKeys = (rows) => rows.map((row) => ({ ...row, key: nextKeyRef.current++, min_spend: String(row.min_spend / 100) }));
+
+  const applyLoaded = (rows) => {
+    setTables(withKeys(rows));
+    setSelectedKey(null);
+    setDirty(false);
+    onChange?.(rows);
+  };
+
+  useEffect(() => {
+    supabase.from("venue_tables").select("*").eq("venue_id", venueId).order("label").then(({ data }) => {
+      applyLoaded(data || []);
+    });
+  }, [venueId]);
+
+  const selected = tables.find((tb) => tb.key === selectedKey);
+
+  const updateTable = (key, changes) => {
+    setTables((prev) => prev.map((tb) => tb.key === key ? { ...tb, ...changes } : tb));
+    setDirty(true);
+    setNotice("");
+  };
+
+  const handleAdd = () => {
+    const size = defaultSize("round");
+    const key = nextKeyRef.current++;
+    let n = tables.length + 1;
+    while (tables.some((tb) => tb.label === `${t("floorPlan.defaultLabel")} ${n}`)) n++;
+    setTables([...tables, {
+      key, label: `${t("floorPlan.defaultLabel")} ${n}`, shape: "round",
+      x: round2(50 - size.width / 2), y: round2(50 - size.height / 2), ...size,
+      seats: 4, min_spend: "0",
+    }]);
+    setSelectedKey(key);
+    setDirty(true);
+    setNotice("");
+  };
+
+  const handleRemove = () => {
+    setTables(tables.filter((tb) => tb.key !== selectedKey));
+    setSelectedKey(null);
+    setDirty(true);
+  };
+
+  const handleShape = (shape) => {
+    const size = defaultSize(shape);
+    updateTable(selected.key, {
+      shape, ...size,
+      x: clamp(selected.x, 0, 100 - size.width), y: clamp(selected.y, 0, 100 - size.height),
+    });
+  };
+
+  const startDrag = (e, table, mode) => {
+    e.stopPropagation();
+    e.preventDefault();
+    setSelectedKey(table.key);
+    dragRef.current = { key: table.key, mode, startX: e.clientX, startY: e.clientY, orig: table };
+    planRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const rect = planRef.current.getBoundingClientRect();
+    const dx = ((e.clientX - drag.startX) / rect.width) * 100;
+    const dy = ((e.clientY - drag.startY) / rect.height) * 100;
+    const { orig } = drag;
+    if (drag.mode === "move") {
+      updateTable(drag.key, {
+        x: round2(clamp(orig.x + dx, 0, 100 - orig.width)),
+        y: round2(clamp(orig.y + dy, 0, 100 - orig.height)),
+      });
+    } else {
+      let width = clamp(orig.width + dx, 2, Math.min(50, 100 - orig.x));
+      let height = clamp(orig.height + dy, 2, Math.min(50, 100 - orig.y));
+      // Round and square tables keep their proportions
+      if (orig.shape !== "rect") {
+        width = Math.min(width, height / PLAN_ASPECT);
+        height = width * PLAN_ASPECT;
+      }
+      updateTable(drag.key, { width: round2(width), height: round2(height) });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    planRef.current.releasePointerCapture(e.pointerId);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    const { data, error: rpcError } = await supabase.rpc("save_floor_plan", {
+      p_venue_id: venueId,
+      p_tables: tables.map((tb) => ({
+        ...(tb.id ? { id: tb.id } : {}),
+        label: tb.label, shape: tb.shape,
+        x: tb.x, y: tb.y, width: tb.width, height: tb.height,
+        seats: parseInt(tb.seats) || 0,
+        min_spend: Math.round((parseFloat(tb.min_spend) || 0) * 100),
+      })),
+    });
+    setSaving(false);
+    if (rpcError || data?.status !== "success") {
+      setError(data?.label
+        ? `${data.label}: ${t(`floorPlan.error.${data.code}`)}`
+        : t(`floorPlan.error.${data?.code || "failed"}`));
+      return;
+    }
+    applyLoaded(data.tables);
+    setNotice(t("floorPlan.saved"));
+  };
+
+  return (
+    <div className="venue-dashboard-section">
+      <h2>{t("floorPlan.title")}</h2>
+      <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>{t("floorPlan.hint")}</p>
+
+      <div
+        ref={planRef}
+        className="floor-plan editing"
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerDown={() => setSelectedKey(null)}
+      >
+        {tables.map((tb) => (
+          <FloorPlanTable
+            key={tb.key}
+            table={tb}
+            className={tb.key === selectedKey ? "selected" : ""}
+            onPointerDown={(e) => startDrag(e, tb, "move")}
+          >
+            <span className="floor-plan-resize" onPointerDown={(e) => startDrag(e, tb, "resize")} />
+          </FloorPlanTable>
+        ))}
+        {tables.length === 0 && <div className="floor-plan-empty">{t("floorPlan.empty")}</div>}
+      </div>
+
+      {selected && (
+        <div className="timeslot-form floor-plan-table-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("table.label")} *</label>
+              <input type="text" value={selected.label} maxLength={40} onChange={(e) => updateTable(selected.key, { label: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("floorPlan.shape")}</label>
+              <select value={selected.shape} onChange={(e) => handleShape(e.target.value)}>
+                <option value="round">{t("floorPlan.shape.round")}</option>
+                <option value="square">{t("floorPlan.shape.square")}</option>
+                <option value="rect">{t("floorPlan.shape.rect")}</option>
+              </select>
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("floorPlan.seats")}</label>
+              <input type="number" value={selected.seats} min="1" max="50" onChange={(e) => updateTable(selected.key, { seats: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("floorPlan.minSpendKr")}</label>
+              <input type="number" value={selected.min_spend} min="0" step="1" onChange={(e) => updateTable(selected.key, { min_spend: e.target.value })} />
+            </div>
+          </div>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleRemove}>{t("floorPlan.remove")}</button>
+        </div>
+      )}
+
+      {notice && <p className="timeslot-template-notice">{notice}</p>}
+      {error && <div className="form-error">{error}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <button type="button" className="btn btn-secondary" onClick={handleAdd}>+ {t("floorPlan.add")}</button>
+        <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving || !dirty}>
+          {saving ? t("loading") : t("floorPlan.save")}
+        </button>
+      </div>
+    </div>
+  );
+}
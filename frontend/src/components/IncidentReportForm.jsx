@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+
+// Door staff log a refusal or removal. With a scanned ticket the guest
+// is known; otherwise they describe who it was.
+export function IncidentReportForm({ venueId, bookingId, guestName, onDone }) {
+  const { t } = useI18n();
+  const [kind, setKind] = useState("refused");
+  const [description, setDescription] = useState("");
+  const [guestDescription, setGuestDescription] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!description.trim() || (!bookingId && !guestDescription.trim())) return;
+    setSubmitting(true);
+    setError("");
+    const { data, error: rpcError } = await supabase.rpc("report_venue_incident", {
+      p_venue_id: venueId,
+      p_kind: kind,
+      p_description: description,
+      p_booking_id: bookingId || null,
+      p_guest_description: bookingId ? null : guestDescription,
+    });
+    setSubmitting(false);
+    if (rpcError || data?.status !== "success") {
+      setError(t("incident.failed"));
+      return;
+    }
+    onDone(true);
+  };
+
+  return (
+    <form className="incident-form" onSubmit={handleSubmit}>
+      <h3>{t("incident.report")}</h3>
+      {bookingId ? (
+        <p className="incident-form-guest"><strong>{t("scanner.guestName")}:</strong> {guestName}</p>
+      ) : (
+        <div className="form-group">
+          <label>{t("incident.guestDescription")}</label>
+          <input
+            type="text"
+            value={guestDescription}
+            onChange={(e) => setGuestDescription(e.target.value)}
+            placeholder={t("incident.guestDescriptionPlaceholder")}
+            maxLength={200}
+          />
+        </div>
+      )}
+      <div className="form-group">
+        <label>{t("incident.kind")}</label>
+        <select value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="refused">{t("incident.kind.refused")}</option>
+          <option value="removed">{t("incident.kind.removed")}</option>
+          <option value="other">{t("incident.kind.other")}</option>
+        </select>
+      </div>
+      <div className="form-group">
+        <label>{t("incident.description")}</label>
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={3} maxLength={2000} />
+      </div>
+      {error && <div className="form-error">{error}</div>}
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="submit" className="btn btn-primary" disabled={submitting}>{t("incident.submit")}</button>
+        <button type="button" className="btn btn-secondary" onClick={() => onDone(false)}>{t("detail.cancel")}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+
+// Level of the count against the venue's limit
+export function occupancyLevel(count, max, alertPercent) {
+  if (!max) return "ok";
+  if (count >= max) return "full";
+  if (count >= Math.ceil((max * alertPercent) / 100)) return "near";
+  return "ok";
+}
+
+// Live head count for door staff. Every device subscribes to
+// occupancy_events, so taps and check-ins at one door show up at all.
+export function OccupancyCounter({ venueId }) {
+  const { t } = useI18n();
+  const [occupancy, setOccupancy] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [adjusting, setAdjusting] = useState(false);
+  const [adjustValue, setAdjustValue] = useState("");
+  // Events can arrive out of order; only a newer one moves the count
+  const lastEventRef = useRef(0);
+  const levelRef = useRef("ok");
+
+  const load = useCallback(async () => {
+    const { data } = await supabase.rpc("get_venue_occupancy", { p_venue_id: venueId });
+    if (data?.status === "success") {
+      setOccupancy({ count: data.current, max: data.max_occupancy, alertPercent: data.alert_percent });
+    }
+  }, [venueId]);
+
+  useEffect(() => {
+    load();
+    const channel = supabase
+      .channel(`occupancy-${venueId}`)
+      .on(
+        "postgres_changes",
+        { event: "INSERT", schema: "public", table: "occupancy_events", filter: `venue_id=eq.${venueId}` },
+        (payload) => {
+          if (payload.new.id <= lastEventRef.current) return;
+          lastEventRef.current = payload.new.id;
+          setOccupancy((prev) => prev && { ...prev, count: payload.new.count_after });
+        }
+      )
+      .subscribe((status) => {
+        // Catch up on anything missed while the socket was down
+        if (status === "SUBSCRIBED") load();
+      });
+    return () => { supabase.removeChannel(channel); };
+  }, [venueId, load]);
+
+  const level = occupancy ? occupancyLevel(occupancy.count, occupancy.max, occupancy.alertPercent) : "ok";
+
+  // Buzz once when the count crosses into a warning level
+  useEffect(() => {
+    if (level !== "ok" && level !== levelRef.current) navigator.vibrate?.([200, 100, 200]);
+    levelRef.current = level;
+  }, [level]);
+
+  const record = async (kind, count = 1) => {
+    setBusy(true);
+    setError(null);
+    const { data, error: rpcError } = await supabase.rpc("record_occupancy", {
+      p_venue_id: venueId, p_kind: kind, p_count: count,
+    });
+    setBusy(false);
+    if (rpcError || data?.status !== "success") {
+      setError(data?.code === "not_staff" ? t("scanner.notStaff") : t("occupancy.error"));
+      return false;
+    }
+    setOccupancy((prev) => prev && { ...prev, count: data.count });
+    return true;
+  };
+
+  const saveAdjust = async () => {
+    const value = parseInt(adjustValue, 10);
+    if (isNaN(value) || value < 0) return;
+    if (await record("adjust", value)) {
+      setAdjusting(false);
+      setAdjustValue("");
+    }
+  };
+
+  if (!occupancy) return null;
+
+  return (
+    <div className={`occupancy-counter ${level}`}>
+      <div className="occupancy-count">
+        <span className="occupancy-label">{t("occupancy.inside")}</span>
+        <strong>{occupancy.count}</strong>
+        {occupancy.max && <span className="occupancy-max">/ {occupancy.max}</span>}
+      </div>
+
+      {level === "full" && <div className="occupancy-alert">{t("occupancy.full")}</div>}
+      {level === "near" && (
+        <div className="occupancy-alert">
+          {t("occupancy.near").replace("{left}", occupancy.max - occupancy.count)}
+        </div>
+      )}
+
+      <div className="occupancy-actions">
+        <button className="btn btn-secondary" onClick={() => record("exit")} disabled={busy || occupancy.count === 0}>
+          − {t("occupancy.out")}
+        </button>
+        <button className="btn btn-primary" onClick={() => record("walk_in")} disabled={busy}>
+          + {t("occupancy.walkIn")}
+        </button>
+      </div>
+
+      {adjusting ? (
+        <div className="occupancy-adjust">
+          <input
+            type="number"
+            min="0"
+            value={adjustValue}
+            onChange={(e) => setAdjustValue(e.target.value)}
+            placeholder={String(occupancy.count)}
+            autoFocus
+          />
+          <button className="btn btn-primary btn-sm" onClick={saveAdjust} disabled={busy || adjustValue === ""}>
+            {t("occupancy.adjustSave")}
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => setAdjusting(false)}>
+            {t("detail.cancel")}
+          </button>
+        </div>
+      ) : (
+        <button className="occupancy-adjust-link" onClick={() => setAdjusting(true)}>
+          {t("occupancy.adjust")}
+        </button>
+      )}
+
+      {error && <p className="occupancy-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { formatShortDate, WEEKDAYS, weekdayName } from "../utils/helpers";
+import { formatHours, hoursForDate, openStatus } from "../utils/openingHours";
+
+// Open/closed line with the week and the next two weeks' exceptions
+// folded out below. Renders the legacy free-text hours for venues that
+// haven't set structured ones.
+export function OpeningHours({ venueId, fallbackText }) {
+  const { t, lang } = useI18n();
+  const [data, setData] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    const inTwoWeeks = new Date(Date.now() + 14 * 86400000).toISOString().slice(0, 10);
+    Promise.all([
+      supabase.from("venue_opening_hours").select("*").eq("venue_id", venueId),
+      supabase.from("venue_hours_exceptions").select("*").eq("venue_id", venueId)
+        .gte("date", today).lte("date", inTwoWeeks).order("date"),
+    ]).then(([{ data: hours }, { data: exceptions }]) => {
+      setData({ hours: hours || [], exceptions: exceptions || [] });
+    });
+  }, [venueId]);
+
+  if (!data) return null;
+  if (data.hours.length === 0) return fallbackText ? <span>🕐 {fallbackText}</span> : null;
+
+  const status = openStatus(data.hours, data.exceptions);
+  const todayException = data.exceptions.find((e) => e.date === new Date().toISOString().slice(0, 10));
+
+  return (
+    <div className="opening-hours">
+      <button type="button" className="opening-hours-status" onClick={() => setExpanded(!expanded)}>
+        🕐{" "}
+        {status.open ? (
+          <><span className="open-badge">{t("hours.openNow")}</span> {t("hours.until").replace("{time}", status.range.closes_at.slice(0, 5))}</>
+        ) : status.range ? (
+          <>{t("hours.closedNow")} · {t("hours.opensAt").replace("{time}", status.range.opens_at.slice(0, 5))}</>
+        ) : (
+          t("hours.closedToday")
+        )}
+        {todayException?.note && <> · {todayException.note}</>}
+        <span className="opening-hours-toggle">{expanded ? "▲" : "▼"}</span>
+      </button>
+      {expanded && (
+        <div className="opening-hours-details">
+          <table>
+            <tbody>
+              {WEEKDAYS.map((dow) => {
+                const row = data.hours.find((h) => h.weekday === dow);
+                return (
+                  <tr key={dow}>
+                    <td>{weekdayName(dow, lang, "long")}</td>
+                    <td>{row ? formatHours(row) : t("hours.closed")}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {data.exceptions.length > 0 && (
+            <>
+              <div className="opening-hours-exceptions-title">{t("hours.specialDays")}</div>
+              <table>
+                <tbody>
+                  {data.exceptions.map((ex) => {
+                    const range = hoursForDate(data.hours, data.exceptions, ex.date);
+                    return (
+                      <tr key={ex.id}>
+                        <td>{formatShortDate(ex.date, lang)}{ex.note && ` · ${ex.note}`}</td>
+                        <td>{range ? formatHours(range) : t("hours.closed")}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { formatDate, WEEKDAYS, weekdayName } from "../utils/helpers";
+import { formatHours } from "../utils/openingHours";
+
+const EMPTY_EXCEPTION = { date: "", closed: true, opens_at: "", closes_at: "", note: "" };
+
+// Weekly hours plus dated exceptions. onChange gets { hours, exceptions }
+// whenever they are loaded or saved, so the timeslot forms can check
+// against them.
+export function OpeningHoursEditor({ venueId, onChange }) {
+  const { t, lang } = useI18n();
+  // weekday -> { open, opens_at, closes_at }
+  const [week, setWeek] = useState(null);
+  const [exceptions, setExceptions] = useState([]);
+  const [exceptionForm, setExceptionForm] = useState(EMPTY_EXCEPTION);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const [{ data: hours }, { data: exceptionRows }] = await Promise.all([
+      supabase.from("venue_opening_hours").select("*").eq("venue_id", venueId),
+      supabase.from("venue_hours_exceptions").select("*").eq("venue_id", venueId).gte("date", today).order("date"),
+    ]);
+    const byDay = {};
+    WEEKDAYS.forEach((dow) => {
+      const row = (hours || []).find((h) => h.weekday === dow);
+      byDay[dow] = row
+        ? { open: true, opens_at: row.opens_at.slice(0, 5), closes_at: row.closes_at.slice(0, 5) }
+        : { open: false, opens_at: "", closes_at: "" };
+    });
+    setWeek(byDay);
+    setExceptions(exceptionRows || []);
+    onChange?.({ hours: hours || [], exceptions: exceptionRows || [] });
+  }, [venueId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const updateDay = (dow, changes) => {
+    setWeek({ ...week, [dow]: { ...week[dow], ...changes } });
+    setNotice("");
+  };
+
+  const handleSaveWeek = async () => {
+    setSaving(true);
+    setError("");
+    const hours = WEEKDAYS.filter((dow) => week[dow].open).map((dow) => ({
+      weekday: dow, opens_at: week[dow].opens_at, closes_at: week[dow].closes_at,
+    }));
+    const { data, error: rpcError } = await supabase.rpc("save_opening_hours", { p_venue_id: venueId, p_hours: hours });
+    setSaving(false);
+    if (rpcError || data?.status !== "success") {
+      setError(data?.weekday != null
+        ? `${weekdayName(data.weekday, lang, "long")}: ${t("hours.error.invalid_hours")}`
+        : t(`hours.error.${data?.code || "failed"}`));
+      return;
+    }
+    setNotice(t("hours.saved"));
+    load();
+  };
+
+  const handleAddException = async (e) => {
+    e.preventDefault();
+    setError("");
+    const { data, error: rpcError } = await supabase.rpc("save_hours_exception", {
+      p_venue_id: venueId,
+      p_date: exceptionForm.date,
+      p_opens_at: exceptionForm.closed ? null : exceptionForm.opens_at,
+      p_closes_at: exceptionForm.closed ? null : exceptionForm.closes_at,
+      p_note: exceptionForm.note || null,
+    });
+    if (rpcError || data?.status !== "success") {
+      setError(t(`hours.error.${data?.code || "failed"}`));
+      return;
+    }
+    setExceptionForm(EMPTY_EXCEPTION);
+    load();
+  };
+
+  const handleDeleteException = async (id) => {
+    const { data } = await supabase.rpc("delete_hours_exception", { p_exception_id: id });
+    if (data?.status === "success") load();
+  };
+
+  if (!week) return null;
+
+  const hasOvernight = WEEKDAYS.some((dow) => week[dow].open && week[dow].closes_at && week[dow].closes_at <= week[dow].opens_at);
+
+  return (
+    <div className="venue-dashboard-section">
+      <h2>{t("hours.title")}</h2>
+      <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>{t("hours.hint")}</p>
+
+      <div className="opening-hours-week">
+        {WEEKDAYS.map((dow) => (
+          <div key={dow} className={`opening-hours-day ${week[dow].open ? "" : "closed"}`}>
+            <label className="opening-hours-day-name">
+              <input type="checkbox" checked={week[dow].open} onChange={(e) => updateDay(dow, { open: e.target.checked })} />
+              {weekdayName(dow, lang, "long")}
+            </label>
+            {week[dow].open ? (
+              <div className="opening-hours-times">
+                <input type="time" value={week[dow].opens_at} onChange={(e) => updateDay(dow, { opens_at: e.target.value })} />
+                <span>–</span>
+                <input type="time" value={week[dow].closes_at} onChange={(e) => updateDay(dow, { closes_at: e.target.value })} />
+              </div>
+            ) : (
+              <span className="bookings-table-sub">{t("hours.closed")}</span>
+            )}
+          </div>
+        ))}
+      </div>
+      {hasOvernight && <p className="bookings-table-sub" style={{ marginTop: 8 }}>{t("hours.overnightHint")}</p>}
+      <button
+        className="btn btn-primary"
+        style={{ marginTop: 12 }}
+        onClick={handleSaveWeek}
+        disabled={saving || WEEKDAYS.some((dow) => week[dow].open && (!week[dow].opens_at || !week[dow].closes_at))}
+      >
+        {saving ? t("loading") : t("hours.save")}
+      </button>
+      {notice && <p className="timeslot-template-notice" style={{ marginTop: 8 }}>{notice}</p>}
+
+      <h3 style={{ marginTop: 20 }}>{t("hours.exceptions")}</h3>
+      {exceptions.length > 0 && (
+        <table className="bookings-table">
+          <tbody>
+            {exceptions.map((ex) => (
+              <tr key={ex.id}>
+                <td>{formatDate(ex.date, lang)}</td>
+                <td>
+                  {ex.opens_at ? formatHours(ex) : t("hours.closed")}
+                  {ex.note && <div className="bookings-table-sub">{ex.note}</div>}
+                </td>
+                <td>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleDeleteException(ex.id)}>{t("hours.removeException")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <form className="timeslot-form" onSubmit={handleAddException} style={{ marginTop: 12 }}>
+        <div className="form-row">
+          <div className="form-group">
+            <label>{t("timeslot.date")} *</label>
+            <input type="date" value={exceptionForm.date} onChange={(e) => setExceptionForm({ ...exceptionForm, date: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label>{t("hours.exceptionNote")}</label>
+            <input type="text" value={exceptionForm.note} maxLength={100} placeholder={t("hours.exceptionNotePlaceholder")}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, note: e.target.value })} />
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={exceptionForm.closed} onChange={(e) => setExceptionForm({ ...exceptionForm, closed: e.target.checked })} />
+              {" "}{t("hours.closedAllDay")}
+            </label>
+          </div>
+          {!exceptionForm.closed && (
+            <div className="form-group opening-hours-times">
+              <input type="time" value={exceptionForm.opens_at} onChange={(e) => setExceptionForm({ ...exceptionForm, opens_at: e.target.value })} />
+              <span>–</span>
+              <input type="time" value={exceptionForm.closes_at} onChange={(e) => setExceptionForm({ ...exceptionForm, closes_at: e.target.value })} />
+            </div>
+          )}
+        </div>
+        {error && <div className="form-error">{error}</div>}
+        <button
+          className="btn btn-secondary"
+          type="submit"
+          disabled={!exceptionForm.date || (!exceptionForm.closed && (!exceptionForm.opens_at || !exceptionForm.closes_at))}
+        >
+          {t("hours.addException")}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+// Manifest and sync state for a door scanner, with check-ins that
+// came back from sync as conflicts or rejections
+export function ScannerSyncStatus({ offline }) {
+  const { t, lang } = useI18n();
+  if (!offline.enabled) return null;
+
+  const locale = lang === "no" ? "nb-NO" : "en-US";
+  const formatTime = (iso) => new Date(iso).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+
+  const describeIssue = (issue) => {
+    if (issue.outcome === "conflict") {
+      return t("scanner.offline.conflict")
+        .replace("{by}", issue.first_checked_in_by || t("scanner.offline.otherDevice"))
+        .replace("{time}", formatTime(issue.first_checked_in_at));
+    }
+    if (issue.code === "booking_cancelled") return t("scanner.offline.rejectedCancelled");
+    if (issue.code === "payment_pending") return t("scanner.offline.rejectedUnpaid");
+    if (issue.code === "guest_banned") return t("scanner.offline.rejectedBanned");
+    if (issue.code === "kicked") return t("qr.scanKicked");
+    if (issue.code === "underage") return t("scanner.offline.rejectedUnderage");
+    if (issue.code === "id_check_required") return t("scanner.offline.rejectedNoId");
+    return t("scanner.offline.rejected");
+  };
+
+  return (
+    <div className="scanner-sync">
+      <div className={`scanner-sync-status ${offline.online ? "online" : "offline"}`}>
+        <span>
+          {offline.online ? t("scanner.offline.online") : t("scanner.offline.offline")}
+          {offline.manifestInfo && (
+            <> · {t("scanner.offline.manifest")
+              .replace("{count}", offline.manifestInfo.count)
+              .replace("{time}", formatTime(offline.manifestInfo.generatedAt))}</>
+          )}
+          {!offline.ready && <> · {t("scanner.offline.noManifest")}</>}
+        </span>
+        {offline.pending > 0 && (
+          <button className="btn btn-secondary btn-sm" onClick={offline.sync} disabled={!offline.online}>
+            {t("scanner.offline.pending").replace("{count}", offline.pending)}
+          </button>
+        )}
+      </div>
+      {offline.issues.map((issue) => (
+        <div key={issue.client_id} className={`scanner-sync-issue ${issue.outcome}`}>
+          <div>
+            <strong>{issue.user_name || `#${issue.id}`}</strong>
+            <span>{describeIssue(issue)}</span>
+          </div>
+          <button className="btn btn-secondary btn-sm" onClick={() => offline.dismissIssue(issue.client_id)}>OK</button>
+        </div>
+      ))}
+    </div>
+  );
+}
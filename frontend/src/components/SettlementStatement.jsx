@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { formatDate } from "../utils/helpers";
+import { downloadCsv, oreToKroner } from "../utils/csv";
+
+// One payout statement, or the open period when statementId is null.
+// "Print" uses the browser's print dialog, where it can be saved as PDF;
+// the print stylesheet hides everything but the statement.
+export function SettlementStatement({ venueId, statementId, onClose }) {
+  const { t, lang } = useI18n();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setData(null);
+    supabase.rpc("get_settlement_statement", { p_venue_id: venueId, p_statement_id: statementId }).then(({ data: result }) => {
+      if (result?.status === "success") setData(result);
+      else setError(t("settlement.loadFailed"));
+    });
+  }, [venueId, statementId]);
+
+  const formatKr = (ore) => `${oreToKroner(ore)} kr`;
+  const formatTimestamp = (iso) => new Date(iso).toLocaleString(lang === "no" ? "nb-NO" : "en-US", {
+    day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit",
+  });
+
+  const handlePrint = () => {
+    document.body.classList.add("printing-statement");
+    const cleanup = () => {
+      document.body.classList.remove("printing-statement");
+      window.removeEventListener("afterprint", cleanup);
+    };
+    window.addEventListener("afterprint", cleanup);
+    window.print();
+  };
+
+  const handleCsv = () => {
+    const { statement, lines, totals } = data;
+    const rows = [
+      [
+        t("settlement.col.transaction"), t("settlement.col.date"), t("settlement.col.buyer"),
+        t("settlement.col.type"), t("settlement.col.quantity"), t("settlement.col.status"),
+        t("settlement.col.reference"), t("settlement.col.adjustment"),
+        t("settlement.captured"), t("settlement.refunded"), t("settlement.fees"), t("settlement.net"),
+      ],
+      ...lines.map((l) => [
+        l.transaction_id, l.created_at ? l.created_at.slice(0, 10) : "", l.buyer_name || "",
+        l.timeslot_type ? t(`type.${l.timeslot_type}`) : "", l.quantity,
+        l.payment_state ? t(`settlement.state.${l.payment_state}`) : "",
+        l.vipps_reference || "", l.is_adjustment ? t("settlement.yes") : "",
+        oreToKroner(l.captured), oreToKroner(l.refunded), oreToKroner(l.fee), oreToKroner(l.net),
+      ]),
+      [
+        t("settlement.total"), "", "", "", "", "", "", "",
+        oreToKroner(totals.captured), oreToKroner(totals.refunded), oreToKroner(totals.fees), oreToKroner(totals.net),
+      ],
+    ];
+    downloadCsv(`settlement-${venueId}-${statement.period_start}-${statement.period_end}.csv`, rows);
+  };
+
+  if (error) return <div className="form-error">{error}</div>;
+  if (!data) return <div className="loading">{t("loading")}</div>;
+
+  const { venue, statement, totals, lines } = data;
+  const statusText = statement.paid_at
+    ? t("settlement.paidOn").replace("{date}", formatTimestamp(statement.paid_at))
+    : statement.id ? t("settlement.closed") : t("settlement.open");
+
+  return (
+    <div className="settlement-statement">
+      <div className="settlement-actions">
+        <button className="btn btn-secondary btn-sm" onClick={handleCsv}>{t("settlement.downloadCsv")}</button>
+        <button className="btn btn-secondary btn-sm" onClick={handlePrint}>{t("settlement.print")}</button>
+        <button className="btn btn-secondary btn-sm" onClick={onClose}>{t("settlement.close")}</button>
+      </div>
+
+      <div className="settlement-header">
+        <div>
+          <h3>{t("settlement.statementTitle")}</h3>
+          <div>{venue.name}</div>
+          <div className="bookings-table-sub">{venue.address}</div>
+        </div>
+        <div className="settlement-header-meta">
+          <div>{formatDate(statement.period_start, lang)} – {formatDate(statement.period_end, lang)}</div>
+          {statement.id && <div className="bookings-table-sub">{t("settlement.statementNo")} {statement.id}</div>}
+          <div className="bookings-table-sub">{statusText}</div>
+          {statement.payout_reference && (
+            <div className="bookings-table-sub">{t("settlement.payoutReference")}: {statement.payout_reference}</div>
+          )}
+        </div>
+      </div>
+
+      <table className="settlement-totals">
+        <tbody>
+          <tr><td>{t("settlement.captured")}</td><td>{formatKr(totals.captured)}</td></tr>
+          <tr><td>{t("settlement.refunded")}</td><td>{formatKr(-totals.refunded)}</td></tr>
+          <tr><td>{t("settlement.fees")}</td><td>{formatKr(-totals.fees)}</td></tr>
+          <tr className="settlement-net"><td>{t("settlement.net")}</td><td>{formatKr(totals.net)}</td></tr>
+        </tbody>
+      </table>
+
+      {lines.length === 0 ? (
+        <p style={{ color: "var(--text-secondary)" }}>{t("settlement.noTransactions")}</p>
+      ) : (
+        <table className="bookings-table settlement-lines">
+          <thead>
+            <tr>
+              <th>{t("settlement.col.date")}</th>
+              <th>{t("settlement.col.buyer")}</th>
+              <th>{t("settlement.col.status")}</th>
+              <th>{t("settlement.captured")}</th>
+              <th>{t("settlement.refunded")}</th>
+              <th>{t("settlement.fees")}</th>
+              <th>{t("settlement.net")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((l, i) => (
+              <tr key={`${l.transaction_id}-${i}`}>
+                <td>
+                  {l.created_at ? formatTimestamp(l.created_at) : "–"}
+                  <div className="bookings-table-sub">#{l.transaction_id}</div>
+                </td>
+                <td>
+                  {l.buyer_name || "–"}
+                  {l.timeslot_type && (
+                    <div className="bookings-table-sub">
+                      {l.quantity} × {t(`type.${l.timeslot_type}`)} · {formatDate(l.timeslot_date, lang)}
+                    </div>
+                  )}
+                </td>
+                <td>
+                  {l.payment_state ? t(`settlement.state.${l.payment_state}`) : "–"}
+                  {l.is_adjustment && <div className="bookings-table-sub">{t("settlement.adjustment")}</div>}
+                </td>
+                <td>{formatKr(l.captured)}</td>
+                <td>{l.refunded ? formatKr(-l.refunded) : "–"}</td>
+                <td>{l.fee ? formatKr(-l.fee) : "–"}</td>
+                <td><strong>{formatKr(l.net)}</strong></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {lines.some((l) => l.is_adjustment) && <p className="settlement-note">{t("settlement.adjustmentNote")}</p>}
+    </div>
+  );
+}
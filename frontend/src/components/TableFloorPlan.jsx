@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+
+// One table on the plan. Position and size are percentages of the plan.
+export function FloorPlanTable({ table, className = "", onPointerDown, onClick, children }) {
+  return (
+    <div
+      className={`floor-plan-table shape-${table.shape} ${className}`}
+      style={{ left: `${table.x}%`, top: `${table.y}%`, width: `${table.width}%`, height: `${table.height}%` }}
+      onPointerDown={onPointerDown}
+      onClick={onClick}
+    >
+      <span className="floor-plan-table-label">{table.label}</span>
+      <span className="floor-plan-table-seats">{table.seats} 👤</span>
+      {children}
+    </div>
+  );
+}
+
+// The venue's tables for one night, coloured by availability. Every
+// viewer subscribes to table_booking_events, so a table someone else
+// just reserved turns booked here before it can be clicked.
+export function TableFloorPlan({ venueId, date, selectedTimeslotId, onSelect, onLoad }) {
+  const { t } = useI18n();
+  const [tables, setTables] = useState(null);
+
+  const load = useCallback(async () => {
+    const { data } = await supabase.rpc("get_table_availability", { p_venue_id: venueId, p_date: date });
+    if (data?.status === "success") {
+      setTables(data.tables);
+      onLoad?.(data.tables);
+    }
+  }, [venueId, date]);
+
+  useEffect(() => {
+    load();
+    const channel = supabase
+      .channel(`table-plan-${venueId}`)
+      .on(
+        "postgres_changes",
+        { event: "INSERT", schema: "public", table: "table_booking_events", filter: `venue_id=eq.${venueId}` },
+        (payload) => {
+          if (payload.new.date === date) load();
+        }
+      )
+      .subscribe((status) => {
+        if (status === "SUBSCRIBED") load();
+      });
+    return () => { supabase.removeChannel(channel); };
+  }, [venueId, date, load]);
+
+  if (!tables || tables.length === 0) return null;
+
+  const handleClick = (table) => {
+    if (table.state !== "available") return;
+    const slot = table.timeslots.find((s) => s.spots_left > 0);
+    if (slot) onSelect(slot.id);
+  };
+
+  return (
+    <div className="floor-plan-wrapper">
+      <div className="floor-plan">
+        {tables.map((table) => {
+          const selected = table.timeslots.some((s) => s.id === selectedTimeslotId);
+          return (
+            <FloorPlanTable
+              key={table.id}
+              table={table}
+              className={`state-${table.state} ${selected ? "selected" : ""}`}
+              onClick={() => handleClick(table)}
+            />
+          );
+        })}
+      </div>
+      <div className="floor-plan-legend">
+        <span className="floor-plan-legend-item state-available">{t("floorPlan.available")}</span>
+        <span className="floor-plan-legend-item state-booked">{t("floorPlan.booked")}</span>
+        <span className="floor-plan-legend-item state-mine">{t("floorPlan.mine")}</span>
+        <span className="floor-plan-legend-item state-unavailable">{t("floorPlan.unavailable")}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { generateSlots, WEEKDAYS, weekdayName } from "../utils/helpers";
+
+const EMPTY_FORM = {
+  name: "", type: "queue", weekdays: [], from_time: "", to_time: "", slot_duration: "15",
+  price: "", capacity: "10", label: "", description: "", weeks_ahead: "4",
+};
+
+// Weekly patterns that keep timeslots generated a few weeks ahead,
+// so a bar that opens every Friday doesn't fill in the form each week
+export function TimeslotTemplates({ venueId, onChange }) {
+  const { t, lang } = useI18n();
+  const [templates, setTemplates] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(() => {
+    supabase.from("timeslot_templates").select("*").eq("venue_id", venueId).order("created_at").then(({ data }) => {
+      setTemplates(data || []);
+    });
+  }, [venueId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const startNew = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError("");
+  };
+
+  const startEdit = (tpl) => {
+    setEditingId(tpl.id);
+    setForm({
+      name: tpl.name, type: tpl.type, weekdays: tpl.weekdays,
+      from_time: tpl.from_time.slice(0, 5), to_time: tpl.to_time.slice(0, 5),
+      slot_duration: String(tpl.slot_duration || 15),
+      price: String(tpl.price / 100), capacity: String(tpl.capacity),
+      label: tpl.label || "", description: tpl.description || "", weeks_ahead: String(tpl.weeks_ahead),
+    });
+    setError("");
+  };
+
+  const toggleWeekday = (dow) => {
+    const weekdays = form.weekdays.includes(dow) ? form.weekdays.filter((d) => d !== dow) : [...form.weekdays, dow];
+    setForm({ ...form, weekdays });
+  };
+
+  const afterChange = (result) => {
+    const parts = [];
+    if (result.created) parts.push(t("template.createdSlots").replace("{n}", result.created));
+    if (result.removed) parts.push(t("template.removedSlots").replace("{n}", result.removed));
+    setNotice(parts.join(" "));
+    load();
+    onChange();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    const { data, error: rpcError } = await supabase.rpc("save_timeslot_template", {
+      p_venue_id: venueId,
+      p_template_id: editingId,
+      p_name: form.name,
+      p_type: form.type,
+      p_weekdays: form.weekdays,
+      p_from_time: form.from_time,
+      p_to_time: form.to_time,
+      p_slot_duration: form.type === "queue" ? parseInt(form.slot_duration) : null,
+      p_price: Math.round((parseFloat(form.price) || 0) * 100),
+      p_capacity: parseInt(form.capacity) || 0,
+      p_label: form.type === "table" ? form.label : null,
+      p_description: form.description || null,
+      p_weeks_ahead: parseInt(form.weeks_ahead),
+    });
+    setSaving(false);
+    if (rpcError || data?.status !== "success") {
+      setError(data?.code === "outside_opening_hours"
+        ? t("template.error.outside_opening_hours").replace("{day}", weekdayName(data.weekday, lang, "long"))
+        : t(`template.error.${data?.code || "failed"}`));
+      return;
+    }
+    setForm(null);
+    setEditingId(null);
+    afterChange(data);
+  };
+
+  const handlePause = async (tpl) => {
+    const { data } = await supabase.rpc("set_timeslot_template_paused", { p_template_id: tpl.id, p_paused: !tpl.paused });
+    if (data?.status === "success") afterChange(data);
+  };
+
+  const handleDelete = async (tpl) => {
+    if (!confirm(t("template.deleteConfirm"))) return;
+    const { data } = await supabase.rpc("delete_timeslot_template", { p_template_id: tpl.id });
+    if (data?.status === "success") afterChange(data);
+  };
+
+  const describeTimes = (tpl) => {
+    const range = `${tpl.from_time.slice(0, 5)}–${tpl.to_time.slice(0, 5)}`;
+    return tpl.type === "queue" ? `${range} · ${tpl.slot_duration} ${t("timeslot.minutes")}` : range;
+  };
+
+  const previewCount = form?.type === "queue"
+    ? generateSlots(form.from_time, form.to_time, parseInt(form.slot_duration) || 15).length
+    : 1;
+
+  return (
+    <div className="venue-dashboard-section">
+      <h2>{t("template.title")}</h2>
+      <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>{t("template.hint")}</p>
+
+      {templates.length > 0 && (
+        <div className="timeslot-templates">
+          {templates.map((tpl) => (
+            <div key={tpl.id} className={`timeslot-template-card ${tpl.paused ? "paused" : ""}`}>
+              <div className="timeslot-template-info">
+                <strong>{tpl.name}</strong>
+                <span className="bookings-table-sub">
+                  {t(`type.${tpl.type}`)}{tpl.label ? ` · ${tpl.label}` : ""}
+                  {" · "}{WEEKDAYS.filter((d) => tpl.weekdays.includes(d)).map((d) => weekdayName(d, lang)).join(", ")}
+                  {" · "}{describeTimes(tpl)}
+                </span>
+                <span className="bookings-table-sub">
+                  {tpl.price === 0 ? "Gratis" : `${tpl.price / 100} kr`} · {tpl.capacity} {t("template.spots")}
+                  {" · "}{t("template.weeksAheadShort").replace("{n}", tpl.weeks_ahead)}
+                  {tpl.paused && <> · <strong>{t("template.paused")}</strong></>}
+                </span>
+              </div>
+              <div className="timeslot-template-actions">
+                <button className="btn btn-secondary btn-sm" onClick={() => startEdit(tpl)}>{t("template.edit")}</button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handlePause(tpl)}>
+                  {tpl.paused ? t("template.resume") : t("template.pause")}
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(tpl)}>{t("template.delete")}</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {notice && <p className="timeslot-template-notice">{notice}</p>}
+
+      {!form ? (
+        <button className="btn btn-secondary" onClick={startNew}>{t("template.new")}</button>
+      ) : (
+        <form className="timeslot-form" onSubmit={handleSave}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("template.name")} *</label>
+              <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder={t("template.namePlaceholder")} maxLength={100} />
+            </div>
+            <div className="form-group">
+              <label>{t("template.type")}</label>
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                <option value="queue">{t("type.queue")}</option>
+                <option value="ticket">{t("type.ticket")}</option>
+                <option value="table">{t("type.table")}</option>
+              </select>
+            </div>
+          </div>
+          {form.type === "table" && (
+            <div className="form-group">
+              <label>{t("table.label")} *</label>
+              <input type="text" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} placeholder={t("table.labelPlaceholder")} />
+            </div>
+          )}
+          <div className="form-group">
+            <label>{t("template.weekdays")} *</label>
+            <div className="weekday-picker">
+              {WEEKDAYS.map((dow) => (
+                <button
+                  type="button"
+                  key={dow}
+                  className={`weekday-chip ${form.weekdays.includes(dow) ? "active" : ""}`}
+                  onClick={() => toggleWeekday(dow)}
+                >
+                  {weekdayName(dow, lang)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("timeslot.fromTime")} *</label>
+              <input type="time" value={form.from_time} onChange={(e) => setForm({ ...form, from_time: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("timeslot.toTime")} *</label>
+              <input type="time" value={form.to_time} onChange={(e) => setForm({ ...form, to_time: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            {form.type === "queue" && (
+              <div className="form-group">
+                <label>{t("timeslot.slotDuration")}</label>
+                <select value={form.slot_duration} onChange={(e) => setForm({ ...form, slot_duration: e.target.value })}>
+                  <option value="15">15 {t("timeslot.minutes")}</option>
+                  <option value="30">30 {t("timeslot.minutes")}</option>
+                  <option value="45">45 {t("timeslot.minutes")}</option>
+                  <option value="60">60 {t("timeslot.minutes")}</option>
+                </select>
+              </div>
+            )}
+            <div className="form-group">
+              <label>{t("timeslot.priceKr")}</label>
+              <input type="number" value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} placeholder="0" step="1" min="0" />
+            </div>
+            <div className="form-group">
+              <label>{t("timeslot.capacity")}</label>
+              <input type="number" value={form.capacity} onChange={(e) => setForm({ ...form, capacity: e.target.value })} min="1" />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("timeslot.description")}</label>
+              <input type="text" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("template.weeksAhead")}</label>
+              <select value={form.weeks_ahead} onChange={(e) => setForm({ ...form, weeks_ahead: e.target.value })}>
+                {[1, 2, 4, 8, 12, 26].map((n) => (
+                  <option key={n} value={n}>{t("template.weeksAheadShort").replace("{n}", n)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {form.weekdays.length > 0 && previewCount > 0 && (
+            <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>
+              {t("template.preview")
+                .replace("{n}", previewCount)
+                .replace("{days}", WEEKDAYS.filter((d) => form.weekdays.includes(d)).map((d) => weekdayName(d, lang)).join(", "))}
+            </p>
+          )}
+          {editingId && <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>{t("template.editHint")}</p>}
+          {error && <div className="form-error">{error}</div>}
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-primary" type="submit" disabled={saving || !form.name || form.weekdays.length === 0 || !form.from_time || !form.to_time}>
+              {saving ? t("loading") : t("template.save")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => { setForm(null); setEditingId(null); }}>
+              {t("detail.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
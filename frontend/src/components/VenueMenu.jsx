@@ -0,0 +1,98 @@
+import React from "react";
+import { useI18n } from "../contexts/I18nContext";
+
+const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+
+// [[category, items], ...] in the order the items came in
+export function groupMenuItems(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    if (!groups.has(item.category)) groups.set(item.category, []);
+    groups.get(item.category).push(item);
+  });
+  return [...groups.entries()];
+}
+
+// The active menu on the venue page
+export function VenueMenu({ items }) {
+  const { t } = useI18n();
+  if (items.length === 0) return null;
+
+  return (
+    <div className="venue-menu">
+      <h2>{t("menu.title")}</h2>
+      {groupMenuItems(items).map(([category, categoryItems]) => (
+        <div key={category} className="venue-menu-category">
+          <h3>{category}</h3>
+          {categoryItems.map((item) => (
+            <div key={item.id} className="venue-menu-item">
+              <div>
+                <span className="venue-menu-item-name">{item.name}</span>
+                {item.age_restricted && <span className="age-badge">18+</span>}
+                {item.description && <div className="bookings-table-sub">{item.description}</div>}
+              </div>
+              <span className="venue-menu-item-price">{formatPrice(item.price)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Pre-orderable items in the purchase modal. selection is
+// { [menu_item_id]: quantity }; reserve_timeslot allows 20 of each.
+export function PreOrderPicker({ items, selection, onChange, disabled }) {
+  const { t } = useI18n();
+
+  const setQuantity = (id, quantity) => {
+    const next = { ...selection };
+    if (quantity > 0) next[id] = quantity;
+    else delete next[id];
+    onChange(next);
+  };
+
+  return (
+    <div className="preorder-picker">
+      <div className="preorder-picker-title">{t("menu.preorderTitle")}</div>
+      <p className="purchase-modal-hint">{t("menu.preorderHint")}</p>
+      {items.map((item) => {
+        const quantity = selection[item.id] || 0;
+        return (
+          <div key={item.id} className="preorder-picker-item">
+            <div>
+              <span>{item.name}</span>
+              {item.age_restricted && <span className="age-badge">18+</span>}
+              <div className="bookings-table-sub">{formatPrice(item.price)}</div>
+            </div>
+            <div className="quantity-picker-controls">
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setQuantity(item.id, quantity - 1)} disabled={quantity <= 0 || disabled}>−</button>
+              <span className="quantity-picker-value">{quantity}</span>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setQuantity(item.id, quantity + 1)} disabled={quantity >= 20 || disabled}>+</button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// What an order pre-ordered, as returned by order_items_json
+export function PreOrderSummary({ items }) {
+  const { t } = useI18n();
+  if (!items || items.length === 0) return null;
+
+  return (
+    <div className="preorder-summary">
+      <strong>{t("menu.preorderTitle")}</strong>
+      <ul>
+        {items.map((item, i) => (
+          <li key={i}>
+            {item.quantity} × {item.name}
+            {item.age_restricted && <span className="age-badge">18+</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
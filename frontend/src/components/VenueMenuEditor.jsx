@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { groupMenuItems } from "./VenueMenu";
+
+const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+
+const EMPTY_FORM = { category: "", name: "", description: "", price: "", age_restricted: false, preorder: false };
+
+// The venue's menu. Prices are entered in kroner and stored in øre;
+// items marked for pre-order can be added to a ticket purchase.
+export function VenueMenuEditor({ venueId }) {
+  const { t } = useI18n();
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(() => {
+    supabase.from("venue_menu_items").select("*").eq("venue_id", venueId).order("category").order("name").then(({ data }) => {
+      setItems(data || []);
+    });
+  }, [venueId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const categories = [...new Set(items.map((item) => item.category))];
+
+  const startNew = () => {
+    setEditingId(null);
+    setForm({ ...EMPTY_FORM, category: categories[0] || "" });
+    setError("");
+  };
+
+  const startEdit = (item) => {
+    setEditingId(item.id);
+    setForm({
+      category: item.category, name: item.name, description: item.description || "",
+      price: String(item.price / 100), age_restricted: item.age_restricted, preorder: item.preorder,
+    });
+    setError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    const row = {
+      category: form.category.trim(),
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      price: Math.round((parseFloat(form.price) || 0) * 100),
+      age_restricted: form.age_restricted,
+      preorder: form.preorder,
+    };
+    const { error: saveError } = editingId
+      ? await supabase.from("venue_menu_items").update(row).eq("id", editingId)
+      : await supabase.from("venue_menu_items").insert({ ...row, venue_id: venueId });
+    if (saveError) {
+      setError(t("menu.error.failed"));
+      return;
+    }
+    setForm(null);
+    setEditingId(null);
+    load();
+  };
+
+  const handleToggleActive = async (item) => {
+    await supabase.from("venue_menu_items").update({ active: !item.active }).eq("id", item.id);
+    load();
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(t("menu.deleteConfirm"))) return;
+    await supabase.from("venue_menu_items").delete().eq("id", item.id);
+    load();
+  };
+
+  return (
+    <div className="venue-dashboard-section">
+      <h2>{t("menu.title")}</h2>
+      <p style={{ color: "var(--text-secondary)", fontSize: 13, marginBottom: 12 }}>{t("menu.hint")}</p>
+
+      {groupMenuItems(items).map(([category, categoryItems]) => (
+        <div key={category} className="venue-menu-category">
+          <h3>{category}</h3>
+          <table className="bookings-table">
+            <tbody>
+              {categoryItems.map((item) => (
+                <tr key={item.id} className={item.active ? "" : "venue-menu-inactive"}>
+                  <td>
+                    {item.name}
+                    {item.age_restricted && <span className="age-badge">18+</span>}
+                    {item.description && <div className="bookings-table-sub">{item.description}</div>}
+                    <div className="bookings-table-sub">
+                      {item.preorder && t("menu.preorderable")}
+                      {!item.active && <>{item.preorder && " · "}{t("menu.hidden")}</>}
+                    </div>
+                  </td>
+                  <td>{formatPrice(item.price)}</td>
+                  <td>
+                    <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                      <button className="btn btn-secondary btn-sm" onClick={() => startEdit(item)}>{t("menu.edit")}</button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(item)}>
+                        {item.active ? t("menu.hide") : t("menu.show")}
+                      </button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(item)}>{t("menu.delete")}</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      {!form ? (
+        <button className="btn btn-secondary" onClick={startNew}>{t("menu.add")}</button>
+      ) : (
+        <form className="timeslot-form" onSubmit={handleSave}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("menu.category")} *</label>
+              <input type="text" list="venue-menu-categories" value={form.category} maxLength={40}
+                placeholder={t("menu.categoryPlaceholder")} onChange={(e) => setForm({ ...form, category: e.target.value })} />
+              <datalist id="venue-menu-categories">
+                {categories.map((category) => <option key={category} value={category} />)}
+              </datalist>
+            </div>
+            <div className="form-group">
+              <label>{t("menu.name")} *</label>
+              <input type="text" value={form.name} maxLength={80} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("menu.description")}</label>
+              <input type="text" value={form.description} maxLength={300} placeholder={t("menu.descriptionPlaceholder")}
+                onChange={(e) => setForm({ ...form, description: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("timeslot.priceKr")} *</label>
+              <input type="number" value={form.price} min="0" step="1" onChange={(e) => setForm({ ...form, price: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={form.age_restricted} onChange={(e) => setForm({ ...form, age_restricted: e.target.checked })} />
+                {" "}{t("menu.ageRestricted")}
+              </label>
+            </div>
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={form.preorder} onChange={(e) => setForm({ ...form, preorder: e.target.checked })} />
+                {" "}{t("menu.preorder")}
+              </label>
+            </div>
+          </div>
+          {error && <div className="form-error">{error}</div>}
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-primary" type="submit" disabled={!form.category.trim() || !form.name.trim() || form.price === ""}>
+              {t("menu.save")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => { setForm(null); setEditingId(null); }}>
+              {t("detail.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
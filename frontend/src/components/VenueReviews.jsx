@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { timeAgo } from "../utils/helpers";
+
+const PAGE_SIZE = 20;
+const REPORT_REASONS = ["abusive", "spam", "false", "other"];
+
+export function Stars({ rating, onChange }) {
+  return (
+    <span className={`stars ${onChange ? "stars-input" : ""}`}>
+      {[1, 2, 3, 4, 5].map((n) => (
+        <span
+          key={n}
+          className={n <= Math.round(rating || 0) ? "star filled" : "star"}
+          onClick={onChange ? () => onChange(n) : undefined}
+        >
+          ★
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// Ratings and reviews on the venue page. Guests who were checked in at
+// the venue or one of its events can write one; managers reply below
+// each review, and anyone signed in can report one.
+export function VenueReviews({ venueId, user, onNavigate, onRatingChange }) {
+  const { t, lang } = useI18n();
+  const [data, setData] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [saving, setSaving] = useState(false);
+  // review id -> draft reply
+  const [replyDrafts, setReplyDrafts] = useState({});
+  // { id, reason, details } of the review being reported
+  const [reporting, setReporting] = useState(null);
+  const [notice, setNotice] = useState("");
+
+  const load = useCallback(async () => {
+    const { data: result } = await supabase.rpc("get_venue_reviews", { p_venue_id: venueId, p_limit: PAGE_SIZE, p_offset: 0 });
+    if (result) {
+      setData(result);
+      setHasMore(result.reviews.length === PAGE_SIZE);
+    }
+  }, [venueId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const loadMore = async () => {
+    const { data: result } = await supabase.rpc("get_venue_reviews", { p_venue_id: venueId, p_limit: PAGE_SIZE, p_offset: data.reviews.length });
+    if (result) {
+      setData({ ...data, reviews: [...data.reviews, ...result.reviews] });
+      setHasMore(result.reviews.length === PAGE_SIZE);
+    }
+  };
+
+  const afterChange = async () => {
+    await load();
+    onRatingChange?.();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormError("");
+    const { data: result, error } = await supabase.rpc("submit_venue_review", {
+      p_venue_id: venueId, p_rating: form.rating, p_body: form.body || null,
+    });
+    setSaving(false);
+    if (error || result?.status !== "success") {
+      setFormError(t(`review.error.${result?.code || "failed"}`));
+      return;
+    }
+    setForm(null);
+    afterChange();
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(t("review.deleteConfirm"))) return;
+    const { data: result } = await supabase.rpc("delete_venue_review", { p_review_id: data.my_review.id });
+    if (result?.status === "success") afterChange();
+  };
+
+  const handleReply = async (reviewId) => {
+    const { data: result } = await supabase.rpc("reply_to_venue_review", { p_review_id: reviewId, p_reply: replyDrafts[reviewId] || "" });
+    if (result?.status === "success") {
+      setReplyDrafts((prev) => { const next = { ...prev }; delete next[reviewId]; return next; });
+      load();
+    }
+  };
+
+  const handleReport = async (e) => {
+    e.preventDefault();
+    const { data: result } = await supabase.rpc("report_venue_review", {
+      p_review_id: reporting.id, p_reason: reporting.reason, p_details: reporting.details || null,
+    });
+    setReporting(null);
+    setNotice(result?.status === "success" ? t("review.reported") : t(`review.error.${result?.code || "failed"}`));
+    load();
+  };
+
+  if (!data) return null;
+
+  const mine = data.my_review;
+
+  return (
+    <div className="venue-reviews">
+      <h2>{t("review.title")}</h2>
+
+      {data.rating_count > 0 ? (
+        <div className="review-summary">
+          <div className="review-summary-score">
+            <span className="review-summary-avg">{Number(data.rating_avg).toFixed(1)}</span>
+            <Stars rating={data.rating_avg} />
+            <span className="bookings-table-sub">{t("review.count").replace("{n}", data.rating_count)}</span>
+          </div>
+          <div className="review-distribution">
+            {[5, 4, 3, 2, 1].map((n) => (
+              <div key={n} className="review-distribution-row">
+                <span>{n}★</span>
+                <div className="review-distribution-bar">
+                  <div style={{ width: `${(data.distribution[n] / data.rating_count) * 100}%` }} />
+                </div>
+                <span>{data.distribution[n]}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p style={{ color: "var(--text-secondary)" }}>{t("review.none")}</p>
+      )}
+
+      {form ? (
+        <form className="review-form" onSubmit={handleSubmit}>
+          <Stars rating={form.rating} onChange={(rating) => setForm({ ...form, rating })} />
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm({ ...form, body: e.target.value })}
+            placeholder={t("review.bodyPlaceholder")}
+            maxLength={2000}
+            rows={4}
+          />
+          {formError && <div className="form-error">{formError}</div>}
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-primary" type="submit" disabled={saving || !form.rating}>
+              {saving ? t("loading") : t("review.submit")}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>{t("detail.cancel")}</button>
+          </div>
+        </form>
+      ) : mine ? (
+        <div className="review-mine">
+          <div>
+            <strong>{t("review.yours")}</strong> <Stars rating={mine.rating} />
+            {mine.hidden && <span className="bookings-table-sub"> · {t("review.hiddenNotice")}</span>}
+          </div>
+          {mine.body && <p>{mine.body}</p>}
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-secondary btn-sm" onClick={() => setForm({ rating: mine.rating, body: mine.body || "" })}>{t("review.edit")}</button>
+            <button className="btn btn-secondary btn-sm" onClick={handleDelete}>{t("review.delete")}</button>
+          </div>
+        </div>
+      ) : data.can_review ? (
+        <button className="btn btn-primary" onClick={() => setForm({ rating: 0, body: "" })}>{t("review.write")}</button>
+      ) : (
+        <p className="bookings-table-sub">{user ? t("review.onlyGuests") : t("review.loginToReview")}</p>
+      )}
+
+      {notice && <p className="timeslot-template-notice">{notice}</p>}
+
+      <div className="review-list">
+        {data.reviews.map((review) => (
+          <div key={review.id} className="review-card">
+            <div className="review-card-header">
+              {review.user_avatar_url ? (
+                <img className="review-avatar" src={review.user_avatar_url} alt="" />
+              ) : (
+                <div className="review-avatar placeholder">{review.user_name?.[0] || "?"}</div>
+              )}
+              <div>
+                <strong className="review-author" onClick={() => onNavigate("user-profile", { userId: review.user_id })}>{review.user_name}</strong>
+                <div className="bookings-table-sub">
+                  <Stars rating={review.rating} /> · {timeAgo(review.created_at, lang)}{review.edited && ` · ${t("review.edited")}`}
+                </div>
+              </div>
+            </div>
+            {review.body && <p className="review-body">{review.body}</p>}
+
+            {review.reply && (
+              <div className="review-reply">
+                <strong>{t("review.replyFromVenue")}</strong>
+                <p>{review.reply}</p>
+              </div>
+            )}
+
+            {data.is_manager && (replyDrafts[review.id] !== undefined ? (
+              <div className="review-reply-form">
+                <textarea
+                  value={replyDrafts[review.id]}
+                  onChange={(e) => setReplyDrafts({ ...replyDrafts, [review.id]: e.target.value })}
+                  maxLength={1000}
+                  rows={3}
+                />
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button className="btn btn-primary btn-sm" onClick={() => handleReply(review.id)}>{t("review.sendReply")}</button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setReplyDrafts((prev) => { const next = { ...prev }; delete next[review.id]; return next; })}>
+                    {t("detail.cancel")}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button className="review-link" onClick={() => setReplyDrafts({ ...replyDrafts, [review.id]: review.reply || "" })}>
+                {review.reply ? t("review.editReply") : t("review.reply")}
+              </button>
+            ))}
+
+            {user && review.user_id !== user.id && !review.reported_by_me && (
+              reporting?.id === review.id ? (
+                <form className="review-report-form" onSubmit={handleReport}>
+                  <select value={reporting.reason} onChange={(e) => setReporting({ ...reporting, reason: e.target.value })}>
+                    {REPORT_REASONS.map((reason) => <option key={reason} value={reason}>{t(`review.reason.${reason}`)}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={reporting.details}
+                    onChange={(e) => setReporting({ ...reporting, details: e.target.value })}
+                    placeholder={t("review.reportDetails")}
+                    maxLength={500}
+                  />
+                  <button className="btn btn-secondary btn-sm" type="submit">{t("review.sendReport")}</button>
+                  <button className="btn btn-secondary btn-sm" type="button" onClick={() => setReporting(null)}>{t("detail.cancel")}</button>
+                </form>
+              ) : (
+                <button className="review-link" onClick={() => setReporting({ id: review.id, reason: "abusive", details: "" })}>
+                  {t("review.report")}
+                </button>
+              )
+            )}
+          </div>
+        ))}
+      </div>
+      {hasMore && (
+        <div style={{ textAlign: "center", marginTop: 16 }}>
+          <button className="btn btn-secondary" onClick={loadMore}>{t("friends.loadMore")}</button>
+        </div>
+      )}
+    </div>
+  );
+}
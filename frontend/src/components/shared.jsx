@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
-import { timeAgo, uploadImage } from "../utils/helpers";
+import { timeAgo, uploadImage, describeReminder, describeChanges } from "../utils/helpers";
 
 // ============================================================
 // ADDRESS AUTOCOMPLETE
@@ -252,6 +252,8 @@ export function NotificationBell({ user, onNavigate }) {
     setOpen(false);
     if (notif.type === "follow_request" || notif.type === "follow_accepted") {
       onNavigate("user-profile", { userId: notif.actor_id });
+    } else if (notif.type === "ticket_assigned" || notif.type === "ticket_transfer" || notif.type === "ticket_transfer_accepted" || (notif.type === "reminder" && notif.venue_id)) {
+      onNavigate("my-tickets");
     } else if (notif.type === "venue_new_timeslot") {
       onNavigate("venue-detail", { venueId: notif.venue_id });
     } else {
@@ -272,12 +274,19 @@ export function NotificationBell({ user, onNavigate }) {
       case "comment": return <><strong>{actor}</strong> {t("notif.comment")}</>;
       case "access_request": return <><strong>{actor}</strong> {t("notif.access_request")}</>;
       case "invitation": return <><strong>{actor}</strong> {t("notif.invitation")}</>;
-      case "reminder": return t("notif.reminder");
+      case "reminder": return describeReminder(notif, t);
       case "waitlist_promoted": return t("notif.waitlist_promoted");
+      case "ticket_offer": return t("notif.ticket_offer");
       case "kicked": return <><strong>{actor}</strong> {t("notif.kicked")}</>;
       case "follow_request": return <><strong>{actor}</strong> {t("notif.follow_request")}</>;
       case "follow_accepted": return <><strong>{actor}</strong> {t("notif.follow_accepted")}</>;
+      case "ticket_assigned": return <><strong>{actor}</strong> {t("notif.ticket_assigned")}</>;
+      case "ticket_transfer": return <><strong>{actor}</strong> {t("notif.ticket_transfer")}</>;
+      case "ticket_transfer_accepted": return <><strong>{actor}</strong> {t("notif.ticket_transfer_accepted")}</>;
       case "venue_new_timeslot": return <><strong>{notif.message}</strong> {t("notif.venue_new_timeslot")}</>;
+      case "announcement": return <><strong>{actor}</strong> {t("notif.announcement")}: {notif.message}</>;
+      case "event_cancelled": return <><strong>{actor}</strong> {t("notif.event_cancelled")}</>;
+      case "event_updated": return <><strong>{actor}</strong> {t("notif.event_updated")} {describeChanges(notif.changes, t, lang)}</>;
       default: return notif.type;
     }
   };
@@ -355,6 +364,8 @@ export function NotificationPreferences({ user }) {
     { key: "email_access_request", label: t("prefs.emailAccessRequest") },
     { key: "email_invitation", label: t("prefs.emailInvitation") },
     { key: "email_reminder", label: t("prefs.emailReminder") },
+    { key: "email_announcement", label: t("prefs.emailAnnouncement") },
+    { key: "email_event_updates", label: t("prefs.emailEventUpdates") },
   ];
 
   return (
@@ -438,7 +449,9 @@ export function NotificationDropdown({ notifications, unreadCount, onNavigate, o
     }
     if (notif.type === "follow_request" || notif.type === "follow_accepted") {
       onNavigate("user-profile", { userId: notif.actor_id });
-    } else if (notif.type === "booking_confirmed" || notif.type === "booking_cancelled") {
+    } else if (notif.type === "booking_confirmed" || notif.type === "booking_cancelled"
+      || notif.type === "ticket_assigned" || notif.type === "ticket_transfer" || notif.type === "ticket_transfer_accepted"
+      || (notif.type === "reminder" && notif.venue_id)) {
       onNavigate("my-tickets");
     } else if (notif.type === "venue_new_timeslot") {
       onNavigate("venue-detail", { venueId: notif.venue_id });
@@ -455,14 +468,21 @@ export function NotificationDropdown({ notifications, unreadCount, onNavigate, o
       case "comment": return <><strong>{actor}</strong> {t("notif.comment")}</>;
       case "access_request": return <><strong>{actor}</strong> {t("notif.access_request")}</>;
       case "invitation": return <><strong>{actor}</strong> {t("notif.invitation")}</>;
-      case "reminder": return t("notif.reminder");
+      case "reminder": return describeReminder(notif, t);
       case "waitlist_promoted": return t("notif.waitlist_promoted");
+      case "ticket_offer": return t("notif.ticket_offer");
       case "kicked": return <><strong>{actor}</strong> {t("notif.kicked")}</>;
       case "follow_request": return <><strong>{actor}</strong> {t("notif.follow_request")}</>;
       case "follow_accepted": return <><strong>{actor}</strong> {t("notif.follow_accepted")}</>;
       case "booking_confirmed": return t("notif.booking_confirmed");
       case "booking_cancelled": return t("notif.booking_cancelled");
+      case "ticket_assigned": return <><strong>{actor}</strong> {t("notif.ticket_assigned")}</>;
+      case "ticket_transfer": return <><strong>{actor}</strong> {t("notif.ticket_transfer")}</>;
+      case "ticket_transfer_accepted": return <><strong>{actor}</strong> {t("notif.ticket_transfer_accepted")}</>;
       case "venue_new_timeslot": return <><strong>{notif.message}</strong> {t("notif.venue_new_timeslot")}</>;
+      case "announcement": return <><strong>{actor}</strong> {t("notif.announcement")}: {notif.message}</>;
+      case "event_cancelled": return <><strong>{actor}</strong> {t("notif.event_cancelled")}</>;
+      case "event_updated": return <><strong>{actor}</strong> {t("notif.event_updated")} {describeChanges(notif.changes, t, lang)}</>;
       default: return notif.type;
     }
   };
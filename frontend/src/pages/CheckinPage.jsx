@@ -3,6 +3,9 @@ import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { Avatar } from "../components/shared";
 import { Html5Qrcode } from "html5-qrcode";
+import { useOfflineScanner } from "../utils/offlineScanner";
+import { ScannerSyncStatus } from "../components/ScannerSyncStatus";
+import { AgeBadge } from "../components/AgeBadge";
 
 export function CheckinPage({ eventId, user, onNavigate }) {
   const { t } = useI18n();
@@ -12,6 +15,7 @@ export function CheckinPage({ eventId, user, onNavigate }) {
   const [eventTitle, setEventTitle] = useState("");
   const scannerRef = useRef(null);
   const html5QrRef = useRef(null);
+  const offline = useOfflineScanner({ eventId }, () => loadCheckinList());
 
   const loadCheckinList = useCallback(async () => {
     const { data } = await supabase.rpc("get_checkin_list", { p_event_id: eventId });
@@ -38,9 +42,33 @@ export function CheckinPage({ eventId, user, onNavigate }) {
       const tokenParam = url.searchParams.get("token");
       if (!tokenParam) { setResult({ status: "error", code: "invalid_token" }); return; }
 
-      const { data } = await supabase.rpc("checkin_by_qr_token", { p_event_id: eventId, p_qr_token: tokenParam });
-      setResult(data);
-      loadCheckinList();
+      // Online, the server checks the guest in, so RSVPs changed since
+      // the manifest was loaded are caught. The manifest answers when
+      // offline or when the request fails.
+      if (navigator.onLine) {
+        const { data, error } = await supabase.rpc("checkin_by_qr_token", { p_event_id: eventId, p_qr_token: tokenParam });
+        if (!error && data) {
+          setResult({ ...data, token: tokenParam });
+          loadCheckinList();
+          return;
+        }
+      }
+
+      const entry = await offline.lookup(tokenParam);
+      if (entry) {
+        if (entry.checked_in_at) {
+          setResult({ status: "already", user_name: entry.user_name });
+        } else if (entry.age_status === "underage") {
+          setResult({ status: "error", code: "underage", user_name: entry.user_name, min_age: entry.min_age });
+        } else if (entry.age_status === "unverified") {
+          setResult({ status: "error", code: "id_check_required", user_name: entry.user_name, min_age: entry.min_age, entry });
+        } else {
+          await offline.checkIn(entry);
+          setResult({ status: "success", user_name: entry.user_name, offline: true, min_age: entry.min_age, age_status: entry.age_status });
+        }
+        return;
+      }
+      setResult({ status: "error", code: offline.hasManifest() ? "not_in_manifest" : "lookup_failed" });
     } catch {
       setResult({ status: "error", code: "invalid_token" });
     }
@@ -66,6 +94,34 @@ export function CheckinPage({ eventId, user, onNavigate }) {
     }
   };
 
+  // Staff looked at the guest's ID; the override is logged
+  const handleIdChecked = async () => {
+    if (result.entry) {
+      await offline.checkIn(result.entry, { idChecked: true });
+      setResult({ status: "success", user_name: result.user_name, offline: true, min_age: result.min_age, age_status: "unverified" });
+      return;
+    }
+    const { data } = await supabase.rpc("checkin_by_qr_token", {
+      p_event_id: eventId, p_qr_token: result.token, p_id_checked: true,
+    });
+    setResult(data);
+    loadCheckinList();
+  };
+
+  // Guests have no QR code of their own; the door checks them in from
+  // the list or from their host's scan. Age-limited events need an ID look.
+  const handleGuestCheckin = async (guest) => {
+    let { data } = await supabase.rpc("checkin_rsvp_guest", { p_guest_id: guest.id });
+    if (data?.code === "id_check_required") {
+      if (!confirm(t("guests.idCheckConfirm").replace("{age}", data.min_age))) return;
+      ({ data } = await supabase.rpc("checkin_rsvp_guest", { p_guest_id: guest.id, p_id_checked: true }));
+    }
+    if (data?.status === "success" && result?.guests) {
+      setResult({ ...result, guests: result.guests.map((g) => (g.id === guest.id ? { ...g, checked_in_at: data.checked_in_at } : g)) });
+    }
+    loadCheckinList();
+  };
+
   const stopScanning = async () => {
     if (html5QrRef.current) {
       try { await html5QrRef.current.stop(); } catch {}
@@ -82,6 +138,10 @@ export function CheckinPage({ eventId, user, onNavigate }) {
     if (result.status === "success") return { className: "success", icon: "\u2705", text: t("qr.scanSuccess"), name: result.user_name };
     if (result.status === "already") return { className: "already", icon: "\u26a0\ufe0f", text: t("qr.scanAlready"), name: result.user_name };
     if (result.code === "kicked") return { className: "error", icon: "\u274c", text: t("qr.scanKicked") };
+    if (result.code === "underage") return { className: "error", icon: "\u274c", text: t("age.refuse").replace("{age}", result.min_age), name: result.user_name };
+    if (result.code === "id_check_required") return { className: "already", icon: "\u26a0\ufe0f", text: t("age.checkId"), name: result.user_name };
+    if (result.code === "not_in_manifest") return { className: "error", icon: "\u274c", text: t("scanner.offline.notInManifest") };
+    if (result.code === "lookup_failed") return { className: "error", icon: "\u274c", text: t("scanner.offline.lookupFailed") };
     return { className: "error", icon: "\u274c", text: t("qr.scanInvalid") };
   };
 
@@ -95,6 +155,8 @@ export function CheckinPage({ eventId, user, onNavigate }) {
         </button>
         <h1>{t("qr.scanTitle")}</h1>
 
+        <ScannerSyncStatus offline={offline} />
+
         <div className="checkin-scanner">
           <div id="checkin-reader" ref={scannerRef} className="checkin-scanner-reader" />
           <div style={{ display: "flex", gap: 8 }}>
@@ -112,6 +174,18 @@ export function CheckinPage({ eventId, user, onNavigate }) {
             <div className="checkin-result-info">
               <strong>{resultMsg.text}</strong>
               {resultMsg.name && <span>{resultMsg.name}</span>}
+              <AgeBadge
+                minAge={result.min_age}
+                status={result.code === "id_check_required" ? "unverified" : result.code === "underage" ? "underage" : result.age_status}
+              />
+              {result.code === "id_check_required" && (
+                <button className="btn btn-primary btn-sm" style={{ marginTop: 8 }} onClick={handleIdChecked}>
+                  {t("age.idCheckedCheckin")}
+                </button>
+              )}
+              {result.guests?.length > 0 && (
+                <CheckinGuestList guests={result.guests} onCheckin={handleGuestCheckin} />
+              )}
             </div>
           </div>
         )}
@@ -128,12 +202,18 @@ export function CheckinPage({ eventId, user, onNavigate }) {
               </div>
             )}
             {(checkinData.attendees || []).map((a) => (
-              <div key={a.user_id} className="checkin-attendee">
-                <Avatar name={a.name} avatarUrl={a.avatar_url} size={32} />
-                <div className="checkin-attendee-info">{a.name}</div>
-                <span className={`checkin-attendee-status ${a.checked_in_at ? "checked-in" : "not-checked-in"}`}>
-                  {a.checked_in_at ? t("qr.checkedIn") : t("qr.notCheckedIn")}
-                </span>
+              <div key={a.user_id}>
+                <div className="checkin-attendee">
+                  <Avatar name={a.name} avatarUrl={a.avatar_url} size={32} />
+                  <div className="checkin-attendee-info">
+                    {a.name}
+                    {a.guests?.length > 0 && <span className="attendee-guest-count">{t("guests.plus").replace("{count}", a.guests.length)}</span>}
+                  </div>
+                  <span className={`checkin-attendee-status ${a.checked_in_at ? "checked-in" : "not-checked-in"}`}>
+                    {a.checked_in_at ? t("qr.checkedIn") : t("qr.notCheckedIn")}
+                  </span>
+                </div>
+                {a.guests?.length > 0 && <CheckinGuestList guests={a.guests} onCheckin={handleGuestCheckin} />}
               </div>
             ))}
           </div>
@@ -142,3 +222,23 @@ export function CheckinPage({ eventId, user, onNavigate }) {
     </div>
   );
 }
+
+// A host's guests, each checked in on their own
+function CheckinGuestList({ guests, onCheckin }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="checkin-guest-list">
+      {guests.map((g) => (
+        <div key={g.id} className="checkin-guest">
+          <span className="checkin-guest-name">{g.name || t("guests.unnamed")}</span>
+          {g.checked_in_at ? (
+            <span className="checkin-attendee-status checked-in">{t("qr.checkedIn")}</span>
+          ) : (
+            <button className="btn btn-primary btn-sm" onClick={() => onCheckin(g)}>{t("guests.checkIn")}</button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
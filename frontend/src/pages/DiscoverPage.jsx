@@ -63,7 +63,7 @@ export function DiscoverPage({ user, onNavigate }) {
     } else if (locationDenied) {
       // Fallback: fetch events without location, compute friends client-side
       const today = new Date().toISOString().split("T")[0];
-      let q = supabase.from("events").select("id, title, date, end_date, time, end_time, location, category, image_url, event_mode, online_url, rsvps(status, user_id)").eq("visibility", "public").gte("effective_end_date", today).order("date").limit(20);
+      let q = supabase.from("events").select("id, title, date, end_date, time, end_time, location, category, image_url, event_mode, online_url, cancelled_at, rsvps(status, user_id)").eq("visibility", "public").gte("effective_end_date", today).order("date").limit(20);
       if (category) q = q.eq("category", category);
       q.then(async ({ data }) => {
         const evts = data || [];
@@ -207,8 +207,10 @@ export function DiscoverPage({ user, onNavigate }) {
         <div className="discover-card-body">
           <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
             <span className="event-card-category">{t(`cat.${card.category}`)}</span>
+            {card.cancelled_at && <span className="cancelled-badge">{t("cancelEvent.badge")}</span>}
             {card.event_mode === "online" && <span className="event-mode-badge online">{t("events.online")}</span>}
             {card.event_mode === "hybrid" && <span className="event-mode-badge hybrid">{t("events.hybrid")}</span>}
+            {card.series_id && <span className="event-mode-badge recurring">{t("events.recurring")}</span>}
             {card.join_mode === "approval_required" && (
               <span className="discover-approval-badge">{t("discover.approvalRequired")}</span>
             )}
@@ -320,6 +322,7 @@ export function DiscoverPage({ user, onNavigate }) {
                   <span className="event-card-category">{t(`cat.${currentCard.category}`)}</span>
                   {currentCard.event_mode === "online" && <span className="event-mode-badge online">{t("events.online")}</span>}
                   {currentCard.event_mode === "hybrid" && <span className="event-mode-badge hybrid">{t("events.hybrid")}</span>}
+                  {currentCard.series_id && <span className="event-mode-badge recurring">{t("events.recurring")}</span>}
                   {currentCard.join_mode === "approval_required" && (
                     <span className="discover-approval-badge">{t("discover.approvalRequired")}</span>
                   )}
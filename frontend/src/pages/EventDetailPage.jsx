@@ -1,11 +1,19 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
-import { formatDate, formatShortDate, timeAgo, uploadImage } from "../utils/helpers";
+import { formatDate, formatShortDate, timeAgo, uploadImage, describeRecurrence } from "../utils/helpers";
 import { generateIcsFile } from "../utils/calendar";
 import { Avatar, ImageGallery } from "../components/shared";
+import { EventTicketTypesEditor } from "../components/EventTicketTypesEditor";
+import { EventQuestionsForm, answersPayload, firstMissingAnswer, formatAnswer } from "../components/EventQuestions";
+import { EventAnswersTable } from "../components/EventAnswersTable";
+import { EventAttendeeTools } from "../components/EventAttendeeTools";
 import { QRCodeSVG } from "qrcode.react";
 
+const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
+
+const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+
 // ============================================================
 // INVITATION MANAGER
 // ============================================================
@@ -70,6 +78,7 @@ function InvitationManager({ eventId }) {
 function AccessRequestManager({ eventId }) {
   const { t } = useI18n();
   const [requests, setRequests] = useState([]);
+  const [questionData, setQuestionData] = useState(null);
 
   const load = useCallback(() => {
     supabase
@@ -77,8 +86,23 @@ function AccessRequestManager({ eventId }) {
       .select("*, profiles(name, email)")
       .eq("event_id", eventId)
       .then(({ data }) => setRequests(data || []));
+    supabase.rpc("get_event_answers", { p_event_id: eventId }).then(({ data }) => {
+      if (data?.status === "success") setQuestionData(data);
+    });
   }, [eventId]);
 
+  const answersFor = (userId) => {
+    const respondent = questionData?.respondents.find((r) => r.user_id === userId);
+    if (!respondent) return null;
+    return (
+      <ul className="access-request-answers">
+        {questionData.questions.filter((q) => respondent.answers[q.id]).map((q) => (
+          <li key={q.id}><strong>{q.label}:</strong> {formatAnswer(respondent.answers[q.id])}</li>
+        ))}
+      </ul>
+    );
+  };
+
   useEffect(() => { load(); }, [load]);
 
   const handleDecision = async (requestId, status) => {
@@ -100,6 +124,7 @@ function AccessRequestManager({ eventId }) {
               <div>
                 <strong>{r.profiles?.name}</strong> ({r.profiles?.email})
                 {r.message && <p style={{ margin: "4px 0 0", fontSize: 14, color: "#666" }}>{r.message}</p>}
+                {answersFor(r.user_id)}
               </div>
               <div className="access-request-actions">
                 <button className="btn btn-primary btn-sm" onClick={() => handleDecision(r.id, "approved")}>{t("ar.approve")}</button>
@@ -245,14 +270,14 @@ function QrToggleSection({ eventId, qrEnabled, onToggle }) {
 }
 
 // ============================================================
-// QR TICKET SECTION (Attendee — going + qr_enabled + not kicked)
+// QR TICKET SECTION (Attendee — going + qr_enabled or paid ticket + not kicked)
 // ============================================================
 
 function QrTicketSection({ event }) {
   const { t } = useI18n();
   const [showQr, setShowQr] = useState(false);
 
-  if (!event.qr_enabled || !event.my_qr_token || event.my_kicked) return null;
+  if ((!event.qr_enabled && !event.my_ticket) || !event.my_qr_token || event.my_kicked) return null;
 
   const qrValue = `${window.location.origin}/event/${event.id}/checkin?token=${event.my_qr_token}`;
 
@@ -276,6 +301,337 @@ function QrTicketSection({ event }) {
   );
 }
 
+// ============================================================
+// EVENT TICKETS (ticketed events — buy, cancel with refund, waitlist)
+// ============================================================
+
+function EventTicketSection({ event, user, onNavigate, onChange, beforeJoin }) {
+  const { t, lang } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Both actions go through the vipps-payment edge function
+  const callPayment = async (action, body) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) return null;
+    const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=${action}`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${session.access_token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    return { ok: res.ok, data: await res.json() };
+  };
+
+  const describeError = (data) => {
+    if (data?.code === "too_young") return t("age.rsvpTooYoung").replace("{age}", data.min_age);
+    if (data?.code) return t(`eventTicket.error.${data.code}`);
+    return t("eventTicket.error.failed");
+  };
+
+  const handleBuy = async (ticketType) => {
+    if (!user) return onNavigate("login");
+    setBusy(true);
+    setError("");
+    if (!(await beforeJoin())) {
+      setBusy(false);
+      return;
+    }
+    try {
+      const result = await callPayment("create", { ticket_type_id: ticketType.id });
+      if (result?.ok && result.data.redirect_url) {
+        window.location.href = result.data.redirect_url;
+        return;
+      }
+      setError(describeError(result?.data));
+    } catch {
+      setError(t("eventTicket.error.failed"));
+    }
+    setBusy(false);
+  };
+
+  const handleCancel = async () => {
+    if (!confirm(t("eventTicket.cancelConfirm").replace("{price}", formatPrice(event.my_ticket.unit_price)))) return;
+    setBusy(true);
+    setError("");
+    try {
+      const result = await callPayment("refund", { event_id: event.id });
+      if (!result?.ok) setError(describeError(result?.data));
+    } catch {
+      setError(t("eventTicket.error.failed"));
+    }
+    setBusy(false);
+    onChange();
+  };
+
+  const handleJoinWaitlist = async () => {
+    if (!user) return onNavigate("login");
+    setError("");
+    if (!(await beforeJoin())) return;
+    const { error: err } = await supabase.from("rsvps").upsert(
+      { user_id: user.id, event_id: event.id, status: "waitlisted" },
+      { onConflict: "user_id,event_id" }
+    );
+    if (err?.message === "too_young") setError(t("age.rsvpTooYoung").replace("{age}", event.min_age));
+    if (err?.message === "answers_required") setError(t("questions.error.answers_required"));
+    onChange();
+  };
+
+  const canBuy = event.tickets_available || event.my_ticket_offer_expires_at;
+
+  return (
+    <div className="event-ticket-section">
+      {event.my_ticket ? (
+        <div className="event-ticket-mine">
+          <div>
+            <strong>{t("eventTicket.yours")}</strong> {event.my_ticket.name} · {formatPrice(event.my_ticket.unit_price)}
+          </div>
+          <button className="btn btn-secondary btn-sm" onClick={handleCancel} disabled={busy}>
+            {busy ? t("loading") : t("eventTicket.cancelRefund")}
+          </button>
+        </div>
+      ) : event.my_rsvp === "going" ? null : event.ticket_types.length === 0 ? (
+        <p className="event-ticket-hint">{t("eventTicket.paused")}</p>
+      ) : canBuy ? (
+        <>
+          {event.my_ticket_offer_expires_at && (
+            <div className="event-ticket-offer">
+              {t("eventTicket.offer").replace("{time}", new Date(event.my_ticket_offer_expires_at).toLocaleString(lang, { dateStyle: "short", timeStyle: "short" }))}
+            </div>
+          )}
+          <div className="event-ticket-types">
+            {event.ticket_types.map((ticketType) => (
+              <div key={ticketType.id} className="event-ticket-type">
+                <div>
+                  <span className="event-ticket-type-name">{ticketType.name}</span>
+                  <span className="event-ticket-type-price">{formatPrice(ticketType.price)}</span>
+                </div>
+                <button className="btn btn-primary btn-sm" onClick={() => handleBuy(ticketType)} disabled={busy || ticketType.sold_out}>
+                  {ticketType.sold_out ? t("timeslot.soldOut") : t("eventTicket.buy")}
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : (
+        <div className="event-ticket-sold-out">
+          <span>{t("eventTicket.soldOut")}</span>
+          {event.my_rsvp !== "waitlisted" && (
+            <button className="btn btn-secondary btn-sm" onClick={handleJoinWaitlist}>{t("eventTicket.joinWaitlist")}</button>
+          )}
+        </div>
+      )}
+      {error && <div className="form-error" style={{ marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
+
+// ============================================================
+// GUESTS (plus-ones on the user's own RSVP)
+// ============================================================
+
+function RsvpGuestsSection({ event, onChange }) {
+  const { t } = useI18n();
+  // Guests already saved keep their id, so a check-in stays with the right person
+  const [guests, setGuests] = useState(() => (event.my_guests || []).map((g) => ({ ...g, name: g.name || "" })));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const max = Math.max(event.max_guests_per_rsvp, event.my_guests?.length || 0);
+
+  const setName = (i, name) => setGuests(guests.map((g, j) => (j === i ? { ...g, name } : g)));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage("");
+    setError("");
+    const { data } = await supabase.rpc("set_rsvp_guests", {
+      p_event_id: event.id,
+      p_guests: guests.map((g) => ({ id: g.id, name: g.name })),
+    });
+    setSaving(false);
+    if (data?.status === "success") {
+      setGuests(data.guests.map((g) => ({ ...g, name: g.name || "" })));
+      setMessage(t("guests.saved"));
+      onChange();
+    } else if (data?.code) {
+      setError(t(`guests.error.${data.code}`).replace("{max}", data.max_guests).replace("{count}", data.places_left));
+    } else {
+      setError(t("guests.error.failed"));
+    }
+  };
+
+  return (
+    <div className="rsvp-guests-section">
+      <h4>{t("guests.title")}</h4>
+      <p className="rsvp-guests-hint">{t("guests.hint").replace("{max}", event.max_guests_per_rsvp)}</p>
+      {guests.map((guest, i) => (
+        <div key={i} className="rsvp-guest-row">
+          <input type="text" value={guest.name} maxLength={80} placeholder={t("guests.namePlaceholder").replace("{n}", i + 1)}
+            onChange={(e) => setName(i, e.target.value)} />
+          {guest.checked_in_at ? (
+            <span className="rsvp-guest-checked-in">&#10003; {t("qr.checkedIn")}</span>
+          ) : (
+            <button className="btn btn-secondary btn-sm" onClick={() => setGuests(guests.filter((_, j) => j !== i))}>
+              {t("guests.remove")}
+            </button>
+          )}
+        </div>
+      ))}
+      <div className="rsvp-guests-actions">
+        {guests.length < max && (
+          <button className="btn btn-secondary btn-sm" onClick={() => setGuests([...guests, { name: "" }])}>{t("guests.add")}</button>
+        )}
+        <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+          {saving ? t("loading") : t("guests.save")}
+        </button>
+      </div>
+      {message && <div className="rsvp-guests-saved">{message}</div>}
+      {error && <div className="form-error" style={{ marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
+
+// ============================================================
+// CANCEL EVENT (creator only — the event stays, marked cancelled)
+// ============================================================
+
+function CancelEventSection({ event, onCancelled }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Sold tickets have to be refunded at Vipps, which only the
+  // vipps-payment edge function can do
+  const cancel = async () => {
+    if (!event.ticketed) {
+      const { data, error } = await supabase.rpc("cancel_event", { p_event_id: event.id, p_reason: reason });
+      if (error) throw error;
+      return data;
+    }
+    const { data: { session } } = await supabase.auth.getSession();
+    const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=cancel_event`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${session.access_token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ event_id: event.id, reason }),
+    });
+    return res.json();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!confirm(t("cancelEvent.confirm"))) return;
+    setBusy(true);
+    setError("");
+    try {
+      const data = await cancel();
+      if (data?.status === "success") {
+        if (data.refunds_failed > 0) alert(t("cancelEvent.refundsFailed"));
+        setOpen(false);
+        onCancelled();
+      } else {
+        setError(t(`cancelEvent.error.${data?.code || "failed"}`));
+      }
+    } catch {
+      setError(t("cancelEvent.error.failed"));
+    }
+    setBusy(false);
+  };
+
+  if (!open) {
+    return <button className="btn btn-danger btn-sm" onClick={() => setOpen(true)}>{t("cancelEvent.button")}</button>;
+  }
+
+  return (
+    <form className="cancel-event-form" onSubmit={handleSubmit}>
+      <label>{t("cancelEvent.reasonLabel")}</label>
+      <textarea rows={3} maxLength={500} value={reason} placeholder={t("cancelEvent.reasonPlaceholder")}
+        onChange={(e) => setReason(e.target.value)} />
+      <p className="cancel-event-hint">{event.ticketed ? t("cancelEvent.hintTicketed") : t("cancelEvent.hint")}</p>
+      {error && <div className="form-error">{error}</div>}
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="submit" className="btn btn-danger btn-sm" disabled={busy || !reason.trim()}>
+          {busy ? t("loading") : t("cancelEvent.submit")}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setOpen(false)} disabled={busy}>
+          {t("detail.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Tickets of a cancelled event whose refund Vipps didn't take wait in
+// refund_pending until the organizer retries them
+function RetryRefundsSection({ event, onRetried }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleRetry = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=retry_refunds`, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${session.access_token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ event_id: event.id }),
+      });
+      const data = await res.json();
+      if (data?.status !== "success" || data.refunds_failed > 0) setError(t("cancelEvent.retryFailed"));
+    } catch {
+      setError(t("cancelEvent.retryFailed"));
+    }
+    setBusy(false);
+    onRetried();
+  };
+
+  return (
+    <div className="cancel-event-form">
+      <p className="cancel-event-hint">{t("cancelEvent.refundsPending").replace("{count}", event.refunds_pending)}</p>
+      {error && <div className="form-error">{error}</div>}
+      <button className="btn btn-primary btn-sm" onClick={handleRetry} disabled={busy}>
+        {busy ? t("loading") : t("cancelEvent.retryRefunds")}
+      </button>
+    </div>
+  );
+}
+
+// ============================================================
+// SERIES DATES (other occurrences of a recurring event)
+// ============================================================
+
+function SeriesDatesSection({ event, onNavigate }) {
+  const { t, lang } = useI18n();
+  const others = (event.series?.occurrences || []).filter((o) => o.id !== event.id);
+  if (others.length === 0) return null;
+
+  return (
+    <div className="series-dates-section">
+      <h3>{t("series.otherDates")}</h3>
+      <div className="series-dates-list">
+        {others.map((o) => (
+          <button key={o.id} className="series-date-chip" onClick={() => onNavigate("event-detail", { eventId: o.id })}>
+            {formatShortDate(o.date, lang)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ============================================================
 // EVENT DETAIL PAGE
 // ============================================================
@@ -293,10 +649,13 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
   const [accessSubmitting, setAccessSubmitting] = useState(false);
   const [accessError, setAccessError] = useState("");
   const [venueData, setVenueData] = useState(null);
+  const [rsvpError, setRsvpError] = useState("");
+  const [answers, setAnswers] = useState({});
 
   const loadEvent = useCallback(() => {
     supabase.rpc("get_event_detail", { p_event_id: eventId }).then(({ data, error }) => {
       setEvent(data);
+      setAnswers(data?.my_answers || {});
       setLoading(false);
       // Load venue data if event has venue_id
       if (data && data.venue_id) {
@@ -309,12 +668,43 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
 
   useEffect(() => { loadEvent(); }, [loadEvent]);
 
+  // Answers go in before the RSVP itself; the rsvps trigger refuses
+  // going or waitlisted while a required one is missing
+  const saveAnswers = async (setErrorFn = setRsvpError) => {
+    if (!event.questions?.length) return true;
+    const missing = firstMissingAnswer(event.questions, answers);
+    if (missing) {
+      setErrorFn(t("questions.error.answer_required").replace("{question}", missing.label));
+      return false;
+    }
+    const { data } = await supabase.rpc("save_event_answers", {
+      p_event_id: eventId, p_answers: answersPayload(event.questions, answers),
+    });
+    if (data?.status !== "success") {
+      const question = event.questions.find((q) => q.id === data?.question_id);
+      setErrorFn(t(`questions.error.${data?.code || "failed"}`).replace("{question}", question?.label || ""));
+      return false;
+    }
+    return true;
+  };
+
+  const handleSaveAnswers = async () => {
+    setRsvpError("");
+    if (await saveAnswers()) loadEvent();
+  };
+
   const handleRSVP = async (status) => {
     if (!user) return onNavigate("login");
+    setRsvpError("");
+    if (status === "going" && event.my_rsvp !== status && !(await saveAnswers())) return;
     if (event.my_rsvp === status) {
       await supabase.from("rsvps").delete().eq("user_id", user.id).eq("event_id", eventId);
     } else {
-      await supabase.from("rsvps").upsert({ user_id: user.id, event_id: eventId, status }, { onConflict: "user_id,event_id" });
+      const { error } = await supabase.from("rsvps").upsert({ user_id: user.id, event_id: eventId, status }, { onConflict: "user_id,event_id" });
+      // Raised by the min_age and ticket triggers on rsvps
+      if (error?.message === "too_young") setRsvpError(t("age.rsvpTooYoung").replace("{age}", event.min_age));
+      if (error?.message === "ticket_required") setRsvpError(t("eventTicket.error.ticket_required"));
+      if (error?.message === "answers_required") setRsvpError(t("questions.error.answers_required"));
     }
     loadEvent();
   };
@@ -354,18 +744,34 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
 
   const handleDelete = async () => {
     if (!confirm(t("detail.deleteConfirm"))) return;
-    await supabase.from("events").delete().eq("id", eventId);
+    const { error } = await supabase.from("events").delete().eq("id", eventId);
+    // Raised while tickets are sold and not refunded
+    if (error?.message === "event_has_tickets") return alert(t("eventTicket.error.event_has_tickets"));
+    onNavigate("discover");
+  };
+
+  const handleEndSeries = async () => {
+    if (!confirm(t("series.endConfirm"))) return;
+    const { data, error } = await supabase.rpc("end_event_series", { p_event_id: eventId });
+    if (error || data?.status === "error") return alert(error?.message || t(`series.error.${data.code}`));
     onNavigate("discover");
   };
 
   const handleAccessRequest = async (e) => {
     e.preventDefault();
-    setAccessSubmitting(true);
     setAccessError("");
+    const missing = event.questions?.length && firstMissingAnswer(event.questions, answers);
+    if (missing) {
+      setAccessError(t("questions.error.answer_required").replace("{question}", missing.label));
+      return;
+    }
+    setAccessSubmitting(true);
     const { error: err } = await supabase.from("access_requests").insert({
       event_id: eventId, user_id: user.id, message: accessMessage,
     });
+    // Answers can only be saved once there is a request to attach them to
     if (err) setAccessError(err.message);
+    else await saveAnswers(setAccessError);
     setAccessSubmitting(false);
     loadEvent();
   };
@@ -396,9 +802,12 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
           <div className="restricted-icon">🔒</div>
           <h1>{event.title}</h1>
           <span className="visibility-badge semi-public">{t("restricted.badge")}</span>
+          {event.cancelled_at && <span className="cancelled-badge">{t("cancelEvent.badge")}</span>}
           <p className="restricted-message">{t("restricted.message")}</p>
 
-          {!user ? (
+          {event.cancelled_at ? (
+            <div className="access-request-status denied">{t("cancelEvent.noRequests")}</div>
+          ) : !user ? (
             <div style={{ marginTop: 24 }}>
               <p style={{ color: "#666", marginBottom: 12 }}>{t("restricted.loginHint")}</p>
               <button className="btn btn-primary" onClick={() => onNavigate("login")}>{t("nav.login")}</button>
@@ -411,6 +820,9 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
             <form className="access-request-form" onSubmit={handleAccessRequest}>
               <h3>{t("restricted.requestTitle")}</h3>
               <textarea placeholder={t("restricted.requestPlaceholder")} value={accessMessage} onChange={(e) => setAccessMessage(e.target.value)} />
+              {event.questions?.length > 0 && (
+                <EventQuestionsForm questions={event.questions} answers={answers} onChange={setAnswers} />
+              )}
               {accessError && <div className="form-error">{accessError}</div>}
               <button className="btn btn-primary" type="submit" disabled={accessSubmitting}>
                 {accessSubmitting ? t("restricted.requesting") : t("restricted.requestSubmit")}
@@ -425,6 +837,10 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
   // FULL VIEW
   const isCreator = user && user.id === event.creator_id;
   const isAdmin = event.is_admin || isCreator;
+  // Deleting would take the event away from people who signed up, so
+  // once anyone has, it can only be cancelled
+  const othersSignedUp = [...(event.going_users || []), ...(event.interested_users || []), ...(event.waitlisted_users || [])]
+    .some((u) => u.id !== user?.id);
 
   const handleKick = async (userId) => {
     if (!confirm(t("kick.confirm"))) return;
@@ -441,6 +857,13 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
           <div className="kicked-notice">{t("kick.notice")}</div>
         )}
 
+        {event.cancelled_at && (
+          <div className="event-cancelled-notice">
+            <strong>{t("cancelEvent.notice")}</strong>
+            {event.cancellation_reason && <p>{event.cancellation_reason}</p>}
+          </div>
+        )}
+
         {event.images && event.images.length > 0 ? (
           <ImageGallery images={event.images} />
         ) : event.image_url ? (
@@ -454,6 +877,8 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
             {event.event_mode === "online" && <span className="event-mode-badge online">{t("events.online")}</span>}
             {event.event_mode === "hybrid" && <span className="event-mode-badge hybrid">{t("events.hybrid")}</span>}
             {event.min_age && <span className="age-badge">{event.min_age}+</span>}
+            {event.series && <span className="event-mode-badge recurring">{t("events.recurring")}</span>}
+            {event.cancelled_at && <span className="cancelled-badge">{t("cancelEvent.badge")}</span>}
           </div>
           <h1 className="event-detail-title">{event.title}</h1>
           <div className="event-detail-meta">
@@ -469,6 +894,7 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
                 <span className="event-mode-badge next-day">{t("events.endsNextDay")}</span>
               )}
             </span>
+            {event.series && <span>{describeRecurrence(event.series, t, lang)}</span>}
             {event.event_mode !== "online" && (
               event.location_hidden ? (
                 <span style={{ color: "#d97706" }}>📍 {event.area_name} — <em>{t("discover.addressHidden")}</em></span>
@@ -509,25 +935,45 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
           <button className="btn btn-secondary btn-sm" onClick={() => generateIcsFile(event)}>{t("cal.ics")}</button>
         </div>
 
-        {!event.my_kicked && (
+        {!event.my_kicked && !event.cancelled_at && (
         <div className="rsvp-section">
           <h3>{t("detail.attend")}</h3>
+          {user && event.questions?.length > 0 && (
+            <>
+              <EventQuestionsForm questions={event.questions} answers={answers} onChange={setAnswers} />
+              {(event.my_rsvp === "going" || event.my_rsvp === "waitlisted" || event.my_ticket) && (
+                <button className="btn btn-secondary btn-sm" style={{ marginBottom: 12 }} onClick={handleSaveAnswers}>{t("questions.save")}</button>
+              )}
+            </>
+          )}
+          {event.ticketed && <EventTicketSection event={event} user={user} onNavigate={onNavigate} onChange={loadEvent} beforeJoin={() => saveAnswers()} />}
           <div className="rsvp-buttons">
-            <button className={`rsvp-btn going ${event.my_rsvp === "going" ? "active" : ""}`} onClick={() => handleRSVP("going")}>
-              {t("detail.going")}
-            </button>
-            <button className={`rsvp-btn interested ${event.my_rsvp === "interested" ? "active" : ""}`} onClick={() => handleRSVP("interested")}>
-              {t("detail.interested")}
-            </button>
-            {event.my_rsvp && <button className="rsvp-btn cancel" onClick={() => handleRSVP(event.my_rsvp)}>{t("detail.cancel")}</button>}
+            {!event.ticketed && (
+              <button className={`rsvp-btn going ${event.my_rsvp === "going" ? "active" : ""}`} onClick={() => handleRSVP("going")}>
+                {t("detail.going")}
+              </button>
+            )}
+            {!event.my_ticket && (
+              <button className={`rsvp-btn interested ${event.my_rsvp === "interested" ? "active" : ""}`} onClick={() => handleRSVP("interested")}>
+                {t("detail.interested")}
+              </button>
+            )}
+            {event.my_rsvp && !event.my_ticket && (
+              <button className="rsvp-btn cancel" onClick={() => handleRSVP(event.my_rsvp)}>{t("detail.cancel")}</button>
+            )}
           </div>
+          {rsvpError && <div className="form-error" style={{ marginTop: 8 }}>{rsvpError}</div>}
+          {(event.my_rsvp === "going" || event.my_rsvp === "waitlisted")
+            && !event.ticketed && (event.max_guests_per_rsvp > 0 || event.my_guests?.length > 0) && (
+            <RsvpGuestsSection event={event} onChange={loadEvent} />
+          )}
           <div className="rsvp-stats">
             <span><strong>{event.going_count}</strong> {t("detail.goingCount")}</span>
             <span><strong>{event.interested_count}</strong> {t("detail.interestedCount")}</span>
             {(event.waitlisted_count || 0) > 0 && (
               <span><strong>{event.waitlisted_count}</strong> {t("detail.waitlistedCount")}</span>
             )}
-            {event.qr_enabled && (event.checked_in_count || 0) > 0 && (
+            {(event.qr_enabled || event.ticketed) && (event.checked_in_count || 0) > 0 && (
               <span><strong>{event.checked_in_count}</strong> {t("qr.checkedInCount")}</span>
             )}
           </div>
@@ -561,7 +1007,9 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
 
         <p className="event-detail-description">{event.description}</p>
 
-        <QrTicketSection event={event} />
+        {!event.cancelled_at && <QrTicketSection event={event} />}
+
+        <SeriesDatesSection event={event} onNavigate={onNavigate} />
 
         {(event.going_users?.length > 0 || event.interested_users?.length > 0) && (
           <details className="detail-attendees-collapsible">
@@ -578,14 +1026,16 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
                         <span key={u.id} className="attendee-chip-with-action clickable" onClick={() => onNavigate("user-profile", { userId: u.id })}>
                           <Avatar name={u.name} avatarUrl={u.avatar_url} size={24} />
                           {u.name}
-                          {u.checked_in_at && event.qr_enabled && <span style={{ color: "#16a34a", fontSize: 11 }}>&#10003;</span>}
+                          {u.guest_count > 0 && <span className="attendee-guest-count">{t("guests.plus").replace("{count}", u.guest_count)}</span>}
+                          {u.checked_in_at && (event.qr_enabled || event.ticketed) && <span style={{ color: "#16a34a", fontSize: 11 }}>&#10003;</span>}
                           <button className="attendee-kick-btn" onClick={(e) => { e.stopPropagation(); handleKick(u.id); }}>{t("kick.button")}</button>
                         </span>
                       ) : (
                         <span key={u.id} className="attendee-chip clickable" onClick={() => onNavigate("user-profile", { userId: u.id })}>
                           <Avatar name={u.name} avatarUrl={u.avatar_url} size={24} />
                           {u.name}
-                          {u.checked_in_at && event.qr_enabled && <span style={{ color: "#16a34a", fontSize: 11 }}>&#10003;</span>}
+                          {u.guest_count > 0 && <span className="attendee-guest-count">{t("guests.plus").replace("{count}", u.guest_count)}</span>}
+                          {u.checked_in_at && (event.qr_enabled || event.ticketed) && <span style={{ color: "#16a34a", fontSize: 11 }}>&#10003;</span>}
                         </span>
                       )
                     ))}
@@ -636,14 +1086,22 @@ export function EventDetailPage({ eventId, user, onNavigate }) {
             <div className="detail-admin-content">
               <div className="event-actions">
                 <button className="btn btn-secondary btn-sm" onClick={() => onNavigate("edit-event", { eventId: event.id })}>{t("detail.edit")}</button>
-                {isCreator && (
+                {isCreator && !othersSignedUp && (
                   <button className="btn btn-danger btn-sm" onClick={handleDelete}>{t("detail.delete")}</button>
                 )}
-                {event.qr_enabled && (
+                {isCreator && event.series && (
+                  <button className="btn btn-danger btn-sm" onClick={handleEndSeries}>{t("series.end")}</button>
+                )}
+                {(event.qr_enabled || event.ticketed) && (
                   <button className="btn btn-primary btn-sm" onClick={() => onNavigate("checkin", { eventId: event.id })}>{t("qr.openScanner")}</button>
                 )}
               </div>
+              {isCreator && !event.cancelled_at && <CancelEventSection event={event} onCancelled={loadEvent} />}
+              {isCreator && event.refunds_pending > 0 && <RetryRefundsSection event={event} onRetried={loadEvent} />}
               <QrToggleSection eventId={eventId} qrEnabled={event.qr_enabled} onToggle={loadEvent} />
+              <EventTicketTypesEditor eventId={eventId} onChange={loadEvent} />
+              <EventAnswersTable eventId={eventId} />
+              <EventAttendeeTools eventId={eventId} />
               {event.visibility === "semi_public" && (
                 <>
                   <InvitationManager eventId={eventId} />
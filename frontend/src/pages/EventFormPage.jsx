@@ -2,8 +2,9 @@ import React, { useState, useEffect } from "react";
 import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { CATEGORIES } from "../translations";
-import { geocodeAddress } from "../utils/helpers";
+import { geocodeAddress, weekOfMonth, isLastWeekOfMonth, formatShortDate } from "../utils/helpers";
 import { MultiImageUpload } from "../components/shared";
+import { EventQuestionsBuilder } from "../components/EventQuestionsBuilder";
 
 export function EventFormPage({ eventId, user, onNavigate }) {
   const { t, lang } = useI18n();
@@ -11,10 +12,17 @@ export function EventFormPage({ eventId, user, onNavigate }) {
   const [form, setForm] = useState({
     title: "", description: "", date: "", time: "", end_time: "",
     location: "", category: "Technology", visibility: "public",
-    join_mode: "open", max_attendees: "", venue_id: "",
+    join_mode: "open", max_attendees: "", max_guests_per_rsvp: "0", venue_id: "",
     event_mode: "physical", end_date: "", online_url: "", min_age: "",
+    recurrence: "", recurrence_until: "",
   });
+  const [exceptionDates, setExceptionDates] = useState([]);
+  const [exceptionInput, setExceptionInput] = useState("");
+  const [seriesId, setSeriesId] = useState(null);
+  const [initialRule, setInitialRule] = useState(null);
+  const [applyToFuture, setApplyToFuture] = useState(false);
   const [images, setImages] = useState([]);
+  const [questions, setQuestions] = useState([]);
   const [error, setError] = useState("");
   const [geocodeError, setGeocodeError] = useState("");
   const [submitting, setSubmitting] = useState(false);
@@ -40,11 +48,23 @@ export function EventFormPage({ eventId, user, onNavigate }) {
             visibility: data.visibility || "public",
             join_mode: data.join_mode || "open",
             max_attendees: data.max_attendees != null ? String(data.max_attendees) : "",
+            max_guests_per_rsvp: String(data.max_guests_per_rsvp || 0),
             event_mode: data.event_mode || "physical",
             end_date: data.end_date || "",
             online_url: data.online_url || "",
             min_age: data.min_age != null ? String(data.min_age) : "",
+            recurrence: seriesToRecurrence(data.series),
+            recurrence_until: data.series?.until_date || "",
           });
+          if (data.series) {
+            setSeriesId(data.series.id);
+            setExceptionDates(data.series.exception_dates || []);
+            setInitialRule({
+              recurrence: seriesToRecurrence(data.series),
+              until: data.series.until_date || "",
+              exceptions: (data.series.exception_dates || []).join(","),
+            });
+          }
           if (data.images && data.images.length > 0) {
             setImages(data.images.map((img) => img.image_url));
           } else if (data.image_url) {
@@ -53,6 +73,9 @@ export function EventFormPage({ eventId, user, onNavigate }) {
         }
         setLoading(false);
       });
+      supabase.from("event_questions").select("*").eq("event_id", eventId).order("position").order("id").then(({ data }) => {
+        setQuestions(data || []);
+      });
     }
   }, [isEdit, eventId]);
 
@@ -74,6 +97,21 @@ export function EventFormPage({ eventId, user, onNavigate }) {
       setError(t("form.required"));
       return;
     }
+    const questionRows = questions.map((q, i) => ({
+      position: i,
+      kind: q.kind,
+      label: q.label.trim(),
+      options: q.kind === "text" ? [] : [...new Set(q.options.map((o) => o.trim()).filter(Boolean))],
+      required: q.required,
+    }));
+    if (questionRows.some((q) => !q.label)) {
+      setError(t("questions.error.label"));
+      return;
+    }
+    if (questionRows.some((q) => q.kind !== "text" && q.options.length === 0)) {
+      setError(t("questions.error.options"));
+      return;
+    }
 
     setSubmitting(true);
 
@@ -96,6 +134,7 @@ export function EventFormPage({ eventId, user, onNavigate }) {
       latitude: geo ? geo.lat : null,
       longitude: geo ? geo.lng : null,
       max_attendees: parseInt(form.max_attendees) || null,
+      max_guests_per_rsvp: parseInt(form.max_guests_per_rsvp) || 0,
       venue_id: form.venue_id ? parseInt(form.venue_id) : null,
       event_mode: form.event_mode,
       end_date: form.end_date || null,
@@ -124,10 +163,58 @@ export function EventFormPage({ eventId, user, onNavigate }) {
       await supabase.from("event_images").insert(imageRows);
     }
 
+    // Sync event_questions: removed ones go (with their answers), the
+    // rest are updated in place so answers stay attached
+    const keptIds = questions.filter((q) => q.id).map((q) => q.id);
+    const { data: savedQuestions } = await supabase.from("event_questions").select("id").eq("event_id", targetEventId);
+    const removedIds = (savedQuestions || []).map((q) => q.id).filter((id) => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      await supabase.from("event_questions").delete().in("id", removedIds);
+    }
+    await Promise.all(questions.map((q, i) => q.id
+      ? supabase.from("event_questions").update(questionRows[i]).eq("id", q.id)
+      : supabase.from("event_questions").insert({ ...questionRows[i], event_id: targetEventId })));
+
+    // Recurrence: start a new series, or update the existing one
+    if (form.recurrence && !seriesId) {
+      const { data, error: err } = await supabase.rpc("create_event_series", {
+        p_event_id: targetEventId,
+        ...recurrenceParams(),
+      });
+      if (err || data?.status === "error") { setError(err?.message || t(`series.error.${data.code}`)); setSubmitting(false); return; }
+    } else if (seriesId && applyToFuture) {
+      const ruleChanged = !initialRule
+        || initialRule.recurrence !== form.recurrence
+        || initialRule.until !== form.recurrence_until
+        || initialRule.exceptions !== exceptionDates.join(",");
+      const { data, error: err } = await supabase.rpc("update_event_series", {
+        p_event_id: targetEventId,
+        p_propagate: true,
+        ...(ruleChanged && form.recurrence ? recurrenceParams() : {}),
+      });
+      if (err || data?.status === "error") { setError(err?.message || t(`series.error.${data.code}`)); setSubmitting(false); return; }
+    }
+
     setSubmitting(false);
     onNavigate("event-detail", { eventId: targetEventId });
   };
 
+  function recurrenceParams() {
+    const [frequency, variant] = form.recurrence.split(":");
+    return {
+      p_frequency: frequency,
+      p_until_date: form.recurrence_until || null,
+      p_exception_dates: exceptionDates,
+      p_week_of_month: frequency === "monthly" ? (variant === "last" ? -1 : weekOfMonth(form.date)) : null,
+    };
+  }
+
+  const addException = () => {
+    if (!exceptionInput || exceptionDates.includes(exceptionInput)) return;
+    setExceptionDates([...exceptionDates, exceptionInput].sort());
+    setExceptionInput("");
+  };
+
   const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
   if (loading) return <div className="loading">{t("form.loading")}</div>;
 
@@ -173,6 +260,56 @@ export function EventFormPage({ eventId, user, onNavigate }) {
               <input type="date" value={form.end_date} onChange={update("end_date")} min={form.date || undefined} />
               <small style={{ color: "#888", fontSize: 12, marginTop: 4, display: "block" }}>{t("form.endDateHint")}</small>
             </div>
+            <div className="form-group">
+              <label>{t("form.recurrence")}</label>
+              <select value={form.recurrence} onChange={update("recurrence")} disabled={!!seriesId && !applyToFuture}>
+                <option value="" disabled={!!seriesId}>{t("form.repeatNone")}</option>
+                <option value="weekly">{t("form.repeatWeekly")}</option>
+                <option value="biweekly">{t("form.repeatBiweekly")}</option>
+                <option value="monthly">{t("form.repeatMonthly")}</option>
+                {(form.date && isLastWeekOfMonth(form.date)) || form.recurrence === "monthly:last" ? (
+                  <option value="monthly:last">{t("form.repeatMonthlyLast")}</option>
+                ) : null}
+              </select>
+            </div>
+            {form.recurrence && (!seriesId || applyToFuture) && (
+              <>
+                <div className="form-group">
+                  <label>{t("form.repeatUntil")}</label>
+                  <input type="date" value={form.recurrence_until} onChange={update("recurrence_until")} min={form.date || undefined} />
+                  <small style={{ color: "#888", fontSize: 12, marginTop: 4, display: "block" }}>{t("form.repeatUntilHint")}</small>
+                </div>
+                <div className="form-group">
+                  <label>{t("form.repeatExceptions")}</label>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <input type="date" value={exceptionInput} onChange={(e) => setExceptionInput(e.target.value)} min={form.date || undefined} />
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={addException}>{t("form.addException")}</button>
+                  </div>
+                  {exceptionDates.length > 0 && (
+                    <div className="series-exception-list">
+                      {exceptionDates.map((d) => (
+                        <span key={d} className="series-exception-chip">
+                          {formatShortDate(d, lang)}
+                          <button type="button" onClick={() => setExceptionDates(exceptionDates.filter((x) => x !== d))}>×</button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+            {seriesId && (
+              <div className="form-group">
+                <div className="pref-item">
+                  <span>{t("form.applyToFuture")}</span>
+                  <label className="toggle-switch">
+                    <input type="checkbox" checked={applyToFuture} onChange={(e) => setApplyToFuture(e.target.checked)} />
+                    <span className="toggle-slider" />
+                  </label>
+                </div>
+                <small style={{ color: "#888", fontSize: 12, marginTop: 4, display: "block" }}>{t("form.applyToFutureHint")}</small>
+              </div>
+            )}
             <div className="form-group">
               <label>{t("form.eventMode")}</label>
               <select value={form.event_mode} onChange={update("event_mode")}>
@@ -228,6 +365,19 @@ export function EventFormPage({ eventId, user, onNavigate }) {
               <input type="number" min="1" value={form.max_attendees} onChange={update("max_attendees")} placeholder={t("form.maxAttendeesPlaceholder")} />
               <small style={{ color: "#888", fontSize: 12, marginTop: 4, display: "block" }}>{t("form.maxAttendeesHint")}</small>
             </div>
+            <div className="form-group">
+              <label>{t("form.maxGuests")}</label>
+              <select value={form.max_guests_per_rsvp} onChange={update("max_guests_per_rsvp")}>
+                <option value="0">{t("form.noGuests")}</option>
+                {[1, 2, 3, 4, 5, 10].map((n) => <option key={n} value={n}>+{n}</option>)}
+              </select>
+              <small style={{ color: "#888", fontSize: 12, marginTop: 4, display: "block" }}>{t("form.maxGuestsHint")}</small>
+            </div>
+            <div className="form-group">
+              <label>{t("questions.title")}</label>
+              <small style={{ color: "#888", fontSize: 12, marginBottom: 8, display: "block" }}>{t("questions.hint")}</small>
+              <EventQuestionsBuilder questions={questions} onChange={setQuestions} />
+            </div>
             {myVenues.length > 0 && (
               <div className="form-group">
                 <label>{t("nav.venues")}</label>
@@ -246,3 +396,9 @@ export function EventFormPage({ eventId, user, onNavigate }) {
     </div>
   );
 }
+
+function seriesToRecurrence(series) {
+  if (!series) return "";
+  if (series.frequency === "monthly") return series.week_of_month === -1 ? "monthly:last" : "monthly";
+  return series.frequency;
+}
@@ -3,21 +3,33 @@ import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { formatDate } from "../utils/helpers";
 import { QRCodeSVG } from "qrcode.react";
+import { PreOrderSummary } from "../components/VenueMenu";
 
 const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
 
 export function MyTicketsPage({ user, onNavigate }) {
   const { t, lang } = useI18n();
-  const [bookings, setBookings] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [friends, setFriends] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState("upcoming");
   const [expandedQr, setExpandedQr] = useState(null);
   const [cancellingId, setCancellingId] = useState(null);
+  const [assignError, setAssignError] = useState(null);
+  const [transfers, setTransfers] = useState([]);
+  const [transferForm, setTransferForm] = useState(null);
+  const [transferError, setTransferError] = useState("");
 
   useEffect(() => {
     if (!user) return;
-    supabase.rpc("get_my_bookings").then(({ data }) => {
-      setBookings(data || []);
+    Promise.all([
+      supabase.rpc("get_my_bookings"),
+      supabase.from("follows").select("following:profiles!following_id(id, name)").eq("follower_id", user.id).eq("status", "active"),
+      supabase.rpc("get_my_ticket_transfers"),
+    ]).then(([bookingsRes, followsRes, transfersRes]) => {
+      setOrders(bookingsRes.data || []);
+      setFriends((followsRes.data || []).map((f) => f.following).filter(Boolean));
+      setTransfers(transfersRes.data || []);
       setLoading(false);
     });
   }, [user]);
@@ -28,13 +40,66 @@ export function MyTicketsPage({ user, onNavigate }) {
   const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
   const today = new Date().toISOString().slice(0, 10);
 
-  const upcoming = bookings.filter((b) => b.status === "confirmed" && b.timeslot.date >= today);
-  const past = bookings.filter((b) => b.status !== "confirmed" || b.timeslot.date < today);
+  const isUpcoming = (o) => o.timeslot.date >= today && o.tickets.some((tk) => tk.status === "confirmed");
+  const upcoming = orders.filter(isUpcoming);
+  const past = orders.filter((o) => !isUpcoming(o));
 
-  const handleCancel = async (booking) => {
-    setCancellingId(booking.booking_id);
+  const reload = async () => {
+    const [bookingsRes, transfersRes] = await Promise.all([
+      supabase.rpc("get_my_bookings"),
+      supabase.rpc("get_my_ticket_transfers"),
+    ]);
+    setOrders(bookingsRes.data || []);
+    setTransfers(transfersRes.data || []);
+  };
+
+  const incomingTransfers = transfers.filter((tr) => tr.incoming);
+
+  const transferErrorText = (data) => {
+    switch (data?.code) {
+      case "recipient_not_found": return t("transfer.recipientNotFound");
+      case "cannot_transfer_to_self": return t("transfer.notToSelf");
+      case "too_young": return t("booking.tooYoung").replace("{age}", data.min_age);
+      case "transfers_disabled": return t("transfer.disabled");
+      case "transfer_closed": return t("transfer.closed");
+      case "transfer_pending": return t("transfer.alreadyPending");
+      default: return t("transfer.failed");
+    }
+  };
 
-    const isPaidVipps = booking.vipps_reference && booking.timeslot.price > 0;
+  const handleSendTransfer = async (e) => {
+    e.preventDefault();
+    setTransferError("");
+    const { bookingId, friendId, email } = transferForm;
+    if (!friendId && !email.trim()) return;
+    const { data, error } = await supabase.rpc("create_ticket_transfer", {
+      p_booking_id: bookingId,
+      p_recipient_id: friendId || null,
+      p_recipient_email: friendId ? null : email.trim(),
+    });
+    if (error || data?.status === "error") {
+      setTransferError(transferErrorText(data));
+      return;
+    }
+    setTransferForm(null);
+    await reload();
+  };
+
+  const handleCancelTransfer = async (transferId) => {
+    await supabase.rpc("cancel_ticket_transfer", { p_transfer_id: transferId });
+    await reload();
+  };
+
+  const handleRespondTransfer = async (transferId, accept) => {
+    const { data } = await supabase.rpc("respond_ticket_transfer", { p_transfer_id: transferId, p_accept: accept });
+    if (data?.status === "error") alert(transferErrorText(data));
+    await reload();
+  };
+
+  const handleCancel = async (order, ticket) => {
+    setCancellingId(ticket.booking_id);
+
+    const isPaidVipps = order.vipps_reference && order.amount > 0;
 
     if (isPaidVipps) {
       // Use Vipps refund edge function
@@ -42,33 +107,81 @@ export function MyTicketsPage({ user, onNavigate }) {
         const { data: { session } } = await supabase.auth.getSession();
         if (!session) { setCancellingId(null); return; }
 
-        await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=refund`, {
+        const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=refund`, {
           method: "POST",
           headers: {
             "Authorization": `Bearer ${session.access_token}`,
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({ booking_id: booking.booking_id }),
+          body: JSON.stringify({ booking_id: ticket.booking_id }),
         });
+        if (!res.ok) {
+          const data = await res.json().catch(() => null);
+          alert(t(data?.code === "refund_failed" ? "payment.refundFailed" : "payment.actionFailed"));
+        }
       } catch (err) {
         console.error("Refund error:", err);
+        alert(t("payment.actionFailed"));
       }
     } else {
       // Free or non-Vipps — cancel directly
-      await supabase.rpc("cancel_booking", { p_booking_id: booking.booking_id });
+      await supabase.rpc("cancel_booking", { p_booking_id: ticket.booking_id });
     }
 
-    const { data } = await supabase.rpc("get_my_bookings");
-    setBookings(data || []);
+    await reload();
     setCancellingId(null);
   };
 
-  const visibleBookings = activeTab === "upcoming" ? upcoming : past;
+  const handleAssign = async (order, ticket, friendId) => {
+    setAssignError(null);
+    const { data, error } = await supabase.rpc("assign_ticket", {
+      p_booking_id: ticket.booking_id,
+      p_user_id: friendId || null,
+    });
+    if (error || data?.status === "error") {
+      const code = data?.code;
+      setAssignError({
+        orderId: order.order_id,
+        message: code === "too_young" ? t("booking.tooYoung").replace("{age}", data.min_age)
+          : code === "already_assigned" ? t("tickets.alreadyAssigned")
+          : t("tickets.assignFailed"),
+      });
+      return;
+    }
+    await reload();
+  };
+
+  const statusLabel = (status) =>
+    status === "confirmed" ? t("booking.notCheckedIn")
+      : status === "checked_in" ? t("booking.checkedIn")
+      : status === "pending_payment" ? t("booking.pendingPayment")
+      : t("booking.cancelled");
+
+  const visibleOrders = activeTab === "upcoming" ? upcoming : past;
 
   return (
     <div className="my-tickets-page">
       <h1>{t("tickets.title")}</h1>
 
+      {incomingTransfers.length > 0 && (
+        <div className="transfer-offers">
+          {incomingTransfers.map((tr) => (
+            <div key={tr.id} className="transfer-offer">
+              <div>
+                <strong>{tr.from_user.name}</strong> {t("transfer.offered")}
+                <div className="ticket-card-meta">
+                  {tr.venue.name} &middot; {formatDate(tr.timeslot.date, lang)} &middot; {tr.timeslot.start_time?.slice(0, 5)}
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button className="btn btn-primary btn-sm" onClick={() => handleRespondTransfer(tr.id, true)}>{t("transfer.accept")}</button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleRespondTransfer(tr.id, false)}>{t("transfer.decline")}</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="tabs" style={{ marginBottom: 20 }}>
         <button className={`tab-btn ${activeTab === "upcoming" ? "active" : ""}`} onClick={() => setActiveTab("upcoming")}>
           {t("tickets.upcoming")} ({upcoming.length})
@@ -78,7 +191,7 @@ export function MyTicketsPage({ user, onNavigate }) {
         </button>
       </div>
 
-      {visibleBookings.length === 0 ? (
+      {visibleOrders.length === 0 ? (
         <div className="empty-state">
           <p>{t("tickets.empty")}</p>
           <p style={{ color: "var(--text-secondary)" }}>{t("tickets.emptyHint")}</p>
@@ -87,52 +200,133 @@ export function MyTicketsPage({ user, onNavigate }) {
           </button>
         </div>
       ) : (
-        visibleBookings.map((b) => (
-          <div key={b.booking_id} className="ticket-card">
-            <div className="ticket-card-header">
-              <span className="ticket-card-venue" onClick={() => onNavigate("venue-detail", { venueId: b.venue.id })}>
-                {b.venue.name}
-              </span>
-              <span className={`ticket-card-status ${b.status}`}>
-                {b.status === "confirmed" ? t("booking.notCheckedIn")
-                  : b.status === "checked_in" ? t("booking.checkedIn")
-                  : b.status === "pending_payment" ? t("booking.pendingPayment")
-                  : t("booking.cancelled")}
-              </span>
-            </div>
-            <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 4 }}>
-              {b.timeslot.type && <span className={`type-badge type-${b.timeslot.type}`}>{t(`type.${b.timeslot.type}`)}</span>}
-              {b.timeslot.type === "table" && b.timeslot.label && <span className="timeslot-card-label" style={{ marginBottom: 0 }}>{b.timeslot.label}</span>}
-            </div>
-            <div className="ticket-card-meta">
-              {formatDate(b.timeslot.date, lang)} &middot; {b.timeslot.start_time?.slice(0, 5)}–{b.timeslot.end_time?.slice(0, 5)}
-            </div>
-            <div className="ticket-card-price">{formatPrice(b.timeslot.price)}</div>
-
-            {b.status === "confirmed" && (
-              <div style={{ marginTop: 12, display: "flex", gap: 8 }}>
-                <button className="btn btn-secondary btn-sm" onClick={() => setExpandedQr(expandedQr === b.booking_id ? null : b.booking_id)}>
-                  {expandedQr === b.booking_id ? t("booking.hideQr") : t("booking.showQr")}
-                </button>
-                <button
-                  className="btn btn-danger btn-sm"
-                  onClick={() => handleCancel(b)}
-                  disabled={cancellingId === b.booking_id}
-                >
-                  {cancellingId === b.booking_id
-                    ? (b.vipps_reference && b.timeslot.price > 0 ? t("booking.refunding") : t("loading"))
-                    : t("booking.cancel")}
-                </button>
+        visibleOrders.map((o) => {
+          const isGroup = o.is_buyer && o.quantity > 1;
+          return (
+            <div key={o.order_id} className="ticket-card">
+              <div className="ticket-card-header">
+                <span className="ticket-card-venue" onClick={() => onNavigate("venue-detail", { venueId: o.venue.id })}>
+                  {o.venue.name}
+                </span>
+                {!isGroup && (
+                  <span className={`ticket-card-status ${o.tickets[0].status}`}>{statusLabel(o.tickets[0].status)}</span>
+                )}
               </div>
-            )}
-
-            {expandedQr === b.booking_id && (
-              <div className="booking-ticket-qr" style={{ marginTop: 12 }}>
-                <QRCodeSVG value={`${window.location.origin}/venue/${b.venue.id}/scan?token=${b.qr_token}`} size={180} />
+              <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 4 }}>
+                {o.timeslot.type && <span className={`type-badge type-${o.timeslot.type}`}>{t(`type.${o.timeslot.type}`)}</span>}
+                {o.timeslot.type === "table" && o.timeslot.label && <span className="timeslot-card-label" style={{ marginBottom: 0 }}>{o.timeslot.label}</span>}
+              </div>
+              <div className="ticket-card-meta">
+                {formatDate(o.timeslot.date, lang)} &middot; {o.timeslot.start_time?.slice(0, 5)}–{o.timeslot.end_time?.slice(0, 5)}
               </div>
-            )}
-          </div>
-        ))
+              {o.is_buyer ? (
+                <div className="ticket-card-price">
+                  {isGroup && `${t("tickets.count").replace("{count}", o.quantity)} · `}
+                  {formatPrice(o.amount)}
+                </div>
+              ) : (
+                <div className="ticket-card-meta">{t("tickets.fromBuyer").replace("{name}", o.buyer_name)}</div>
+              )}
+              <PreOrderSummary items={o.items} />
+
+              {assignError?.orderId === o.order_id && <div className="form-error" style={{ marginTop: 8 }}>{assignError.message}</div>}
+
+              {o.tickets.map((tk, i) => (
+                <div key={tk.booking_id} className={isGroup ? "order-ticket" : ""}>
+                  {isGroup && (
+                    <div className="order-ticket-header">
+                      <span>
+                        {t("tickets.ticketN").replace("{n}", i + 1)}
+                        {tk.assigned_to && <span className="order-ticket-holder"> · {tk.assigned_to.name}</span>}
+                      </span>
+                      <span className={`ticket-card-status ${tk.status}`}>{statusLabel(tk.status)}</span>
+                    </div>
+                  )}
+
+                  {tk.status === "confirmed" && (
+                    <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
+                      <button className="btn btn-secondary btn-sm" onClick={() => setExpandedQr(expandedQr === tk.booking_id ? null : tk.booking_id)}>
+                        {expandedQr === tk.booking_id ? t("booking.hideQr") : t("booking.showQr")}
+                      </button>
+                      {isGroup && (
+                        <select
+                          className="order-ticket-assign"
+                          value={tk.assigned_to?.id || ""}
+                          onChange={(e) => handleAssign(o, tk, e.target.value)}
+                        >
+                          <option value="">{t("tickets.forMe")}</option>
+                          {friends.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+                        </select>
+                      )}
+                      {tk.is_holder && !tk.pending_transfer && !tk.transfer_block_reason && (
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => {
+                            setTransferError("");
+                            setTransferForm(transferForm?.bookingId === tk.booking_id ? null : { bookingId: tk.booking_id, friendId: "", email: "" });
+                          }}
+                        >
+                          {t("transfer.send")}
+                        </button>
+                      )}
+                      {o.is_buyer && (
+                        <button
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleCancel(o, tk)}
+                          disabled={cancellingId === tk.booking_id}
+                        >
+                          {cancellingId === tk.booking_id
+                            ? (o.vipps_reference && o.unit_price > 0 ? t("booking.refunding") : t("loading"))
+                            : t("booking.cancel")}
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {tk.pending_transfer && (
+                    <div className="transfer-pending">
+                      {t("transfer.pendingTo").replace("{name}", tk.pending_transfer.to_name)}
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleCancelTransfer(tk.pending_transfer.id)}>
+                        {t("transfer.withdraw")}
+                      </button>
+                    </div>
+                  )}
+
+                  {transferForm?.bookingId === tk.booking_id && (
+                    <form className="transfer-form" onSubmit={handleSendTransfer}>
+                      {friends.length > 0 && (
+                        <select
+                          value={transferForm.friendId}
+                          onChange={(e) => setTransferForm({ ...transferForm, friendId: e.target.value })}
+                        >
+                          <option value="">{t("transfer.pickFriend")}</option>
+                          {friends.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+                        </select>
+                      )}
+                      {!transferForm.friendId && (
+                        <input
+                          type="email"
+                          value={transferForm.email}
+                          onChange={(e) => setTransferForm({ ...transferForm, email: e.target.value })}
+                          placeholder={t("transfer.emailPlaceholder")}
+                        />
+                      )}
+                      <button type="submit" className="btn btn-primary btn-sm">{t("transfer.submit")}</button>
+                      <p className="transfer-form-hint">{t("transfer.hint")}</p>
+                      {transferError && <div className="form-error">{transferError}</div>}
+                    </form>
+                  )}
+
+                  {expandedQr === tk.booking_id && (
+                    <div className="booking-ticket-qr" style={{ marginTop: 12 }}>
+                      <QRCodeSVG value={`${window.location.origin}/venue/${o.venue.id}/scan?token=${tk.qr_token}`} size={180} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          );
+        })
       )}
     </div>
   );
@@ -40,13 +40,14 @@ export function PaymentCallbackPage({ user, onNavigate }) {
 
         const data = await res.json();
 
-        if (data.status === "completed" && data.booking_status === "confirmed") {
+        if (data.status === "completed" && (data.booking_status === "confirmed" || data.ticket_status === "paid")) {
           setStatus("success");
           setBookingData(data);
           return;
         }
 
-        if (data.status === "cancelled" || data.booking_status === "cancelled") {
+        if (data.status === "cancelled" || data.booking_status === "cancelled"
+          || data.ticket_status === "cancelled" || data.ticket_status === "expired") {
           setStatus("failed");
           return;
         }
@@ -99,12 +100,28 @@ export function PaymentCallbackPage({ user, onNavigate }) {
           </div>
         )}
 
-        {status === "success" && bookingData && (
+        {status === "success" && bookingData?.event_id && (
           <div className="payment-status-success">
             <div className="payment-success-icon">&#10003;</div>
             <h2>{t("booking.success")}</h2>
-            <p>{t("booking.yourTicket")}</p>
-            {bookingData.qr_token && (
+            <p>{t("eventTicket.purchased")}</p>
+            <button
+              className="btn btn-primary"
+              style={{ marginTop: 20 }}
+              onClick={() => onNavigate("event-detail", { eventId: bookingData.event_id })}
+            >
+              {t("eventTicket.toEvent")}
+            </button>
+          </div>
+        )}
+
+        {status === "success" && bookingData && !bookingData.event_id && (
+          <div className="payment-status-success">
+            <div className="payment-success-icon">&#10003;</div>
+            <h2>{t("booking.success")}</h2>
+            <p>{bookingData.quantity > 1 ? t("booking.yourTickets").replace("{count}", bookingData.quantity) : t("booking.yourTicket")}</p>
+            {bookingData.quantity > 1 && <p>{t("booking.assignHint")}</p>}
+            {bookingData.quantity <= 1 && bookingData.qr_token && (
               <div className="booking-ticket-qr" style={{ marginTop: 20 }}>
                 <QRCodeSVG
                   value={`${window.location.origin}/venue/0/scan?token=${bookingData.qr_token}`}
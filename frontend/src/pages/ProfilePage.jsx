@@ -24,6 +24,7 @@ export function ProfilePage({ user, onNavigate, onAvatarChange }) {
   const [editingBio, setEditingBio] = useState(false);
   const [bioText, setBioText] = useState("");
   const [visibility, setVisibility] = useState("public");
+  const [shareContact, setShareContact] = useState(false);
   const [photoUploading, setPhotoUploading] = useState(false);
   const avatarFileRef = useRef(null);
   const photoFileRef = useRef(null);
@@ -35,7 +36,7 @@ export function ProfilePage({ user, onNavigate, onAvatarChange }) {
       supabase.from("rsvps").select("events(*)").eq("user_id", user.id).eq("status", "going"),
       supabase.from("rsvps").select("events(*)").eq("user_id", user.id).eq("status", "interested"),
       supabase.from("profile_photos").select("*").eq("user_id", user.id).order("position"),
-      supabase.from("profiles").select("bio, activity_visibility").eq("id", user.id).single(),
+      supabase.from("profiles").select("bio, activity_visibility, share_contact_with_organizers").eq("id", user.id).single(),
       supabase.from("follows").select("id", { count: "exact" }).eq("following_id", user.id).eq("status", "active"),
       supabase.from("follows").select("id", { count: "exact" }).eq("follower_id", user.id).eq("status", "active"),
       supabase.from("follows").select("*, follower:profiles!follower_id(id, name, avatar_url)").eq("following_id", user.id).eq("status", "pending"),
@@ -48,6 +49,7 @@ export function ProfilePage({ user, onNavigate, onAvatarChange }) {
     setBio(profileRes.data?.bio || "");
     setBioText(profileRes.data?.bio || "");
     setVisibility(profileRes.data?.activity_visibility || "public");
+    setShareContact(!!profileRes.data?.share_contact_with_organizers);
     setFollowerCount(followersRes.count || 0);
     setFollowingCount(followingRes.count || 0);
     setPendingFollows(pendingRes.data || []);
@@ -85,6 +87,11 @@ export function ProfilePage({ user, onNavigate, onAvatarChange }) {
     await supabase.from("profiles").update({ activity_visibility: val }).eq("id", user.id);
   };
 
+  const handleShareContactChange = async (val) => {
+    setShareContact(val);
+    await supabase.from("profiles").update({ share_contact_with_organizers: val }).eq("id", user.id);
+  };
+
   const handlePhotoUpload = async (e) => {
     const file = e.target.files?.[0];
     if (!file || photos.length >= 6) return;
@@ -226,6 +233,10 @@ export function ProfilePage({ user, onNavigate, onAvatarChange }) {
           <option value="followers">{t("profile.visibility.followers")}</option>
           <option value="private">{t("profile.visibility.private")}</option>
         </select>
+        <label className="profile-share-contact">
+          <input type="checkbox" checked={shareContact} onChange={(e) => handleShareContactChange(e.target.checked)} />
+          {" "}{t("profile.shareContact")}
+        </label>
       </div>
 
       {/* Organizer tools */}
@@ -11,6 +11,9 @@ export default function SearchBrowsePage({ user, onNavigate, initialView }) {
   const [venues, setVenues] = useState([]);
   const [search, setSearch] = useState("");
   const [category, setCategory] = useState("");
+  // "", "now" or "tonight"
+  const [openFilter, setOpenFilter] = useState("");
+  const [venueSort, setVenueSort] = useState("newest");
   const [loading, setLoading] = useState(true);
   const [view, setView] = useState(initialView || "list");
   const [tab, setTab] = useState("events");
@@ -51,15 +54,15 @@ export default function SearchBrowsePage({ user, onNavigate, initialView }) {
   useEffect(() => {
     if (tab !== "venues") return;
     setLoading(true);
-    let query = supabase.from("venues").select("*").order("created_at", { ascending: false });
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,address.ilike.%${search}%`);
-    }
-    query.then(({ data }) => {
+    supabase.rpc("search_venues", {
+      p_search: search || null,
+      p_open: openFilter || null,
+      p_sort: venueSort,
+    }).then(({ data }) => {
       setVenues(data || []);
       setLoading(false);
     });
-  }, [search, tab]);
+  }, [search, openFilter, venueSort, tab]);
 
   // Map rendering
   useEffect(() => {
@@ -168,6 +171,19 @@ export default function SearchBrowsePage({ user, onNavigate, initialView }) {
               {CATEGORIES.map((c) => <option key={c} value={c}>{t(`cat.${c}`)}</option>)}
             </select>
           )}
+          {tab === "venues" && (
+            <select className="filter-select" value={openFilter} onChange={(e) => setOpenFilter(e.target.value)}>
+              <option value="">{t("hours.filterAll")}</option>
+              <option value="now">{t("hours.filterNow")}</option>
+              <option value="tonight">{t("hours.filterTonight")}</option>
+            </select>
+          )}
+          {tab === "venues" && (
+            <select className="filter-select" value={venueSort} onChange={(e) => setVenueSort(e.target.value)}>
+              <option value="newest">{t("review.sortNewest")}</option>
+              <option value="rating">{t("review.sortRating")}</option>
+            </select>
+          )}
           <div className="view-toggle">
             <button className={`view-toggle-btn ${view === "list" ? "active" : ""}`} onClick={() => setView("list")}>
               {t("search.viewList")}
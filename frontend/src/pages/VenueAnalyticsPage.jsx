@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../lib/supabase";
+import { useI18n } from "../contexts/I18nContext";
+import { formatShortDate } from "../utils/helpers";
+import {
+  ResponsiveContainer, LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid,
+} from "recharts";
+
+const PRESETS = [7, 30, 90, 365];
+
+const daysAgo = (n) => {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return d.toISOString().slice(0, 10);
+};
+
+// Percent change against the previous period; null when there is nothing to compare
+function change(current, previous) {
+  if (current == null || previous == null || previous === 0) return null;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+function Kpi({ label, value, current, previous, format = (v) => v, lowerIsBetter = false, points = false }) {
+  const { t } = useI18n();
+  // Rates compare in percentage points, counts in percent
+  const delta = points
+    ? (current != null && previous != null ? Math.round((current - previous) * 10) / 10 : null)
+    : change(current, previous);
+  const good = delta != null && (lowerIsBetter ? delta < 0 : delta > 0);
+  return (
+    <div className="venue-stat">
+      <div className="venue-stat-value">{value ?? "–"}</div>
+      <div className="venue-stat-label">{label}</div>
+      <div className={`analytics-delta ${delta == null || delta === 0 ? "" : good ? "up" : "down"}`}>
+        {delta == null
+          ? t("analytics.noComparison")
+          : `${delta > 0 ? "+" : ""}${delta}${points ? " pp" : " %"} · ${format(previous)}`}
+      </div>
+    </div>
+  );
+}
+
+export function VenueAnalyticsPage({ venueId, user, onNavigate }) {
+  const { t, lang } = useI18n();
+  const [range, setRange] = useState({ from: daysAgo(29), to: daysAgo(0), preset: 30 });
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setLoading(true);
+    supabase.rpc("get_venue_analytics", { p_venue_id: venueId, p_from: range.from, p_to: range.to }).then(({ data }) => {
+      setLoading(false);
+      if (data?.status === "success") {
+        setAnalytics(data);
+        setError("");
+      } else {
+        setError(data?.code === "not_staff" ? t("scanner.notStaff") : t("analytics.invalidRange"));
+      }
+    });
+  }, [venueId, range.from, range.to]);
+
+  const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+  const formatPercent = (v) => v == null ? "–" : `${v} %`;
+  const formatDay = (day) => formatShortDate(day, lang);
+
+  const selectPreset = (days) => setRange({ from: daysAgo(days - 1), to: daysAgo(0), preset: days });
+  const setCustom = (changes) => setRange({ ...range, ...changes, preset: null });
+
+  if (!analytics && loading) return <div className="loading">{t("loading")}</div>;
+  if (!analytics) return <div className="container"><p>{error}</p></div>;
+
+  const { totals, previous_totals: prev } = analytics;
+
+  // Line the previous period up day by day under the current one
+  const series = analytics.series.map((point, i) => ({
+    ...point,
+    previous_revenue: analytics.previous_series[i]?.revenue,
+    previous_tickets: analytics.previous_series[i]?.tickets,
+  }));
+
+  return (
+    <div className="venue-dashboard venue-analytics">
+      <button className="back-button" onClick={() => onNavigate("venue-manage", { venueId })}>{t("detail.back")}</button>
+      <h1>{t("analytics.title")}</h1>
+
+      <div className="analytics-range">
+        <div className="analytics-presets">
+          {PRESETS.map((days) => (
+            <button
+              key={days}
+              className={`btn btn-sm ${range.preset === days ? "btn-primary" : "btn-secondary"}`}
+              onClick={() => selectPreset(days)}
+            >
+              {t("analytics.lastDays").replace("{days}", days)}
+            </button>
+          ))}
+        </div>
+        <div className="analytics-custom">
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => e.target.value && setCustom({ from: e.target.value })}
+            style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+          />
+          <span>–</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => e.target.value && setCustom({ to: e.target.value })}
+            style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+          />
+        </div>
+        <p className="analytics-compare">
+          {t("analytics.comparedTo")
+            .replace("{from}", formatDay(analytics.previous_from))
+            .replace("{to}", formatDay(analytics.previous_to))}
+        </p>
+        {error && <div className="form-error">{error}</div>}
+      </div>
+
+      <div className="venue-stats-row">
+        <Kpi label={t("analytics.revenue")} value={formatPrice(totals.revenue)}
+          current={totals.revenue} previous={prev.revenue} format={formatPrice} />
+        <Kpi label={t("analytics.tickets")} value={totals.tickets}
+          current={totals.tickets} previous={prev.tickets} />
+        <Kpi label={t("analytics.sellThrough")} value={formatPercent(totals.sell_through)}
+          current={totals.sell_through} previous={prev.sell_through} format={formatPercent} points />
+        <Kpi label={t("analytics.noShowRate")} value={formatPercent(totals.no_show_rate)}
+          current={totals.no_show_rate} previous={prev.no_show_rate} format={formatPercent} points lowerIsBetter />
+        <Kpi label={t("analytics.newFollowers")} value={totals.new_followers}
+          current={totals.new_followers} previous={prev.new_followers} />
+      </div>
+
+      <div className="venue-dashboard-section">
+        <h2>{t("analytics.revenueOverTime")}</h2>
+        <div className="analytics-chart">
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="day" tickFormatter={formatDay} fontSize={12} />
+              <YAxis tickFormatter={(ore) => Math.round(ore / 100)} fontSize={12} width={48} />
+              <Tooltip labelFormatter={formatDay} formatter={(value, name) => [formatPrice(value), name]} />
+              <Legend />
+              <Line type="monotone" dataKey="revenue" name={t("analytics.thisPeriod")} stroke="var(--primary)" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="previous_revenue" name={t("analytics.previousPeriod")} stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="venue-dashboard-section">
+        <h2>{t("analytics.ticketsOverTime")}</h2>
+        <div className="analytics-chart">
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="day" tickFormatter={formatDay} fontSize={12} />
+              <YAxis allowDecimals={false} fontSize={12} width={36} />
+              <Tooltip labelFormatter={formatDay} />
+              <Legend />
+              <Bar dataKey="tickets" name={t("analytics.thisPeriod")} fill="var(--primary)" />
+              <Bar dataKey="previous_tickets" name={t("analytics.previousPeriod")} fill="#d1d5db" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="venue-dashboard-section">
+        <h2>{t("analytics.sellThroughByType")}</h2>
+        {analytics.sell_through.length === 0 ? (
+          <p style={{ color: "var(--text-secondary)" }}>{t("analytics.noTimeslots")}</p>
+        ) : (
+          <table className="bookings-table">
+            <thead>
+              <tr>
+                <th>{t("analytics.type")}</th>
+                <th>{t("analytics.timeslots")}</th>
+                <th>{t("analytics.soldOfCapacity")}</th>
+                <th>{t("analytics.sellThrough")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.sell_through.map((row) => (
+                <tr key={row.type}>
+                  <td>{t(`type.${row.type}`)}</td>
+                  <td>{row.timeslots}</td>
+                  <td>{row.sold} / {row.capacity}</td>
+                  <td>
+                    <div className="analytics-bar">
+                      <div className="analytics-bar-fill" style={{ width: `${Math.min(row.sell_through || 0, 100)}%` }} />
+                    </div>
+                    <div className="bookings-table-sub">{formatPercent(row.sell_through)}</div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {totals.no_shows > 0 && (
+          <p className="analytics-note">
+            {t("analytics.noShowDetail")
+              .replace("{noShows}", totals.no_shows)
+              .replace("{total}", totals.attended + totals.no_shows)}
+          </p>
+        )}
+      </div>
+
+      <div className="venue-dashboard-section">
+        <h2>{t("analytics.arrivals")}</h2>
+        {analytics.arrivals.length === 0 ? (
+          <p style={{ color: "var(--text-secondary)" }}>{t("analytics.noArrivals")}</p>
+        ) : (
+          <div className="analytics-chart">
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={analytics.arrivals}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="slot" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} width={36} />
+                <Tooltip formatter={(value) => [value, t("analytics.checkins")]} />
+                <Bar dataKey="count" fill="var(--primary)" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+
+      <div className="venue-dashboard-section">
+        <h2>{t("analytics.followers")}</h2>
+        <div className="analytics-chart">
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={analytics.series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="day" tickFormatter={formatDay} fontSize={12} />
+              <YAxis allowDecimals={false} fontSize={12} width={36} />
+              <Tooltip labelFormatter={formatDay} formatter={(value) => [value, t("analytics.followers")]} />
+              <Line type="monotone" dataKey="followers" stroke="var(--primary)" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="analytics-note">{t("analytics.followersNote")}</p>
+      </div>
+    </div>
+  );
+}
@@ -3,34 +3,115 @@ import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { formatDate } from "../utils/helpers";
 import { QRCodeSVG } from "qrcode.react";
+import { TableFloorPlan } from "../components/TableFloorPlan";
+import { OpeningHours } from "../components/OpeningHours";
+import { VenueReviews, Stars } from "../components/VenueReviews";
+import { VenueMenu, PreOrderPicker, PreOrderSummary } from "../components/VenueMenu";
 
 const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
 
+// Same limit as reserve_timeslot
+const MAX_TICKETS_PER_ORDER = 10;
+
 // ============================================================
 // PURCHASE MODAL
 // ============================================================
 
-function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }) {
+function PurchaseModal({ timeslot, venue, user, menuItems, onClose, onSuccess, onNavigate, onSwitchTimeslot }) {
   const { t, lang } = useI18n();
   const [submitting, setSubmitting] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState("");
+  const [quantity, setQuantity] = useState(1);
+  const [promoInput, setPromoInput] = useState("");
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState("");
+  const [promoChecking, setPromoChecking] = useState(false);
+  // Tables on the floor plan for this night, kept live by TableFloorPlan
+  const [planTables, setPlanTables] = useState(null);
+  // menu_item_id -> quantity, paid for together with the tickets
+  const [preOrder, setPreOrder] = useState({});
+
+  // Picking another table on the plan starts the order over
+  useEffect(() => {
+    setQuantity(1);
+    setPreOrder({});
+    setPromo(null);
+    setPromoInput("");
+    setPromoError("");
+    setError("");
+  }, [timeslot.id]);
 
   const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
-  const isFree = timeslot.price === 0;
+  const unitPrice = promo ? promo.unit_price : timeslot.price;
+  const preOrderItems = menuItems.filter((item) => item.preorder);
+  const preOrderTotal = preOrderItems.reduce((sum, item) => sum + item.price * (preOrder[item.id] || 0), 0);
+  const spotsLeft = timeslot.active_tier?.spots_left ?? timeslot.spots_left ?? timeslot.capacity - (timeslot.booked_count || 0);
+  const maxQuantity = Math.max(1, Math.min(MAX_TICKETS_PER_ORDER, spotsLeft));
+  const nextTier = timeslot.tiers?.find((tier) => tier.state === "queued" || tier.state === "upcoming");
+  const total = unitPrice * quantity + preOrderTotal;
+  const isFree = total === 0;
+  const planTable = planTables?.find((table) => table.timeslots.some((s) => s.id === timeslot.id));
+  const planSlot = planTable?.timeslots.find((s) => s.id === timeslot.id);
+  // Someone else got the table while this modal was open
+  const takenLive = planSlot && planSlot.spots_left <= 0 && !planSlot.mine && !result;
+
+  const describeError = (data) => {
+    if (data.code === "too_young") return t("booking.tooYoung").replace("{age}", data.min_age);
+    if (data.code === "already_booked") return t("booking.alreadyBooked");
+    if (data.code === "banned") return t("ban.cannotBook");
+    if (data.code === "sold_out") return data.spots_left > 0
+      ? t("booking.onlySpotsLeft").replace("{count}", data.spots_left)
+      : t("timeslot.soldOut");
+    if (data.code === "tier_spots_left") return t("tier.onlyLeft").replace("{count}", data.spots_left).replace("{tier}", data.tier_name);
+    if (data.code === "sales_not_started") return t("tier.salesNotStarted");
+    if (data.code === "invalid_quantity") return t("booking.invalidQuantity").replace("{max}", data.max_quantity);
+    if (data.code === "invalid_preorder") return t("menu.error.invalid_preorder");
+    if (data.code === "preorder_too_young") return t("menu.error.preorder_too_young").replace("{age}", data.min_age);
+    if (data.code === "promo_wrong_type") return t("promo.wrongType").replace("{type}", t(`type.${data.timeslot_type}`));
+    if (data.code?.startsWith("promo_")) return t(`promo.error.${data.code.slice(6)}`);
+    return null;
+  };
+
+  // Preview only — reserve_timeslot checks the code again when buying
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+    setPromoChecking(true);
+    setPromoError("");
+    const { data, error: err } = await supabase.rpc("validate_promo_code", { p_timeslot_id: timeslot.id, p_code: promoInput });
+    setPromoChecking(false);
+    if (err) { setPromoError(err.message); return; }
+    if (data.status === "error") {
+      setPromo(null);
+      setPromoError(describeError(data) || data.code);
+      return;
+    }
+    setPromo(data);
+  };
+
+  const handleRemovePromo = () => {
+    setPromo(null);
+    setPromoInput("");
+    setPromoError("");
+  };
 
   const handlePurchase = async () => {
     setSubmitting(true);
     setError("");
+    const items = Object.entries(preOrder).map(([id, qty]) => ({ menu_item_id: Number(id), quantity: qty }));
 
     if (isFree) {
       // Free ticket — use RPC directly
-      const { data, error: err } = await supabase.rpc("reserve_timeslot", { p_timeslot_id: timeslot.id });
+      const { data, error: err } = await supabase.rpc("reserve_timeslot", {
+        p_timeslot_id: timeslot.id,
+        p_quantity: quantity,
+        p_promo_code: promo?.code || null,
+        p_items: items.length > 0 ? items : null,
+      });
       setSubmitting(false);
       if (err) { setError(err.message); return; }
       if (data.status === "error") {
-        if (data.code === "too_young") { setError(t("booking.tooYoung").replace("{age}", data.min_age)); return; }
-        setError(data.code === "already_booked" ? t("booking.alreadyBooked") : data.code === "sold_out" ? t("timeslot.soldOut") : data.code);
+        setError(describeError(data) || data.code);
         return;
       }
       setResult(data);
@@ -46,15 +127,17 @@ function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }
             "Authorization": `Bearer ${session.access_token}`,
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({ timeslot_id: timeslot.id }),
+          body: JSON.stringify({
+            timeslot_id: timeslot.id, quantity, promo_code: promo?.code || null,
+            items: items.length > 0 ? items : null,
+          }),
         });
 
         const data = await res.json();
         setSubmitting(false);
 
         if (!res.ok || data.status === "error") {
-          if (data.code === "too_young") { setError(t("booking.tooYoung").replace("{age}", data.min_age)); return; }
-          setError(data.code === "already_booked" ? t("booking.alreadyBooked") : data.code === "sold_out" ? t("timeslot.soldOut") : data.error || data.code || "Error");
+          setError(describeError(data) || data.error || data.code || "Error");
           return;
         }
 
@@ -73,7 +156,7 @@ function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }
     }
   };
 
-  const qrValue = result ? `${window.location.origin}/venue/${venue.id}/scan?token=${result.qr_token}` : "";
+  const qrTokens = result ? (result.qr_tokens || [result.qr_token]) : [];
 
   return (
     <div className="purchase-modal-overlay" onClick={onClose}>
@@ -83,18 +166,22 @@ function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }
         {result ? (
           <div className="purchase-modal-success">
             <h3>{t("booking.success")}</h3>
-            <p>{t("booking.yourTicket")}</p>
+            <p>{qrTokens.length > 1 ? t("booking.yourTickets").replace("{count}", qrTokens.length) : t("booking.yourTicket")}</p>
             <div className="booking-ticket">
               <div className="booking-ticket-details">
                 <p><strong>{venue.name}</strong></p>
                 <p>{formatDate(timeslot.date, lang)}</p>
                 <p>{timeslot.start_time?.slice(0, 5)} – {timeslot.end_time?.slice(0, 5)}</p>
-                <p>{formatPrice(timeslot.price)}</p>
-              </div>
-              <div className="booking-ticket-qr">
-                <QRCodeSVG value={qrValue} size={180} />
+                <p>{formatPrice(result.amount ?? timeslot.price * qrTokens.length)}</p>
+                <PreOrderSummary items={result.items} />
               </div>
+              {qrTokens.map((token) => (
+                <div key={token} className="booking-ticket-qr">
+                  <QRCodeSVG value={`${window.location.origin}/venue/${venue.id}/scan?token=${token}`} size={180} />
+                </div>
+              ))}
             </div>
+            {qrTokens.length > 1 && <p className="purchase-modal-hint">{t("booking.assignHint")}</p>}
             <button className="btn btn-primary" style={{ marginTop: 16 }} onClick={onSuccess}>OK</button>
           </div>
         ) : (
@@ -104,11 +191,79 @@ function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }
               <p><strong>{venue.name}</strong></p>
               {timeslot.type && <p><span className={`type-badge type-${timeslot.type}`}>{t(`type.${timeslot.type}`)}</span></p>}
               {timeslot.type === "table" && timeslot.label && <p><strong>{timeslot.label}</strong></p>}
+              {planTable && (
+                <p>
+                  {t("floorPlan.seatsCount").replace("{n}", planTable.seats)}
+                  {planTable.min_spend > 0 && ` · ${t("floorPlan.minSpend").replace("{price}", formatPrice(planTable.min_spend))}`}
+                </p>
+              )}
               <p>{formatDate(timeslot.date, lang)}</p>
               <p>{timeslot.start_time?.slice(0, 5)} – {timeslot.end_time?.slice(0, 5)}</p>
               {timeslot.description && <p>{timeslot.description}</p>}
-              <p className="price-line">{formatPrice(timeslot.price)}</p>
+              <p className="price-line">
+                {timeslot.active_tier && <span className="price-tier-name">{timeslot.active_tier.name}</span>}
+                {promo && <span className="price-line-old">{formatPrice(timeslot.price)}</span>}
+                {formatPrice(unitPrice)}
+              </p>
+              {timeslot.active_tier && nextTier && (
+                <p className="price-tier-next">
+                  {t("tier.next").replace("{tier}", nextTier.name).replace("{price}", formatPrice(nextTier.price))}
+                </p>
+              )}
             </div>
+            {timeslot.type === "table" && (
+              <TableFloorPlan
+                venueId={venue.id}
+                date={timeslot.date}
+                selectedTimeslotId={timeslot.id}
+                onSelect={onSwitchTimeslot}
+                onLoad={setPlanTables}
+              />
+            )}
+            {takenLive && <div className="form-error">{t("floorPlan.justBooked")}</div>}
+            {maxQuantity > 1 && (
+              <div className="quantity-picker">
+                <span>{t("booking.quantity")}</span>
+                <div className="quantity-picker-controls">
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setQuantity(quantity - 1)} disabled={quantity <= 1 || submitting}>−</button>
+                  <span className="quantity-picker-value">{quantity}</span>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setQuantity(quantity + 1)} disabled={quantity >= maxQuantity || submitting}>+</button>
+                </div>
+              </div>
+            )}
+            {preOrderItems.length > 0 && (
+              <PreOrderPicker items={preOrderItems} selection={preOrder} onChange={setPreOrder} disabled={submitting} />
+            )}
+            {timeslot.price > 0 && (
+              <div className="promo-code">
+                {promo ? (
+                  <div className="promo-code-applied">
+                    <span>
+                      {t("promo.applied").replace("{code}", promo.code)}
+                      {" "}(−{formatPrice(promo.unit_discount * quantity)})
+                    </span>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={handleRemovePromo} disabled={submitting}>
+                      {t("promo.remove")}
+                    </button>
+                  </div>
+                ) : (
+                  <div className="promo-code-entry">
+                    <input
+                      type="text"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                      onKeyDown={(e) => e.key === "Enter" && handleApplyPromo()}
+                      placeholder={t("promo.placeholder")}
+                      maxLength={32}
+                    />
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={handleApplyPromo} disabled={promoChecking || !promoInput.trim()}>
+                      {promoChecking ? t("loading") : t("promo.apply")}
+                    </button>
+                  </div>
+                )}
+                {promoError && <div className="form-error">{promoError}</div>}
+              </div>
+            )}
             {venue.min_age && (
               <div className="age-notice">
                 {t("booking.ageRequired").replace("{age}", venue.min_age)}
@@ -119,11 +274,11 @@ function PurchaseModal({ timeslot, venue, user, onClose, onSuccess, onNavigate }
               className={isFree ? "btn btn-primary" : "vipps-btn"}
               style={{ width: "100%" }}
               onClick={handlePurchase}
-              disabled={submitting}
+              disabled={submitting || takenLive}
             >
               {submitting ? t("loading") : isFree
-                ? `${t("booking.confirm")} — ${formatPrice(timeslot.price)}`
-                : `${t("booking.payWithVipps")} — ${formatPrice(timeslot.price)}`
+                ? `${t("booking.confirm")} — ${formatPrice(total)}`
+                : `${t("booking.payWithVipps")} — ${formatPrice(total)}`
               }
             </button>
           </>
@@ -146,6 +301,7 @@ export function VenueDetailPage({ venueId, user, onNavigate }) {
   const [isFollowing, setIsFollowing] = useState(false);
   const [followerCount, setFollowerCount] = useState(0);
   const [followLoading, setFollowLoading] = useState(false);
+  const [menuItems, setMenuItems] = useState([]);
 
   const loadVenue = useCallback(() => {
     supabase.rpc("get_venue_detail", { p_venue_id: venueId }).then(({ data }) => {
@@ -181,6 +337,12 @@ export function VenueDetailPage({ venueId, user, onNavigate }) {
 
   useEffect(() => { loadVenue(); }, [loadVenue]);
 
+  useEffect(() => {
+    supabase.from("venue_menu_items").select("*").eq("venue_id", venueId).eq("active", true)
+      .order("category").order("name")
+      .then(({ data }) => setMenuItems(data || []));
+  }, [venueId]);
+
   if (loading) return <div className="loading">{t("loading")}</div>;
   if (!venue) return <div className="container"><p>{t("detail.notFound")}</p></div>;
 
@@ -196,25 +358,32 @@ export function VenueDetailPage({ venueId, user, onNavigate }) {
   const queueSlots = dateTimeslots.filter((ts) => ts.type === "queue" || !ts.type);
 
   const renderTimeslotCard = (ts) => {
-    const spotsLeft = ts.capacity - (ts.booked_count || 0);
-    const isSoldOut = spotsLeft <= 0;
+    const spotsLeft = ts.spots_left ?? ts.capacity - (ts.booked_count || 0);
+    // A tiered timeslot between tiers isn't on sale yet
+    const upcomingTier = ts.tiers?.length > 0 && !ts.active_tier && ts.tiers.find((tier) => tier.state === "upcoming");
+    const isSoldOut = spotsLeft <= 0 || (ts.tiers?.length > 0 && !ts.active_tier && !upcomingTier);
     const hasBooking = ts.my_booking && ts.my_booking.id;
     return (
       <div key={ts.id} className={`timeslot-card-v2 ${isSoldOut ? "sold-out" : ""} ${hasBooking ? "booked" : ""}`}
         onClick={() => {
-          if (hasBooking || isSoldOut) return;
+          if (hasBooking || isSoldOut || upcomingTier) return;
           if (!user) return onNavigate("login");
           setPurchaseTimeslot(ts);
         }}
-        style={{ cursor: hasBooking || isSoldOut ? "default" : "pointer" }}
+        style={{ cursor: hasBooking || isSoldOut || upcomingTier ? "default" : "pointer" }}
       >
         {ts.type === "table" && ts.label && <div className="timeslot-card-label">{ts.label}</div>}
         <div className="timeslot-card-time">{ts.start_time?.slice(0, 5)} – {ts.end_time?.slice(0, 5)}</div>
         {ts.description && <div className="timeslot-card-desc">{ts.description}</div>}
         <div className="timeslot-card-footer">
-          <span className="timeslot-card-price">{formatPrice(ts.price)}</span>
+          <span className="timeslot-card-price">
+            {ts.active_tier && <span className="price-tier-name">{ts.active_tier.name}</span>}
+            {formatPrice(upcomingTier ? upcomingTier.price : ts.price)}
+          </span>
           <span className={`timeslot-card-spots ${isSoldOut ? "sold-out" : ""}`}>
-            {hasBooking ? t("booking.alreadyBooked") : isSoldOut ? t("timeslot.soldOut") : `${spotsLeft} ${t("timeslot.spotsLeft")}`}
+            {hasBooking ? t("booking.alreadyBooked") : isSoldOut ? t("timeslot.soldOut")
+              : upcomingTier ? t("tier.salesStart").replace("{date}", new Date(upcomingTier.sale_starts_at).toLocaleString(lang === "no" ? "nb-NO" : "en-US", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" }))
+              : `${spotsLeft} ${t("timeslot.spotsLeft")}`}
           </span>
         </div>
       </div>
@@ -249,9 +418,15 @@ export function VenueDetailPage({ venueId, user, onNavigate }) {
           {venue.verified && <span className="venue-badge verified">{t("venue.verified")}</span>}
           {venue.min_age && <span className="age-badge">{venue.min_age}+</span>}
         </h1>
+        {venue.rating_count > 0 && (
+          <div className="venue-rating">
+            <Stars rating={venue.rating_avg} /> {Number(venue.rating_avg).toFixed(1)}
+            <span className="bookings-table-sub"> ({venue.rating_count})</span>
+          </div>
+        )}
         <div className="venue-detail-meta">
           <span>📍 {venue.address}</span>
-          {venue.opening_hours && <span>🕐 {venue.opening_hours}</span>}
+          <OpeningHours venueId={venue.id} fallbackText={venue.opening_hours} />
           {venue.contact_email && <span>✉️ {venue.contact_email}</span>}
           {venue.contact_phone && <span>📞 {venue.contact_phone}</span>}
         </div>
@@ -338,14 +513,23 @@ export function VenueDetailPage({ venueId, user, onNavigate }) {
         <p style={{ color: "var(--text-secondary)" }}>{t("venue.noTimeslots")}</p>
       )}
 
+      <VenueMenu items={menuItems} />
+
+      <VenueReviews venueId={venue.id} user={user} onNavigate={onNavigate} onRatingChange={loadVenue} />
+
       {purchaseTimeslot && (
         <PurchaseModal
           timeslot={purchaseTimeslot}
           venue={venue}
           user={user}
+          menuItems={menuItems}
           onClose={() => setPurchaseTimeslot(null)}
           onSuccess={() => { setPurchaseTimeslot(null); loadVenue(); }}
           onNavigate={onNavigate}
+          onSwitchTimeslot={(id) => {
+            const ts = venue.timeslots.find((x) => x.id === id);
+            if (ts) setPurchaseTimeslot(ts);
+          }}
         />
       )}
     </div>
@@ -2,6 +2,17 @@ import React, { useState, useEffect, useCallback } from "react";
 import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { formatDate, generateSlots } from "../utils/helpers";
+import { oreToKroner } from "../utils/csv";
+import { SettlementStatement } from "../components/SettlementStatement";
+import { TimeslotTemplates } from "../components/TimeslotTemplates";
+import { FloorPlanEditor } from "../components/FloorPlanEditor";
+import { OpeningHoursEditor } from "../components/OpeningHoursEditor";
+import { VenueMenuEditor } from "../components/VenueMenuEditor";
+import { PreOrderSummary } from "../components/VenueMenu";
+import { timeslotFitsHours } from "../utils/openingHours";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, CartesianGrid } from "recharts";
+
+const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
 
 export function VenueManagePage({ venueId, user, onNavigate }) {
   const { t, lang } = useI18n();
@@ -15,20 +26,45 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
   const [ticketForm, setTicketForm] = useState({
     date: "", start_time: "", end_time: "", price: "", capacity: "100", description: "",
   });
+  // Empty means one price for the whole timeslot
+  const [ticketTiers, setTicketTiers] = useState([]);
   const [tableForm, setTableForm] = useState({
     date: "", start_time: "", end_time: "", price: "", capacity: "1", label: "", description: "",
   });
+  // Labels on the floor plan, offered in the table form
+  const [planTableLabels, setPlanTableLabels] = useState([]);
   const [tsSubmitting, setTsSubmitting] = useState(false);
+  const [tsError, setTsError] = useState("");
+  const [openingHours, setOpeningHours] = useState({ hours: [], exceptions: [] });
   const [staffEmail, setStaffEmail] = useState("");
   const [staffRole, setStaffRole] = useState("bouncer");
   const [staffError, setStaffError] = useState("");
   const [minAge, setMinAge] = useState("");
+  const [captureMode, setCaptureMode] = useState("purchase");
+  const [paymentBusyId, setPaymentBusyId] = useState(null);
+  const [transferInfo, setTransferInfo] = useState(null);
+  const [occupancy, setOccupancy] = useState(null);
+  const [occupancyNight, setOccupancyNight] = useState("");
+  const [maxOccupancy, setMaxOccupancy] = useState("");
+  const [safety, setSafety] = useState(null);
+  const [banForm, setBanForm] = useState({ email: "", reason: "", days: "90" });
+  const [banTarget, setBanTarget] = useState(null);
+  const [banError, setBanError] = useState("");
+  const [settlements, setSettlements] = useState(null);
+  // { id } of the statement being viewed; id null is the open period
+  const [viewedStatement, setViewedStatement] = useState(null);
+  const [promoForm, setPromoForm] = useState({
+    code: "", discount_type: "percent", discount_value: "", timeslot_type: "",
+    max_uses: "", max_uses_per_user: "1", valid_from: "", valid_until: "",
+  });
+  const [promoError, setPromoError] = useState("");
 
   const loadDashboard = useCallback(() => {
     supabase.rpc("get_venue_dashboard", { p_venue_id: venueId }).then(({ data }) => {
       setDashboard(data);
       if (data && data.venue) {
         setMinAge(data.venue.min_age != null ? String(data.venue.min_age) : "");
+        setCaptureMode(data.venue.capture_mode || "purchase");
       }
       setLoading(false);
     });
@@ -36,18 +72,96 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
 
   useEffect(() => { loadDashboard(); }, [loadDashboard]);
 
+  useEffect(() => {
+    supabase.rpc("get_venue_transfers", { p_venue_id: venueId }).then(({ data }) => {
+      if (data?.status === "success") setTransferInfo(data);
+    });
+  }, [venueId]);
+
+  const updateTransferRules = async (changes) => {
+    const previous = transferInfo;
+    setTransferInfo({ ...transferInfo, ...changes });
+    // Only the owner may update the venue; for anyone else RLS matches no rows
+    const { data, error } = await supabase.from("venues").update(changes).eq("id", venueId).select("id");
+    if (error || !data?.length) {
+      setTransferInfo(previous);
+      alert(t("venue.saveFailed"));
+    }
+  };
+
+  const loadOccupancy = useCallback(() => {
+    supabase.rpc("get_venue_occupancy", { p_venue_id: venueId, p_night: occupancyNight || null }).then(({ data }) => {
+      if (data?.status === "success") {
+        setOccupancy(data);
+        setMaxOccupancy(data.max_occupancy != null ? String(data.max_occupancy) : "");
+      }
+    });
+  }, [venueId, occupancyNight]);
+
+  useEffect(() => { loadOccupancy(); }, [loadOccupancy]);
+
+  const loadSafety = useCallback(() => {
+    supabase.rpc("get_venue_safety", { p_venue_id: venueId }).then(({ data }) => {
+      if (data?.status === "success") setSafety(data);
+    });
+  }, [venueId]);
+
+  useEffect(() => { loadSafety(); }, [loadSafety]);
+
+  const loadSettlements = useCallback(() => {
+    supabase.rpc("get_venue_settlements", { p_venue_id: venueId }).then(({ data }) => {
+      if (data?.status === "success") setSettlements(data);
+    });
+  }, [venueId]);
+
+  useEffect(() => { loadSettlements(); }, [loadSettlements]);
+
+  const updatePayoutPeriod = async (period) => {
+    const previous = settlements;
+    setSettlements({ ...settlements, payout_period: period });
+    const { data, error } = await supabase.from("venues").update({ payout_period: period }).eq("id", venueId).select("id");
+    if (error || !data?.length) {
+      setSettlements(previous);
+      alert(t("venue.saveFailed"));
+      return;
+    }
+    loadSettlements();
+  };
+
+  const updateOccupancyLimits = async (changes) => {
+    const { data, error } = await supabase.from("venues").update(changes).eq("id", venueId).select("id");
+    if (error || !data?.length) alert(t("venue.saveFailed"));
+    // Reloading puts the saved limits back into the form either way
+    loadOccupancy();
+  };
+
   if (loading) return <div className="loading">{t("loading")}</div>;
   if (!dashboard || dashboard.status === "error") {
     return <div className="container"><p>{t("scanner.notStaff")}</p></div>;
   }
 
   const formatPrice = (ore) => ore === 0 ? "Gratis" : `${(ore / 100).toFixed(0)} kr`;
+  const formatClock = (ms) => new Date(ms).toLocaleTimeString(lang === "no" ? "nb-NO" : "en-US", { hour: "2-digit", minute: "2-digit" });
 
   const previewSlots = generateSlots(tsForm.from_time, tsForm.to_time, parseInt(tsForm.slot_duration) || 15);
 
+  // Same check as the insert trigger, but names the slot that doesn't fit
+  const checkOpeningHours = (date, slots) => {
+    const outside = slots.find((slot) => !timeslotFitsHours(openingHours.hours, openingHours.exceptions, date, slot.start, slot.end));
+    if (outside) {
+      setTsError(t("hours.outsideHours").replace("{date}", formatDate(date, lang)).replace("{time}", `${outside.start}–${outside.end}`));
+      return false;
+    }
+    setTsError("");
+    return true;
+  };
+
+  const describeInsertError = (error) => error.message === "outside_opening_hours" ? t("hours.outsideHoursGeneric") : error.message;
+
   const handleCreateQueueSlots = async (e) => {
     e.preventDefault();
     if (!tsForm.date || !tsForm.from_time || !tsForm.to_time || previewSlots.length === 0) return;
+    if (!checkOpeningHours(tsForm.date, previewSlots)) return;
     setTsSubmitting(true);
     const priceOre = Math.round((parseFloat(tsForm.price) || 0) * 100);
     const rows = previewSlots.map((slot) => ({
@@ -60,7 +174,8 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
       description: tsForm.description,
       type: "queue",
     }));
-    await supabase.from("timeslots").insert(rows);
+    const { error } = await supabase.from("timeslots").insert(rows);
+    if (error) { setTsError(describeInsertError(error)); setTsSubmitting(false); return; }
     setTsForm({ date: "", from_time: "", to_time: "", slot_duration: "15", price: "", capacity: "10", description: "" });
     setTsSubmitting(false);
     loadDashboard();
@@ -69,19 +184,42 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
   const handleCreateTicket = async (e) => {
     e.preventDefault();
     if (!ticketForm.date || !ticketForm.start_time || !ticketForm.end_time) return;
+    if (!checkOpeningHours(ticketForm.date, [{ start: ticketForm.start_time, end: ticketForm.end_time }])) return;
     setTsSubmitting(true);
-    const priceOre = Math.round((parseFloat(ticketForm.price) || 0) * 100);
-    await supabase.from("timeslots").insert({
-      venue_id: venueId,
-      date: ticketForm.date,
-      start_time: ticketForm.start_time,
-      end_time: ticketForm.end_time,
-      price: priceOre,
-      capacity: parseInt(ticketForm.capacity) || 100,
-      description: ticketForm.description,
-      type: "ticket",
-    });
+    const tiers = ticketTiers
+      .filter((tier) => tier.name && parseInt(tier.capacity) > 0)
+      .map((tier, i) => ({
+        name: tier.name,
+        price: Math.round((parseFloat(tier.price) || 0) * 100),
+        capacity: parseInt(tier.capacity),
+        sort_order: i,
+        sale_starts_at: tier.sale_starts_at ? new Date(tier.sale_starts_at).toISOString() : null,
+        sale_ends_at: tier.sale_ends_at ? new Date(tier.sale_ends_at).toISOString() : null,
+      }));
+    // With tiers, the timeslot and its tiers are created together in one RPC
+    const { data: created, error } = tiers.length > 0
+      ? await supabase.rpc("create_tiered_timeslot", {
+        p_venue_id: venueId,
+        p_date: ticketForm.date,
+        p_start_time: ticketForm.start_time,
+        p_end_time: ticketForm.end_time,
+        p_description: ticketForm.description,
+        p_tiers: tiers,
+      })
+      : await supabase.from("timeslots").insert({
+        venue_id: venueId,
+        date: ticketForm.date,
+        start_time: ticketForm.start_time,
+        end_time: ticketForm.end_time,
+        price: Math.round((parseFloat(ticketForm.price) || 0) * 100),
+        capacity: parseInt(ticketForm.capacity) || 100,
+        description: ticketForm.description,
+        type: "ticket",
+      });
+    if (error) { setTsError(describeInsertError(error)); setTsSubmitting(false); return; }
+    if (created?.status === "error") { setTsError(t("tier.error.failed")); setTsSubmitting(false); return; }
     setTicketForm({ date: "", start_time: "", end_time: "", price: "", capacity: "100", description: "" });
+    setTicketTiers([]);
     setTsSubmitting(false);
     loadDashboard();
   };
@@ -89,9 +227,10 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
   const handleCreateTable = async (e) => {
     e.preventDefault();
     if (!tableForm.date || !tableForm.start_time || !tableForm.end_time || !tableForm.label) return;
+    if (!checkOpeningHours(tableForm.date, [{ start: tableForm.start_time, end: tableForm.end_time }])) return;
     setTsSubmitting(true);
     const priceOre = Math.round((parseFloat(tableForm.price) || 0) * 100);
-    await supabase.from("timeslots").insert({
+    const { error } = await supabase.from("timeslots").insert({
       venue_id: venueId,
       date: tableForm.date,
       start_time: tableForm.start_time,
@@ -102,6 +241,7 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
       type: "table",
       label: tableForm.label,
     });
+    if (error) { setTsError(describeInsertError(error)); setTsSubmitting(false); return; }
     setTableForm({ date: "", start_time: "", end_time: "", price: "", capacity: "1", label: "", description: "" });
     setTsSubmitting(false);
     loadDashboard();
@@ -128,6 +268,105 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
     loadDashboard();
   };
 
+  const handleCreatePromo = async (e) => {
+    e.preventDefault();
+    setPromoError("");
+    const value = parseFloat(promoForm.discount_value);
+    if (!promoForm.code || !value) return;
+    const { error } = await supabase.from("promo_codes").insert({
+      venue_id: venueId,
+      code: promoForm.code.trim().toUpperCase(),
+      discount_type: promoForm.discount_type,
+      // Fixed discounts are entered in kroner and stored in øre
+      discount_value: promoForm.discount_type === "fixed" ? Math.round(value * 100) : Math.round(value),
+      timeslot_type: promoForm.timeslot_type || null,
+      max_uses: parseInt(promoForm.max_uses) || null,
+      max_uses_per_user: parseInt(promoForm.max_uses_per_user) || null,
+      valid_from: promoForm.valid_from ? new Date(promoForm.valid_from).toISOString() : null,
+      valid_until: promoForm.valid_until ? new Date(promoForm.valid_until).toISOString() : null,
+    });
+    if (error) {
+      setPromoError(error.code === "23505" ? t("promo.duplicate") : t("promo.invalid"));
+      return;
+    }
+    setPromoForm({
+      code: "", discount_type: "percent", discount_value: "", timeslot_type: "",
+      max_uses: "", max_uses_per_user: "1", valid_from: "", valid_until: "",
+    });
+    loadDashboard();
+  };
+
+  const handleTogglePromo = async (promo) => {
+    await supabase.from("promo_codes").update({ active: !promo.active }).eq("id", promo.id);
+    loadDashboard();
+  };
+
+  // A ban from the incident log already knows the guest; otherwise
+  // they are looked up by email like new staff
+  const handleBan = async (e) => {
+    e.preventDefault();
+    setBanError("");
+    if (!banForm.reason.trim()) return;
+    let userId = banTarget?.user_id;
+    if (!userId) {
+      if (!banForm.email) return;
+      const { data: profiles } = await supabase.from("profiles").select("id").eq("email", banForm.email.trim()).limit(1);
+      if (!profiles || profiles.length === 0) { setBanError(t("admin.notFound")); return; }
+      userId = profiles[0].id;
+    }
+    const days = parseInt(banForm.days);
+    const { error } = await supabase.from("venue_bans").insert({
+      venue_id: venueId,
+      user_id: userId,
+      reason: banForm.reason.trim(),
+      expires_at: days ? new Date(Date.now() + days * 86400000).toISOString() : null,
+      incident_id: banTarget?.incident_id || null,
+      created_by: user.id,
+    });
+    if (error) { setBanError(error.message); return; }
+    setBanForm({ email: "", reason: "", days: "90" });
+    setBanTarget(null);
+    loadSafety();
+  };
+
+  const handleLiftBan = async (banId) => {
+    await supabase.from("venue_bans").update({ lifted_at: new Date().toISOString(), lifted_by: user.id }).eq("id", banId);
+    loadSafety();
+  };
+
+  const callPayment = async (action, body) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) return;
+    const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=${action}`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${session.access_token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) alert(t("payment.actionFailed"));
+  };
+
+  const handleCapture = async (booking) => {
+    setPaymentBusyId(booking.id);
+    await callPayment("capture", { booking_id: booking.id });
+    setPaymentBusyId(null);
+    loadDashboard();
+  };
+
+  const handlePartialRefund = async (booking) => {
+    const refundable = booking.captured_amount - booking.refunded_amount;
+    const input = prompt(t("payment.refundPrompt").replace("{max}", refundable / 100));
+    if (!input) return;
+    const amountOre = Math.round(parseFloat(input.replace(",", ".")) * 100);
+    if (!amountOre || amountOre <= 0 || amountOre > refundable) { alert(t("payment.invalidAmount")); return; }
+    setPaymentBusyId(booking.id);
+    await callPayment("refund", { booking_id: booking.id, amount: amountOre });
+    setPaymentBusyId(null);
+    loadDashboard();
+  };
+
   return (
     <div className="venue-dashboard">
       <button className="back-button" onClick={() => onNavigate("venue-detail", { venueId })}>{t("detail.back")}</button>
@@ -138,6 +377,18 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
           <div className="venue-stat-value">{formatPrice(dashboard.stats.total_revenue)}</div>
           <div className="venue-stat-label">Total revenue</div>
         </div>
+        {dashboard.stats.pending_capture > 0 && (
+          <div className="venue-stat">
+            <div className="venue-stat-value">{formatPrice(dashboard.stats.pending_capture)}</div>
+            <div className="venue-stat-label">{t("payment.pendingCapture")}</div>
+          </div>
+        )}
+        {dashboard.stats.total_discount > 0 && (
+          <div className="venue-stat">
+            <div className="venue-stat-value">{formatPrice(dashboard.stats.total_discount)}</div>
+            <div className="venue-stat-label">{t("promo.totalDiscount")}</div>
+          </div>
+        )}
         <div className="venue-stat">
           <div className="venue-stat-value">{dashboard.stats.bookings_today}</div>
           <div className="venue-stat-label">Bookings today</div>
@@ -148,6 +399,8 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
         </div>
       </div>
 
+      <OpeningHoursEditor venueId={venueId} onChange={setOpeningHours} />
+
       <div className="venue-dashboard-section">
         <h2>{t("timeslot.create")}</h2>
 
@@ -163,6 +416,8 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
           </button>
         </div>
 
+        {tsError && <div className="form-error">{tsError}</div>}
+
         {activeCreateTab === "queue" && (
           <form className="timeslot-form" onSubmit={handleCreateQueueSlots}>
             <div className="form-row">
@@ -236,10 +491,12 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
                 <label>{t("timeslot.date")} *</label>
                 <input type="date" value={ticketForm.date} onChange={(e) => setTicketForm({ ...ticketForm, date: e.target.value })} />
               </div>
-              <div className="form-group">
-                <label>{t("timeslot.capacity")}</label>
-                <input type="number" value={ticketForm.capacity} onChange={(e) => setTicketForm({ ...ticketForm, capacity: e.target.value })} />
-              </div>
+              {ticketTiers.length === 0 && (
+                <div className="form-group">
+                  <label>{t("timeslot.capacity")}</label>
+                  <input type="number" value={ticketForm.capacity} onChange={(e) => setTicketForm({ ...ticketForm, capacity: e.target.value })} />
+                </div>
+              )}
             </div>
             <div className="form-row">
               <div className="form-group">
@@ -251,9 +508,55 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
                 <input type="time" value={ticketForm.end_time} onChange={(e) => setTicketForm({ ...ticketForm, end_time: e.target.value })} />
               </div>
             </div>
-            <div className="form-group">
-              <label>{t("timeslot.priceKr")}</label>
-              <input type="number" value={ticketForm.price} onChange={(e) => setTicketForm({ ...ticketForm, price: e.target.value })} placeholder="0" step="1" min="0" />
+            {ticketTiers.length === 0 && (
+              <div className="form-group">
+                <label>{t("timeslot.priceKr")}</label>
+                <input type="number" value={ticketForm.price} onChange={(e) => setTicketForm({ ...ticketForm, price: e.target.value })} placeholder="0" step="1" min="0" />
+              </div>
+            )}
+            <div className="price-tiers">
+              {ticketTiers.map((tier, i) => {
+                const setTier = (changes) => setTicketTiers(ticketTiers.map((x, j) => (j === i ? { ...x, ...changes } : x)));
+                return (
+                  <div key={i} className="price-tier-row">
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>{t("tier.name")} *</label>
+                        <input type="text" value={tier.name} onChange={(e) => setTier({ name: e.target.value })} placeholder={t("tier.namePlaceholder")} />
+                      </div>
+                      <div className="form-group">
+                        <label>{t("timeslot.priceKr")}</label>
+                        <input type="number" value={tier.price} onChange={(e) => setTier({ price: e.target.value })} placeholder="0" step="1" min="0" />
+                      </div>
+                      <div className="form-group">
+                        <label>{t("timeslot.capacity")} *</label>
+                        <input type="number" value={tier.capacity} onChange={(e) => setTier({ capacity: e.target.value })} min="1" />
+                      </div>
+                    </div>
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>{t("tier.saleStarts")}</label>
+                        <input type="datetime-local" value={tier.sale_starts_at} onChange={(e) => setTier({ sale_starts_at: e.target.value })} />
+                      </div>
+                      <div className="form-group">
+                        <label>{t("tier.saleEnds")}</label>
+                        <input type="datetime-local" value={tier.sale_ends_at} onChange={(e) => setTier({ sale_ends_at: e.target.value })} />
+                      </div>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => setTicketTiers(ticketTiers.filter((_, j) => j !== i))}>
+                        {t("tier.remove")}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => setTicketTiers([...ticketTiers, { name: "", price: "", capacity: "", sale_starts_at: "", sale_ends_at: "" }])}
+              >
+                + {t("tier.add")}
+              </button>
+              {ticketTiers.length > 0 && <p className="price-tiers-hint">{t("tier.hint")}</p>}
             </div>
             <div className="form-group">
               <label>{t("timeslot.description")}</label>
@@ -269,7 +572,10 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
           <form className="timeslot-form" onSubmit={handleCreateTable}>
             <div className="form-group">
               <label>{t("table.label")} *</label>
-              <input type="text" value={tableForm.label} onChange={(e) => setTableForm({ ...tableForm, label: e.target.value })} placeholder={t("table.labelPlaceholder")} />
+              <input type="text" list="floor-plan-labels" value={tableForm.label} onChange={(e) => setTableForm({ ...tableForm, label: e.target.value })} placeholder={t("table.labelPlaceholder")} />
+              <datalist id="floor-plan-labels">
+                {planTableLabels.map((label) => <option key={label} value={label} />)}
+              </datalist>
             </div>
             <div className="form-row">
               <div className="form-group">
@@ -306,6 +612,12 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
         )}
       </div>
 
+      <TimeslotTemplates venueId={venueId} onChange={loadDashboard} />
+
+      <FloorPlanEditor venueId={venueId} onChange={(tables) => setPlanTableLabels(tables.map((tb) => tb.label))} />
+
+      <VenueMenuEditor venueId={venueId} />
+
       <div className="venue-dashboard-section">
         <h2>Timeslots</h2>
         {dashboard.timeslots && dashboard.timeslots.length > 0 ? (
@@ -329,21 +641,53 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
                 </div>
               </div>
               {ts.description && <p style={{ color: "var(--text-secondary)", marginBottom: 8 }}>{ts.description}</p>}
+              {ts.tiers?.length > 0 && (
+                <div className="price-tier-list">
+                  {ts.tiers.map((tier) => (
+                    <span key={tier.id} className={`price-tier-chip ${tier.state}`}>
+                      {tier.name} · {formatPrice(tier.price)} · {tier.sold}/{tier.capacity} · {t(`tier.state.${tier.state}`)}
+                    </span>
+                  ))}
+                </div>
+              )}
               {ts.bookings && ts.bookings.length > 0 && (
                 <table className="bookings-table">
                   <thead>
-                    <tr><th>{t("scanner.guestName")}</th><th>{t("scanner.status")}</th><th>Time</th></tr>
+                    <tr><th>{t("scanner.guestName")}</th><th>{t("scanner.status")}</th><th>Time</th><th>{t("payment.title")}</th></tr>
                   </thead>
                   <tbody>
-                    {ts.bookings.map((b) => (
+                    {ts.bookings.map((b, i) => (
                       <tr key={b.id}>
-                        <td>{b.user_name}</td>
+                        <td>
+                          {b.assigned_to_name || b.user_name}
+                          {b.assigned_to_name && <div className="bookings-table-sub">{t("scanner.boughtBy")}: {b.user_name}</div>}
+                          {b.tier_name && <div className="bookings-table-sub">{b.tier_name}</div>}
+                          {b.promo_code && <div className="bookings-table-sub">{t("promo.code")}: {b.promo_code}</div>}
+                          {ts.bookings[i - 1]?.order_id !== b.order_id && <PreOrderSummary items={b.pre_order} />}
+                        </td>
                         <td>
                           <span className={`ticket-card-status ${b.status}`}>
                             {b.status === "checked_in" ? t("booking.checkedIn") : b.status}
                           </span>
                         </td>
                         <td>{b.checked_in_at ? new Date(b.checked_in_at).toLocaleTimeString() : "—"}</td>
+                        <td>
+                          {b.payment_state ? (
+                            <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                              <span className={`payment-state-badge ${b.payment_state}`}>{t(`payment.state.${b.payment_state}`)}</span>
+                              {b.payment_state === "authorized" && (
+                                <button className="btn btn-secondary btn-sm" disabled={paymentBusyId === b.id} onClick={() => handleCapture(b)}>
+                                  {t("payment.capture")}
+                                </button>
+                              )}
+                              {b.captured_amount > b.refunded_amount && (
+                                <button className="btn btn-secondary btn-sm" disabled={paymentBusyId === b.id} onClick={() => handlePartialRefund(b)}>
+                                  {t("payment.refund")}
+                                </button>
+                              )}
+                            </div>
+                          ) : "—"}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -363,8 +707,13 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
             value={minAge}
             onChange={async (e) => {
               const val = e.target.value;
+              const previous = minAge;
               setMinAge(val);
-              await supabase.from("venues").update({ min_age: val ? parseInt(val) : null }).eq("id", venueId);
+              const { data, error } = await supabase.from("venues").update({ min_age: val ? parseInt(val) : null }).eq("id", venueId).select("id");
+              if (error || !data?.length) {
+                setMinAge(previous);
+                alert(t("venue.saveFailed"));
+              }
             }}
             style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
           >
@@ -377,6 +726,442 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
         </div>
       </div>
 
+      <div className="venue-dashboard-section">
+        <h2>{t("payment.captureMode")}</h2>
+        <select
+          value={captureMode}
+          onChange={async (e) => {
+            const val = e.target.value;
+            const previous = captureMode;
+            setCaptureMode(val);
+            const { data, error } = await supabase.from("venues").update({ capture_mode: val }).eq("id", venueId).select("id");
+            if (error || !data?.length) {
+              setCaptureMode(previous);
+              alert(t("venue.saveFailed"));
+            }
+          }}
+          style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+        >
+          <option value="purchase">{t("payment.captureAtPurchase")}</option>
+          <option value="checkin">{t("payment.captureAtCheckin")}</option>
+        </select>
+        <p style={{ color: "var(--text-secondary)", fontSize: 13, marginTop: 8 }}>{t("payment.captureModeHint")}</p>
+      </div>
+
+      {settlements && (
+        <div className="venue-dashboard-section">
+          <h2>{t("settlement.title")}</h2>
+          <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+            <label>{t("settlement.payoutPeriod")}</label>
+            <select
+              value={settlements.payout_period}
+              onChange={(e) => updatePayoutPeriod(e.target.value)}
+              style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+            >
+              <option value="weekly">{t("settlement.period.weekly")}</option>
+              <option value="monthly">{t("settlement.period.monthly")}</option>
+            </select>
+            <span style={{ color: "var(--text-secondary)", fontSize: 13 }}>
+              {settlements.fee_rule
+                ? t("settlement.feeRule")
+                    .replace("{percent}", settlements.fee_rule.percent)
+                    .replace("{fixed}", oreToKroner(settlements.fee_rule.fixed_fee))
+                : t("settlement.noFee")}
+            </span>
+          </div>
+
+          <table className="bookings-table">
+            <thead>
+              <tr>
+                <th>{t("settlement.col.period")}</th>
+                <th>{t("settlement.col.transactions")}</th>
+                <th>{t("settlement.captured")}</th>
+                <th>{t("settlement.refunded")}</th>
+                <th>{t("settlement.fees")}</th>
+                <th>{t("settlement.net")}</th>
+                <th>{t("settlement.col.status")}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[{ ...settlements.open, id: null }, ...settlements.statements].map((st) => (
+                <tr key={st.id ?? "open"}>
+                  <td>{formatDate(st.period_start, lang)} – {formatDate(st.period_end, lang)}</td>
+                  <td>{st.transaction_count}</td>
+                  <td>{oreToKroner(st.captured)} kr</td>
+                  <td>{oreToKroner(st.refunded)} kr</td>
+                  <td>{oreToKroner(st.fees)} kr</td>
+                  <td><strong>{oreToKroner(st.net)} kr</strong></td>
+                  <td>
+                    {st.id === null ? t("settlement.open") : st.paid_at ? t("settlement.paid") : t("settlement.closed")}
+                    {st.payout_reference && <div className="bookings-table-sub">{st.payout_reference}</div>}
+                  </td>
+                  <td>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setViewedStatement({ id: st.id })}>
+                      {t("settlement.view")}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {viewedStatement && (
+            <SettlementStatement
+              venueId={venueId}
+              statementId={viewedStatement.id}
+              onClose={() => setViewedStatement(null)}
+            />
+          )}
+        </div>
+      )}
+
+      {occupancy && (
+        <div className="venue-dashboard-section">
+          <h2>{t("occupancy.title")}</h2>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <label className="occupancy-setting">
+              {t("occupancy.maxLabel")}
+              <input
+                type="number"
+                min="1"
+                value={maxOccupancy}
+                onChange={(e) => setMaxOccupancy(e.target.value)}
+                onBlur={() => {
+                  const val = maxOccupancy ? parseInt(maxOccupancy) : null;
+                  if (val !== occupancy.max_occupancy && (val === null || val > 0)) {
+                    updateOccupancyLimits({ max_occupancy: val });
+                  }
+                }}
+                placeholder={t("occupancy.noLimit")}
+                style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)", width: 110 }}
+              />
+            </label>
+            {occupancy.max_occupancy && (
+              <select
+                value={occupancy.alert_percent}
+                onChange={(e) => updateOccupancyLimits({ occupancy_alert_percent: parseInt(e.target.value) })}
+                style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+              >
+                {[75, 80, 90, 95].map((p) => (
+                  <option key={p} value={p}>{t("occupancy.alertAt").replace("{percent}", p)}</option>
+                ))}
+              </select>
+            )}
+            <input
+              type="date"
+              value={occupancyNight}
+              onChange={(e) => setOccupancyNight(e.target.value)}
+              style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)", marginLeft: "auto" }}
+            />
+          </div>
+
+          <div className="occupancy-totals">
+            {!occupancyNight && <span>{t("occupancy.inside")}: <strong>{occupancy.current}</strong></span>}
+            <span>{t("occupancy.peak")}: <strong>{occupancy.totals.peak}</strong></span>
+            <span>{t("occupancy.checkins")}: <strong>{occupancy.totals.checkins}</strong></span>
+            <span>{t("occupancy.walkIns")}: <strong>{occupancy.totals.walk_ins}</strong></span>
+            <span>{t("occupancy.exits")}: <strong>{occupancy.totals.exits}</strong></span>
+          </div>
+
+          {occupancy.curve.length > 0 ? (
+            <div className="occupancy-chart">
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={occupancy.curve.map((p) => ({ ...p, at: new Date(p.at).getTime() }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                  <XAxis
+                    dataKey="at"
+                    type="number"
+                    scale="time"
+                    domain={["dataMin", "dataMax"]}
+                    tickFormatter={formatClock}
+                    fontSize={12}
+                  />
+                  <YAxis allowDecimals={false} fontSize={12} width={36} />
+                  <Tooltip labelFormatter={formatClock} formatter={(value) => [value, t("occupancy.inside")]} />
+                  {occupancy.max_occupancy && (
+                    <ReferenceLine y={occupancy.max_occupancy} stroke="#dc2626" strokeDasharray="4 4" />
+                  )}
+                  <Line type="stepAfter" dataKey="count" stroke="var(--primary)" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <p style={{ color: "var(--text-secondary)", marginTop: 12 }}>{t("occupancy.noData")}</p>
+          )}
+        </div>
+      )}
+
+      {transferInfo && (
+        <div className="venue-dashboard-section">
+          <h2>{t("transfer.rulesTitle")}</h2>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <select
+              value={transferInfo.allow_transfers ? "yes" : "no"}
+              onChange={(e) => updateTransferRules({ allow_transfers: e.target.value === "yes" })}
+              style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+            >
+              <option value="yes">{t("transfer.allowed")}</option>
+              <option value="no">{t("transfer.notAllowed")}</option>
+            </select>
+            {transferInfo.allow_transfers && (
+              <select
+                value={transferInfo.transfer_cutoff_minutes}
+                onChange={(e) => updateTransferRules({ transfer_cutoff_minutes: parseInt(e.target.value) })}
+                style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}
+              >
+                {[0, 60, 180, 1440].map((m) => (
+                  <option key={m} value={m}>
+                    {m === 0 ? t("transfer.untilStart") : t("transfer.untilBefore").replace("{hours}", m / 60)}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          {transferInfo.transfers.length > 0 && (
+            <table className="bookings-table" style={{ marginTop: 12 }}>
+              <thead>
+                <tr><th>{t("transfer.from")}</th><th>{t("transfer.to")}</th><th>{t("scanner.timeslot")}</th><th>{t("scanner.status")}</th></tr>
+              </thead>
+              <tbody>
+                {transferInfo.transfers.map((tr) => (
+                  <tr key={tr.id}>
+                    <td>{tr.from_name}</td>
+                    <td>{tr.to_name}</td>
+                    <td>{formatDate(tr.date, lang)} {tr.start_time?.slice(0, 5)}</td>
+                    <td>{t(`transfer.status.${tr.status}`)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {safety && (
+        <div className="venue-dashboard-section">
+          <h2>{t("ban.title")}</h2>
+          {safety.bans.length > 0 ? (
+            <table className="bookings-table" style={{ marginBottom: 16 }}>
+              <thead>
+                <tr><th>{t("scanner.guestName")}</th><th>{t("ban.reason")}</th><th>{t("ban.expires")}</th><th></th></tr>
+              </thead>
+              <tbody>
+                {safety.bans.map((ban) => (
+                  <tr key={ban.id}>
+                    <td>
+                      <strong>{ban.user_name}</strong>
+                      <div className="bookings-table-sub">{ban.user_email}</div>
+                    </td>
+                    <td>
+                      {ban.reason}
+                      {ban.created_by_name && <div className="bookings-table-sub">{t("ban.by").replace("{name}", ban.created_by_name)}</div>}
+                    </td>
+                    <td>{ban.expires_at ? new Date(ban.expires_at).toLocaleDateString(lang) : t("ban.permanent")}</td>
+                    <td>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleLiftBan(ban.id)}>{t("ban.lift")}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ color: "var(--text-secondary)", marginBottom: 16 }}>{t("ban.none")}</p>
+          )}
+
+          <form className="timeslot-form" onSubmit={handleBan}>
+            <div className="form-row">
+              <div className="form-group">
+                <label>{t("scanner.guestName")} *</label>
+                {banTarget ? (
+                  <div className="ban-target">
+                    <strong>{banTarget.user_name}</strong>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setBanTarget(null)}>{t("promo.remove")}</button>
+                  </div>
+                ) : (
+                  <input type="email" value={banForm.email} placeholder="email@example.com"
+                    onChange={(e) => setBanForm({ ...banForm, email: e.target.value })} />
+                )}
+              </div>
+              <div className="form-group">
+                <label>{t("ban.duration")}</label>
+                <select value={banForm.days} onChange={(e) => setBanForm({ ...banForm, days: e.target.value })}>
+                  <option value="30">{t("ban.days").replace("{days}", 30)}</option>
+                  <option value="90">{t("ban.days").replace("{days}", 90)}</option>
+                  <option value="365">{t("ban.oneYear")}</option>
+                  <option value="">{t("ban.permanent")}</option>
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>{t("ban.reason")} *</label>
+              <input type="text" value={banForm.reason} maxLength={500}
+                onChange={(e) => setBanForm({ ...banForm, reason: e.target.value })} />
+            </div>
+            {banError && <div className="form-error">{banError}</div>}
+            <button type="submit" className="btn btn-primary">{t("ban.create")}</button>
+          </form>
+
+          <h3 style={{ marginTop: 24 }}>{t("incident.title")}</h3>
+          {safety.incidents.length > 0 ? (
+            <table className="bookings-table">
+              <thead>
+                <tr><th>{t("incident.when")}</th><th>{t("scanner.guestName")}</th><th>{t("incident.description")}</th><th></th></tr>
+              </thead>
+              <tbody>
+                {safety.incidents.map((inc) => (
+                  <tr key={inc.id}>
+                    <td>
+                      {new Date(inc.created_at).toLocaleString(lang, { dateStyle: "short", timeStyle: "short" })}
+                      <div className="bookings-table-sub">{t(`incident.kind.${inc.kind}`)}</div>
+                    </td>
+                    <td>
+                      {inc.user_name || inc.guest_description}
+                      {inc.banned && <span className="ban-badge">{t("ban.banned")}</span>}
+                    </td>
+                    <td>
+                      {inc.description}
+                      {inc.reported_by_name && <div className="bookings-table-sub">{t("incident.reportedBy").replace("{name}", inc.reported_by_name)}</div>}
+                    </td>
+                    <td>
+                      {inc.user_id && !inc.banned && (
+                        <button className="btn btn-secondary btn-sm" onClick={() => {
+                          setBanTarget({ user_id: inc.user_id, user_name: inc.user_name, incident_id: inc.id });
+                          setBanForm({ ...banForm, reason: inc.description.slice(0, 500) });
+                        }}>
+                          {t("ban.create")}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ color: "var(--text-secondary)" }}>{t("incident.none")}</p>
+          )}
+
+          <h3 style={{ marginTop: 24 }}>{t("age.overridesTitle")}</h3>
+          {safety.id_overrides.length > 0 ? (
+            <table className="bookings-table">
+              <thead>
+                <tr><th>{t("incident.when")}</th><th>{t("scanner.guestName")}</th><th>{t("age.checkedBy")}</th></tr>
+              </thead>
+              <tbody>
+                {safety.id_overrides.map((o) => (
+                  <tr key={o.id}>
+                    <td>
+                      {new Date(o.created_at).toLocaleString(lang, { dateStyle: "short", timeStyle: "short" })}
+                      {o.event_title && <div className="bookings-table-sub">{o.event_title}</div>}
+                    </td>
+                    <td>{o.user_name} <span className="age-badge">{o.min_age}+</span></td>
+                    <td>{o.staff_name}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ color: "var(--text-secondary)" }}>{t("age.noOverrides")}</p>
+          )}
+        </div>
+      )}
+
+      <div className="venue-dashboard-section">
+        <h2>{t("promo.title")}</h2>
+        {dashboard.promo_codes.length > 0 && (
+          <table className="bookings-table" style={{ marginBottom: 16 }}>
+            <thead>
+              <tr>
+                <th>{t("promo.code")}</th><th>{t("promo.discount")}</th><th>{t("promo.redemptions")}</th>
+                <th>{t("promo.validity")}</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {dashboard.promo_codes.map((pc) => (
+                <tr key={pc.id} style={pc.active ? undefined : { opacity: 0.5 }}>
+                  <td>
+                    <strong>{pc.code}</strong>
+                    {pc.timeslot_type && <div className="bookings-table-sub">{t("promo.onlyType").replace("{type}", t(`type.${pc.timeslot_type}`))}</div>}
+                  </td>
+                  <td>{pc.discount_type === "percent" ? `${pc.discount_value} %` : formatPrice(pc.discount_value)}</td>
+                  <td>
+                    {pc.redemptions}{pc.max_uses ? ` / ${pc.max_uses}` : ""}
+                    {pc.total_discount > 0 && <div className="bookings-table-sub">−{formatPrice(pc.total_discount)}</div>}
+                  </td>
+                  <td>
+                    {pc.valid_from ? new Date(pc.valid_from).toLocaleDateString(lang) : "…"}
+                    {" – "}
+                    {pc.valid_until ? new Date(pc.valid_until).toLocaleDateString(lang) : "…"}
+                  </td>
+                  <td>
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleTogglePromo(pc)}>
+                      {pc.active ? t("promo.deactivate") : t("promo.activate")}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className="timeslot-form" onSubmit={handleCreatePromo}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("promo.code")} *</label>
+              <input type="text" value={promoForm.code} maxLength={32} placeholder="SUMMER25"
+                onChange={(e) => setPromoForm({ ...promoForm, code: e.target.value.toUpperCase().replace(/[^A-Z0-9_-]/g, "") })} />
+            </div>
+            <div className="form-group">
+              <label>{t("promo.discount")} *</label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input type="number" min="1" max={promoForm.discount_type === "percent" ? 100 : undefined} value={promoForm.discount_value}
+                  onChange={(e) => setPromoForm({ ...promoForm, discount_value: e.target.value })} />
+                <select value={promoForm.discount_type} onChange={(e) => setPromoForm({ ...promoForm, discount_type: e.target.value })}
+                  style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid var(--border)" }}>
+                  <option value="percent">%</option>
+                  <option value="fixed">kr</option>
+                </select>
+              </div>
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("promo.appliesTo")}</label>
+              <select value={promoForm.timeslot_type} onChange={(e) => setPromoForm({ ...promoForm, timeslot_type: e.target.value })}>
+                <option value="">{t("promo.allTypes")}</option>
+                <option value="queue">{t("type.queue")}</option>
+                <option value="ticket">{t("type.ticket")}</option>
+                <option value="table">{t("type.table")}</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>{t("promo.maxUses")}</label>
+              <input type="number" min="1" value={promoForm.max_uses} placeholder={t("promo.unlimited")}
+                onChange={(e) => setPromoForm({ ...promoForm, max_uses: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("promo.maxUsesPerUser")}</label>
+              <input type="number" min="1" value={promoForm.max_uses_per_user} placeholder={t("promo.unlimited")}
+                onChange={(e) => setPromoForm({ ...promoForm, max_uses_per_user: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>{t("promo.validFrom")}</label>
+              <input type="datetime-local" value={promoForm.valid_from} onChange={(e) => setPromoForm({ ...promoForm, valid_from: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>{t("promo.validUntil")}</label>
+              <input type="datetime-local" value={promoForm.valid_until} onChange={(e) => setPromoForm({ ...promoForm, valid_until: e.target.value })} />
+            </div>
+          </div>
+          {promoError && <div className="form-error">{promoError}</div>}
+          <button className="btn btn-primary" type="submit" disabled={!promoForm.code || !promoForm.discount_value}>
+            {t("promo.create")}
+          </button>
+        </form>
+      </div>
+
       <div className="venue-dashboard-section">
         <h2>{t("venue.staff")}</h2>
         <div className="staff-list">
@@ -415,10 +1200,13 @@ export function VenueManagePage({ venueId, user, onNavigate }) {
         {staffError && <div className="form-error" style={{ marginTop: 8 }}>{staffError}</div>}
       </div>
 
-      <div style={{ marginTop: 16 }}>
+      <div style={{ marginTop: 16, display: "flex", gap: 8 }}>
         <button className="btn btn-primary" onClick={() => onNavigate("venue-scan", { venueId })}>
           {t("scanner.title")}
         </button>
+        <button className="btn btn-secondary" onClick={() => onNavigate("venue-analytics", { venueId })}>
+          {t("analytics.open")}
+        </button>
       </div>
     </div>
   );
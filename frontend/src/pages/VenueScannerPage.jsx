@@ -2,25 +2,70 @@ import React, { useState, useEffect, useRef } from "react";
 import { supabase } from "../lib/supabase";
 import { useI18n } from "../contexts/I18nContext";
 import { Html5Qrcode } from "html5-qrcode";
+import { useOfflineScanner } from "../utils/offlineScanner";
+import { ScannerSyncStatus } from "../components/ScannerSyncStatus";
+import { OccupancyCounter } from "../components/OccupancyCounter";
+import { IncidentReportForm } from "../components/IncidentReportForm";
+import { AgeBadge } from "../components/AgeBadge";
+import { PreOrderSummary } from "../components/VenueMenu";
+
+const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
 
 export function VenueScannerPage({ venueId, user, onNavigate }) {
-  const { t } = useI18n();
+  const { t, lang } = useI18n();
   const [scanning, setScanning] = useState(false);
   const [scanResult, setScanResult] = useState(null);
   const [checkinDone, setCheckinDone] = useState(false);
+  const [captureFailed, setCaptureFailed] = useState(false);
   const [scannerError, setScannerError] = useState(null);
+  const [reporting, setReporting] = useState(null);
+  const [incidentSaved, setIncidentSaved] = useState(false);
   const scannerRef = useRef(null);
   const html5QrRef = useRef(null);
 
+  // Check-ins synced from the queue capture like online ones
+  const offline = useOfflineScanner({ venueId }, (results) => {
+    results
+      .filter((r) => r.outcome === "applied" && r.capture_required)
+      .forEach((r) => captureBooking(r.id));
+  });
+
+  // Same shape as verify_queue_ticket, from a manifest entry
+  const resultFromEntry = (entry) => entry.kind === "transferred"
+    ? { status: "error", code: "ticket_transferred", transferred_to: entry.transferred_to }
+    : entry.banned
+    ? { status: "error", code: "guest_banned", booking_id: entry.id, user_name: entry.user_name }
+    : {
+        status: "success", offline: true, entry,
+        booking_id: entry.id, booking_status: entry.status, checked_in_at: entry.checked_in_at,
+        user_name: entry.user_name, bought_by: entry.bought_by, transfer_count: entry.transfer_count,
+        date: entry.date, start_time: entry.start_time, end_time: entry.end_time,
+        min_age: entry.min_age, age_status: entry.age_status, pre_order: entry.pre_order,
+      };
+
   const handleScan = async (decodedText) => {
     try {
       const url = new URL(decodedText);
       const tokenParam = url.searchParams.get("token");
       if (!tokenParam) { setScanResult({ status: "error", code: "invalid_ticket" }); return; }
 
-      const { data } = await supabase.rpc("verify_queue_ticket", { p_venue_id: venueId, p_qr_token: tokenParam });
+      // Online, the server answers, so tickets cancelled, transferred or
+      // banned since the manifest was loaded are caught. The manifest
+      // answers when offline or when the lookup fails.
+      let data = null;
+      if (navigator.onLine) {
+        const { data: online, error } = await supabase.rpc("verify_queue_ticket", { p_venue_id: venueId, p_qr_token: tokenParam });
+        if (!error) data = online;
+      }
+      if (!data) {
+        const entry = await offline.lookup(tokenParam);
+        data = entry ? resultFromEntry(entry)
+          : { status: "error", code: offline.hasManifest() ? "not_in_manifest" : "lookup_failed" };
+      }
       setScanResult(data);
       setCheckinDone(false);
+      setReporting(null);
+      setIncidentSaved(false);
       // Stop scanning after reading
       if (html5QrRef.current) {
         try { await html5QrRef.current.stop(); } catch {}
@@ -37,6 +82,8 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
     setScanResult(null);
     setCheckinDone(false);
     setScannerError(null);
+    setReporting(null);
+    setIncidentSaved(false);
     const html5Qr = new Html5Qrcode(scannerRef.current.id);
     html5QrRef.current = html5Qr;
     try {
@@ -68,13 +115,60 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
     setScanning(false);
   };
 
-  const handleCheckin = async () => {
+  // idChecked is set when staff let in a guest without a verified age
+  // on their ID; the server logs it for the venue
+  const handleCheckin = async (idChecked = false) => {
     if (!scanResult || !scanResult.booking_id) return;
-    const { data } = await supabase.rpc("checkin_queue_ticket", { p_booking_id: scanResult.booking_id });
+    if (scanResult.offline) {
+      await offline.checkIn(scanResult.entry, { idChecked });
+      setCaptureFailed(false);
+      setCheckinDone(true);
+      return;
+    }
+    const { data } = await supabase.rpc("checkin_queue_ticket", {
+      p_booking_id: scanResult.booking_id,
+      p_id_checked: idChecked,
+    });
     if (data && data.status === "success") {
+      setCaptureFailed(false);
       setCheckinDone(true);
+      if (data.capture_required) {
+        const captured = await captureBooking(scanResult.booking_id);
+        setCaptureFailed(!captured);
+      }
     } else if (data && data.code === "already_checked_in") {
       setCheckinDone(true);
+    } else if (data && data.code === "guest_banned") {
+      // Banned since the scan
+      setScanResult({ status: "error", code: "guest_banned", booking_id: scanResult.booking_id, user_name: scanResult.user_name });
+    } else if (data && (data.code === "underage" || data.code === "id_check_required")) {
+      // The age check changed since the scan; show what the server says
+      setScanResult({ ...scanResult, age_status: data.code === "underage" ? "underage" : "unverified", min_age: data.min_age });
+    }
+  };
+
+  const reportGuest = (result) => {
+    setIncidentSaved(false);
+    setReporting({ bookingId: result.booking_id, guestName: result.user_name });
+  };
+
+  // Venues that capture at check-in move the money now
+  const captureBooking = async (bookingId) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) return false;
+      const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/vipps-payment?action=capture`, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${session.access_token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ booking_id: bookingId }),
+      });
+      return res.ok;
+    } catch (err) {
+      console.error("Capture error:", err);
+      return false;
     }
   };
 
@@ -91,6 +185,10 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
       <button className="back-button" onClick={() => onNavigate("venue-manage", { venueId })}>{t("detail.back")}</button>
       <h1>{t("scanner.title")}</h1>
 
+      <OccupancyCounter venueId={venueId} />
+
+      <ScannerSyncStatus offline={offline} />
+
       <div ref={scannerRef} id="venue-qr-reader" style={{ marginBottom: 16 }} />
 
       {scannerError && (
@@ -105,21 +203,54 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
       ) : (
         <button className="btn btn-secondary" onClick={stopScanning}>{t("scanner.stop")}</button>
       )}
+      {!reporting && (
+        <button className="btn btn-secondary" style={{ marginLeft: 8 }} onClick={() => { setIncidentSaved(false); setReporting({}); }}>
+          {t("incident.report")}
+        </button>
+      )}
+
+      {reporting && (
+        <IncidentReportForm
+          venueId={venueId}
+          bookingId={reporting.bookingId}
+          guestName={reporting.guestName}
+          onDone={(saved) => { setReporting(null); setIncidentSaved(saved); }}
+        />
+      )}
+      {incidentSaved && <div className="incident-saved">✓ {t("incident.saved")}</div>}
 
       {scanResult && scanResult.status === "success" && !checkinDone && (
         <div className="scan-result-card valid">
           <div className="scan-result-status success">✓ {t("scanner.verify")}</div>
           <p><strong>{t("scanner.guestName")}:</strong> {scanResult.user_name}</p>
+          <AgeBadge minAge={scanResult.min_age} status={scanResult.age_status} />
+          {scanResult.bought_by && <p><strong>{t("scanner.boughtBy")}:</strong> {scanResult.bought_by}</p>}
+          {scanResult.transfer_count > 0 && <p className="scan-result-note">{t("scanner.transferred")}</p>}
           <p><strong>{t("scanner.timeslot")}:</strong> {scanResult.date} {scanResult.start_time?.slice(0, 5)}–{scanResult.end_time?.slice(0, 5)}</p>
           <p><strong>{t("scanner.status")}:</strong> {scanResult.booking_status === "checked_in" ? t("scanner.alreadyCheckedIn") : scanResult.booking_status}</p>
-          {scanResult.booking_status === "confirmed" && (
-            <button className="btn btn-primary" style={{ marginTop: 16, width: "100%" }} onClick={handleCheckin}>
-              {t("scanner.confirmCheckin")}
-            </button>
+          <PreOrderSummary items={scanResult.pre_order} />
+          {scanResult.booking_status === "confirmed" && scanResult.age_status !== "underage" && (
+            scanResult.age_status === "unverified" ? (
+              <button className="btn btn-primary" style={{ marginTop: 16, width: "100%" }} onClick={() => handleCheckin(true)}>
+                {t("age.idCheckedCheckin")}
+              </button>
+            ) : (
+              <button className="btn btn-primary" style={{ marginTop: 16, width: "100%" }} onClick={() => handleCheckin()}>
+                {t("scanner.confirmCheckin")}
+              </button>
+            )
+          )}
+          {scanResult.age_status === "underage" && (
+            <div className="scan-result-status error" style={{ marginTop: 12 }}>✗ {t("age.refuse").replace("{age}", scanResult.min_age)}</div>
           )}
           {scanResult.booking_status === "checked_in" && (
             <div className="scan-result-status warning" style={{ marginTop: 12 }}>⚠️ {t("scanner.alreadyCheckedIn")}</div>
           )}
+          {!reporting && (
+            <button className="btn btn-secondary" style={{ marginTop: 8, width: "100%" }} onClick={() => reportGuest(scanResult)}>
+              {t("incident.report")}
+            </button>
+          )}
         </div>
       )}
 
@@ -127,7 +258,12 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
         <div className="scan-result-card valid">
           <div className="scan-result-status success">✓ {t("scanner.success")}</div>
           <p><strong>{scanResult.user_name}</strong></p>
-          <button className="btn btn-primary" style={{ marginTop: 16, width: "100%" }} onClick={() => { setScanResult(null); setCheckinDone(false); }}>
+          <PreOrderSummary items={scanResult.pre_order} />
+          {scanResult.offline && !offline.online && <p className="scan-result-note">{t("scanner.offline.queued")}</p>}
+          {captureFailed && (
+            <div className="scan-result-status warning" style={{ marginTop: 12 }}>⚠️ {t("scanner.captureFailed")}</div>
+          )}
+          <button className="btn btn-primary" style={{ marginTop: 16, width: "100%" }} onClick={() => { setScanResult(null); setCheckinDone(false); setCaptureFailed(false); }}>
             {t("scanner.scan")}
           </button>
         </div>
@@ -135,7 +271,32 @@ export function VenueScannerPage({ venueId, user, onNavigate }) {
 
       {scanResult && scanResult.status === "error" && (
         <div className="scan-result-card invalid">
-          <div className="scan-result-status error">✗ {scanResult.code === "not_staff" ? t("scanner.notStaff") : t("scanner.invalidTicket")}</div>
+          <div className="scan-result-status error">
+            ✗ {scanResult.code === "not_staff" ? t("scanner.notStaff")
+              : scanResult.code === "ticket_transferred" ? t("scanner.ticketTransferred").replace("{name}", scanResult.transferred_to)
+              : scanResult.code === "not_in_manifest" ? t("scanner.offline.notInManifest")
+              : scanResult.code === "lookup_failed" ? t("scanner.offline.lookupFailed")
+              : scanResult.code === "guest_banned" ? t("ban.atDoor")
+              : t("scanner.invalidTicket")}
+          </div>
+          {scanResult.code === "guest_banned" && (
+            <>
+              <p style={{ marginTop: 8 }}><strong>{scanResult.user_name}</strong></p>
+              {scanResult.ban_reason && <p><strong>{t("ban.reason")}:</strong> {scanResult.ban_reason}</p>}
+              {scanResult.ban_reason !== undefined && (
+                <p>
+                  {scanResult.ban_expires_at
+                    ? t("ban.until").replace("{date}", new Date(scanResult.ban_expires_at).toLocaleDateString(lang === "no" ? "nb-NO" : "en-US"))
+                    : t("ban.permanent")}
+                </p>
+              )}
+              {!reporting && (
+                <button className="btn btn-secondary" style={{ marginTop: 8, width: "100%" }} onClick={() => reportGuest(scanResult)}>
+                  {t("incident.report")}
+                </button>
+              )}
+            </>
+          )}
         </div>
       )}
     </div>
@@ -9,7 +9,7 @@ export function VenuesPage({ user, onNavigate }) {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    supabase.from("venues").select("*").order("created_at", { ascending: false }).then(({ data }) => {
+    supabase.rpc("search_venues").then(({ data }) => {
       setVenues(data || []);
       setLoading(false);
     });
@@ -175,7 +175,8 @@ export const translations = {
     "notif.comment": "kommenterte på eventet ditt",
     "notif.access_request": "ba om tilgang til eventet ditt",
     "notif.invitation": "inviterte deg til et event",
-    "notif.reminder": "Påminnelse: eventet starter i morgen",
+    "notif.reminder": "Påminnelse: {name} starter i morgen",
+    "notif.reminderSoon": "Påminnelse: {name} starter om {hours} timer",
     "notif.waitlist_promoted": "Du har fått plass!",
     "notif.kicked": "fjernet deg fra et event",
 
@@ -187,6 +188,8 @@ export const translations = {
     "prefs.emailAccessRequest": "Noen ber om tilgang",
     "prefs.emailInvitation": "Du blir invitert til et event",
     "prefs.emailReminder": "Påminnelse 24t før events",
+    "prefs.emailAnnouncement": "Meldinger fra arrang\u00f8rer",
+    "prefs.emailEventUpdates": "Avlysninger og endringer i tid eller sted",
 
     // Calendar
     "cal.google": "Google Kalender",
@@ -282,6 +285,7 @@ export const translations = {
     "profile.visibility.public": "Offentlig — alle kan se aktiviteten din",
     "profile.visibility.followers": "Kun f\u00f8lgere — kun godkjente f\u00f8lgere ser aktiviteten",
     "profile.visibility.private": "Privat — ingen ser aktiviteten din",
+    "profile.shareContact": "Del e-post og telefonnummer med arrang\u00f8rer av eventer jeg melder meg p\u00e5",
     "profile.stats.followers": "F\u00f8lgere",
     "profile.stats.following": "F\u00f8lger",
     "profile.friendsTab": "Venners aktivitet",
@@ -334,6 +338,7 @@ export const translations = {
     "venue.role.bouncer": "D\u00f8rvakt",
     "venue.verified": "Verifisert",
     "venue.noTimeslots": "Ingen tilgjengelige timeslots",
+    "venue.saveFailed": "Kunne ikke lagre endringen. Pr\u00f8v igjen.",
     "venue.upcomingTimeslots": "Kommende timeslots",
     "venue.noVenues": "Ingen utesteder funnet",
 
@@ -432,6 +437,17 @@ export const translations = {
 
     // Venue notifications
     "notif.venue_new_timeslot": "har lagt til nye datoer",
+    "notif.announcement": "sendte en melding",
+    "notif.event_cancelled": "avlyste et event du er p\u00e5meldt",
+    "notif.event_updated": "endret et event du er p\u00e5meldt:",
+    "notif.changed.date": "dato",
+    "notif.changed.time": "tid",
+    "notif.changed.location": "sted",
+    "notif.changed.event_mode": "format",
+    "notif.changed.online_url": "lenke",
+    "notif.mode.physical": "fysisk",
+    "notif.mode.online": "online",
+    "notif.mode.hybrid": "hybrid",
 
     // Search/Browse
     "nav.search": "Søk",
@@ -492,9 +508,632 @@ export const translations = {
     // Age verification
     "form.minAge": "Aldersgrense",
     "form.noAgeLimit": "Ingen aldersgrense",
-    "booking.tooYoung": "Du m\u00e5 v\u00e6re minst {age} \u00e5r for \u00e5 kj\u00f8pe denne billetten",
+    "booking.tooYoung": "Du m\u00e5 v\u00e6re minst {age} \u00e5r og ha bekreftet alderen med Vipps for \u00e5 kj\u00f8pe denne billetten",
     "booking.ageRequired": "Aldersgrense: {age}+",
 
+    // Recurring series
+    "events.recurring": "Gjentakende",
+    "series.weekly": "Hver {weekday}",
+    "series.biweekly": "Annenhver {weekday}",
+    "series.monthly": "Hver m\u00e5ned, {nth} {weekday}",
+    "series.nth.1": "1.",
+    "series.nth.2": "2.",
+    "series.nth.3": "3.",
+    "series.nth.4": "4.",
+    "series.nth.-1": "siste",
+    "series.until": "til {date}",
+    "series.otherDates": "Andre datoer",
+    "series.end": "Avslutt serie",
+    "series.endConfirm": "Avslutte serien? Fremtidige datoer uten p\u00e5meldte slettes.",
+    "series.error.already_in_series": "Eventet er allerede en del av en serie",
+    "series.error.invalid_until_date": "Sluttdato for gjentakelse m\u00e5 v\u00e6re etter eventets dato",
+    "series.error.invalid_frequency": "Ugyldig gjentakelse",
+    "series.error.not_authorized": "Du har ikke tilgang til \u00e5 endre serien",
+    "series.error.not_in_series": "Eventet er ikke en del av en serie",
+    "series.error.not_authenticated": "Du m\u00e5 logge inn",
+    "series.error.not_found": "Fant ikke eventet",
+    "form.recurrence": "Gjentakelse",
+    "form.repeatNone": "Gjentas ikke",
+    "form.repeatWeekly": "Hver uke",
+    "form.repeatBiweekly": "Annenhver uke",
+    "form.repeatMonthly": "Hver m\u00e5ned (samme ukedag)",
+    "form.repeatMonthlyLast": "Hver m\u00e5ned (siste ukedag)",
+    "form.repeatUntil": "Gjenta til",
+    "form.repeatUntilHint": "La st\u00e5 tom for \u00e5 gjenta uten sluttdato",
+    "form.repeatExceptions": "Hopp over datoer",
+    "form.addException": "Legg til",
+    "form.applyToFuture": "Oppdater fremtidige datoer",
+    "form.applyToFutureHint": "Endringer kopieres til alle senere datoer i serien",
+
+    // Vipps capture and refunds
+    "payment.title": "Betaling",
+    "payment.capture": "Trekk bel\u00f8p",
+    "payment.refund": "Refunder",
+    "payment.refundPrompt": "Bel\u00f8p som skal refunderes i kr (maks {max})",
+    "payment.invalidAmount": "Ugyldig bel\u00f8p",
+    "payment.actionFailed": "Vipps-handlingen feilet. Pr\u00f8v igjen.",
+    "payment.refundFailed": "Billetten er avbestilt, men refusjonen gikk ikke gjennom hos Vipps. Kontakt stedet om pengene ikke kommer tilbake.",
+    "payment.pendingCapture": "Reservert, ikke trukket",
+    "payment.captureMode": "Trekk betaling",
+    "payment.captureAtPurchase": "Ved kj\u00f8p",
+    "payment.captureAtCheckin": "Ved innsjekk",
+    "payment.captureModeHint": "Ved innsjekk reserveres bel\u00f8pet ved kj\u00f8p og trekkes f\u00f8rst n\u00e5r billetten skannes.",
+    "payment.state.created": "Opprettet",
+    "payment.state.authorized": "Reservert",
+    "payment.state.captured": "Trukket",
+    "payment.state.partially_refunded": "Delvis refundert",
+    "payment.state.refunded": "Refundert",
+    "payment.state.cancelled": "Kansellert",
+    "payment.state.expired": "Utl\u00f8pt",
+    "payment.state.failed": "Feilet",
+    "scanner.captureFailed": "Innsjekket, men betalingen kunne ikke trekkes. Pr\u00f8v igjen fra dashbordet.",
+
+    // Group bookings
+    "booking.quantity": "Antall",
+    "booking.yourTickets": "Dine billetter ({count})",
+    "booking.assignHint": "Gi billettene til venner under Mine billetter.",
+    "booking.invalidQuantity": "Du kan kj\u00f8pe maks {max} billetter om gangen",
+    "booking.onlySpotsLeft": "Bare {count} plasser igjen",
+    "tickets.count": "{count} billetter",
+    "tickets.ticketN": "Billett {n}",
+    "tickets.forMe": "Til meg",
+    "tickets.fromBuyer": "Fra {name}",
+    "tickets.alreadyAssigned": "Denne vennen har allerede en billett til denne timesloten",
+    "tickets.assignFailed": "Kunne ikke gi bort billetten",
+    "notif.ticket_assigned": "ga deg en billett",
+    "scanner.boughtBy": "Kj\u00f8pt av",
+
+    // Ticket transfers
+    "transfer.send": "Overf\u00f8r",
+    "transfer.pickFriend": "Velg en venn...",
+    "transfer.emailPlaceholder": "eller e-postadresse",
+    "transfer.submit": "Send billett",
+    "transfer.hint": "Mottakeren m\u00e5 godta. QR-koden byttes ut n\u00e5r billetten er overf\u00f8rt.",
+    "transfer.pendingTo": "Venter p\u00e5 at {name} godtar",
+    "transfer.withdraw": "Trekk tilbake",
+    "transfer.offered": "vil gi deg en billett",
+    "transfer.accept": "Godta",
+    "transfer.decline": "Avsl\u00e5",
+    "transfer.recipientNotFound": "Fant ingen bruker med den e-postadressen",
+    "transfer.notToSelf": "Du kan ikke overf\u00f8re til deg selv",
+    "transfer.disabled": "Dette utestedet tillater ikke overf\u00f8ring",
+    "transfer.closed": "Det er for sent \u00e5 overf\u00f8re denne billetten",
+    "transfer.alreadyPending": "Billetten er allerede sendt til noen",
+    "transfer.failed": "Overf\u00f8ringen feilet",
+    "transfer.rulesTitle": "Overf\u00f8ring av billetter",
+    "transfer.allowed": "Tillatt",
+    "transfer.notAllowed": "Ikke tillatt",
+    "transfer.untilStart": "Frem til start",
+    "transfer.untilBefore": "Til {hours} t f\u00f8r start",
+    "transfer.from": "Fra",
+    "transfer.to": "Til",
+    "transfer.status.pending": "Venter",
+    "transfer.status.accepted": "Overf\u00f8rt",
+    "transfer.status.declined": "Avsl\u00e5tt",
+    "transfer.status.cancelled": "Trukket tilbake",
+    "notif.ticket_transfer": "vil gi deg en billett",
+    "notif.ticket_transfer_accepted": "tok imot billetten din",
+    "scanner.transferred": "Billetten er overf\u00f8rt fra kj\u00f8peren",
+    "scanner.ticketTransferred": "Gammel QR-kode \u2014 billetten er overf\u00f8rt til {name}",
+
+    // Promo codes
+    "promo.placeholder": "Rabattkode",
+    "promo.apply": "Bruk",
+    "promo.remove": "Fjern",
+    "promo.applied": "Rabattkode {code}",
+    "promo.wrongType": "Koden gjelder bare for {type}",
+    "promo.error.not_found": "Ugyldig rabattkode",
+    "promo.error.not_started": "Rabattkoden er ikke gyldig enn\u00e5",
+    "promo.error.expired": "Rabattkoden har utl\u00f8pt",
+    "promo.error.used_up": "Rabattkoden er brukt opp",
+    "promo.error.user_limit": "Du har allerede brukt denne rabattkoden",
+    "promo.error.not_applicable": "Rabattkoden kan ikke brukes her",
+    "promo.title": "Rabattkoder",
+    "promo.code": "Kode",
+    "promo.discount": "Rabatt",
+    "promo.redemptions": "Brukt",
+    "promo.validity": "Gyldig",
+    "promo.onlyType": "Kun {type}",
+    "promo.appliesTo": "Gjelder for",
+    "promo.allTypes": "Alle typer",
+    "promo.maxUses": "Maks antall bruk",
+    "promo.maxUsesPerUser": "Maks per bruker",
+    "promo.unlimited": "Ubegrenset",
+    "promo.validFrom": "Gyldig fra",
+    "promo.validUntil": "Gyldig til",
+    "promo.create": "Opprett rabattkode",
+    "promo.activate": "Aktiver",
+    "promo.deactivate": "Deaktiver",
+    "promo.duplicate": "Denne koden finnes allerede",
+    "promo.invalid": "Sjekk koden, rabatten og datoene",
+    "promo.totalDiscount": "Gitt i rabatt",
+
+    // Price tiers
+    "tier.add": "Legg til priskategori",
+    "tier.remove": "Fjern",
+    "tier.name": "Navn",
+    "tier.namePlaceholder": "f.eks. Early bird",
+    "tier.saleStarts": "Salget starter",
+    "tier.saleEnds": "Salget slutter",
+    "tier.hint": "Kategoriene selges i rekkef\u00f8lge. Salget g\u00e5r videre til neste n\u00e5r en er utsolgt eller salgsperioden er over.",
+    "tier.next": "Deretter {tier}: {price}",
+    "tier.onlyLeft": "Bare {count} igjen i {tier}",
+    "tier.salesNotStarted": "Billettsalget har ikke startet enn\u00e5",
+    "tier.salesStart": "Salg fra {date}",
+    "tier.state.active": "i salg",
+    "tier.state.queued": "venter",
+    "tier.state.upcoming": "ikke startet",
+    "tier.state.ended": "avsluttet",
+    "tier.state.sold_out": "utsolgt",
+    "tier.error.failed": "Kunne ikke opprette timesloten med priskategoriene",
+
+    // Offline scanning
+    "scanner.offline.online": "Tilkoblet",
+    "scanner.offline.offline": "Frakoblet \u2014 innsjekk lagres p\u00e5 enheten",
+    "scanner.offline.manifest": "{count} billetter lastet {time}",
+    "scanner.offline.noManifest": "billettlisten er ikke lastet",
+    "scanner.offline.pending": "{count} venter p\u00e5 synk",
+    "scanner.offline.queued": "Lagret p\u00e5 enheten, synkes n\u00e5r nettet er tilbake",
+    "scanner.offline.notInManifest": "Ikke i kveldens billettliste",
+    "scanner.offline.lookupFailed": "Fikk ikke kontakt med serveren, og billettlisten er ikke lastet",
+    "scanner.offline.conflict": "var allerede sjekket inn av {by} kl. {time}. Sjekk om billetten er kopiert.",
+    "scanner.offline.otherDevice": "en annen enhet",
+    "scanner.offline.rejectedCancelled": "ble sluppet inn, men billetten var kansellert",
+    "scanner.offline.rejectedUnpaid": "ble sluppet inn, men billetten var ikke betalt",
+    "scanner.offline.rejectedBanned": "ble sluppet inn, men er utestengt fra stedet",
+    "scanner.offline.rejected": "innsjekken ble avvist",
+
+    // Venue occupancy
+    "occupancy.title": "Antall inne",
+    "occupancy.inside": "Inne n\u00e5",
+    "occupancy.walkIn": "Inn uten billett",
+    "occupancy.out": "Ut",
+    "occupancy.full": "Fullt \u2013 ikke slipp inn flere",
+    "occupancy.near": "Nesten fullt \u2013 {left} plasser igjen",
+    "occupancy.adjust": "Korriger antall",
+    "occupancy.adjustSave": "Lagre",
+    "occupancy.error": "Kunne ikke registrere. Pr\u00f8v igjen.",
+    "occupancy.maxLabel": "Maks antall inne",
+    "occupancy.noLimit": "Ingen grense",
+    "occupancy.alertAt": "Varsle ved {percent} %",
+    "occupancy.peak": "Topp",
+    "occupancy.checkins": "Billetter sjekket inn",
+    "occupancy.walkIns": "Uten billett",
+    "occupancy.exits": "Ut",
+    "occupancy.noData": "Ingen registreringer denne kvelden.",
+
+    // Ban list and incident log
+    "ban.title": "Utestengte gjester",
+    "ban.none": "Ingen er utestengt.",
+    "ban.reason": "Grunn",
+    "ban.expires": "Utestengt til",
+    "ban.permanent": "Til den oppheves",
+    "ban.until": "Utestengt til {date}",
+    "ban.by": "Av {name}",
+    "ban.lift": "Opphev",
+    "ban.create": "Steng ute",
+    "ban.duration": "Varighet",
+    "ban.days": "{days} dager",
+    "ban.oneYear": "1 \u00e5r",
+    "ban.banned": "Utestengt",
+    "ban.atDoor": "Gjesten er utestengt fra stedet",
+    "ban.cannotBook": "Du kan ikke bestille hos dette stedet.",
+    "incident.title": "Hendelseslogg",
+    "incident.none": "Ingen hendelser er registrert.",
+    "incident.report": "Registrer hendelse",
+    "incident.kind": "Type",
+    "incident.kind.refused": "Nektet inngang",
+    "incident.kind.removed": "Kastet ut",
+    "incident.kind.other": "Annet",
+    "incident.description": "Hva skjedde",
+    "incident.guestDescription": "Hvem gjelder det",
+    "incident.guestDescriptionPlaceholder": "Navn eller beskrivelse",
+    "incident.submit": "Lagre hendelse",
+    "incident.saved": "Hendelsen er registrert",
+    "incident.failed": "Kunne ikke lagre hendelsen",
+    "incident.when": "Tidspunkt",
+    "incident.reportedBy": "Registrert av {name}",
+
+    // Age checks
+    "age.verified": "{age}+ bekreftet med Vipps",
+    "age.unverified": "Ikke bekreftet \u2013 sjekk legitimasjon",
+    "age.underage": "Under {age} if\u00f8lge Vipps",
+    "age.refuse": "Under {age} \u2013 ikke slipp inn",
+    "age.checkId": "Alder ikke bekreftet \u2013 sjekk legitimasjon",
+    "age.idCheckedCheckin": "Legitimasjon sjekket \u2013 sjekk inn",
+    "age.rsvpTooYoung": "Du m\u00e5 v\u00e6re {age} \u00e5r og ha bekreftet alderen med Vipps for \u00e5 melde deg p\u00e5",
+    "age.overridesTitle": "Sluppet inn p\u00e5 legitimasjon",
+    "age.noOverrides": "Ingen er sluppet inn uten bekreftet alder.",
+    "age.checkedBy": "Sjekket av",
+    "scanner.offline.rejectedUnderage": "Under aldersgrensen \u2013 ikke sjekket inn",
+    "scanner.offline.rejectedNoId": "Alder ikke bekreftet \u2013 ikke sjekket inn",
+
+    // Venue analytics
+    "analytics.title": "Statistikk",
+    "analytics.open": "Statistikk",
+    "analytics.lastDays": "Siste {days} dager",
+    "analytics.comparedTo": "Sammenlignet med {from} \u2013 {to}",
+    "analytics.invalidRange": "Velg en periode p\u00e5 maks ett \u00e5r.",
+    "analytics.noComparison": "Ingenting \u00e5 sammenligne med",
+    "analytics.revenue": "Inntekt",
+    "analytics.tickets": "Solgte billetter",
+    "analytics.sellThrough": "Salgsgrad",
+    "analytics.noShowRate": "Uteblitt",
+    "analytics.newFollowers": "Nye f\u00f8lgere",
+    "analytics.revenueOverTime": "Inntekt over tid",
+    "analytics.ticketsOverTime": "Billetter solgt per dag",
+    "analytics.thisPeriod": "Denne perioden",
+    "analytics.previousPeriod": "Forrige periode",
+    "analytics.sellThroughByType": "Salgsgrad per type",
+    "analytics.type": "Type",
+    "analytics.timeslots": "Tidspunkter",
+    "analytics.soldOfCapacity": "Solgt / kapasitet",
+    "analytics.noTimeslots": "Ingen tidspunkter i perioden.",
+    "analytics.noShowDetail": "{noShows} av {total} bookinger til avsluttede tidspunkter ble aldri sjekket inn.",
+    "analytics.arrivals": "Ankomsttider",
+    "analytics.noArrivals": "Ingen innsjekkinger i perioden.",
+    "analytics.checkins": "Innsjekkinger",
+    "analytics.followers": "F\u00f8lgere",
+    "analytics.followersNote": "Viser dagens f\u00f8lgere etter n\u00e5r de begynte \u00e5 f\u00f8lge. Avf\u00f8lginger er ikke med.",
+
+    // Settlements
+    "settlement.title": "Oppgj\u00f8r og utbetalinger",
+    "settlement.payoutPeriod": "Utbetaling",
+    "settlement.period.weekly": "Ukentlig",
+    "settlement.period.monthly": "M\u00e5nedlig",
+    "settlement.feeRule": "Plattformgebyr: {percent} % + {fixed} kr per ordre",
+    "settlement.noFee": "Ingen plattformgebyr",
+    "settlement.col.period": "Periode",
+    "settlement.col.transactions": "Transaksjoner",
+    "settlement.col.transaction": "Transaksjon",
+    "settlement.col.date": "Dato",
+    "settlement.col.buyer": "Kj\u00f8per",
+    "settlement.col.type": "Type",
+    "settlement.col.quantity": "Antall",
+    "settlement.col.status": "Status",
+    "settlement.col.reference": "Vipps-referanse",
+    "settlement.col.adjustment": "Justering",
+    "settlement.captured": "Innbetalt",
+    "settlement.refunded": "Refundert",
+    "settlement.fees": "Gebyr",
+    "settlement.net": "Til utbetaling",
+    "settlement.total": "Sum",
+    "settlement.open": "P\u00e5g\u00e5r",
+    "settlement.closed": "Avsluttet",
+    "settlement.paid": "Utbetalt",
+    "settlement.paidOn": "Utbetalt {date}",
+    "settlement.view": "Vis",
+    "settlement.close": "Lukk",
+    "settlement.downloadCsv": "Last ned CSV",
+    "settlement.print": "Skriv ut / PDF",
+    "settlement.statementTitle": "Oppgj\u00f8rsrapport",
+    "settlement.statementNo": "Oppgj\u00f8r nr.",
+    "settlement.payoutReference": "Utbetalingsreferanse",
+    "settlement.noTransactions": "Ingen transaksjoner i perioden.",
+    "settlement.adjustment": "Justering fra tidligere periode",
+    "settlement.adjustmentNote": "Justeringer er endringer i kj\u00f8p fra tidligere oppgj\u00f8r, som refusjoner etter at perioden ble avsluttet.",
+    "settlement.loadFailed": "Kunne ikke hente oppgj\u00f8ret.",
+    "settlement.yes": "Ja",
+    "settlement.state.created": "Venter",
+    "settlement.state.authorized": "Reservert",
+    "settlement.state.captured": "Fullf\u00f8rt",
+    "settlement.state.partially_refunded": "Delvis refundert",
+    "settlement.state.refunded": "Refundert",
+    "settlement.state.cancelled": "Kansellert",
+    "settlement.state.expired": "Utl\u00f8pt",
+    "settlement.state.failed": "Feilet",
+
+    // Timeslot templates
+    "template.title": "Faste tidspunkter",
+    "template.hint": "Lag et ukentlig m\u00f8nster, s\u00e5 opprettes timeslots automatisk noen uker frem i tid.",
+    "template.new": "Nytt fast tidspunkt",
+    "template.name": "Navn",
+    "template.namePlaceholder": "F.eks. Helgek\u00f8",
+    "template.type": "Type",
+    "template.weekdays": "Dager",
+    "template.weeksAhead": "Opprett frem i tid",
+    "template.weeksAheadShort": "{n} uker frem",
+    "template.spots": "plasser",
+    "template.preview": "{n} timeslots hver {days}",
+    "template.editHint": "Kommende timeslots uten bookinger erstattes. Timeslots med bookinger beholdes som de er.",
+    "template.save": "Lagre",
+    "template.edit": "Rediger",
+    "template.pause": "Pause",
+    "template.resume": "Fortsett",
+    "template.paused": "Pauset",
+    "template.delete": "Slett",
+    "template.deleteConfirm": "Slette det faste tidspunktet? Kommende timeslots uten bookinger slettes ogs\u00e5.",
+    "template.createdSlots": "{n} timeslots opprettet.",
+    "template.removedSlots": "{n} ubookede timeslots fjernet.",
+    "template.error.not_staff": "Du har ikke tilgang",
+    "template.error.name_required": "Gi det faste tidspunktet et navn",
+    "template.error.invalid_type": "Ugyldig type",
+    "template.error.invalid_weekdays": "Velg minst \u00e9n dag",
+    "template.error.invalid_times": "Sluttid m\u00e5 v\u00e6re etter starttid",
+    "template.error.invalid_duration": "Tidsrommet er kortere enn \u00e9n slot",
+    "template.error.invalid_capacity": "Ugyldig pris eller kapasitet",
+    "template.error.label_required": "Bord trenger et navn",
+    "template.error.invalid_weeks_ahead": "Ugyldig antall uker",
+    "template.error.not_found": "Fant ikke det faste tidspunktet",
+    "template.error.failed": "Kunne ikke lagre",
+
+    // Floor plan
+    "floorPlan.title": "Bordkart",
+    "floorPlan.hint": "Dra bordene dit de st\u00e5r, og bruk hj\u00f8rnet for \u00e5 endre st\u00f8rrelsen. Bordreservasjoner med samme navn som et bord vises p\u00e5 kartet.",
+    "floorPlan.empty": "Ingen bord enn\u00e5",
+    "floorPlan.add": "Legg til bord",
+    "floorPlan.defaultLabel": "Bord",
+    "floorPlan.remove": "Fjern bord",
+    "floorPlan.save": "Lagre bordkart",
+    "floorPlan.saved": "Bordkartet er lagret.",
+    "floorPlan.shape": "Form",
+    "floorPlan.shape.round": "Rundt",
+    "floorPlan.shape.square": "Kvadratisk",
+    "floorPlan.shape.rect": "Langbord",
+    "floorPlan.seats": "Sitteplasser",
+    "floorPlan.minSpendKr": "Minimumsforbruk (kr)",
+    "floorPlan.seatsCount": "{n} sitteplasser",
+    "floorPlan.minSpend": "Minimumsforbruk {price}",
+    "floorPlan.available": "Ledig",
+    "floorPlan.booked": "Opptatt",
+    "floorPlan.mine": "Ditt bord",
+    "floorPlan.unavailable": "Ikke til salgs",
+    "floorPlan.justBooked": "Dette bordet ble nettopp reservert av noen andre. Velg et annet bord p\u00e5 kartet.",
+    "floorPlan.error.not_staff": "Du har ikke tilgang",
+    "floorPlan.error.label_required": "Alle bord trenger et navn",
+    "floorPlan.error.invalid_table": "Ugyldig plassering, form eller antall plasser",
+    "floorPlan.error.duplicate_label": "To bord har samme navn",
+    "floorPlan.error.failed": "Kunne ikke lagre",
+
+    // Opening hours
+    "hours.title": "\u00c5pningstider",
+    "hours.hint": "Faste \u00e5pningstider per ukedag. Nye timeslots m\u00e5 ligge innenfor dem, og gjester ser om dere har \u00e5pent n\u00e5.",
+    "hours.overnightHint": "Stengetid f\u00f8r \u00e5pningstid betyr at dere stenger natt til neste dag.",
+    "hours.closed": "Stengt",
+    "hours.closedAllDay": "Stengt hele dagen",
+    "hours.save": "Lagre \u00e5pningstider",
+    "hours.saved": "\u00c5pningstidene er lagret.",
+    "hours.exceptions": "Helligdager og avvik",
+    "hours.exceptionNote": "Merknad",
+    "hours.exceptionNotePlaceholder": "F.eks. Julaften",
+    "hours.addException": "Legg til avvik",
+    "hours.removeException": "Fjern",
+    "hours.specialDays": "Avvikende \u00e5pningstider",
+    "hours.openNow": "\u00c5pent n\u00e5",
+    "hours.closedNow": "Stengt n\u00e5",
+    "hours.closedToday": "Stengt i dag",
+    "hours.until": "til {time}",
+    "hours.opensAt": "\u00e5pner {time}",
+    "hours.filterAll": "Alle steder",
+    "hours.filterNow": "\u00c5pent n\u00e5",
+    "hours.filterTonight": "\u00c5pent i kveld",
+    "hours.outsideHours": "{time} {date} er utenfor \u00e5pningstidene",
+    "hours.outsideHoursGeneric": "Timesloten er utenfor \u00e5pningstidene",
+    "hours.error.not_staff": "Du har ikke tilgang",
+    "hours.error.invalid_hours": "Ugyldige tider",
+    "hours.error.invalid_date": "Velg en dato frem i tid",
+    "hours.error.not_found": "Fant ikke avviket",
+    "hours.error.failed": "Kunne ikke lagre",
+    "template.error.outside_opening_hours": "Tidene er utenfor \u00e5pningstidene p\u00e5 {day}",
+
+    // Venue reviews
+    "review.title": "Anmeldelser",
+    "review.none": "Ingen anmeldelser enn\u00e5.",
+    "review.count": "{n} anmeldelser",
+    "review.write": "Skriv en anmeldelse",
+    "review.yours": "Din anmeldelse",
+    "review.bodyPlaceholder": "Hvordan var det? (valgfritt)",
+    "review.submit": "Publiser",
+    "review.edit": "Rediger",
+    "review.delete": "Slett",
+    "review.deleteConfirm": "Slette anmeldelsen din?",
+    "review.edited": "redigert",
+    "review.hiddenNotice": "skjult etter rapporter, og vurderes av Hapn",
+    "review.onlyGuests": "Bare gjester som har sjekket inn her kan skrive anmeldelser.",
+    "review.loginToReview": "Logg inn for \u00e5 skrive en anmeldelse.",
+    "review.replyFromVenue": "Svar fra stedet",
+    "review.reply": "Svar",
+    "review.editReply": "Endre svar",
+    "review.sendReply": "Publiser svar",
+    "review.report": "Rapporter",
+    "review.reportDetails": "Detaljer (valgfritt)",
+    "review.sendReport": "Send rapport",
+    "review.reported": "Takk, anmeldelsen er rapportert.",
+    "review.reason.abusive": "Trakassering eller hets",
+    "review.reason.spam": "Spam eller reklame",
+    "review.reason.false": "Usann eller villedende",
+    "review.reason.other": "Annet",
+    "review.sortNewest": "Nyeste",
+    "review.sortRating": "Best vurdert",
+    "review.error.not_authenticated": "Du m\u00e5 v\u00e6re logget inn",
+    "review.error.not_eligible": "Bare gjester som har sjekket inn her kan skrive anmeldelser",
+    "review.error.invalid_rating": "Velg fra 1 til 5 stjerner",
+    "review.error.body_too_long": "Anmeldelsen er for lang",
+    "review.error.already_reported": "Du har allerede rapportert denne anmeldelsen",
+    "review.error.own_review": "Du kan ikke rapportere din egen anmeldelse",
+    "review.error.not_found": "Fant ikke anmeldelsen",
+    "review.error.failed": "Noe gikk galt",
+
+    // Menu and pre-orders
+    "menu.title": "Meny",
+    "menu.hint": "Drikke og pakker som vises p\u00e5 stedets side. Varer merket for forh\u00e5ndsbestilling kan legges til et billettkj\u00f8p og betales i samme Vipps-betaling.",
+    "menu.add": "Legg til vare",
+    "menu.edit": "Rediger",
+    "menu.hide": "Skjul",
+    "menu.show": "Vis",
+    "menu.delete": "Slett",
+    "menu.deleteConfirm": "Slette denne varen? Forh\u00e5ndsbestillinger som alt er gjort beholdes.",
+    "menu.hidden": "Skjult",
+    "menu.save": "Lagre vare",
+    "menu.category": "Kategori",
+    "menu.categoryPlaceholder": "F.eks. Cocktails",
+    "menu.name": "Navn",
+    "menu.description": "Beskrivelse",
+    "menu.descriptionPlaceholder": "F.eks. 0,7 l vodka med 6 mikser",
+    "menu.ageRestricted": "Aldersgrense 18 \u00e5r",
+    "menu.preorder": "Kan forh\u00e5ndsbestilles med billett",
+    "menu.preorderable": "Kan forh\u00e5ndsbestilles",
+    "menu.preorderTitle": "Forh\u00e5ndsbestilling",
+    "menu.preorderHint": "Bestill n\u00e5 og f\u00e5 det servert n\u00e5r dere kommer. Betales sammen med billetten.",
+    "menu.error.failed": "Kunne ikke lagre varen",
+    "menu.error.invalid_preorder": "Noe i forh\u00e5ndsbestillingen er ikke lenger tilgjengelig. Pr\u00f8v igjen.",
+    "menu.error.preorder_too_young": "Du m\u00e5 v\u00e6re minst {age} \u00e5r og ha bekreftet alderen med Vipps for \u00e5 forh\u00e5ndsbestille alkohol",
+
+    // Event tickets
+    "eventTicket.title": "Billetter",
+    "eventTicket.hint": "Selg billetter til eventet med Vipps. N\u00e5r eventet har en billettype, m\u00e5 alle som skal delta kj\u00f8pe billett. Er det fullt, f\u00e5r neste p\u00e5 ventelisten tilbud om \u00e5 kj\u00f8pe n\u00e5r en plass blir ledig.",
+    "eventTicket.add": "Legg til billettype",
+    "eventTicket.name": "Navn",
+    "eventTicket.namePlaceholder": "F.eks. Ordin\u00e6r",
+    "eventTicket.capacity": "Antall",
+    "eventTicket.capacityPlaceholder": "Ubegrenset",
+    "eventTicket.sold": "{count} solgt",
+    "eventTicket.pause": "Stopp salg",
+    "eventTicket.resume": "Start salg",
+    "eventTicket.pausedShort": "Salg stoppet",
+    "eventTicket.deleteConfirm": "Slette denne billettypen?",
+    "eventTicket.save": "Lagre billettype",
+    "eventTicket.buy": "Kj\u00f8p",
+    "eventTicket.yours": "Din billett:",
+    "eventTicket.cancelRefund": "Avbestill og f\u00e5 pengene tilbake",
+    "eventTicket.cancelConfirm": "Avbestille billetten? Du f\u00e5r {price} tilbake til Vipps.",
+    "eventTicket.paused": "Billettsalget er stoppet",
+    "eventTicket.soldOut": "Utsolgt",
+    "eventTicket.joinWaitlist": "St\u00e5 p\u00e5 venteliste",
+    "eventTicket.offer": "En plass er ledig til deg! Kj\u00f8p billett innen {time}.",
+    "eventTicket.purchased": "Du har billett. QR-koden finner du p\u00e5 eventet.",
+    "eventTicket.toEvent": "G\u00e5 til eventet",
+    "eventTicket.error.price": "Prisen m\u00e5 v\u00e6re minst 1 kr. Gratis eventer trenger ikke billetter.",
+    "eventTicket.error.failed": "Noe gikk galt. Pr\u00f8v igjen.",
+    "eventTicket.error.hasOrders": "Billettypen er solgt og kan ikke slettes. Stopp salget i stedet.",
+    "eventTicket.error.sold_out": "Eventet er utsolgt",
+    "eventTicket.error.ticket_type_sold_out": "Denne billettypen er utsolgt",
+    "eventTicket.error.ticket_type_inactive": "Salget av denne billettypen er stoppet",
+    "eventTicket.error.ticket_type_not_found": "Fant ikke billettypen",
+    "eventTicket.error.event_started": "Eventet har startet",
+    "eventTicket.error.already_has_ticket": "Du har allerede billett",
+    "eventTicket.error.already_going": "Du er allerede p\u00e5meldt",
+    "eventTicket.error.kicked": "Du er fjernet fra dette eventet",
+    "eventTicket.error.no_access": "Du har ikke tilgang til dette eventet",
+    "eventTicket.error.no_ticket": "Du har ingen billett til dette eventet",
+    "eventTicket.error.checked_in": "Billetten er allerede sjekket inn",
+    "eventTicket.error.not_authenticated": "Du m\u00e5 logge inn",
+    "eventTicket.error.ticket_required": "Dette eventet krever billett",
+    "eventTicket.error.event_has_tickets": "Eventet har solgte billetter. Avlys eventet i stedet, s\u00e5 blir billettene refundert.",
+    "eventTicket.error.event_cancelled": "Eventet er avlyst",
+    "eventTicket.error.refund_failed": "Billetten er avbestilt, men refusjonen gikk ikke gjennom hos Vipps. Kontakt arrang\u00f8ren om pengene ikke kommer tilbake.",
+    "notif.ticket_offer": "En plass er ledig \u2013 kj\u00f8p billett f\u00f8r tilbudet g\u00e5r ut",
+
+    "guests.title": "Gjester",
+    "guests.hint": "Du kan ta med opptil {max} gjester. Navn er valgfritt, men gj\u00f8r det enklere i d\u00f8ra.",
+    "guests.namePlaceholder": "Gjest {n}",
+    "guests.add": "Legg til gjest",
+    "guests.remove": "Fjern",
+    "guests.save": "Lagre gjester",
+    "guests.saved": "Gjestene er lagret",
+    "guests.unnamed": "Gjest",
+    "guests.plus": "+{count}",
+    "guests.checkIn": "Sjekk inn",
+    "guests.idCheckConfirm": "Eventet har aldersgrense {age}+. Har du sjekket gjestens legitimasjon?",
+    "guests.error.too_many_guests": "Du kan ta med maks {max} gjester",
+    "guests.error.not_enough_places": "Det er ikke nok ledige plasser. Ledige plasser til gjester: {count}",
+    "guests.error.guest_checked_in": "En gjest som er sjekket inn kan ikke fjernes",
+    "guests.error.ticketed_event": "P\u00e5 eventer med billetter m\u00e5 hver gjest kj\u00f8pe egen billett",
+    "guests.error.not_going": "Du m\u00e5 v\u00e6re p\u00e5meldt for \u00e5 ta med gjester",
+    "guests.error.failed": "Noe gikk galt. Pr\u00f8v igjen.",
+    "form.maxGuests": "Gjester per p\u00e5melding",
+    "form.noGuests": "Ingen gjester",
+    "form.maxGuestsHint": "Gjester teller som deltakere og kan sjekkes inn hver for seg",
+
+    "questions.title": "Sp\u00f8rsm\u00e5l til deltakerne",
+    "questions.hint": "F.eks. allergier, t-skortest\u00f8rrelse eller lag. Svarene samles inn ved p\u00e5melding og foresp\u00f8rsel om tilgang.",
+    "questions.formTitle": "Sp\u00f8rsm\u00e5l fra arrang\u00f8ren",
+    "questions.labelPlaceholder": "Sp\u00f8rsm\u00e5l",
+    "questions.kind.text": "Fritekst",
+    "questions.kind.single": "Ett valg",
+    "questions.kind.multi": "Flere valg",
+    "questions.optionsPlaceholder": "Ett alternativ per linje",
+    "questions.required": "P\u00e5krevd",
+    "questions.add": "Legg til sp\u00f8rsm\u00e5l",
+    "questions.deleteConfirm": "Slette sp\u00f8rsm\u00e5let? Svarene som er gitt slettes ogs\u00e5.",
+    "questions.save": "Lagre svar",
+    "questions.answersTitle": "Svar",
+    "questions.exportCsv": "Eksporter CSV",
+    "questions.name": "Navn",
+    "questions.statusColumn": "Status",
+    "questions.status.going": "Skal",
+    "questions.status.interested": "Interessert",
+    "questions.status.waitlisted": "Venteliste",
+    "questions.status.access_request": "Ber om tilgang",
+    "questions.error.label": "Alle sp\u00f8rsm\u00e5l m\u00e5 ha en tekst",
+    "questions.error.options": "Sp\u00f8rsm\u00e5l med valg m\u00e5 ha minst ett alternativ",
+    "questions.error.answer_required": "Svar p\u00e5 \u00ab{question}\u00bb",
+    "questions.error.answers_required": "Svar p\u00e5 de p\u00e5krevde sp\u00f8rsm\u00e5lene f\u00f8rst",
+    "questions.error.invalid_option": "Ugyldig valg p\u00e5 \u00ab{question}\u00bb",
+    "questions.error.answer_too_long": "Svaret p\u00e5 \u00ab{question}\u00bb er for langt",
+    "questions.error.no_access": "Du har ikke tilgang til dette eventet",
+    "questions.error.not_authenticated": "Du m\u00e5 logge inn",
+    "questions.error.failed": "Kunne ikke lagre svarene. Pr\u00f8v igjen.",
+
+    // Attendee export and announcements
+    "attendees.title": "Deltakere",
+    "attendees.segmentLabel": "Utvalg",
+    "attendees.segment.going": "Skal",
+    "attendees.segment.interested": "Interessert",
+    "attendees.segment.waitlisted": "Venteliste",
+    "attendees.segment.checked_in": "Sjekket inn",
+    "attendees.segment.going_not_checked_in": "Skal, men ikke sjekket inn",
+    "attendees.status.going": "Skal",
+    "attendees.status.interested": "Interessert",
+    "attendees.status.waitlisted": "Venteliste",
+    "attendees.exportCsv": "Eksporter CSV",
+    "attendees.exportXlsx": "Eksporter Excel",
+    "attendees.privacyHint": "E-post og telefon er bare med for deltakere som deler dem med arrang\u00f8rer.",
+    "attendees.col.name": "Navn",
+    "attendees.col.status": "Status",
+    "attendees.col.rsvpAt": "P\u00e5meldt",
+    "attendees.col.checkedInAt": "Sjekket inn",
+    "attendees.col.guests": "Gjester",
+    "attendees.col.email": "E-post",
+    "attendees.col.phone": "Telefon",
+    "attendees.announceLabel": "Send melding til utvalget",
+    "attendees.announcePlaceholder": "F.eks. d\u00f8rene \u00e5pner 19:00, husk legitimasjon",
+    "attendees.announceConfirm": "Sende meldingen til alle i utvalget \u00ab{segment}\u00bb? De f\u00e5r et varsel og en e-post.",
+    "attendees.send": "Send melding",
+    "attendees.sending": "Sender...",
+    "attendees.sent": "Meldingen ble sendt til {count} deltakere",
+    "attendees.history": "Sendte meldinger",
+    "attendees.recipients": "{count} mottakere",
+    "attendees.error.exportFailed": "Kunne ikke hente deltakerlisten. Pr\u00f8v igjen.",
+    "attendees.error.no_recipients": "Ingen i dette utvalget \u00e5 sende til",
+    "attendees.error.too_many_announcements": "Du kan sende maks 5 meldinger per d\u00f8gn for dette eventet",
+    "attendees.error.message_empty": "Skriv en melding",
+    "attendees.error.message_too_long": "Meldingen er for lang",
+    "attendees.error.failed": "Kunne ikke sende meldingen. Pr\u00f8v igjen.",
+
+    // Event cancellation
+    "cancelEvent.button": "Avlys event",
+    "cancelEvent.badge": "Avlyst",
+    "cancelEvent.notice": "Dette eventet er avlyst",
+    "cancelEvent.noRequests": "Eventet er avlyst og tar ikke imot foresp\u00f8rsler",
+    "cancelEvent.reasonLabel": "Hvorfor avlyses eventet?",
+    "cancelEvent.reasonPlaceholder": "Begrunnelsen vises p\u00e5 eventet og sendes til alle som er p\u00e5meldt",
+    "cancelEvent.hint": "Eventet blir st\u00e5ende som avlyst, og alle som er p\u00e5meldt f\u00e5r et varsel og en e-post.",
+    "cancelEvent.hintTicketed": "Eventet blir st\u00e5ende som avlyst, alle som er p\u00e5meldt f\u00e5r et varsel og en e-post, og solgte billetter refunderes.",
+    "cancelEvent.confirm": "Avlyse eventet? Dette kan ikke angres.",
+    "cancelEvent.submit": "Avlys event",
+    "cancelEvent.refundsFailed": "Eventet er avlyst, men noen refusjoner feilet. Du kan pr\u00f8ve dem p\u00e5 nytt under administrasjon.",
+    "cancelEvent.refundsPending": "{count} billetter venter p\u00e5 refusjon fra Vipps.",
+    "cancelEvent.retryRefunds": "Pr\u00f8v refusjonene p\u00e5 nytt",
+    "cancelEvent.retryFailed": "Noen refusjoner feilet igjen. Pr\u00f8v senere.",
+    "cancelEvent.error.reason_required": "Skriv en begrunnelse",
+    "cancelEvent.error.reason_too_long": "Begrunnelsen er for lang",
+    "cancelEvent.error.already_cancelled": "Eventet er allerede avlyst",
+    "cancelEvent.error.event_started": "Eventet har allerede startet",
+    "cancelEvent.error.not_creator": "Bare den som opprettet eventet kan avlyse det",
+    "cancelEvent.error.event_not_found": "Fant ikke eventet",
+    "cancelEvent.error.failed": "Kunne ikke avlyse eventet. Pr\u00f8v igjen.",
+
     // General
     "loading": "Laster...",
   },
@@ -670,7 +1309,8 @@ export const translations = {
     "notif.comment": "commented on your event",
     "notif.access_request": "requested access to your event",
     "notif.invitation": "invited you to an event",
-    "notif.reminder": "Reminder: event starts tomorrow",
+    "notif.reminder": "Reminder: {name} starts tomorrow",
+    "notif.reminderSoon": "Reminder: {name} starts in {hours} hours",
     "notif.waitlist_promoted": "You got a spot!",
     "notif.kicked": "removed you from an event",
 
@@ -682,6 +1322,8 @@ export const translations = {
     "prefs.emailAccessRequest": "Someone requests access",
     "prefs.emailInvitation": "You are invited to an event",
     "prefs.emailReminder": "Reminder 24h before events",
+    "prefs.emailAnnouncement": "Messages from organizers",
+    "prefs.emailEventUpdates": "Cancellations and changes to time or place",
 
     // Calendar
     "cal.google": "Google Calendar",
@@ -777,6 +1419,7 @@ export const translations = {
     "profile.visibility.public": "Public — everyone can see your activity",
     "profile.visibility.followers": "Followers only — only approved followers see your activity",
     "profile.visibility.private": "Private — no one can see your activity",
+    "profile.shareContact": "Share my email and phone number with organizers of events I sign up for",
     "profile.stats.followers": "Followers",
     "profile.stats.following": "Following",
     "profile.friendsTab": "Friends Activity",
@@ -829,6 +1472,7 @@ export const translations = {
     "venue.role.bouncer": "Bouncer",
     "venue.verified": "Verified",
     "venue.noTimeslots": "No available timeslots",
+    "venue.saveFailed": "Couldn't save the change. Please try again.",
     "venue.upcomingTimeslots": "Upcoming timeslots",
     "venue.noVenues": "No venues found",
 
@@ -927,6 +1571,17 @@ export const translations = {
 
     // Venue notifications
     "notif.venue_new_timeslot": "added new dates",
+    "notif.announcement": "sent a message",
+    "notif.event_cancelled": "cancelled an event you signed up for",
+    "notif.event_updated": "changed an event you signed up for:",
+    "notif.changed.date": "date",
+    "notif.changed.time": "time",
+    "notif.changed.location": "place",
+    "notif.changed.event_mode": "format",
+    "notif.changed.online_url": "link",
+    "notif.mode.physical": "in person",
+    "notif.mode.online": "online",
+    "notif.mode.hybrid": "hybrid",
 
     // Search/Browse
     "nav.search": "Search",
@@ -987,9 +1642,632 @@ export const translations = {
     // Age verification
     "form.minAge": "Age restriction",
     "form.noAgeLimit": "No age restriction",
-    "booking.tooYoung": "You must be at least {age} years old to purchase this ticket",
+    "booking.tooYoung": "You must be at least {age} years old and have verified your age with Vipps to purchase this ticket",
     "booking.ageRequired": "Age restriction: {age}+",
 
+    // Recurring series
+    "events.recurring": "Recurring",
+    "series.weekly": "Every {weekday}",
+    "series.biweekly": "Every other {weekday}",
+    "series.monthly": "Monthly on the {nth} {weekday}",
+    "series.nth.1": "1st",
+    "series.nth.2": "2nd",
+    "series.nth.3": "3rd",
+    "series.nth.4": "4th",
+    "series.nth.-1": "last",
+    "series.until": "until {date}",
+    "series.otherDates": "Other dates",
+    "series.end": "End series",
+    "series.endConfirm": "End the series? Future dates without attendees will be deleted.",
+    "series.error.already_in_series": "This event is already part of a series",
+    "series.error.invalid_until_date": "The repeat end date must be after the event date",
+    "series.error.invalid_frequency": "Invalid recurrence",
+    "series.error.not_authorized": "You are not allowed to change this series",
+    "series.error.not_in_series": "This event is not part of a series",
+    "series.error.not_authenticated": "Please log in",
+    "series.error.not_found": "Event not found",
+    "form.recurrence": "Repeat",
+    "form.repeatNone": "Does not repeat",
+    "form.repeatWeekly": "Weekly",
+    "form.repeatBiweekly": "Every other week",
+    "form.repeatMonthly": "Monthly (same weekday)",
+    "form.repeatMonthlyLast": "Monthly (last weekday)",
+    "form.repeatUntil": "Repeat until",
+    "form.repeatUntilHint": "Leave empty to repeat without an end date",
+    "form.repeatExceptions": "Skip dates",
+    "form.addException": "Add",
+    "form.applyToFuture": "Update future dates",
+    "form.applyToFutureHint": "Changes are copied to all later dates in the series",
+
+    // Vipps capture and refunds
+    "payment.title": "Payment",
+    "payment.capture": "Capture",
+    "payment.refund": "Refund",
+    "payment.refundPrompt": "Amount to refund in NOK (max {max})",
+    "payment.invalidAmount": "Invalid amount",
+    "payment.actionFailed": "The Vipps action failed. Please try again.",
+    "payment.refundFailed": "The ticket is cancelled, but Vipps did not accept the refund. Contact the venue if the money does not come back.",
+    "payment.pendingCapture": "Reserved, not captured",
+    "payment.captureMode": "Capture payment",
+    "payment.captureAtPurchase": "At purchase",
+    "payment.captureAtCheckin": "At check-in",
+    "payment.captureModeHint": "At check-in reserves the amount at purchase and only captures it when the ticket is scanned.",
+    "payment.state.created": "Created",
+    "payment.state.authorized": "Reserved",
+    "payment.state.captured": "Captured",
+    "payment.state.partially_refunded": "Partially refunded",
+    "payment.state.refunded": "Refunded",
+    "payment.state.cancelled": "Cancelled",
+    "payment.state.expired": "Expired",
+    "payment.state.failed": "Failed",
+    "scanner.captureFailed": "Checked in, but the payment could not be captured. Retry from the dashboard.",
+
+    // Group bookings
+    "booking.quantity": "Quantity",
+    "booking.yourTickets": "Your tickets ({count})",
+    "booking.assignHint": "Give the tickets to friends in My Tickets.",
+    "booking.invalidQuantity": "You can buy at most {max} tickets at a time",
+    "booking.onlySpotsLeft": "Only {count} spots left",
+    "tickets.count": "{count} tickets",
+    "tickets.ticketN": "Ticket {n}",
+    "tickets.forMe": "For me",
+    "tickets.fromBuyer": "From {name}",
+    "tickets.alreadyAssigned": "This friend already has a ticket for this timeslot",
+    "tickets.assignFailed": "Could not give away the ticket",
+    "notif.ticket_assigned": "gave you a ticket",
+    "scanner.boughtBy": "Bought by",
+
+    // Ticket transfers
+    "transfer.send": "Transfer",
+    "transfer.pickFriend": "Pick a friend...",
+    "transfer.emailPlaceholder": "or email address",
+    "transfer.submit": "Send ticket",
+    "transfer.hint": "The recipient has to accept. The QR code is replaced once the ticket is transferred.",
+    "transfer.pendingTo": "Waiting for {name} to accept",
+    "transfer.withdraw": "Withdraw",
+    "transfer.offered": "wants to give you a ticket",
+    "transfer.accept": "Accept",
+    "transfer.decline": "Decline",
+    "transfer.recipientNotFound": "No user found with that email address",
+    "transfer.notToSelf": "You can't transfer a ticket to yourself",
+    "transfer.disabled": "This venue doesn't allow transfers",
+    "transfer.closed": "It's too late to transfer this ticket",
+    "transfer.alreadyPending": "This ticket has already been sent to someone",
+    "transfer.failed": "The transfer failed",
+    "transfer.rulesTitle": "Ticket transfers",
+    "transfer.allowed": "Allowed",
+    "transfer.notAllowed": "Not allowed",
+    "transfer.untilStart": "Until start",
+    "transfer.untilBefore": "Until {hours} h before start",
+    "transfer.from": "From",
+    "transfer.to": "To",
+    "transfer.status.pending": "Pending",
+    "transfer.status.accepted": "Transferred",
+    "transfer.status.declined": "Declined",
+    "transfer.status.cancelled": "Withdrawn",
+    "notif.ticket_transfer": "wants to give you a ticket",
+    "notif.ticket_transfer_accepted": "accepted your ticket",
+    "scanner.transferred": "This ticket was transferred from the buyer",
+    "scanner.ticketTransferred": "Old QR code \u2014 the ticket was transferred to {name}",
+
+    // Promo codes
+    "promo.placeholder": "Promo code",
+    "promo.apply": "Apply",
+    "promo.remove": "Remove",
+    "promo.applied": "Promo code {code}",
+    "promo.wrongType": "This code only applies to {type}",
+    "promo.error.not_found": "Invalid promo code",
+    "promo.error.not_started": "This promo code isn't valid yet",
+    "promo.error.expired": "This promo code has expired",
+    "promo.error.used_up": "This promo code has been used up",
+    "promo.error.user_limit": "You have already used this promo code",
+    "promo.error.not_applicable": "This promo code can't be used here",
+    "promo.title": "Promo codes",
+    "promo.code": "Code",
+    "promo.discount": "Discount",
+    "promo.redemptions": "Used",
+    "promo.validity": "Valid",
+    "promo.onlyType": "{type} only",
+    "promo.appliesTo": "Applies to",
+    "promo.allTypes": "All types",
+    "promo.maxUses": "Max uses",
+    "promo.maxUsesPerUser": "Max per user",
+    "promo.unlimited": "Unlimited",
+    "promo.validFrom": "Valid from",
+    "promo.validUntil": "Valid until",
+    "promo.create": "Create promo code",
+    "promo.activate": "Activate",
+    "promo.deactivate": "Deactivate",
+    "promo.duplicate": "This code already exists",
+    "promo.invalid": "Check the code, the discount and the dates",
+    "promo.totalDiscount": "Given in discounts",
+
+    // Price tiers
+    "tier.add": "Add price tier",
+    "tier.remove": "Remove",
+    "tier.name": "Name",
+    "tier.namePlaceholder": "e.g. Early bird",
+    "tier.saleStarts": "Sale starts",
+    "tier.saleEnds": "Sale ends",
+    "tier.hint": "Tiers are sold in order. Sales move on to the next tier when one sells out or its sale window closes.",
+    "tier.next": "Then {tier}: {price}",
+    "tier.onlyLeft": "Only {count} left in {tier}",
+    "tier.salesNotStarted": "Ticket sales haven't started yet",
+    "tier.salesStart": "On sale {date}",
+    "tier.state.active": "on sale",
+    "tier.state.queued": "next",
+    "tier.state.upcoming": "not started",
+    "tier.state.ended": "ended",
+    "tier.state.sold_out": "sold out",
+    "tier.error.failed": "Couldn't create the timeslot with its price tiers",
+
+    // Offline scanning
+    "scanner.offline.online": "Online",
+    "scanner.offline.offline": "Offline \u2014 check-ins are saved on this device",
+    "scanner.offline.manifest": "{count} tickets loaded at {time}",
+    "scanner.offline.noManifest": "ticket list not loaded",
+    "scanner.offline.pending": "{count} waiting to sync",
+    "scanner.offline.queued": "Saved on this device, syncs when the connection is back",
+    "scanner.offline.notInManifest": "Not in tonight's ticket list",
+    "scanner.offline.lookupFailed": "Couldn't reach the server, and the ticket list isn't loaded",
+    "scanner.offline.conflict": "was already checked in by {by} at {time}. Check whether the ticket was copied.",
+    "scanner.offline.otherDevice": "another device",
+    "scanner.offline.rejectedCancelled": "was let in, but the ticket had been cancelled",
+    "scanner.offline.rejectedUnpaid": "was let in, but the ticket wasn't paid",
+    "scanner.offline.rejectedBanned": "was let in, but is banned from the venue",
+    "scanner.offline.rejected": "the check-in was rejected",
+
+    // Venue occupancy
+    "occupancy.title": "Occupancy",
+    "occupancy.inside": "Inside now",
+    "occupancy.walkIn": "Walk-in",
+    "occupancy.out": "Out",
+    "occupancy.full": "Full \u2013 don't let anyone else in",
+    "occupancy.near": "Nearly full \u2013 {left} spots left",
+    "occupancy.adjust": "Correct count",
+    "occupancy.adjustSave": "Save",
+    "occupancy.error": "Couldn't record that. Try again.",
+    "occupancy.maxLabel": "Max inside",
+    "occupancy.noLimit": "No limit",
+    "occupancy.alertAt": "Alert at {percent}%",
+    "occupancy.peak": "Peak",
+    "occupancy.checkins": "Tickets checked in",
+    "occupancy.walkIns": "Walk-ins",
+    "occupancy.exits": "Out",
+    "occupancy.noData": "Nothing recorded this night.",
+
+    // Ban list and incident log
+    "ban.title": "Banned guests",
+    "ban.none": "Nobody is banned.",
+    "ban.reason": "Reason",
+    "ban.expires": "Banned until",
+    "ban.permanent": "Until lifted",
+    "ban.until": "Banned until {date}",
+    "ban.by": "By {name}",
+    "ban.lift": "Lift",
+    "ban.create": "Ban",
+    "ban.duration": "Duration",
+    "ban.days": "{days} days",
+    "ban.oneYear": "1 year",
+    "ban.banned": "Banned",
+    "ban.atDoor": "This guest is banned from the venue",
+    "ban.cannotBook": "You can't book at this venue.",
+    "incident.title": "Incident log",
+    "incident.none": "No incidents recorded.",
+    "incident.report": "Report incident",
+    "incident.kind": "Type",
+    "incident.kind.refused": "Refused entry",
+    "incident.kind.removed": "Removed",
+    "incident.kind.other": "Other",
+    "incident.description": "What happened",
+    "incident.guestDescription": "Who was it",
+    "incident.guestDescriptionPlaceholder": "Name or description",
+    "incident.submit": "Save incident",
+    "incident.saved": "Incident recorded",
+    "incident.failed": "Couldn't save the incident",
+    "incident.when": "When",
+    "incident.reportedBy": "Reported by {name}",
+
+    // Age checks
+    "age.verified": "{age}+ verified via Vipps",
+    "age.unverified": "Unverified \u2013 check ID",
+    "age.underage": "Under {age} according to Vipps",
+    "age.refuse": "Under {age} \u2013 don't let in",
+    "age.checkId": "Age not verified \u2013 check ID",
+    "age.idCheckedCheckin": "ID checked \u2013 check in",
+    "age.rsvpTooYoung": "You need to be {age} or older and have verified your age with Vipps to join",
+    "age.overridesTitle": "Let in on ID",
+    "age.noOverrides": "Nobody has been let in without a verified age.",
+    "age.checkedBy": "Checked by",
+    "scanner.offline.rejectedUnderage": "Under the age limit \u2013 not checked in",
+    "scanner.offline.rejectedNoId": "Age not verified \u2013 not checked in",
+
+    // Venue analytics
+    "analytics.title": "Analytics",
+    "analytics.open": "Analytics",
+    "analytics.lastDays": "Last {days} days",
+    "analytics.comparedTo": "Compared with {from} \u2013 {to}",
+    "analytics.invalidRange": "Pick a period of at most one year.",
+    "analytics.noComparison": "Nothing to compare with",
+    "analytics.revenue": "Revenue",
+    "analytics.tickets": "Tickets sold",
+    "analytics.sellThrough": "Sell-through",
+    "analytics.noShowRate": "No-shows",
+    "analytics.newFollowers": "New followers",
+    "analytics.revenueOverTime": "Revenue over time",
+    "analytics.ticketsOverTime": "Tickets sold per day",
+    "analytics.thisPeriod": "This period",
+    "analytics.previousPeriod": "Previous period",
+    "analytics.sellThroughByType": "Sell-through by type",
+    "analytics.type": "Type",
+    "analytics.timeslots": "Timeslots",
+    "analytics.soldOfCapacity": "Sold / capacity",
+    "analytics.noTimeslots": "No timeslots in this period.",
+    "analytics.noShowDetail": "{noShows} of {total} bookings for past timeslots were never checked in.",
+    "analytics.arrivals": "Arrival times",
+    "analytics.noArrivals": "No check-ins in this period.",
+    "analytics.checkins": "Check-ins",
+    "analytics.followers": "Followers",
+    "analytics.followersNote": "Shows current followers by when they started following. Unfollows are not included.",
+
+    // Settlements
+    "settlement.title": "Settlements and payouts",
+    "settlement.payoutPeriod": "Payout",
+    "settlement.period.weekly": "Weekly",
+    "settlement.period.monthly": "Monthly",
+    "settlement.feeRule": "Platform fee: {percent} % + {fixed} kr per order",
+    "settlement.noFee": "No platform fee",
+    "settlement.col.period": "Period",
+    "settlement.col.transactions": "Transactions",
+    "settlement.col.transaction": "Transaction",
+    "settlement.col.date": "Date",
+    "settlement.col.buyer": "Buyer",
+    "settlement.col.type": "Type",
+    "settlement.col.quantity": "Quantity",
+    "settlement.col.status": "Status",
+    "settlement.col.reference": "Vipps reference",
+    "settlement.col.adjustment": "Adjustment",
+    "settlement.captured": "Paid in",
+    "settlement.refunded": "Refunded",
+    "settlement.fees": "Fees",
+    "settlement.net": "Payout",
+    "settlement.total": "Total",
+    "settlement.open": "In progress",
+    "settlement.closed": "Closed",
+    "settlement.paid": "Paid out",
+    "settlement.paidOn": "Paid out {date}",
+    "settlement.view": "View",
+    "settlement.close": "Close",
+    "settlement.downloadCsv": "Download CSV",
+    "settlement.print": "Print / PDF",
+    "settlement.statementTitle": "Settlement statement",
+    "settlement.statementNo": "Statement no.",
+    "settlement.payoutReference": "Payout reference",
+    "settlement.noTransactions": "No transactions in this period.",
+    "settlement.adjustment": "Adjustment from an earlier period",
+    "settlement.adjustmentNote": "Adjustments are changes to purchases from earlier statements, such as refunds made after the period closed.",
+    "settlement.loadFailed": "Could not load the statement.",
+    "settlement.yes": "Yes",
+    "settlement.state.created": "Pending",
+    "settlement.state.authorized": "Reserved",
+    "settlement.state.captured": "Completed",
+    "settlement.state.partially_refunded": "Partly refunded",
+    "settlement.state.refunded": "Refunded",
+    "settlement.state.cancelled": "Cancelled",
+    "settlement.state.expired": "Expired",
+    "settlement.state.failed": "Failed",
+
+    // Timeslot templates
+    "template.title": "Recurring timeslots",
+    "template.hint": "Set up a weekly pattern and timeslots are created automatically a few weeks ahead.",
+    "template.new": "New recurring timeslot",
+    "template.name": "Name",
+    "template.namePlaceholder": "E.g. Weekend queue",
+    "template.type": "Type",
+    "template.weekdays": "Days",
+    "template.weeksAhead": "Create ahead",
+    "template.weeksAheadShort": "{n} weeks ahead",
+    "template.spots": "spots",
+    "template.preview": "{n} timeslots every {days}",
+    "template.editHint": "Upcoming timeslots without bookings are replaced. Timeslots with bookings are kept as they are.",
+    "template.save": "Save",
+    "template.edit": "Edit",
+    "template.pause": "Pause",
+    "template.resume": "Resume",
+    "template.paused": "Paused",
+    "template.delete": "Delete",
+    "template.deleteConfirm": "Delete this recurring timeslot? Upcoming timeslots without bookings are deleted too.",
+    "template.createdSlots": "{n} timeslots created.",
+    "template.removedSlots": "{n} unbooked timeslots removed.",
+    "template.error.not_staff": "You don't have access",
+    "template.error.name_required": "Give the recurring timeslot a name",
+    "template.error.invalid_type": "Invalid type",
+    "template.error.invalid_weekdays": "Pick at least one day",
+    "template.error.invalid_times": "End time must be after start time",
+    "template.error.invalid_duration": "The time range is shorter than one slot",
+    "template.error.invalid_capacity": "Invalid price or capacity",
+    "template.error.label_required": "Tables need a name",
+    "template.error.invalid_weeks_ahead": "Invalid number of weeks",
+    "template.error.not_found": "Recurring timeslot not found",
+    "template.error.failed": "Could not save",
+
+    // Floor plan
+    "floorPlan.title": "Floor plan",
+    "floorPlan.hint": "Drag tables to where they stand and use the corner to resize them. Table reservations with the same name as a table show up on the plan.",
+    "floorPlan.empty": "No tables yet",
+    "floorPlan.add": "Add table",
+    "floorPlan.defaultLabel": "Table",
+    "floorPlan.remove": "Remove table",
+    "floorPlan.save": "Save floor plan",
+    "floorPlan.saved": "Floor plan saved.",
+    "floorPlan.shape": "Shape",
+    "floorPlan.shape.round": "Round",
+    "floorPlan.shape.square": "Square",
+    "floorPlan.shape.rect": "Long table",
+    "floorPlan.seats": "Seats",
+    "floorPlan.minSpendKr": "Minimum spend (kr)",
+    "floorPlan.seatsCount": "{n} seats",
+    "floorPlan.minSpend": "Minimum spend {price}",
+    "floorPlan.available": "Available",
+    "floorPlan.booked": "Booked",
+    "floorPlan.mine": "Your table",
+    "floorPlan.unavailable": "Not for sale",
+    "floorPlan.justBooked": "Someone else just reserved this table. Pick another one on the plan.",
+    "floorPlan.error.not_staff": "You don't have access",
+    "floorPlan.error.label_required": "Every table needs a name",
+    "floorPlan.error.invalid_table": "Invalid position, shape or seat count",
+    "floorPlan.error.duplicate_label": "Two tables have the same name",
+    "floorPlan.error.failed": "Could not save",
+
+    // Opening hours
+    "hours.title": "Opening hours",
+    "hours.hint": "Regular hours per weekday. New timeslots have to fall within them, and guests can see whether you're open now.",
+    "hours.overnightHint": "A closing time before the opening time means you close the next morning.",
+    "hours.closed": "Closed",
+    "hours.closedAllDay": "Closed all day",
+    "hours.save": "Save opening hours",
+    "hours.saved": "Opening hours saved.",
+    "hours.exceptions": "Holidays and exceptions",
+    "hours.exceptionNote": "Note",
+    "hours.exceptionNotePlaceholder": "e.g. Christmas Eve",
+    "hours.addException": "Add exception",
+    "hours.removeException": "Remove",
+    "hours.specialDays": "Special hours",
+    "hours.openNow": "Open now",
+    "hours.closedNow": "Closed now",
+    "hours.closedToday": "Closed today",
+    "hours.until": "until {time}",
+    "hours.opensAt": "opens {time}",
+    "hours.filterAll": "All venues",
+    "hours.filterNow": "Open now",
+    "hours.filterTonight": "Open tonight",
+    "hours.outsideHours": "{time} on {date} is outside opening hours",
+    "hours.outsideHoursGeneric": "The timeslot is outside opening hours",
+    "hours.error.not_staff": "You don't have access",
+    "hours.error.invalid_hours": "Invalid times",
+    "hours.error.invalid_date": "Pick a date in the future",
+    "hours.error.not_found": "Exception not found",
+    "hours.error.failed": "Could not save",
+    "template.error.outside_opening_hours": "The times are outside opening hours on {day}",
+
+    // Venue reviews
+    "review.title": "Reviews",
+    "review.none": "No reviews yet.",
+    "review.count": "{n} reviews",
+    "review.write": "Write a review",
+    "review.yours": "Your review",
+    "review.bodyPlaceholder": "How was it? (optional)",
+    "review.submit": "Publish",
+    "review.edit": "Edit",
+    "review.delete": "Delete",
+    "review.deleteConfirm": "Delete your review?",
+    "review.edited": "edited",
+    "review.hiddenNotice": "hidden after reports, under review by Hapn",
+    "review.onlyGuests": "Only guests who have checked in here can write reviews.",
+    "review.loginToReview": "Log in to write a review.",
+    "review.replyFromVenue": "Reply from the venue",
+    "review.reply": "Reply",
+    "review.editReply": "Edit reply",
+    "review.sendReply": "Publish reply",
+    "review.report": "Report",
+    "review.reportDetails": "Details (optional)",
+    "review.sendReport": "Send report",
+    "review.reported": "Thanks, the review has been reported.",
+    "review.reason.abusive": "Harassment or abuse",
+    "review.reason.spam": "Spam or advertising",
+    "review.reason.false": "False or misleading",
+    "review.reason.other": "Other",
+    "review.sortNewest": "Newest",
+    "review.sortRating": "Top rated",
+    "review.error.not_authenticated": "You need to be logged in",
+    "review.error.not_eligible": "Only guests who have checked in here can write reviews",
+    "review.error.invalid_rating": "Pick 1 to 5 stars",
+    "review.error.body_too_long": "The review is too long",
+    "review.error.already_reported": "You have already reported this review",
+    "review.error.own_review": "You can't report your own review",
+    "review.error.not_found": "Review not found",
+    "review.error.failed": "Something went wrong",
+
+    // Menu and pre-orders
+    "menu.title": "Menu",
+    "menu.hint": "Drinks and packages shown on the venue page. Items marked for pre-order can be added to a ticket purchase and paid in the same Vipps payment.",
+    "menu.add": "Add item",
+    "menu.edit": "Edit",
+    "menu.hide": "Hide",
+    "menu.show": "Show",
+    "menu.delete": "Delete",
+    "menu.deleteConfirm": "Delete this item? Pre-orders already made are kept.",
+    "menu.hidden": "Hidden",
+    "menu.save": "Save item",
+    "menu.category": "Category",
+    "menu.categoryPlaceholder": "E.g. Cocktails",
+    "menu.name": "Name",
+    "menu.description": "Description",
+    "menu.descriptionPlaceholder": "E.g. 0.7 l vodka with 6 mixers",
+    "menu.ageRestricted": "Age limit 18",
+    "menu.preorder": "Can be pre-ordered with a ticket",
+    "menu.preorderable": "Pre-orderable",
+    "menu.preorderTitle": "Pre-order",
+    "menu.preorderHint": "Order now and have it served when you arrive. Paid together with the ticket.",
+    "menu.error.failed": "Could not save the item",
+    "menu.error.invalid_preorder": "Something in the pre-order is no longer available. Please try again.",
+    "menu.error.preorder_too_young": "You must be at least {age} years old and have verified your age with Vipps to pre-order alcohol",
+
+    // Event tickets
+    "eventTicket.title": "Tickets",
+    "eventTicket.hint": "Sell tickets for the event with Vipps. Once the event has a ticket type, everyone attending needs a ticket. When it's full, the next person on the waitlist is offered a ticket as soon as a place opens up.",
+    "eventTicket.add": "Add ticket type",
+    "eventTicket.name": "Name",
+    "eventTicket.namePlaceholder": "E.g. Regular",
+    "eventTicket.capacity": "Quantity",
+    "eventTicket.capacityPlaceholder": "Unlimited",
+    "eventTicket.sold": "{count} sold",
+    "eventTicket.pause": "Pause sales",
+    "eventTicket.resume": "Resume sales",
+    "eventTicket.pausedShort": "Sales paused",
+    "eventTicket.deleteConfirm": "Delete this ticket type?",
+    "eventTicket.save": "Save ticket type",
+    "eventTicket.buy": "Buy",
+    "eventTicket.yours": "Your ticket:",
+    "eventTicket.cancelRefund": "Cancel and get a refund",
+    "eventTicket.cancelConfirm": "Cancel your ticket? {price} will be refunded to Vipps.",
+    "eventTicket.paused": "Ticket sales are paused",
+    "eventTicket.soldOut": "Sold out",
+    "eventTicket.joinWaitlist": "Join the waitlist",
+    "eventTicket.offer": "A place opened up for you! Buy a ticket before {time}.",
+    "eventTicket.purchased": "You have a ticket. Your QR code is on the event page.",
+    "eventTicket.toEvent": "Go to the event",
+    "eventTicket.error.price": "The price must be at least 1 kr. Free events don't need tickets.",
+    "eventTicket.error.failed": "Something went wrong. Please try again.",
+    "eventTicket.error.hasOrders": "This ticket type has been sold and can't be deleted. Pause sales instead.",
+    "eventTicket.error.sold_out": "The event is sold out",
+    "eventTicket.error.ticket_type_sold_out": "This ticket type is sold out",
+    "eventTicket.error.ticket_type_inactive": "Sales of this ticket type are paused",
+    "eventTicket.error.ticket_type_not_found": "Ticket type not found",
+    "eventTicket.error.event_started": "The event has started",
+    "eventTicket.error.already_has_ticket": "You already have a ticket",
+    "eventTicket.error.already_going": "You're already going",
+    "eventTicket.error.kicked": "You were removed from this event",
+    "eventTicket.error.no_access": "You don't have access to this event",
+    "eventTicket.error.no_ticket": "You don't have a ticket for this event",
+    "eventTicket.error.checked_in": "The ticket has already been checked in",
+    "eventTicket.error.not_authenticated": "Please log in",
+    "eventTicket.error.ticket_required": "This event requires a ticket",
+    "eventTicket.error.event_has_tickets": "The event has sold tickets. Cancel the event instead and the tickets are refunded.",
+    "eventTicket.error.event_cancelled": "The event is cancelled",
+    "eventTicket.error.refund_failed": "The ticket is cancelled, but Vipps did not accept the refund. Contact the organizer if the money does not come back.",
+    "notif.ticket_offer": "A place opened up \u2013 buy a ticket before the offer runs out",
+
+    "guests.title": "Guests",
+    "guests.hint": "You can bring up to {max} guests. Names are optional, but make things easier at the door.",
+    "guests.namePlaceholder": "Guest {n}",
+    "guests.add": "Add guest",
+    "guests.remove": "Remove",
+    "guests.save": "Save guests",
+    "guests.saved": "Your guests are saved",
+    "guests.unnamed": "Guest",
+    "guests.plus": "+{count}",
+    "guests.checkIn": "Check in",
+    "guests.idCheckConfirm": "This event is {age}+. Have you checked the guest's ID?",
+    "guests.error.too_many_guests": "You can bring at most {max} guests",
+    "guests.error.not_enough_places": "There aren't enough places left. Places left for guests: {count}",
+    "guests.error.guest_checked_in": "A guest who has checked in can't be removed",
+    "guests.error.ticketed_event": "On ticketed events every guest needs their own ticket",
+    "guests.error.not_going": "You need to be attending to bring guests",
+    "guests.error.failed": "Something went wrong. Please try again.",
+    "form.maxGuests": "Guests per RSVP",
+    "form.noGuests": "No guests",
+    "form.maxGuestsHint": "Guests count as attendees and are checked in one by one",
+
+    "questions.title": "Questions for attendees",
+    "questions.hint": "E.g. allergies, T-shirt size or team. Answers are collected when people RSVP or ask for access.",
+    "questions.formTitle": "Questions from the organizer",
+    "questions.labelPlaceholder": "Question",
+    "questions.kind.text": "Free text",
+    "questions.kind.single": "Single choice",
+    "questions.kind.multi": "Multiple choice",
+    "questions.optionsPlaceholder": "One option per line",
+    "questions.required": "Required",
+    "questions.add": "Add question",
+    "questions.deleteConfirm": "Delete this question? The answers given to it are deleted too.",
+    "questions.save": "Save answers",
+    "questions.answersTitle": "Answers",
+    "questions.exportCsv": "Export CSV",
+    "questions.name": "Name",
+    "questions.statusColumn": "Status",
+    "questions.status.going": "Going",
+    "questions.status.interested": "Interested",
+    "questions.status.waitlisted": "Waitlisted",
+    "questions.status.access_request": "Asking for access",
+    "questions.error.label": "Every question needs a text",
+    "questions.error.options": "Choice questions need at least one option",
+    "questions.error.answer_required": "Please answer \u201c{question}\u201d",
+    "questions.error.answers_required": "Please answer the required questions first",
+    "questions.error.invalid_option": "Invalid choice for \u201c{question}\u201d",
+    "questions.error.answer_too_long": "The answer to \u201c{question}\u201d is too long",
+    "questions.error.no_access": "You don't have access to this event",
+    "questions.error.not_authenticated": "Please log in",
+    "questions.error.failed": "Couldn't save your answers. Please try again.",
+
+    // Attendee export and announcements
+    "attendees.title": "Attendees",
+    "attendees.segmentLabel": "Segment",
+    "attendees.segment.going": "Going",
+    "attendees.segment.interested": "Interested",
+    "attendees.segment.waitlisted": "Waitlisted",
+    "attendees.segment.checked_in": "Checked in",
+    "attendees.segment.going_not_checked_in": "Going but not checked in",
+    "attendees.status.going": "Going",
+    "attendees.status.interested": "Interested",
+    "attendees.status.waitlisted": "Waitlisted",
+    "attendees.exportCsv": "Export CSV",
+    "attendees.exportXlsx": "Export Excel",
+    "attendees.privacyHint": "Email and phone are only included for attendees who share them with organizers.",
+    "attendees.col.name": "Name",
+    "attendees.col.status": "Status",
+    "attendees.col.rsvpAt": "Signed up",
+    "attendees.col.checkedInAt": "Checked in",
+    "attendees.col.guests": "Guests",
+    "attendees.col.email": "Email",
+    "attendees.col.phone": "Phone",
+    "attendees.announceLabel": "Send a message to this segment",
+    "attendees.announcePlaceholder": "E.g. doors open at 19:00, bring ID",
+    "attendees.announceConfirm": "Send this message to everyone in \u201c{segment}\u201d? They get a notification and an email.",
+    "attendees.send": "Send message",
+    "attendees.sending": "Sending...",
+    "attendees.sent": "Message sent to {count} attendees",
+    "attendees.history": "Sent messages",
+    "attendees.recipients": "{count} recipients",
+    "attendees.error.exportFailed": "Couldn't load the attendee list. Try again.",
+    "attendees.error.no_recipients": "No one in this segment to send to",
+    "attendees.error.too_many_announcements": "You can send at most 5 messages a day for this event",
+    "attendees.error.message_empty": "Write a message",
+    "attendees.error.message_too_long": "The message is too long",
+    "attendees.error.failed": "Couldn't send the message. Try again.",
+
+    // Event cancellation
+    "cancelEvent.button": "Cancel event",
+    "cancelEvent.badge": "Cancelled",
+    "cancelEvent.notice": "This event has been cancelled",
+    "cancelEvent.noRequests": "The event is cancelled and isn't taking requests",
+    "cancelEvent.reasonLabel": "Why is the event cancelled?",
+    "cancelEvent.reasonPlaceholder": "The reason is shown on the event and sent to everyone who signed up",
+    "cancelEvent.hint": "The event stays up, marked cancelled, and everyone who signed up gets a notification and an email.",
+    "cancelEvent.hintTicketed": "The event stays up, marked cancelled, everyone who signed up gets a notification and an email, and sold tickets are refunded.",
+    "cancelEvent.confirm": "Cancel the event? This can't be undone.",
+    "cancelEvent.submit": "Cancel event",
+    "cancelEvent.refundsFailed": "The event is cancelled, but some refunds failed. You can retry them from the admin tools.",
+    "cancelEvent.refundsPending": "{count} tickets are waiting for their refund from Vipps.",
+    "cancelEvent.retryRefunds": "Retry refunds",
+    "cancelEvent.retryFailed": "Some refunds failed again. Try later.",
+    "cancelEvent.error.reason_required": "Write a reason",
+    "cancelEvent.error.reason_too_long": "The reason is too long",
+    "cancelEvent.error.already_cancelled": "The event is already cancelled",
+    "cancelEvent.error.event_started": "The event has already started",
+    "cancelEvent.error.not_creator": "Only the person who created the event can cancel it",
+    "cancelEvent.error.event_not_found": "Event not found",
+    "cancelEvent.error.failed": "Couldn't cancel the event. Try again.",
+
     // General
     "loading": "Loading...",
   },
@@ -0,0 +1,37 @@
+// A cell starting with =, +, - or @ is read as a formula by spreadsheet
+// apps, so text like that gets a leading apostrophe. Plain numbers such
+// as "-129,50" are left alone.
+export function spreadsheetText(cell) {
+  const value = cell == null ? "" : String(cell);
+  return /^[=+\-@]/.test(value) && !/^-?\d+(,\d+)?$/.test(value) ? `'${value}` : value;
+}
+
+// Semicolon-separated with a BOM, which is what Excel in Norwegian
+// locale opens straight into columns
+export function toCsv(rows) {
+  return rows.map((row) => row.map((cell) => {
+    const value = spreadsheetText(cell);
+    return /[";\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(";")).join("\r\n");
+}
+
+export function downloadCsv(filename, rows) {
+  downloadBlob(filename, new Blob(["\uFEFF" + toCsv(rows)], { type: "text/csv;charset=utf-8" }));
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Øre as kroner with a decimal comma, e.g. 12950 -> "129,50"
+export function oreToKroner(ore) {
+  return ((ore || 0) / 100).toFixed(2).replace(".", ",");
+}
@@ -14,6 +14,60 @@ export function formatShortDate(dateStr, lang) {
   return d.toLocaleDateString(locale, { day: "numeric", month: "short" });
 }
 
+// Monday first; values are Postgres EXTRACT(DOW), 0 = Sunday
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+export function weekdayName(dow, lang, style = "short") {
+  // 1 Jan 2023 was a Sunday
+  return new Date(2023, 0, 1 + dow).toLocaleDateString(lang === "no" ? "nb-NO" : "en-US", { weekday: style });
+}
+
+// Nth weekday of the month for a date (1–4), as used by monthly event series
+export function weekOfMonth(dateStr) {
+  const d = new Date(dateStr + "T00:00:00");
+  return Math.min(Math.ceil(d.getDate() / 7), 4);
+}
+
+export function isLastWeekOfMonth(dateStr) {
+  const d = new Date(dateStr + "T00:00:00");
+  const daysInMonth = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  return d.getDate() + 7 > daysInMonth;
+}
+
+export function describeRecurrence(series, t, lang) {
+  if (!series) return "";
+  const locale = lang === "no" ? "nb-NO" : "en-US";
+  // 1 Jan 2023 was a Sunday, so this matches Postgres EXTRACT(DOW) numbering
+  const weekday = new Date(2023, 0, 1 + series.weekday).toLocaleDateString(locale, { weekday: "long" });
+  let text = series.frequency === "monthly"
+    ? t("series.monthly").replace("{nth}", t(`series.nth.${series.week_of_month}`)).replace("{weekday}", weekday)
+    : t(`series.${series.frequency}`).replace("{weekday}", weekday);
+  if (series.until_date) text += ` ${t("series.until").replace("{date}", formatShortDate(series.until_date, lang))}`;
+  return text;
+}
+
+export function describeReminder(notif, t) {
+  const name = notif.message || "";
+  if (!notif.reminder_minutes || notif.reminder_minutes >= 1440) {
+    return t("notif.reminder").replace("{name}", name);
+  }
+  return t("notif.reminderSoon").replace("{name}", name).replace("{hours}", Math.round(notif.reminder_minutes / 60));
+}
+
+// An event_updated notification's changes as "date 22. okt → 23. okt, ..."
+export function describeChanges(changes, t, lang) {
+  const format = (field, value) => {
+    if (!value) return "–";
+    if (field === "date") return formatShortDate(value, lang);
+    if (field === "time") return value.slice(0, 5);
+    if (field === "event_mode") return t(`notif.mode.${value}`);
+    return value;
+  };
+  return Object.entries(changes || {})
+    .map(([field, change]) => `${t(`notif.changed.${field}`)} ${format(field, change.old)} → ${format(field, change.new)}`)
+    .join(", ");
+}
+
 export function timeAgo(isoStr, lang) {
   if (!isoStr) return "";
   const diff = Date.now() - new Date(isoStr).getTime();
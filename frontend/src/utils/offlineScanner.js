@@ -0,0 +1,256 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { supabase } from "../lib/supabase";
+
+// Door scanners keep a signed manifest of tonight's tickets in IndexedDB,
+// check scans against it and queue check-ins there until they can be
+// synced with sync_offline_checkins.
+
+const SUPABASE_FUNCTIONS_URL = import.meta.env.VITE_SUPABASE_FUNCTIONS_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
+const MANIFEST_PUBLIC_KEY = import.meta.env.VITE_SCANNER_MANIFEST_PUBLIC_KEY;
+
+const DB_NAME = "hapn-scanner";
+const DEVICE_ID_KEY = "hapn-scanner-device";
+const REFRESH_INTERVAL_MS = 2 * 60 * 1000;
+const SYNC_INTERVAL_MS = 30 * 1000;
+
+export const offlineScanningAvailable = Boolean(
+  MANIFEST_PUBLIC_KEY && typeof indexedDB !== "undefined" && globalThis.crypto?.subtle
+);
+
+// ---- IndexedDB ----
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("manifests", { keyPath: "scope" });
+        const queue = db.createObjectStore("queue", { keyPath: "client_id" });
+        queue.createIndex("scope", "scope");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function idb(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ---- Manifest signatures ----
+
+let verifyKey = null;
+
+async function verifyManifest(manifest, signature) {
+  if (!verifyKey) {
+    verifyKey = crypto.subtle.importKey(
+      "jwk",
+      JSON.parse(MANIFEST_PUBLIC_KEY),
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"]
+    );
+  }
+  const sig = Uint8Array.from(atob(signature), (c) => c.charCodeAt(0));
+  return crypto.subtle.verify(
+    { name: "ECDSA", hash: "SHA-256" },
+    await verifyKey,
+    sig,
+    new TextEncoder().encode(manifest)
+  );
+}
+
+// Same as scanner_token_hash in the database
+export async function hashToken(token) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token.toLowerCase()));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  return id;
+}
+
+async function downloadManifest(scope, body) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) return null;
+  const res = await fetch(`${SUPABASE_FUNCTIONS_URL}/scanner-manifest`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${session.access_token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) return null;
+  const { manifest, signature } = await res.json();
+  if (!(await verifyManifest(manifest, signature))) {
+    console.error("Scanner manifest signature did not verify");
+    return null;
+  }
+  await idb("manifests", "readwrite", (store) => store.put({ scope, manifest, signature }));
+  return JSON.parse(manifest);
+}
+
+// The cached copy is checked again, so an edited cache is not trusted
+async function readCachedManifest(scope) {
+  const row = await idb("manifests", "readonly", (store) => store.get(scope));
+  if (!row || !(await verifyManifest(row.manifest, row.signature))) return null;
+  const manifest = JSON.parse(row.manifest);
+  if (new Date(manifest.expires_at) < new Date()) return null;
+  return manifest;
+}
+
+// ---- Hook ----
+
+// scope is { venueId } or { eventId }. onSynced gets the results of
+// each sync, e.g. to capture payments for check-ins that were applied.
+export function useOfflineScanner({ venueId, eventId }, onSynced) {
+  const scope = venueId ? `venue:${venueId}` : `event:${eventId}`;
+  const [manifestInfo, setManifestInfo] = useState(null);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(0);
+  const [issues, setIssues] = useState([]);
+  // Refs, not state: the camera callback keeps the first render's closures
+  const entriesRef = useRef(null);
+  const syncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const queuedItems = useCallback(
+    () => idb("queue", "readonly", (store) => store.index("scope").getAll(scope)),
+    [scope]
+  );
+
+  // Index the manifest by token hash, with queued check-ins applied
+  const applyManifest = useCallback(async (manifest) => {
+    const entries = new Map(manifest.entries.map((e) => [e.token_hash, e]));
+    const queued = await queuedItems();
+    for (const e of entries.values()) {
+      const q = queued.find((item) => item.kind === e.kind && item.id === e.id);
+      if (q) {
+        e.status = "checked_in";
+        e.checked_in_at = q.scanned_at;
+      }
+    }
+    entriesRef.current = entries;
+    setPending(queued.length);
+    setManifestInfo({ generatedAt: manifest.generated_at, count: manifest.entries.filter((e) => e.kind !== "transferred").length });
+  }, [queuedItems]);
+
+  const refresh = useCallback(async () => {
+    if (!offlineScanningAvailable || !navigator.onLine) return;
+    try {
+      const manifest = await downloadManifest(scope, venueId ? { venue_id: venueId } : { event_id: eventId });
+      if (manifest) await applyManifest(manifest);
+    } catch (err) {
+      console.error("Manifest download failed:", err);
+    }
+  }, [scope, venueId, eventId, applyManifest]);
+
+  const sync = useCallback(async () => {
+    if (!offlineScanningAvailable || syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
+    try {
+      const queued = await queuedItems();
+      if (queued.length === 0) return;
+      const { data, error } = await supabase.rpc("sync_offline_checkins", {
+        p_device_id: getDeviceId(),
+        p_checkins: queued.map(({ client_id, kind, id, scanned_at, id_checked }) => ({ client_id, kind, id, scanned_at, id_checked })),
+      });
+      if (error || data?.status !== "success") return;
+
+      await idb("queue", "readwrite", (store) => {
+        data.results.forEach((r) => store.delete(r.client_id));
+      });
+      setPending((await queuedItems()).length);
+
+      const newIssues = data.results.filter((r) => r.outcome !== "applied");
+      if (newIssues.length > 0) setIssues((prev) => [...newIssues, ...prev]);
+      onSyncedRef.current?.(data.results);
+    } catch (err) {
+      console.error("Check-in sync failed:", err);
+    } finally {
+      syncingRef.current = false;
+    }
+  }, [queuedItems]);
+
+  useEffect(() => {
+    if (!offlineScanningAvailable) return;
+    // The cached copy covers a page opened without a connection
+    readCachedManifest(scope)
+      .then((cached) => cached && applyManifest(cached))
+      .then(refresh)
+      .then(sync);
+  }, [scope, refresh, sync, applyManifest]);
+
+  useEffect(() => {
+    if (!offlineScanningAvailable) return;
+    const goOnline = () => { setOnline(true); sync().then(refresh); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    const syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+    const refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      clearInterval(syncTimer);
+      clearInterval(refreshTimer);
+    };
+  }, [sync, refresh]);
+
+  // The manifest entry for a scanned token, or null if it isn't in tonight's list
+  const lookup = useCallback(async (token) => {
+    if (!entriesRef.current) return null;
+    return entriesRef.current.get(await hashToken(token)) || null;
+  }, []);
+
+  // Whether a miss in lookup() means the ticket isn't valid tonight
+  const hasManifest = useCallback(() => entriesRef.current !== null, []);
+
+  // Queue a check-in and send it right away when online. idChecked
+  // records that staff looked at an ID for a guest without a verified age.
+  const checkIn = useCallback(async (entry, { idChecked = false } = {}) => {
+    const scannedAt = new Date().toISOString();
+    await idb("queue", "readwrite", (store) => store.put({
+      client_id: crypto.randomUUID(), scope, kind: entry.kind, id: entry.id,
+      scanned_at: scannedAt, user_name: entry.user_name, id_checked: idChecked,
+    }));
+    entry.status = "checked_in";
+    entry.checked_in_at = scannedAt;
+    setPending((n) => n + 1);
+    sync();
+  }, [scope, sync]);
+
+  const dismissIssue = (clientId) => setIssues((prev) => prev.filter((i) => i.client_id !== clientId));
+
+  return {
+    enabled: offlineScanningAvailable,
+    ready: Boolean(manifestInfo),
+    manifestInfo,
+    online,
+    pending,
+    issues,
+    lookup,
+    hasManifest,
+    checkIn,
+    sync,
+    dismissIssue,
+  };
+}
@@ -0,0 +1,62 @@
+// Client-side mirror of venue_open_ranges / venue_hours_cover in
+// migration_v29, so the forms can say which night is the problem
+// before the insert trigger rejects it. hours are venue_opening_hours
+// rows and exceptions venue_hours_exceptions rows.
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const addDays = (dateStr, days) => {
+  const d = new Date(dateStr + "T00:00:00");
+  d.setDate(d.getDate() + days);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// { opens_at, closes_at } for a date, or null when closed. The weekly
+// row applies unless the date has an exception.
+export function hoursForDate(hours, exceptions, dateStr) {
+  const exception = exceptions.find((e) => e.date === dateStr);
+  if (exception) return exception.opens_at ? exception : null;
+  const weekday = new Date(dateStr + "T00:00:00").getDay();
+  return hours.find((h) => h.weekday === weekday) || null;
+}
+
+// Minutes from midnight at the start of dateStr; closing at or before
+// opening is the next morning
+function rangeOn(hours, exceptions, dateStr, offset) {
+  const range = hoursForDate(hours, exceptions, dateStr);
+  if (!range) return null;
+  const opens = toMinutes(range.opens_at);
+  let closes = toMinutes(range.closes_at);
+  if (closes <= opens) closes += 24 * 60;
+  return { opens: opens + offset, closes: closes + offset };
+}
+
+export function timeslotFitsHours(hours, exceptions, dateStr, start, end) {
+  if (hours.length === 0) return true;
+  const startMin = toMinutes(start);
+  let endMin = toMinutes(end);
+  if (endMin <= startMin) endMin += 24 * 60;
+  return [rangeOn(hours, exceptions, dateStr, 0), rangeOn(hours, exceptions, addDays(dateStr, -1), -24 * 60)]
+    .some((r) => r && r.opens <= startMin && r.closes >= endMin);
+}
+
+export function formatHours(range) {
+  return `${range.opens_at.slice(0, 5)}–${range.closes_at.slice(0, 5)}`;
+}
+
+// Where the venue stands at `now`: { open: true, range } while a range
+// (today's, or last night's running past midnight) is on, otherwise
+// { open: false, range } with today's range if it is still to come.
+export function openStatus(hours, exceptions, now = new Date()) {
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+  const nowMin = now.getHours() * 60 + now.getMinutes();
+  for (const [dateStr, offset] of [[today, 0], [addDays(today, -1), -24 * 60]]) {
+    const r = rangeOn(hours, exceptions, dateStr, offset);
+    if (r && r.opens <= nowMin && nowMin < r.closes) return { open: true, range: hoursForDate(hours, exceptions, dateStr) };
+  }
+  const r = rangeOn(hours, exceptions, today, 0);
+  return { open: false, range: r && r.opens > nowMin ? hoursForDate(hours, exceptions, today) : null };
+}
@@ -38,6 +38,9 @@ export function parseUrl(pathname) {
   const venueScanMatch = pathname.match(/^\/venue\/(\d+)\/scan$/);
   if (venueScanMatch) return { page: "venue-scan", data: { venueId: parseInt(venueScanMatch[1]) } };
 
+  const venueAnalyticsMatch = pathname.match(/^\/venue\/(\d+)\/analytics$/);
+  if (venueAnalyticsMatch) return { page: "venue-analytics", data: { venueId: parseInt(venueAnalyticsMatch[1]) } };
+
   return { page: "discover", data: {} };
 }
 
@@ -59,6 +62,7 @@ export function pageToUrl(page, data = {}) {
     case "venue-register": return "/venue/register";
     case "venue-manage": return `/venue/${data.venueId}/manage`;
     case "venue-scan": return `/venue/${data.venueId}/scan`;
+    case "venue-analytics": return `/venue/${data.venueId}/analytics`;
     case "my-tickets": return "/my-tickets";
     case "payment-callback": return "/payment-callback";
     case "terms": return "/terms";
@@ -0,0 +1,102 @@
+import { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const VIPPS_CLIENT_ID = Deno.env.get("VIPPS_CLIENT_ID")!;
+const VIPPS_CLIENT_SECRET = Deno.env.get("VIPPS_CLIENT_SECRET")!;
+const VIPPS_SUBSCRIPTION_KEY = Deno.env.get("VIPPS_SUBSCRIPTION_KEY")!;
+const VIPPS_MERCHANT_SERIAL_NUMBER = Deno.env.get("VIPPS_MERCHANT_SERIAL_NUMBER")!;
+export const VIPPS_API_BASE = Deno.env.get("VIPPS_API_BASE") || "https://apitest.vipps.no";
+
+export async function getVippsAccessToken(): Promise<string> {
+  const res = await fetch(`${VIPPS_API_BASE}/accesstoken/get`, {
+    method: "POST",
+    headers: {
+      "client_id": VIPPS_CLIENT_ID,
+      "client_secret": VIPPS_CLIENT_SECRET,
+      "Ocp-Apim-Subscription-Key": VIPPS_SUBSCRIPTION_KEY,
+      "Merchant-Serial-Number": VIPPS_MERCHANT_SERIAL_NUMBER,
+    },
+  });
+  if (!res.ok) throw new Error(`Vipps token error: ${await res.text()}`);
+  const data = await res.json();
+  return data.access_token;
+}
+
+export function vippsHeaders(token: string, idempotencyKey?: string): Record<string, string> {
+  const headers: Record<string, string> = {
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${token}`,
+    "Ocp-Apim-Subscription-Key": VIPPS_SUBSCRIPTION_KEY,
+    "Merchant-Serial-Number": VIPPS_MERCHANT_SERIAL_NUMBER,
+  };
+  if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+  return headers;
+}
+
+type Adjustment = "capture" | "refund" | "cancel";
+
+const ADJUSTMENT_EVENTS: Record<Adjustment, string> = {
+  capture: "CAPTURED",
+  refund: "REFUNDED",
+  cancel: "CANCELLED",
+};
+
+// Capture, refund or cancel an ePayment and store the new amounts on the
+// transaction. The Idempotency-Key makes retries of the same adjustment safe.
+export async function adjustVippsPayment(
+  supabaseAdmin: SupabaseClient,
+  reference: string,
+  adjustment: Adjustment,
+  amount: number,
+  idempotencyKey: string,
+) {
+  const vippsToken = await getVippsAccessToken();
+
+  const res = await fetch(`${VIPPS_API_BASE}/epayment/v1/payments/${reference}/${adjustment}`, {
+    method: "POST",
+    headers: vippsHeaders(vippsToken, idempotencyKey),
+    body: adjustment === "cancel"
+      ? JSON.stringify({})
+      : JSON.stringify({ modificationAmount: { currency: "NOK", value: amount } }),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Vipps ${adjustment} failed: ${await res.text()}`);
+  }
+
+  const result = await res.json();
+
+  const { data, error } = await supabaseAdmin.rpc("record_vipps_adjustment", {
+    p_vipps_reference: reference,
+    p_event: ADJUSTMENT_EVENTS[adjustment],
+    p_amount: amount,
+    p_aggregate: result.aggregate || {},
+    p_psp_reference: result.pspReference || null,
+  });
+
+  if (error) throw new Error(`record_vipps_adjustment failed: ${error.message}`);
+  return data;
+}
+
+// Keep a capture, refund or cancel that Vipps did not accept in the
+// transaction history (CAPTURE_FAILED, REFUND_FAILED or CANCEL_FAILED),
+// so money still owed can be found and the call retried
+export async function recordVippsAdjustmentFailure(
+  supabaseAdmin: SupabaseClient,
+  reference: string,
+  adjustment: Adjustment,
+  amount: number,
+) {
+  const { data: tx } = await supabaseAdmin
+    .from("transactions")
+    .select("id")
+    .eq("vipps_reference", reference)
+    .maybeSingle();
+  if (!tx) return;
+
+  const { error } = await supabaseAdmin.from("transaction_events").insert({
+    transaction_id: tx.id,
+    event: `${adjustment.toUpperCase()}_FAILED`,
+    amount,
+  });
+  if (error) console.error("Could not record failed Vipps adjustment:", reference, error.message);
+}
@@ -0,0 +1,87 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+// ECDSA P-256 private key as a JWK, made with tools/generate-scanner-keys.mjs.
+// The frontend checks signatures with the matching public key.
+const SCANNER_MANIFEST_PRIVATE_KEY = Deno.env.get("SCANNER_MANIFEST_PRIVATE_KEY") || "";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const encoder = new TextEncoder();
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+function toBase64(bytes: ArrayBuffer): string {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+let signingKey: Promise<CryptoKey> | null = null;
+
+function getSigningKey() {
+  if (!signingKey) {
+    signingKey = crypto.subtle.importKey(
+      "jwk",
+      JSON.parse(SCANNER_MANIFEST_PRIVATE_KEY),
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["sign"],
+    );
+  }
+  return signingKey;
+}
+
+// POST { venue_id } or { event_id }
+// Returns the manifest as a JSON string and a signature over exactly
+// that string, so the scanner can check it before trusting its cache.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    if (!SCANNER_MANIFEST_PRIVATE_KEY) {
+      console.error("SCANNER_MANIFEST_PRIVATE_KEY is not set");
+      return jsonResponse({ error: "Manifest signing not configured" }, 500);
+    }
+
+    const authHeader = req.headers.get("authorization") || "";
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+
+    const { venue_id = null, event_id = null } = await req.json();
+    if (!venue_id && !event_id) {
+      return jsonResponse({ error: "Missing venue_id or event_id" }, 400);
+    }
+
+    // Staff checks happen in the RPC, as the calling user
+    const { data, error } = await userClient.rpc("get_scanner_manifest", {
+      p_venue_id: venue_id,
+      p_event_id: event_id,
+    });
+    if (error) return jsonResponse({ error: error.message }, 400);
+    if (data.status === "error") return jsonResponse(data, 403);
+
+    const manifest = JSON.stringify(data);
+    const signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      await getSigningKey(),
+      encoder.encode(manifest),
+    );
+
+    return jsonResponse({ manifest, signature: toBase64(signature) });
+  } catch (err) {
+    console.error("scanner-manifest error:", err);
+    return jsonResponse({ error: "Internal error" }, 500);
+  }
+});
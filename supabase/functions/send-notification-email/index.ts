@@ -15,8 +15,45 @@ const PREF_MAP: Record<string, string> = {
   invitation: "email_invitation",
   reminder: "email_reminder",
   waitlist_promoted: "email_rsvp", // reuse rsvp pref for waitlist
+  announcement: "email_announcement",
+  event_cancelled: "email_event_updates",
+  event_updated: "email_event_updates",
 };
 
+// Organizer-written text goes into the HTML body as text
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const CHANGE_LABELS: Record<string, string> = {
+  date: "Dato",
+  time: "Tid",
+  location: "Sted",
+  event_mode: "Format",
+  online_url: "Lenke",
+};
+
+const EVENT_MODES: Record<string, string> = {
+  physical: "Fysisk",
+  online: "Digitalt",
+  hybrid: "Hybrid",
+};
+
+// One changed field's value as it reads in the email
+function formatChange(field: string, value: string | null): string {
+  if (!value) return "–";
+  if (field === "date") {
+    return new Date(`${value}T00:00:00`).toLocaleDateString("nb-NO", { weekday: "long", day: "numeric", month: "long" });
+  }
+  if (field === "time") return value.slice(0, 5);
+  if (field === "event_mode") return EVENT_MODES[value] || value;
+  return escapeHtml(value);
+}
+
 serve(async (req) => {
   try {
     const payload = await req.json();
@@ -26,7 +63,7 @@ serve(async (req) => {
       return new Response(JSON.stringify({ error: "No record" }), { status: 400 });
     }
 
-    const { user_id, type, event_id, actor_id, message } = record;
+    const { user_id, type, event_id, actor_id, message, reminder_minutes, changes } = record;
 
     // Check user's notification preferences
     const prefColumn = PREF_MAP[type];
@@ -60,7 +97,7 @@ serve(async (req) => {
       .eq("id", event_id)
       .single();
 
-    const eventTitle = event?.title || "et event";
+    const eventTitle = event?.title || message || "et event";
 
     // Get actor name
     let actorName = "";
@@ -94,14 +131,46 @@ serve(async (req) => {
         subject = `Du er invitert til ${eventTitle}`;
         body = `<p><strong>${actorName}</strong> har invitert deg til eventet <strong>${eventTitle}</strong>.</p>`;
         break;
-      case "reminder":
-        subject = `Påminnelse: ${eventTitle} starter i morgen`;
-        body = `<p>Eventet <strong>${eventTitle}</strong> som du deltar på starter i morgen!</p>`;
+      case "reminder": {
+        const when = !reminder_minutes || reminder_minutes >= 1440
+          ? "i morgen"
+          : `om ${Math.round(reminder_minutes / 60)} timer`;
+        subject = `Påminnelse: ${eventTitle} starter ${when}`;
+        body = `<p><strong>${eventTitle}</strong> som du skal på starter ${when}!</p>`;
         break;
+      }
       case "waitlist_promoted":
         subject = `Du har fått plass på ${eventTitle}!`;
         body = `<p>En plass har blitt ledig på eventet <strong>${eventTitle}</strong>, og du har blitt flyttet fra ventelisten!</p>`;
         break;
+      case "announcement":
+        subject = `Melding fra ${actorName} om ${eventTitle}`;
+        body = `<p><strong>${actorName}</strong> har sendt en melding til deltakerne på <strong>${eventTitle}</strong>:</p><blockquote>${escapeHtml(message || "").replace(/\n/g, "<br>")}</blockquote>`;
+        break;
+      case "event_cancelled": {
+        const { data: refunded } = await supabase
+          .from("event_ticket_orders")
+          .select("id")
+          .eq("event_id", event_id)
+          .eq("user_id", user_id)
+          .in("status", ["refund_pending", "refunded"])
+          .limit(1);
+        subject = `Avlyst: ${eventTitle}`;
+        body = `<p><strong>${actorName}</strong> har avlyst <strong>${eventTitle}</strong>.</p><blockquote>${escapeHtml(message || "")}</blockquote>`;
+        if (refunded?.length) {
+          body += `<p>Billetten din blir refundert til Vipps.</p>`;
+        }
+        break;
+      }
+      case "event_updated": {
+        const rows = Object.entries(changes || {}).map(([field, change]) => {
+          const { old: before, new: after } = change as { old: string | null; new: string | null };
+          return `<li>${CHANGE_LABELS[field] || field}: <s>${formatChange(field, before)}</s> → <strong>${formatChange(field, after)}</strong></li>`;
+        });
+        subject = `Endret: ${eventTitle}`;
+        body = `<p><strong>${actorName || "Arrangøren"}</strong> har endret <strong>${eventTitle}</strong>:</p><ul>${rows.join("")}</ul>`;
+        break;
+      }
       default:
         return new Response(JSON.stringify({ error: "Unknown type" }), { status: 200 });
     }
@@ -180,6 +180,14 @@ async function handleCallback(url: URL) {
     }
   }
 
+  // Only a birthdate that came from Vipps counts for age checks
+  if (birthdate) {
+    await supabaseAdmin.from("profiles").update({
+      birthdate,
+      birthdate_verified_at: new Date().toISOString(),
+    }).eq("id", userId);
+  }
+
   // Generate magic link for session
   const { data: linkData, error: linkErr } = await supabaseAdmin.auth.admin.generateLink({
     type: "magiclink",
@@ -1,11 +1,9 @@
 import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import {
+  VIPPS_API_BASE, getVippsAccessToken, vippsHeaders, adjustVippsPayment, recordVippsAdjustmentFailure,
+} from "../_shared/vipps.ts";
 
-const VIPPS_CLIENT_ID = Deno.env.get("VIPPS_CLIENT_ID")!;
-const VIPPS_CLIENT_SECRET = Deno.env.get("VIPPS_CLIENT_SECRET")!;
-const VIPPS_SUBSCRIPTION_KEY = Deno.env.get("VIPPS_SUBSCRIPTION_KEY")!;
-const VIPPS_MERCHANT_SERIAL_NUMBER = Deno.env.get("VIPPS_MERCHANT_SERIAL_NUMBER")!;
-const VIPPS_API_BASE = Deno.env.get("VIPPS_API_BASE") || "https://apitest.vipps.no";
 const VIPPS_PAYMENT_REDIRECT_URI = Deno.env.get("VIPPS_PAYMENT_REDIRECT_URI")!;
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
@@ -18,21 +16,6 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
-async function getVippsAccessToken(): Promise<string> {
-  const res = await fetch(`${VIPPS_API_BASE}/accesstoken/get`, {
-    method: "POST",
-    headers: {
-      "client_id": VIPPS_CLIENT_ID,
-      "client_secret": VIPPS_CLIENT_SECRET,
-      "Ocp-Apim-Subscription-Key": VIPPS_SUBSCRIPTION_KEY,
-      "Merchant-Serial-Number": VIPPS_MERCHANT_SERIAL_NUMBER,
-    },
-  });
-  if (!res.ok) throw new Error(`Vipps token error: ${await res.text()}`);
-  const data = await res.json();
-  return data.access_token;
-}
-
 function getUserFromAuth(req: Request) {
   const authHeader = req.headers.get("authorization") || "";
   const token = authHeader.replace("Bearer ", "");
@@ -56,6 +39,12 @@ serve(async (req) => {
       return await handleStatus(req, url);
     } else if (action === "refund") {
       return await handleRefund(req);
+    } else if (action === "capture") {
+      return await handleCapture(req);
+    } else if (action === "cancel_event") {
+      return await handleCancelEvent(req);
+    } else if (action === "retry_refunds") {
+      return await handleRetryRefunds(req);
     } else {
       return new Response(JSON.stringify({ error: "Unknown action" }), {
         status: 400,
@@ -82,10 +71,10 @@ async function handleCreate(req: Request) {
   }
 
   const body = await req.json();
-  const { timeslot_id } = body;
+  const { timeslot_id, ticket_type_id, quantity = 1, promo_code = null, items = null } = body;
 
-  if (!timeslot_id) {
-    return new Response(JSON.stringify({ error: "Missing timeslot_id" }), {
+  if (!timeslot_id && !ticket_type_id) {
+    return new Response(JSON.stringify({ error: "Missing timeslot_id or ticket_type_id" }), {
       status: 400,
       headers: { ...corsHeaders, "Content-Type": "application/json" },
     });
@@ -94,11 +83,19 @@ async function handleCreate(req: Request) {
   // Generate Vipps reference
   const vippsReference = `hapn-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-  // Call reserve_timeslot as the user
-  const { data, error } = await userClient.rpc("reserve_timeslot", {
-    p_timeslot_id: timeslot_id,
-    p_vipps_reference: vippsReference,
-  });
+  // Reserve as the user: an event ticket, or tickets for a venue timeslot
+  const { data, error } = ticket_type_id
+    ? await userClient.rpc("reserve_event_ticket", {
+      p_ticket_type_id: ticket_type_id,
+      p_vipps_reference: vippsReference,
+    })
+    : await userClient.rpc("reserve_timeslot", {
+      p_timeslot_id: timeslot_id,
+      p_vipps_reference: vippsReference,
+      p_quantity: quantity,
+      p_promo_code: promo_code,
+      p_items: items,
+    });
 
   if (error) {
     return new Response(JSON.stringify({ error: error.message }), {
@@ -114,7 +111,7 @@ async function handleCreate(req: Request) {
     });
   }
 
-  // Free ticket — no Vipps needed
+  // Free or fully discounted — no Vipps needed
   if (!data.payment_required) {
     return new Response(JSON.stringify(data), {
       status: 200,
@@ -135,27 +132,29 @@ async function handleCreate(req: Request) {
     reference: vippsReference,
     userFlow: "WEB_REDIRECT",
     returnUrl: `${VIPPS_PAYMENT_REDIRECT_URI}?ref=${vippsReference}`,
-    paymentDescription: `Hapn billett #${data.booking_id}`,
+    paymentDescription: ticket_type_id
+      ? `Hapn billett: ${data.event_title}`.slice(0, 100)
+      : data.quantity > 1
+      ? `Hapn ${data.quantity} billetter #${data.order_id}`
+      : `Hapn billett #${data.booking_id}`,
   };
 
   const paymentRes = await fetch(`${VIPPS_API_BASE}/epayment/v1/payments`, {
     method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${vippsToken}`,
-      "Ocp-Apim-Subscription-Key": VIPPS_SUBSCRIPTION_KEY,
-      "Merchant-Serial-Number": VIPPS_MERCHANT_SERIAL_NUMBER,
-      "Idempotency-Key": vippsReference,
-    },
+    headers: vippsHeaders(vippsToken, vippsReference),
     body: JSON.stringify(paymentBody),
   });
 
   if (!paymentRes.ok) {
     const errText = await paymentRes.text();
     console.error("Vipps create payment failed:", errText);
-    // Clean up the pending booking
-    await supabaseAdmin.from("bookings").update({ status: "cancelled" }).eq("id", data.booking_id);
-    await supabaseAdmin.from("transactions").update({ status: "cancelled" }).eq("vipps_reference", vippsReference);
+    // Clean up the pending booking or event ticket
+    if (ticket_type_id) {
+      await supabaseAdmin.rpc("release_event_ticket_order", { p_event_order_id: data.event_order_id });
+    } else {
+      await supabaseAdmin.from("bookings").update({ status: "cancelled" }).eq("order_id", data.order_id);
+    }
+    await supabaseAdmin.from("transactions").update({ status: "cancelled", payment_state: "failed" }).eq("vipps_reference", vippsReference);
     return new Response(JSON.stringify({ error: "Payment creation failed" }), {
       status: 500,
       headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -170,6 +169,8 @@ async function handleCreate(req: Request) {
     redirect_url: paymentData.redirectUrl,
     vipps_reference: vippsReference,
     booking_id: data.booking_id,
+    order_id: data.order_id,
+    event_order_id: data.event_order_id,
   }), {
     status: 200,
     headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -197,7 +198,7 @@ async function handleStatus(req: Request, url: URL) {
   // Look up transaction and booking
   const { data: tx } = await supabaseAdmin
     .from("transactions")
-    .select("*, bookings(id, status, qr_token)")
+    .select("*, bookings(id, status, qr_token), booking_orders(quantity), event_ticket_orders(event_id, status)")
     .eq("vipps_reference", ref)
     .eq("user_id", user.id)
     .maybeSingle();
@@ -210,12 +211,16 @@ async function handleStatus(req: Request, url: URL) {
   }
 
   const booking = tx.bookings;
+  const ticket = tx.event_ticket_orders;
 
   return new Response(JSON.stringify({
     status: tx.status,
     booking_status: booking?.status,
     booking_id: booking?.id,
     qr_token: booking?.status === "confirmed" ? booking.qr_token : null,
+    quantity: tx.booking_orders?.quantity || 1,
+    event_id: ticket?.event_id,
+    ticket_status: ticket?.status,
   }), {
     status: 200,
     headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -233,19 +238,30 @@ async function handleRefund(req: Request) {
   }
 
   const body = await req.json();
-  const { booking_id } = body;
+  const { booking_id, event_id, event_order_id, amount } = body;
 
-  if (!booking_id) {
-    return new Response(JSON.stringify({ error: "Missing booking_id" }), {
+  // Partial refund by venue staff or the event's admins — the ticket stays valid
+  if (amount) {
+    if (!booking_id && !event_order_id) {
+      return new Response(JSON.stringify({ error: "Missing booking_id or event_order_id" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+    return await handlePartialRefund(userClient, booking_id, event_order_id, amount);
+  }
+
+  if (!booking_id && !event_id) {
+    return new Response(JSON.stringify({ error: "Missing booking_id or event_id" }), {
       status: 400,
       headers: { ...corsHeaders, "Content-Type": "application/json" },
     });
   }
 
-  // Cancel booking via RPC (as user)
-  const { data: cancelData, error: cancelErr } = await userClient.rpc("cancel_booking", {
-    p_booking_id: booking_id,
-  });
+  // Cancel the booking or event ticket via RPC (as user)
+  const { data: cancelData, error: cancelErr } = event_id
+    ? await userClient.rpc("cancel_event_ticket", { p_event_id: event_id })
+    : await userClient.rpc("cancel_booking", { p_booking_id: booking_id });
 
   if (cancelErr) {
     return new Response(JSON.stringify({ error: cancelErr.message }), {
@@ -261,43 +277,25 @@ async function handleRefund(req: Request) {
     });
   }
 
-  // If Vipps refund needed
-  if (cancelData.needs_refund && cancelData.vipps_reference) {
+  // Refund captured money, or release an authorization that was never captured
+  // A free ticket from an order with a pre-order has nothing of its own to refund
+  if (cancelData.payment_action && cancelData.vipps_reference && cancelData.amount > 0) {
+    const ref = cancelData.vipps_reference;
+    const adjustment = cancelData.payment_action === "refund" ? "refund" : "cancel";
     try {
-      const vippsToken = await getVippsAccessToken();
-
-      // Get payment amount for refund
-      const { data: tx } = await supabaseAdmin
-        .from("transactions")
-        .select("amount")
-        .eq("vipps_reference", cancelData.vipps_reference)
-        .single();
-
-      const refundRes = await fetch(
-        `${VIPPS_API_BASE}/epayment/v1/payments/${cancelData.vipps_reference}/refund`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${vippsToken}`,
-            "Ocp-Apim-Subscription-Key": VIPPS_SUBSCRIPTION_KEY,
-            "Merchant-Serial-Number": VIPPS_MERCHANT_SERIAL_NUMBER,
-            "Idempotency-Key": `refund-${cancelData.vipps_reference}`,
-          },
-          body: JSON.stringify({
-            modificationAmount: {
-              currency: "NOK",
-              value: tx?.amount || 0,
-            },
-          }),
-        }
+      await adjustVippsPayment(
+        supabaseAdmin, ref, adjustment, cancelData.amount,
+        adjustment === "refund" ? `refund-${ref}-${booking_id || "ticket"}` : `cancel-${ref}`,
       );
-
-      if (!refundRes.ok) {
-        console.error("Vipps refund failed:", await refundRes.text());
-      }
     } catch (refundErr) {
+      // The ticket stays cancelled; the failure is stored so the money
+      // owed can be found, and the client is told the refund did not go through
       console.error("Vipps refund error:", refundErr);
+      await recordVippsAdjustmentFailure(supabaseAdmin, ref, adjustment, cancelData.amount);
+      return new Response(JSON.stringify({ status: "error", code: "refund_failed", cancelled: true }), {
+        status: 502,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
   }
 
@@ -309,3 +307,248 @@ async function handleRefund(req: Request) {
     headers: { ...corsHeaders, "Content-Type": "application/json" },
   });
 }
+
+// The organizer cancels an event: every paid ticket is refunded, or its
+// authorization released, the same way handleRefund does for one ticket
+async function handleCancelEvent(req: Request) {
+  const userClient = getUserFromAuth(req);
+  const { data: { user }, error: authErr } = await userClient.auth.getUser();
+  if (authErr || !user) {
+    return new Response(JSON.stringify({ error: "Not authenticated" }), {
+      status: 401,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const { event_id, reason } = await req.json();
+
+  if (!event_id) {
+    return new Response(JSON.stringify({ error: "Missing event_id" }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const { data: cancelData, error: cancelErr } = await userClient.rpc("cancel_event", {
+    p_event_id: event_id,
+    p_reason: reason,
+  });
+
+  if (cancelErr) {
+    return new Response(JSON.stringify({ error: cancelErr.message }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  if (cancelData.status === "error") {
+    return new Response(JSON.stringify(cancelData), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  // The event is cancelled either way; a ticket whose refund fails stays
+  // refund_pending and the organizer can retry it
+  const failed = await refundEventOrders(cancelData.refunds);
+
+  return new Response(JSON.stringify({
+    status: "success",
+    notified: cancelData.notified,
+    refunded: cancelData.refunds.length - failed,
+    refunds_failed: failed,
+  }), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// The organizer retries the refunds of a cancelled event that Vipps
+// did not take the first time
+async function handleRetryRefunds(req: Request) {
+  const userClient = getUserFromAuth(req);
+  const { data: { user }, error: authErr } = await userClient.auth.getUser();
+  if (authErr || !user) {
+    return new Response(JSON.stringify({ error: "Not authenticated" }), {
+      status: 401,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const { event_id } = await req.json();
+
+  if (!event_id) {
+    return new Response(JSON.stringify({ error: "Missing event_id" }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const { data: pending, error } = await userClient.rpc("get_pending_event_refunds", { p_event_id: event_id });
+
+  if (error || pending.status === "error") {
+    return new Response(JSON.stringify(pending || { error: error?.message }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const failed = await refundEventOrders(pending.refunds);
+
+  return new Response(JSON.stringify({
+    status: "success",
+    refunded: pending.refunds.length - failed,
+    refunds_failed: failed,
+  }), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// Refund or release each ticket of a cancelled event. record_vipps_adjustment
+// marks the ticket refunded once Vipps confirms; a failure is stored on the
+// transaction and the ticket stays refund_pending. Returns how many failed.
+async function refundEventOrders(
+  refunds: { vipps_reference: string; payment_action: string; amount: number }[],
+) {
+  let failed = 0;
+  for (const refund of refunds) {
+    if (!refund.vipps_reference || refund.amount <= 0) continue;
+    const ref = refund.vipps_reference;
+    const adjustment = refund.payment_action === "refund" ? "refund" : "cancel";
+    try {
+      await adjustVippsPayment(
+        supabaseAdmin, ref, adjustment, refund.amount,
+        adjustment === "refund" ? `refund-${ref}-ticket` : `cancel-${ref}`,
+      );
+    } catch (refundErr) {
+      failed++;
+      console.error("Vipps refund error:", ref, refundErr);
+      await recordVippsAdjustmentFailure(supabaseAdmin, ref, adjustment, refund.amount);
+    }
+  }
+  return failed;
+}
+
+async function handlePartialRefund(
+  userClient: ReturnType<typeof getUserFromAuth>,
+  bookingId: number | undefined,
+  eventOrderId: number | undefined,
+  amount: number,
+) {
+  const { data: payment, error } = bookingId
+    ? await userClient.rpc("get_booking_payment", { p_booking_id: bookingId })
+    : await userClient.rpc("get_event_order_payment", { p_event_order_id: eventOrderId });
+
+  if (error || payment.status === "error") {
+    return new Response(JSON.stringify(payment || { error: error?.message }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  if (!payment.is_staff) {
+    return new Response(JSON.stringify({ status: "error", code: "not_staff" }), {
+      status: 403,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const refundable = payment.captured_amount - payment.refunded_amount;
+  if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+    return new Response(JSON.stringify({ status: "error", code: "invalid_amount", refundable }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const ref = payment.vipps_reference;
+  let result;
+  try {
+    result = await adjustVippsPayment(
+      supabaseAdmin, ref, "refund", amount, `refund-${ref}-${payment.refunded_amount}-${amount}`,
+    );
+  } catch (refundErr) {
+    console.error("Vipps refund error:", refundErr);
+    await recordVippsAdjustmentFailure(supabaseAdmin, ref, "refund", amount);
+    return new Response(JSON.stringify({ status: "error", code: "refund_failed" }), {
+      status: 502,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  return new Response(JSON.stringify(result), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// Capture at check-in (venues with capture_mode = 'checkin'), or a
+// manual retry by staff if an automatic capture failed. Tickets of the
+// order cancelled before capture are left out of the amount.
+async function handleCapture(req: Request) {
+  const userClient = getUserFromAuth(req);
+  const { data: { user }, error: authErr } = await userClient.auth.getUser();
+  if (authErr || !user) {
+    return new Response(JSON.stringify({ error: "Not authenticated" }), {
+      status: 401,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const { booking_id, event_order_id } = await req.json();
+  if (!booking_id && !event_order_id) {
+    return new Response(JSON.stringify({ error: "Missing booking_id or event_order_id" }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  // Event tickets are captured when paid; this retries a capture that
+  // failed there, for the event's admins
+  const { data: payment, error } = booking_id
+    ? await userClient.rpc("get_booking_payment", { p_booking_id: booking_id })
+    : await userClient.rpc("get_event_order_payment", { p_event_order_id: event_order_id });
+
+  if (error || payment.status === "error") {
+    return new Response(JSON.stringify(payment || { error: error?.message }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  if (!payment.is_staff) {
+    return new Response(JSON.stringify({ status: "error", code: "not_staff" }), {
+      status: 403,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  if (payment.payment_state !== "authorized" || payment.capturable_amount <= 0
+      || (payment.order_status && payment.order_status !== "paid")) {
+    return new Response(JSON.stringify({ status: "error", code: "not_capturable", payment_state: payment.payment_state }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const ref = payment.vipps_reference;
+  let result;
+  try {
+    result = await adjustVippsPayment(
+      supabaseAdmin, ref, "capture", payment.capturable_amount, `capture-${ref}`,
+    );
+  } catch (captureErr) {
+    console.error("Vipps capture error:", captureErr);
+    await recordVippsAdjustmentFailure(supabaseAdmin, ref, "capture", payment.capturable_amount);
+    return new Response(JSON.stringify({ status: "error", code: "capture_failed" }), {
+      status: 502,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  return new Response(JSON.stringify(result), {
+    status: 200,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
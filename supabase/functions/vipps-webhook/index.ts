@@ -1,89 +1,194 @@
 import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { adjustVippsPayment, recordVippsAdjustmentFailure } from "../_shared/vipps.ts";
 
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
 const VIPPS_WEBHOOK_SECRET = Deno.env.get("VIPPS_WEBHOOK_SECRET") || "";
+// Public URL the webhook is registered with at Vipps. The signature covers
+// its host and path, which differ from req.url behind the Supabase gateway.
+const VIPPS_WEBHOOK_URL = Deno.env.get("VIPPS_WEBHOOK_URL") || "";
+
+// How far x-ms-date may be from our clock. Vipps signs every delivery,
+// retries included, when it sends it, so an older request is a replay.
+const MAX_WEBHOOK_AGE_MS = 5 * 60 * 1000;
 
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
+const encoder = new TextEncoder();
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function toBase64(bytes: ArrayBuffer): string {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Vipps signs webhooks with HMAC-SHA256 over
+// "POST\n<path and query>\n<x-ms-date>;<host>;<x-ms-content-sha256>"
+// and sends "HMAC-SHA256 SignedHeaders=...&Signature=<base64>". The
+// signed x-ms-date must be recent, so a captured request can't be replayed.
+async function verifySignature(req: Request, body: string, contentHash: string): Promise<boolean> {
+  const date = req.headers.get("x-ms-date") || "";
+  const authorization = req.headers.get("authorization") || "";
+  const signature = authorization.match(/Signature=([^&\s]+)/)?.[1];
+  if (!date || !signature) return false;
+
+  const sentAt = Date.parse(date);
+  if (Number.isNaN(sentAt) || Math.abs(Date.now() - sentAt) > MAX_WEBHOOK_AGE_MS) return false;
+
+  const expectedHash = toBase64(await crypto.subtle.digest("SHA-256", encoder.encode(body)));
+  if (!timingSafeEqual(expectedHash, contentHash)) return false;
+
+  const target = new URL(VIPPS_WEBHOOK_URL || req.url);
+  const host = VIPPS_WEBHOOK_URL ? target.host : (req.headers.get("host") || target.host);
+  const signed = `POST\n${target.pathname}${target.search}\n${date};${host};${contentHash}`;
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(VIPPS_WEBHOOK_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const expected = toBase64(await crypto.subtle.sign("HMAC", key, encoder.encode(signed)));
+  return timingSafeEqual(expected, signature);
+}
+
+// Apply a stored event and make the Vipps call it calls for. A failed
+// Vipps call is stored in the transaction history and leaves the
+// payment for staff to retry.
+async function processEvent(eventId: number) {
+  const { data, error } = await supabaseAdmin.rpc("process_payment_event", { p_event_id: eventId });
+  if (error) throw new Error(`process_payment_event failed: ${error.message}`);
+
+  console.log(`Payment event ${eventId}:`, JSON.stringify(data));
+
+  if (data?.capture_now && data.amount > 0) {
+    // Venues that capture at purchase get the money moved right away
+    try {
+      await adjustVippsPayment(supabaseAdmin, data.reference, "capture", data.amount, `capture-${data.reference}`);
+    } catch (captureErr) {
+      console.error("Vipps capture error:", captureErr);
+      await recordVippsAdjustmentFailure(supabaseAdmin, data.reference, "capture", data.amount);
+    }
+  } else if (data?.release) {
+    // Authorized after the booking was given up — don't hold the money
+    try {
+      await adjustVippsPayment(supabaseAdmin, data.reference, "cancel", data.amount || 0, `release-${data.reference}`);
+    } catch (cancelErr) {
+      console.error("Vipps cancel error:", cancelErr);
+      await recordVippsAdjustmentFailure(supabaseAdmin, data.reference, "cancel", data.amount || 0);
+    }
+  }
+
+  return data;
+}
+
+// POST ?action=replay  { event_id } or { reference }
+// Reprocesses stored events in the order they were received.
+async function handleReplay(req: Request) {
+  const authHeader = req.headers.get("authorization") || "";
+  if (authHeader !== `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  const { event_id, reference } = await req.json();
+  if (!event_id && !reference) {
+    return jsonResponse({ error: "Missing event_id or reference" }, 400);
+  }
+
+  let query = supabaseAdmin.from("payment_events").select("id").order("received_at").order("id");
+  query = event_id ? query.eq("id", event_id) : query.eq("reference", reference);
+  const { data: events, error } = await query;
+  if (error) return jsonResponse({ error: error.message }, 500);
+
+  const results = [];
+  for (const ev of events || []) {
+    results.push(await processEvent(ev.id));
+  }
+  return jsonResponse({ ok: true, results });
+}
+
 serve(async (req) => {
   if (req.method !== "POST") {
     return new Response("Method not allowed", { status: 405 });
   }
 
   try {
-    // Verify webhook authorization
-    const authHeader = req.headers.get("authorization") || "";
-    if (VIPPS_WEBHOOK_SECRET && authHeader !== VIPPS_WEBHOOK_SECRET) {
-      console.error("Invalid webhook authorization");
-      return new Response("Unauthorized", { status: 401 });
+    const url = new URL(req.url);
+    if (url.searchParams.get("action") === "replay") {
+      return await handleReplay(req);
     }
 
-    const payload = await req.json();
-    console.log("Vipps webhook received:", JSON.stringify(payload));
+    if (!VIPPS_WEBHOOK_SECRET) {
+      console.error("VIPPS_WEBHOOK_SECRET is not set");
+      return jsonResponse({ error: "Webhook not configured" }, 500);
+    }
 
-    const reference = payload.reference;
-    const pspReference = payload.pspReference;
-    const eventName = payload.name; // AUTHORIZED, CANCELLED, EXPIRED, FAILED, etc.
+    const body = await req.text();
+    const contentHash = req.headers.get("x-ms-content-sha256") || "";
+    if (!(await verifySignature(req, body, contentHash))) {
+      console.error("Invalid webhook signature");
+      return new Response("Unauthorized", { status: 401 });
+    }
 
-    if (!reference) {
-      return new Response(JSON.stringify({ error: "Missing reference" }), {
-        status: 400,
-        headers: { "Content-Type": "application/json" },
-      });
+    const payload = JSON.parse(body);
+    console.log("Vipps webhook received:", body);
+
+    if (!payload.reference || !payload.name) {
+      return jsonResponse({ error: "Missing reference" }, 400);
     }
 
-    if (eventName === "AUTHORIZED") {
-      // Payment authorized — confirm booking
-      const { data, error } = await supabaseAdmin.rpc("confirm_vipps_payment", {
-        p_vipps_reference: reference,
-        p_psp_reference: pspReference || null,
-      });
-
-      if (error) {
-        console.error("confirm_vipps_payment error:", error);
-        return new Response(JSON.stringify({ error: error.message }), {
-          status: 500,
-          headers: { "Content-Type": "application/json" },
-        });
-      }
+    // The content hash identifies the delivery, so a redelivery of the
+    // same webhook hits the unique key and is acknowledged without acting
+    const { data: stored, error: insertError } = await supabaseAdmin
+      .from("payment_events")
+      .upsert({
+        delivery_id: contentHash,
+        reference: payload.reference,
+        event_name: payload.name,
+        psp_reference: payload.pspReference || null,
+        amount: payload.amount?.value ?? null,
+        payload,
+      }, { onConflict: "delivery_id", ignoreDuplicates: true })
+      .select("id");
 
-      console.log("Payment confirmed:", data);
-    } else if (["CANCELLED", "EXPIRED", "FAILED", "REJECTED"].includes(eventName)) {
-      // Payment failed — cancel booking
-      const { data: tx } = await supabaseAdmin
-        .from("transactions")
-        .select("booking_id")
-        .eq("vipps_reference", reference)
-        .maybeSingle();
-
-      if (tx) {
-        await supabaseAdmin
-          .from("bookings")
-          .update({ status: "cancelled" })
-          .eq("id", tx.booking_id)
-          .eq("status", "pending_payment");
-
-        await supabaseAdmin
-          .from("transactions")
-          .update({ status: "cancelled" })
-          .eq("vipps_reference", reference)
-          .eq("status", "pending");
-      }
+    if (insertError) {
+      console.error("payment_events insert error:", insertError);
+      return jsonResponse({ error: insertError.message }, 500);
+    }
 
-      console.log(`Payment ${eventName} for ref:`, reference);
+    if (!stored || stored.length === 0) {
+      // Finish a stored event whose first delivery failed mid-way
+      const { data: existing } = await supabaseAdmin
+        .from("payment_events")
+        .select("id, processed_at")
+        .eq("delivery_id", contentHash)
+        .single();
+      if (existing && !existing.processed_at) {
+        await processEvent(existing.id);
+      }
+      console.log("Duplicate webhook delivery for ref:", payload.reference);
+      return jsonResponse({ ok: true, duplicate: true });
     }
 
-    return new Response(JSON.stringify({ ok: true }), {
-      status: 200,
-      headers: { "Content-Type": "application/json" },
-    });
+    await processEvent(stored[0].id);
+
+    return jsonResponse({ ok: true });
   } catch (err) {
     console.error("Webhook error:", err);
-    return new Response(JSON.stringify({ error: "Internal error" }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" },
-    });
+    return jsonResponse({ error: "Internal error" }, 500);
   }
 });
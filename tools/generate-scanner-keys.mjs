@@ -0,0 +1,22 @@
+// ============================================================
+// Generate the key pair that signs offline scanner manifests
+// The private key goes to the scanner-manifest edge function, the
+// public key into the frontend build.
+//
+//   node tools/generate-scanner-keys.mjs
+// ============================================================
+
+const { publicKey, privateKey } = await crypto.subtle.generateKey(
+  { name: "ECDSA", namedCurve: "P-256" },
+  true,
+  ["sign", "verify"],
+);
+
+const privateJwk = JSON.stringify(await crypto.subtle.exportKey("jwk", privateKey));
+const publicJwk = JSON.stringify(await crypto.subtle.exportKey("jwk", publicKey));
+
+console.log("# Edge function secret:");
+console.log(`supabase secrets set SCANNER_MANIFEST_PRIVATE_KEY='${privateJwk}'`);
+console.log();
+console.log("# frontend/.env:");
+console.log(`VITE_SCANNER_MANIFEST_PUBLIC_KEY='${publicJwk}'`);
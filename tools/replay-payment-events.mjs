@@ -0,0 +1,52 @@
+// ============================================================
+// Replay stored Vipps webhook events
+// Reprocesses rows in payment_events through vipps-webhook, e.g. after
+// fixing a bug that made an event fail or be rejected.
+//
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+//     node tools/replay-payment-events.mjs --reference <vipps reference>
+//   node tools/replay-payment-events.mjs --event <payment_events.id>
+// ============================================================
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+const eventId = flag("--event");
+const reference = flag("--reference");
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set");
+  process.exit(1);
+}
+if (!eventId && !reference) {
+  console.error("Usage: replay-payment-events.mjs --event <id> | --reference <ref>");
+  process.exit(1);
+}
+
+const res = await fetch(`${SUPABASE_URL}/functions/v1/vipps-webhook?action=replay`, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+  },
+  body: JSON.stringify(eventId ? { event_id: parseInt(eventId) } : { reference }),
+});
+
+const data = await res.json().catch(() => ({}));
+if (!res.ok) {
+  console.error(`Replay failed (${res.status}):`, data.error || data);
+  process.exit(1);
+}
+
+if (!data.results?.length) {
+  console.log("No stored events matched.");
+}
+for (const r of data.results || []) {
+  console.log(`#${r.event_id} ${r.event_name} ${r.reference} → ${r.outcome} (${r.detail})`);
+}
@@ -0,0 +1,465 @@
+// ============================================================
+// Local Vipps emulator
+// Stands in for VIPPS_API_BASE during development: access token,
+// Vipps Login (OAuth2 auth/token/userinfo) and ePayment
+// (create/get/capture/refund/cancel), and sends signed webhooks
+// back to vipps-webhook. No dependencies — run with plain Node.
+// ============================================================
+
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = parseInt(process.env.EMULATOR_PORT || "8787");
+const PUBLIC_URL = process.env.EMULATOR_PUBLIC_URL || `http://localhost:${PORT}`;
+const WEBHOOK_URL = process.env.WEBHOOK_URL || "http://localhost:54321/functions/v1/vipps-webhook";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "emulator-webhook-secret";
+const MSN = process.env.VIPPS_MERCHANT_SERIAL_NUMBER || "123456";
+const CONFIG_PATH = process.env.EMULATOR_CONFIG || path.join(here, "personas.json");
+
+// ---- State ----
+
+const config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+let personas = config.personas;
+let failures = { ...config.failures };
+let autoPayment = process.env.EMULATOR_AUTO_PAYMENT || null; // "approve" | "reject" | null
+
+const authCodes = new Map();    // code → persona id
+const userTokens = new Map();   // access token → persona id
+const payments = new Map();     // reference → payment
+const webhookLog = [];
+
+// ---- Helpers ----
+
+function send(res, status, body, headers = {}) {
+  const isJson = typeof body !== "string";
+  res.writeHead(status, {
+    "Content-Type": isJson ? "application/json" : "text/html; charset=utf-8",
+    ...headers,
+  });
+  res.end(isJson ? JSON.stringify(body) : body);
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw) return {};
+  if ((req.headers["content-type"] || "").includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  try { return JSON.parse(raw); } catch { return {}; }
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+}
+
+function birthdateForAge(age) {
+  const d = new Date();
+  d.setFullYear(d.getFullYear() - age);
+  d.setDate(d.getDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function findPersona(id) {
+  return personas.find((p) => p.id === id);
+}
+
+// A failure mode is either a string ("error") or { mode, count, ms }.
+// With a count it fires that many times and then clears itself;
+// ms is the delay for the webhook "delay" mode.
+function takeFailure(name) {
+  const f = failures[name];
+  if (!f) return null;
+  if (typeof f === "string") return f;
+  if (f.count !== undefined) {
+    f.count -= 1;
+    if (f.count <= 0) delete failures[name];
+  }
+  return f.mode;
+}
+
+function aggregate(p) {
+  const amount = (value) => ({ currency: "NOK", value });
+  return {
+    authorizedAmount: amount(p.authorized),
+    cancelledAmount: amount(p.cancelled),
+    capturedAmount: amount(p.captured),
+    refundedAmount: amount(p.refunded),
+  };
+}
+
+function paymentView(p) {
+  return {
+    reference: p.reference,
+    state: p.state,
+    amount: { currency: "NOK", value: p.amount },
+    aggregate: aggregate(p),
+    pspReference: p.pspReference,
+    paymentMethod: { type: "WALLET" },
+    redirectUrl: p.redirectUrl,
+  };
+}
+
+// ---- Webhooks ----
+
+// Signed the same way as Vipps webhooks: HMAC-SHA256 over
+// "POST\n<path and query>\n<x-ms-date>;<host>;<x-ms-content-sha256>"
+function signWebhook(url, body) {
+  const target = new URL(url);
+  const contentHash = crypto.createHash("sha256").update(body).digest("base64");
+  const date = new Date().toUTCString();
+  const signed = `POST\n${target.pathname}${target.search}\n${date};${target.host};${contentHash}`;
+  const signature = crypto.createHmac("sha256", WEBHOOK_SECRET).update(signed).digest("base64");
+  return {
+    "Content-Type": "application/json",
+    "x-ms-date": date,
+    "x-ms-content-sha256": contentHash,
+    "Authorization": `HMAC-SHA256 SignedHeaders=x-ms-date;host;x-ms-content-sha256&Signature=${signature}`,
+  };
+}
+
+async function deliver(payload) {
+  const body = JSON.stringify(payload);
+  try {
+    const res = await fetch(WEBHOOK_URL, { method: "POST", headers: signWebhook(WEBHOOK_URL, body), body });
+    webhookLog.push({ ...payload, delivered_status: res.status });
+    console.log(`webhook ${payload.name} ${payload.reference} → ${res.status}`);
+  } catch (err) {
+    webhookLog.push({ ...payload, delivered_status: null, error: String(err) });
+    console.log(`webhook ${payload.name} ${payload.reference} failed: ${err}`);
+  }
+}
+
+function fireWebhook(p, name, value) {
+  const payload = {
+    msn: MSN,
+    reference: p.reference,
+    pspReference: p.pspReference,
+    name,
+    amount: { currency: "NOK", value },
+    timestamp: new Date().toISOString(),
+    idempotencyKey: crypto.randomUUID(),
+    success: true,
+  };
+
+  const delayMs = failures.webhook?.ms || 5000;
+  const mode = takeFailure("webhook");
+  if (mode === "drop") {
+    webhookLog.push({ ...payload, delivered_status: "dropped" });
+    return;
+  }
+  if (mode === "delay") {
+    setTimeout(() => deliver(payload), delayMs);
+    return;
+  }
+  deliver(payload).then(() => {
+    if (mode === "duplicate") deliver(payload);
+  });
+}
+
+// ---- Access token ----
+
+function handleAccessToken(res) {
+  if (takeFailure("token") === "error") return send(res, 401, { error: "invalid_client" });
+  send(res, 200, {
+    token_type: "Bearer",
+    expires_in: "3600",
+    access_token: `emulator-${crypto.randomUUID()}`,
+  });
+}
+
+// ---- Vipps Login ----
+
+function handleAuthorize(res, url) {
+  const redirectUri = url.searchParams.get("redirect_uri");
+  const state = url.searchParams.get("state") || "";
+  const personaId = url.searchParams.get("persona") || process.env.EMULATOR_AUTO_PERSONA;
+
+  if (!redirectUri) return send(res, 400, { error: "invalid_request" });
+
+  if (personaId) return approveLogin(res, redirectUri, state, personaId);
+
+  const base = new URL(url.toString());
+  const links = personas.map((p) => {
+    base.searchParams.set("persona", p.id);
+    return `<li><a href="${escapeHtml(base.pathname + base.search)}">${escapeHtml(p.name)}</a>
+      <small>${escapeHtml(p.id)} · ${p.age} år · ${escapeHtml(p.phone)}</small></li>`;
+  }).join("");
+
+  send(res, 200, `<!doctype html><meta charset="utf-8"><title>Vipps emulator — login</title>
+    <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Vipps emulator</h2><p>Logg inn som:</p><ul>${links}</ul></body>`);
+}
+
+function approveLogin(res, redirectUri, state, personaId) {
+  const persona = findPersona(personaId);
+  const target = new URL(redirectUri);
+  target.searchParams.set("state", state);
+
+  if (!persona) {
+    target.searchParams.set("error", "unknown_persona");
+  } else if (persona.login === "deny") {
+    target.searchParams.set("error", "access_denied");
+  } else {
+    const code = crypto.randomUUID();
+    authCodes.set(code, persona.id);
+    target.searchParams.set("code", code);
+  }
+  redirect(res, target.toString());
+}
+
+async function handleToken(req, res) {
+  const body = await readBody(req);
+  if (takeFailure("login_token") === "error") return send(res, 400, { error: "invalid_grant" });
+
+  const personaId = authCodes.get(body.code);
+  if (!personaId) return send(res, 400, { error: "invalid_grant" });
+  authCodes.delete(body.code);
+
+  const accessToken = `emulator-user-${crypto.randomUUID()}`;
+  userTokens.set(accessToken, personaId);
+  send(res, 200, {
+    access_token: accessToken,
+    id_token: `emulator-id-${personaId}`,
+    token_type: "Bearer",
+    expires_in: 3600,
+    scope: "openid name email phoneNumber birthDate",
+  });
+}
+
+function handleUserinfo(req, res) {
+  if (takeFailure("userinfo") === "error") return send(res, 500, { error: "server_error" });
+
+  const token = (req.headers.authorization || "").replace("Bearer ", "");
+  const persona = findPersona(userTokens.get(token));
+  if (!persona) return send(res, 401, { error: "invalid_token" });
+
+  const [givenName, ...rest] = persona.name.split(" ");
+  send(res, 200, {
+    sub: `emulator-${persona.id}`,
+    name: persona.name,
+    given_name: givenName,
+    family_name: rest.join(" "),
+    email: persona.email || undefined,
+    email_verified: Boolean(persona.email),
+    phone_number: persona.phone,
+    birthdate: persona.birthdate || birthdateForAge(persona.age),
+  });
+}
+
+// ---- ePayment ----
+
+async function handleCreatePayment(req, res) {
+  const body = await readBody(req);
+  if (takeFailure("create") === "error") return send(res, 500, { title: "Internal error" });
+
+  const reference = body.reference;
+  if (!reference || !body.amount?.value) return send(res, 400, { title: "Bad Request", detail: "reference and amount are required" });
+
+  // Same reference with the same Idempotency-Key returns the existing payment
+  if (payments.has(reference)) {
+    const existing = payments.get(reference);
+    if (existing.idempotencyKey === req.headers["idempotency-key"]) {
+      return send(res, 200, { reference, redirectUrl: existing.redirectUrl });
+    }
+    return send(res, 409, { title: "Conflict", detail: "Reference already used" });
+  }
+
+  const p = {
+    reference,
+    amount: body.amount.value,
+    returnUrl: body.returnUrl,
+    description: body.paymentDescription,
+    state: "CREATED",
+    pspReference: `psp-${crypto.randomUUID().slice(0, 8)}`,
+    authorized: 0,
+    captured: 0,
+    refunded: 0,
+    cancelled: 0,
+    idempotencyKey: req.headers["idempotency-key"],
+    redirectUrl: `${PUBLIC_URL}/emulator/pay/${encodeURIComponent(reference)}`,
+  };
+  payments.set(reference, p);
+
+  send(res, 201, { reference, redirectUrl: p.redirectUrl });
+}
+
+function approvePayment(p) {
+  p.state = "AUTHORIZED";
+  p.authorized = p.amount;
+  fireWebhook(p, "AUTHORIZED", p.amount);
+}
+
+function rejectPayment(p, name = "ABORTED") {
+  p.state = name === "EXPIRED" ? "EXPIRED" : name === "TERMINATED" ? "TERMINATED" : "ABORTED";
+  fireWebhook(p, name, p.amount);
+}
+
+function handlePaymentPage(res, url, reference) {
+  const p = payments.get(reference);
+  if (!p) return send(res, 404, "<p>Unknown payment</p>");
+
+  const choice = url.searchParams.get("choice") || autoPayment;
+  if (choice && p.state === "CREATED") {
+    if (choice === "approve") approvePayment(p);
+    else rejectPayment(p);
+    return p.returnUrl ? redirect(res, p.returnUrl) : send(res, 200, paymentView(p));
+  }
+
+  const self = `/emulator/pay/${encodeURIComponent(reference)}`;
+  send(res, 200, `<!doctype html><meta charset="utf-8"><title>Vipps emulator — betaling</title>
+    <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Vipps emulator</h2>
+    <p>${escapeHtml(p.description || reference)}</p>
+    <p><strong>${(p.amount / 100).toFixed(2)} kr</strong> · ${p.state}</p>
+    <p><a href="${self}?choice=approve">Godkjenn</a> · <a href="${self}?choice=reject">Avbryt</a></p>
+    </body>`);
+}
+
+async function handleAdjust(req, res, reference, action) {
+  const body = await readBody(req);
+  const p = payments.get(reference);
+  if (!p) return send(res, 404, { title: "Not Found" });
+
+  if (takeFailure(action) === "error") return send(res, 500, { title: "Internal error" });
+
+  // Repeating an adjustment with the same Idempotency-Key is a no-op
+  const key = req.headers["idempotency-key"];
+  p.seenKeys = p.seenKeys || new Set();
+  if (key && p.seenKeys.has(`${action}:${key}`)) {
+    return send(res, 200, { ...paymentView(p), pspReference: p.pspReference });
+  }
+
+  const value = body.modificationAmount?.value ?? 0;
+
+  if (action === "capture") {
+    if (p.state !== "AUTHORIZED" || value <= 0 || p.captured + value > p.authorized - p.cancelled) {
+      return send(res, 400, { title: "Bad Request", detail: "Capture not allowed" });
+    }
+    p.captured += value;
+    fireWebhook(p, "CAPTURED", value);
+  } else if (action === "refund") {
+    if (value <= 0 || p.refunded + value > p.captured) {
+      return send(res, 400, { title: "Bad Request", detail: "Refund exceeds captured amount" });
+    }
+    p.refunded += value;
+    fireWebhook(p, "REFUNDED", value);
+  } else if (action === "cancel") {
+    if (p.captured > 0) {
+      return send(res, 400, { title: "Bad Request", detail: "Captured payments must be refunded" });
+    }
+    if (p.state === "CREATED") {
+      p.state = "TERMINATED";
+      fireWebhook(p, "TERMINATED", p.amount);
+    } else {
+      p.cancelled = p.authorized;
+      fireWebhook(p, "CANCELLED", p.authorized);
+    }
+  }
+
+  if (key) p.seenKeys.add(`${action}:${key}`);
+  send(res, 200, { ...paymentView(p), pspReference: p.pspReference });
+}
+
+// ---- Emulator control API (for scripts and tests) ----
+
+async function handleControl(req, res, url) {
+  const parts = url.pathname.split("/").filter(Boolean); // ["emulator", ...]
+
+  if (req.method === "GET" && parts[1] === "state") {
+    return send(res, 200, {
+      personas,
+      failures,
+      autoPayment,
+      payments: [...payments.values()].map(paymentView),
+      webhooks: webhookLog,
+    });
+  }
+
+  if (req.method === "POST" && parts[1] === "reset") {
+    payments.clear();
+    authCodes.clear();
+    userTokens.clear();
+    webhookLog.length = 0;
+    failures = { ...config.failures };
+    personas = config.personas;
+    autoPayment = process.env.EMULATOR_AUTO_PAYMENT || null;
+    return send(res, 200, { ok: true });
+  }
+
+  // { failures?, personas?, autoPayment? } — merged into the running config
+  if (req.method === "POST" && parts[1] === "config") {
+    const body = await readBody(req);
+    if (body.failures) failures = { ...failures, ...body.failures };
+    if (body.personas) personas = body.personas;
+    if (body.autoPayment !== undefined) autoPayment = body.autoPayment;
+    return send(res, 200, { failures, autoPayment, personas: personas.map((p) => p.id) });
+  }
+
+  // POST /emulator/payments/:ref/(approve|reject|expire)
+  if (req.method === "POST" && parts[1] === "payments" && parts[2] && parts[3]) {
+    const p = payments.get(decodeURIComponent(parts[2]));
+    if (!p) return send(res, 404, { error: "Unknown payment" });
+    if (p.state !== "CREATED") return send(res, 409, { error: `Payment is ${p.state}` });
+    if (parts[3] === "approve") approvePayment(p);
+    else if (parts[3] === "reject") rejectPayment(p);
+    else if (parts[3] === "expire") rejectPayment(p, "EXPIRED");
+    else return send(res, 404, { error: "Unknown action" });
+    return send(res, 200, paymentView(p));
+  }
+
+  send(res, 404, { error: "Unknown emulator route" });
+}
+
+// ---- Router ----
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, PUBLIC_URL);
+  const p = url.pathname;
+
+  try {
+    if (p.startsWith("/emulator/pay/") && req.method === "GET") {
+      return handlePaymentPage(res, url, decodeURIComponent(p.slice("/emulator/pay/".length)));
+    }
+    if (p.startsWith("/emulator/")) return await handleControl(req, res, url);
+
+    if (p === "/accesstoken/get" && req.method === "POST") return handleAccessToken(res);
+
+    if (p === "/access-management-1.0/access/oauth2/auth") return handleAuthorize(res, url);
+    if (p === "/access-management-1.0/access/oauth2/token" && req.method === "POST") return await handleToken(req, res);
+    if (p === "/vipps-userinfo-api/userinfo") return handleUserinfo(req, res);
+
+    if (p === "/epayment/v1/payments" && req.method === "POST") return await handleCreatePayment(req, res);
+
+    const match = p.match(/^\/epayment\/v1\/payments\/([^/]+)(?:\/(capture|refund|cancel))?$/);
+    if (match) {
+      const reference = decodeURIComponent(match[1]);
+      if (!match[2] && req.method === "GET") {
+        const payment = payments.get(reference);
+        return payment ? send(res, 200, paymentView(payment)) : send(res, 404, { title: "Not Found" });
+      }
+      if (match[2] && req.method === "POST") return await handleAdjust(req, res, reference, match[2]);
+    }
+
+    send(res, 404, { error: "Not found" });
+  } catch (err) {
+    console.error("emulator error:", err);
+    send(res, 500, { error: String(err) });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Vipps emulator on ${PUBLIC_URL}`);
+  console.log(`Webhooks → ${WEBHOOK_URL}`);
+});